@@ -60,6 +60,12 @@ async function testConnection() {
     }
 }
 
+// Run a single query on the shared pool
+const query = (text, params) => pool.query(text, params);
+
+// Check out a dedicated client for transactions - callers must release() it
+const getClient = () => pool.connect();
+
 // Graceful shutdown function
 async function closePool() {
     try {
@@ -72,6 +78,8 @@ async function closePool() {
 
 module.exports = { 
     pool, 
+    query,
+    getClient,
     testConnection, 
     closePool 
 };
\ No newline at end of file
@@ -8,9 +8,16 @@ if (process.env.NODE_ENV !== 'production') {
 // Optimized PayPal configuration with better validation
 const mode = process.env.PAYPAL_MODE || 'sandbox';
 const isLive = mode === 'production' || mode === 'live';
+// The local mock server (npm run mock-paypal) - any credentials are accepted
+const isMock = mode === 'mock';
 
-const clientId = isLive ? process.env.LIVE_PAYPAL_CLIENT_ID : process.env.PAYPAL_CLIENT_ID;
-const clientSecret = isLive ? process.env.LIVE_PAYPAL_CLIENT_SECRET : process.env.PAYPAL_SECRET_KEY;
+const clientId = isLive ? process.env.LIVE_PAYPAL_CLIENT_ID : process.env.PAYPAL_CLIENT_ID || (isMock ? 'mock-client' : undefined);
+const clientSecret = isLive ? process.env.LIVE_PAYPAL_CLIENT_SECRET : process.env.PAYPAL_SECRET_KEY || (isMock ? 'mock-secret' : undefined);
+const webhookId = process.env.PAYPAL_WEBHOOK_ID || (isMock ? 'MOCK-WEBHOOK' : undefined);
+
+const apiBase = process.env.PAYPAL_API_BASE || (isLive
+    ? 'https://api-m.paypal.com'
+    : isMock ? `http://localhost:${process.env.MOCK_PAYPAL_PORT || 5055}` : 'https://api-m.sandbox.paypal.com');
 
 // Enhanced PayPal configuration validation
 const validatePayPalConfig = () => {
@@ -41,7 +48,7 @@ console.log('🔧 PayPal Config:', {
     mode: mode,
     isLive: isLive,
     clientId: clientId ? `${clientId.substring(0, 10)}...` : 'not set',
-    apiBase: process.env.PAYPAL_API_BASE || (isLive ? 'https://api-m.paypal.com' : 'https://api-m.sandbox.paypal.com'),
+    apiBase: apiBase,
     frontendUrl: process.env.FRONTEND_URL || 'not set',
     valid: isValidConfig
 });
@@ -51,10 +58,10 @@ let environment;
 let client;
 
 try {
-    const apiBase = process.env.PAYPAL_API_BASE || (isLive ? 'https://api-m.paypal.com' : 'https://api-m.sandbox.paypal.com');
-    
     if (isLive) {
         environment = new paypal.core.LiveEnvironment(clientId, clientSecret);
+    } else if (isMock) {
+        environment = new paypal.core.PayPalEnvironment(clientId, clientSecret, apiBase, apiBase);
     } else {
         environment = new paypal.core.SandboxEnvironment(clientId, clientSecret);
     }
@@ -107,6 +114,7 @@ const paypalAPI = {
             return {
                 success: false,
                 error: error.message || 'Failed to create PayPal order',
+                statusCode: error.statusCode,
                 debugId: error.debug_id
             };
         }
@@ -152,6 +160,7 @@ const paypalAPI = {
             return {
                 success: false,
                 error: error.message || 'Failed to capture PayPal order',
+                statusCode: error.statusCode,
                 debugId: error.debug_id
             };
         }
@@ -191,6 +200,167 @@ const paypalAPI = {
             return {
                 success: false,
                 error: error.message || 'Failed to get PayPal order',
+                statusCode: error.statusCode,
+                debugId: error.debug_id
+            };
+        }
+    },
+
+    // Refund a capture - omit amount for a full refund
+    refundCapture: async (captureId, { amount, currency = 'USD', note, requestId } = {}) => {
+        if (!client) {
+            return {
+                success: false,
+                error: 'PayPal client not initialized'
+            };
+        }
+        
+        try {
+            const startTime = Date.now();
+            const request = new paypal.payments.CapturesRefundRequest(captureId);
+            request.prefer("return=representation");
+            if (requestId) {
+                // Same request ID = same refund, so a retried call cannot refund twice
+                request.payPalRequestId(requestId);
+            }
+            request.requestBody({
+                ...(amount && { amount: { value: amount, currency_code: currency } }),
+                ...(note && { note_to_payer: note.substring(0, 255) })
+            });
+
+            const response = await client.execute(request);
+            const processingTime = Date.now() - startTime;
+            
+            console.log(`✅ PayPal capture refunded in ${processingTime}ms:`, response.result.id);
+            
+            return {
+                success: true,
+                refund: response.result,
+                refundId: response.result.id,
+                status: response.result.status,
+                processingTime: `${processingTime}ms`
+            };
+        } catch (error) {
+            console.error('❌ PayPal refund error:', {
+                captureId,
+                message: error.message,
+                details: error.details,
+                debugId: error.debug_id,
+                timestamp: new Date().toISOString()
+            });
+            
+            return {
+                success: false,
+                error: error.message || 'Failed to refund PayPal capture',
+                statusCode: error.statusCode,
+                debugId: error.debug_id
+            };
+        }
+    },
+
+    // One page of the transaction search (Reporting API) - dates are ISO 8601, at most 31 days apart.
+    // Transactions show up here a few hours after they happen.
+    listTransactions: async ({ startDate, endDate, page = 1, pageSize = 500 }) => {
+        if (!client) {
+            return {
+                success: false,
+                error: 'PayPal client not initialized'
+            };
+        }
+
+        try {
+            const params = new URLSearchParams({
+                start_date: startDate,
+                end_date: endDate,
+                fields: 'transaction_info,payer_info',
+                page_size: String(pageSize),
+                page: String(page)
+            });
+            const request = {
+                path: `/v1/reporting/transactions?${params}`,
+                verb: 'GET',
+                headers: { 'Content-Type': 'application/json' }
+            };
+
+            const response = await client.execute(request);
+
+            return {
+                success: true,
+                transactions: response.result.transaction_details || [],
+                page: response.result.page || page,
+                totalPages: response.result.total_pages || 1
+            };
+        } catch (error) {
+            console.error('❌ PayPal transaction search error:', {
+                startDate,
+                endDate,
+                page,
+                message: error.message,
+                debugId: error.debug_id,
+                timestamp: new Date().toISOString()
+            });
+
+            return {
+                success: false,
+                error: error.message || 'Failed to search PayPal transactions',
+                statusCode: error.statusCode,
+                debugId: error.debug_id
+            };
+        }
+    },
+
+    // Verify a webhook transmission signature with PayPal's postback API
+    verifyWebhookSignature: async (headers, rawBody) => {
+        if (!client) {
+            return {
+                success: false,
+                error: 'PayPal client not initialized'
+            };
+        }
+
+        if (!webhookId) {
+            return {
+                success: false,
+                error: 'PAYPAL_WEBHOOK_ID not set'
+            };
+        }
+        
+        try {
+            const request = {
+                path: '/v1/notifications/verify-webhook-signature',
+                verb: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: {
+                    auth_algo: headers['paypal-auth-algo'],
+                    cert_url: headers['paypal-cert-url'],
+                    transmission_id: headers['paypal-transmission-id'],
+                    transmission_sig: headers['paypal-transmission-sig'],
+                    transmission_time: headers['paypal-transmission-time'],
+                    webhook_id: webhookId,
+                    // Parse the exact bytes PayPal sent rather than the re-parsed req.body
+                    webhook_event: JSON.parse(rawBody.toString('utf8'))
+                }
+            };
+
+            const response = await client.execute(request);
+            
+            return {
+                success: true,
+                verified: response.result.verification_status === 'SUCCESS',
+                verificationStatus: response.result.verification_status
+            };
+        } catch (error) {
+            console.error('❌ PayPal webhook verification error:', {
+                transmissionId: headers['paypal-transmission-id'],
+                message: error.message,
+                debugId: error.debug_id,
+                timestamp: new Date().toISOString()
+            });
+            
+            return {
+                success: false,
+                error: error.message || 'Failed to verify PayPal webhook',
+                statusCode: error.statusCode,
                 debugId: error.debug_id
             };
         }
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+
+// Load environment variables only in development
+if (process.env.NODE_ENV !== 'production') {
+    require('dotenv').config();
+}
+
+// Stripe over its REST API - form-encoded requests, amounts in the currency's minor unit.
+// Card details never reach us: the browser confirms the PaymentIntent with Stripe's
+// Payment Element and we only ever see the PaymentIntent and its charge.
+const secretKey = process.env.STRIPE_SECRET_KEY;
+const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+const apiBase = process.env.STRIPE_API_BASE || 'https://api.stripe.com';
+
+// Signed webhooks older than this are rejected, so a captured delivery cannot be replayed
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+const isConfigured = Boolean(secretKey);
+
+if (isConfigured) {
+    console.log('🔧 Stripe Config:', {
+        mode: secretKey.startsWith('sk_live_') ? 'live' : 'test',
+        apiBase,
+        webhookSecret: webhookSecret ? 'set' : 'not set'
+    });
+}
+
+// { metadata: { package_id: 'x' } } -> metadata[package_id]=x
+const encodeForm = (params, prefix = null, pairs = new URLSearchParams()) => {
+    for (const [key, value] of Object.entries(params)) {
+        if (value === undefined || value === null) continue;
+        const name = prefix ? `${prefix}[${key}]` : key;
+        if (typeof value === 'object') {
+            encodeForm(value, name, pairs);
+        } else {
+            pairs.append(name, String(value));
+        }
+    }
+    return pairs;
+};
+
+const request = async (method, path, { params, idempotencyKey } = {}) => {
+    if (!isConfigured) {
+        return { success: false, error: 'STRIPE_SECRET_KEY not set' };
+    }
+
+    const query = method === 'GET' && params ? `?${encodeForm(params)}` : '';
+    try {
+        const response = await fetch(`${apiBase}${path}${query}`, {
+            method,
+            headers: {
+                Authorization: `Bearer ${secretKey}`,
+                ...(method !== 'GET' && { 'Content-Type': 'application/x-www-form-urlencoded' }),
+                ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey })
+            },
+            ...(method !== 'GET' && params && { body: encodeForm(params).toString() })
+        });
+        const body = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            console.error('❌ Stripe API error:', {
+                path,
+                status: response.status,
+                type: body.error?.type,
+                code: body.error?.code,
+                message: body.error?.message,
+                requestId: response.headers.get('request-id')
+            });
+            return {
+                success: false,
+                error: body.error?.message || `Stripe request failed: ${response.status}`,
+                code: body.error?.code || body.error?.type,
+                statusCode: response.status,
+                requestId: response.headers.get('request-id')
+            };
+        }
+        return { success: true, result: body };
+    } catch (error) {
+        console.error('❌ Stripe request error:', { path, message: error.message });
+        return { success: false, error: error.message || 'Stripe request failed' };
+    }
+};
+
+const stripeAPI = {
+    isConfigured,
+
+    // amount in minor units; the idempotency key makes a retried create return the same intent
+    createPaymentIntent: async ({ amount, currency, description, metadata, receiptEmail, idempotencyKey }) => {
+        const response = await request('POST', '/v1/payment_intents', {
+            params: {
+                amount,
+                currency: currency.toLowerCase(),
+                description,
+                metadata,
+                receipt_email: receiptEmail,
+                // Cards settle while the customer waits - checkout stores the order right after
+                payment_method_types: ['card']
+            },
+            idempotencyKey
+        });
+        return response.success ? { success: true, paymentIntent: response.result } : response;
+    },
+
+    getPaymentIntent: async (paymentIntentId) => {
+        const response = await request('GET', `/v1/payment_intents/${encodeURIComponent(paymentIntentId)}`);
+        return response.success ? { success: true, paymentIntent: response.result } : response;
+    },
+
+    // Refund a charge - omit amount for a full refund
+    createRefund: async (chargeId, { amount, reason, idempotencyKey } = {}) => {
+        const response = await request('POST', '/v1/refunds', {
+            params: {
+                charge: chargeId,
+                amount,
+                metadata: reason && { reason: reason.substring(0, 500) }
+            },
+            idempotencyKey
+        });
+        if (!response.success) return response;
+
+        console.log('✅ Stripe charge refunded:', response.result.id);
+        return { success: true, refund: response.result, refundId: response.result.id, status: response.result.status };
+    },
+
+    // Stripe-Signature: t=<unix time>,v1=<hex HMAC-SHA256 of "t.body">[,v1=...]
+    verifyWebhookSignature: (signatureHeader, rawBody) => {
+        if (!webhookSecret) {
+            return { success: false, error: 'STRIPE_WEBHOOK_SECRET not set' };
+        }
+
+        const parts = String(signatureHeader || '').split(',').map((part) => part.split('='));
+        const timestamp = parseInt(parts.find(([key]) => key === 't')?.[1]);
+        const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+        if (!timestamp || signatures.length === 0) {
+            return { success: true, verified: false };
+        }
+
+        const expected = crypto
+            .createHmac('sha256', webhookSecret)
+            .update(`${timestamp}.${rawBody.toString('utf8')}`)
+            .digest('hex');
+        const expectedBytes = Buffer.from(expected);
+        const matches = signatures.some((signature) => {
+            const actual = Buffer.from(signature);
+            return actual.length === expectedBytes.length && crypto.timingSafeEqual(actual, expectedBytes);
+        });
+        const fresh = Math.abs(Date.now() / 1000 - timestamp) <= WEBHOOK_TOLERANCE_SECONDS;
+
+        return { success: true, verified: matches && fresh };
+    }
+};
+
+module.exports = {
+    stripeAPI,
+    STRIPE_API_BASE: apiBase
+};
@@ -0,0 +1,104 @@
+const { verifyToken } = require('../services/tokens');
+const { getActiveAdmin } = require('../services/adminAuth');
+const { getCustomer } = require('../services/customers');
+
+// Staff-only endpoints: require "Authorization: Bearer <admin session token>" for one of the
+// given roles (any role when none are given). The account is re-read on every request,
+// so deactivating a user or changing their role takes effect immediately.
+const requireAdmin = (...roles) => async (req, res, next) => {
+    if (!process.env.AUTH_TOKEN_SECRET) {
+        console.error('❌ AUTH_TOKEN_SECRET not set - refusing admin request');
+        return res.status(503).json({
+            success: false,
+            code: 'ADMIN_AUTH_NOT_CONFIGURED',
+            message: 'Admin authentication is not configured'
+        });
+    }
+
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    const claims = scheme === 'Bearer' ? verifyToken('admin', token) : null;
+
+    try {
+        const admin = claims && await getActiveAdmin(claims.sub);
+
+        if (!admin) {
+            console.warn(`⚠️ Unauthorized admin request from ${req.ip} on ${req.path}`);
+            return res.status(401).json({
+                success: false,
+                code: 'UNAUTHORIZED',
+                message: 'Valid admin credentials required'
+            });
+        }
+
+        if (roles.length > 0 && !roles.includes(admin.role)) {
+            console.warn(`⚠️ ${admin.email} (${admin.role}) denied ${req.method} ${req.path}`);
+            return res.status(403).json({
+                success: false,
+                code: 'FORBIDDEN',
+                message: `Requires role: ${roles.join(' or ')}`
+            });
+        }
+
+        req.admin = admin;
+        next();
+    } catch (error) {
+        console.error('❌ Admin auth error:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to authenticate request',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+// Upload session endpoints: "Authorization: Bearer <upload token>" issued with the session.
+// The token is the only credential a checkout has, so it must match the session in the URL.
+const requireUploadSession = (req, res, next) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    const claims = scheme === 'Bearer' ? verifyToken('upload', token) : null;
+
+    if (!claims || claims.sid !== req.params.sessionId) {
+        return res.status(401).json({
+            success: false,
+            code: 'UNAUTHORIZED',
+            message: 'Valid upload session token required'
+        });
+    }
+
+    req.uploadSessionId = claims.sid;
+    next();
+};
+
+// Customer dashboard endpoints: "Authorization: Bearer <customer session token>" from a login link
+const requireCustomer = async (req, res, next) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+    try {
+        const claims = scheme === 'Bearer' ? verifyToken('customer', token) : null;
+        const customer = claims && await getCustomer(claims.sub);
+
+        if (!customer) {
+            return res.status(401).json({
+                success: false,
+                code: 'UNAUTHORIZED',
+                message: 'Sign in required'
+            });
+        }
+
+        req.customer = customer;
+        next();
+    } catch (error) {
+        console.error('❌ Customer auth error:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to authenticate request',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+module.exports = {
+    requireAdmin,
+    requireUploadSession,
+    requireCustomer
+};
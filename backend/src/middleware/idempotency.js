@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+
+// A request that holds a key longer than this is assumed to have crashed and can be retried
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+const hashBody = (body) => crypto
+    .createHash('sha256')
+    .update(JSON.stringify(body || {}))
+    .digest('hex');
+
+// Save the first successful response so retries get exactly the same answer.
+// Failures release the key instead - verification errors are often transient.
+const finishKey = async (scope, key, statusCode, body) => {
+    if (statusCode >= 200 && statusCode < 300) {
+        await query(`
+            UPDATE idempotency_keys
+            SET status = 'completed', response_status = $3, response_body = $4, completed_at = NOW()
+            WHERE scope = $1 AND idempotency_key = $2
+        `, [scope, key, statusCode, JSON.stringify(body)]);
+    } else {
+        await query(
+            'DELETE FROM idempotency_keys WHERE scope = $1 AND idempotency_key = $2',
+            [scope, key]
+        );
+    }
+};
+
+// Replays the stored response for a repeated Idempotency-Key.
+// fallbackKey(req) supplies a key when the client sent no header (e.g. the PayPal order ID).
+const idempotent = (scope, { fallbackKey } = {}) => async (req, res, next) => {
+    const headerKey = req.get('Idempotency-Key');
+    const key = headerKey || (fallbackKey && fallbackKey(req));
+
+    if (!key) {
+        return next();
+    }
+
+    if (key.length > 255) {
+        return res.status(400).json({
+            success: false,
+            code: 'INVALID_IDEMPOTENCY_KEY',
+            message: 'Idempotency-Key must be at most 255 characters'
+        });
+    }
+
+    // Only explicit keys are bound to a body - the order ID fallback is shared by
+    // callers that legitimately send different payloads for the same order
+    const requestHash = headerKey ? hashBody(req.body) : null;
+
+    try {
+        const claimed = await query(`
+            INSERT INTO idempotency_keys (scope, idempotency_key, request_hash)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (scope, idempotency_key) DO UPDATE
+                SET request_hash = EXCLUDED.request_hash, created_at = NOW()
+                WHERE idempotency_keys.status = 'processing'
+                  AND idempotency_keys.created_at < NOW() - $4::interval
+            RETURNING idempotency_key
+        `, [scope, key, requestHash, `${STALE_LOCK_MS} milliseconds`]);
+
+        if (claimed.rows.length === 0) {
+            const existing = await query(
+                'SELECT * FROM idempotency_keys WHERE scope = $1 AND idempotency_key = $2',
+                [scope, key]
+            );
+            const record = existing.rows[0];
+
+            if (!record) {
+                // Released between our insert and select - ask the client to retry
+                return res.status(409).json({
+                    success: false,
+                    code: 'REQUEST_IN_PROGRESS',
+                    message: 'A request with this idempotency key is being processed'
+                });
+            }
+
+            if (record.request_hash && requestHash && record.request_hash !== requestHash) {
+                return res.status(422).json({
+                    success: false,
+                    code: 'IDEMPOTENCY_KEY_REUSED',
+                    message: 'Idempotency-Key was already used with a different request body'
+                });
+            }
+
+            if (record.status !== 'completed') {
+                return res.status(409).json({
+                    success: false,
+                    code: 'REQUEST_IN_PROGRESS',
+                    message: 'A request with this idempotency key is being processed'
+                });
+            }
+
+            console.log(`♻️ Replaying ${scope} response for idempotency key ${key}`);
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(record.response_status).json(record.response_body);
+        }
+    } catch (error) {
+        console.error('❌ Idempotency check error:', error.message);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to process request',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+
+    // Hold the response until the outcome is recorded, so an immediate retry sees it
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+        finishKey(scope, key, res.statusCode, body)
+            .catch((error) => console.error(`❌ Failed to record idempotency key ${key}:`, error.message))
+            .finally(() => sendJson(body));
+        return res;
+    };
+
+    next();
+};
+
+module.exports = {
+    idempotent
+};
@@ -1,11 +1,13 @@
 const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
+const { buildOnboardingValidator } = require('../schemas/onboarding');
 
-// Optimized rate limiting middleware
-const createRateLimit = (windowMs, max, message) => {
+// Optimized rate limiting middleware - counted per client IP unless keyGenerator says otherwise
+const createRateLimit = (windowMs, max, message, keyGenerator) => {
     return rateLimit({
         windowMs,
         max,
+        ...(keyGenerator && { keyGenerator }),
         message: {
             success: false,
             message: message || 'Too many requests, please try again later'
@@ -23,6 +25,14 @@ const createRateLimit = (windowMs, max, message) => {
     });
 };
 
+// Sign-in attempts and login links are counted per email and client, so one busy address (an office, or a
+// proxy that was not trusted) cannot lock everyone else out. Needs "trust proxy" set to
+// the proxies in front of the API - see server.js.
+const emailAndIpKey = (req) => {
+    const email = typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    return `${email}|${req.ip}`;
+};
+
 // Different rate limits for different endpoints
 const rateLimits = {
     // General API rate limit
@@ -31,6 +41,15 @@ const rateLimits = {
     // Payment endpoints - more restrictive
     payments: createRateLimit(15 * 60 * 1000, 10, 'Too many payment requests'), // 10 requests per 15 minutes
     
+    // Staff sign-in - slows down password guessing
+    adminLogin: createRateLimit(15 * 60 * 1000, 10, 'Too many login attempts', emailAndIpKey), // 10 attempts per 15 minutes
+    
+    // Customer login links - each request can send an email
+    loginLink: createRateLimit(15 * 60 * 1000, 5, 'Too many login link requests', emailAndIpKey), // 5 requests per 15 minutes
+    
+    // Starting a checkout - each request creates an order with the payment provider
+    checkout: createRateLimit(15 * 60 * 1000, 20, 'Too many checkout requests'), // 20 requests per 15 minutes
+    
     // Health check - very permissive
     health: createRateLimit(60 * 1000, 60, 'Too many health check requests'), // 60 requests per minute
 };
@@ -71,34 +90,8 @@ const errorHandler = (err, req, res, next) => {
     });
 };
 
-// Validation middleware for onboarding data
-const validateOnboardingData = [
-    body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
-    body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
-    body('age').optional().isInt({ min: 18, max: 100 }).withMessage('Age must be 18-100'),
-    body('datingGoal').isIn(['serious', 'casual', 'friends', 'explore']).withMessage('Invalid dating goal'),
-    body('currentMatches').isIn(['0-2', '3-5', '6-10', '10+']).withMessage('Invalid current matches selection'),
-    body('bodyType').isIn(['slim', 'average', 'athletic', 'curvy', 'muscular']).withMessage('Invalid body type'),
-    body('stylePreference').isIn(['casual', 'professional', 'trendy', 'classic', 'edgy']).withMessage('Invalid style preference'),
-    body('ethnicity').isIn(['white', 'black', 'hispanic', 'asian', 'middle-eastern', 'mixed', 'other']).withMessage('Invalid ethnicity'),
-    body('interests').isArray({ min: 1, max: 10 }).withMessage('Must select 1-10 interests'),
-    body('currentBio').optional().isLength({ max: 500 }).withMessage('Bio must be under 500 characters'),
-    body('phone').optional().isMobilePhone().withMessage('Invalid phone number'),
-    body('weeklyTips').isBoolean().withMessage('Weekly tips must be boolean'),
-    
-    // Validation result handler
-    (req, res, next) => {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            return res.status(400).json({
-                success: false,
-                message: 'Validation failed',
-                errors: errors.array()
-            });
-        }
-        next();
-    }
-];
+// Validation middleware for onboarding data - generated from the shared onboarding schema
+const validateOnboardingData = buildOnboardingValidator();
 
 // Validation middleware for payment data
 const validatePaymentData = [
@@ -0,0 +1,131 @@
+// Baseline: the onboarding_submissions/payments schema from setup/optimized-schema.js.
+// Every statement is guarded so this is a no-op on databases created by that script.
+module.exports = {
+    up: `
+CREATE TABLE IF NOT EXISTS onboarding_submissions (
+    user_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(100) NOT NULL,
+    age INTEGER CHECK (age >= 18 AND age <= 100),
+    dating_goal VARCHAR(20) NOT NULL CHECK (dating_goal IN ('serious', 'casual', 'friends', 'explore')),
+    current_matches VARCHAR(10) NOT NULL CHECK (current_matches IN ('0-2', '3-5', '6-10', '10+')),
+    body_type VARCHAR(20) NOT NULL CHECK (body_type IN ('slim', 'average', 'athletic', 'curvy', 'muscular')),
+    style_preference VARCHAR(20) NOT NULL CHECK (style_preference IN ('casual', 'professional', 'trendy', 'classic', 'edgy')),
+    ethnicity VARCHAR(20) NOT NULL CHECK (ethnicity IN ('white', 'black', 'hispanic', 'asian', 'middle-eastern', 'mixed', 'other')),
+    interests JSONB NOT NULL DEFAULT '[]'::jsonb,
+    current_bio TEXT,
+    email VARCHAR(255) NOT NULL UNIQUE,
+    phone VARCHAR(20),
+    weekly_tips BOOLEAN NOT NULL DEFAULT false,
+    original_photos JSONB NOT NULL DEFAULT '[]'::jsonb,
+    screenshot_photos JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS payments (
+    payment_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES onboarding_submissions(user_id) ON DELETE CASCADE,
+    order_id VARCHAR(100) NOT NULL UNIQUE,
+    paypal_payment_id VARCHAR(100) NOT NULL UNIQUE,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    currency VARCHAR(3) NOT NULL DEFAULT 'USD' CHECK (currency IN ('USD', 'EUR', 'GBP', 'CAD')),
+    package_id VARCHAR(50) NOT NULL,
+    package_name VARCHAR(100) NOT NULL,
+    customer_email VARCHAR(255) NOT NULL,
+    customer_name VARCHAR(100) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed', 'cancelled', 'refunded')),
+    paypal_data JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_onboarding_submissions_email ON onboarding_submissions(email);
+CREATE INDEX IF NOT EXISTS idx_onboarding_submissions_created_at ON onboarding_submissions(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_onboarding_submissions_dating_goal ON onboarding_submissions(dating_goal);
+
+CREATE INDEX IF NOT EXISTS idx_payments_user_id ON payments(user_id);
+CREATE INDEX IF NOT EXISTS idx_payments_order_id ON payments(order_id);
+CREATE INDEX IF NOT EXISTS idx_payments_paypal_payment_id ON payments(paypal_payment_id);
+CREATE INDEX IF NOT EXISTS idx_payments_status ON payments(status);
+CREATE INDEX IF NOT EXISTS idx_payments_created_at ON payments(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_payments_customer_email ON payments(customer_email);
+CREATE INDEX IF NOT EXISTS idx_payments_user_status ON payments(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_payments_created_status ON payments(created_at DESC, status);
+
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_onboarding_submissions_updated_at ON onboarding_submissions;
+CREATE TRIGGER update_onboarding_submissions_updated_at
+    BEFORE UPDATE ON onboarding_submissions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_payments_updated_at ON payments;
+CREATE TRIGGER update_payments_updated_at
+    BEFORE UPDATE ON payments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE OR REPLACE VIEW payment_details AS
+SELECT
+    p.payment_id,
+    p.user_id,
+    p.order_id,
+    p.paypal_payment_id,
+    p.amount,
+    p.currency,
+    p.package_id,
+    p.package_name,
+    p.customer_email,
+    p.customer_name,
+    p.status,
+    p.created_at as payment_created_at,
+    p.updated_at as payment_updated_at,
+    o.name,
+    o.age,
+    o.dating_goal,
+    o.current_matches,
+    o.body_type,
+    o.style_preference,
+    o.ethnicity,
+    o.interests,
+    o.current_bio,
+    o.phone,
+    o.weekly_tips,
+    o.original_photos,
+    o.screenshot_photos,
+    o.created_at as onboarding_created_at,
+    o.updated_at as onboarding_updated_at
+FROM payments p
+JOIN onboarding_submissions o ON p.user_id = o.user_id;
+
+CREATE OR REPLACE FUNCTION get_payment_stats()
+RETURNS TABLE (
+    total_payments BIGINT,
+    total_revenue DECIMAL(12,2),
+    completed_payments BIGINT,
+    pending_payments BIGINT,
+    failed_payments BIGINT,
+    avg_order_value DECIMAL(10,2)
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        COUNT(*) as total_payments,
+        COALESCE(SUM(amount), 0) as total_revenue,
+        COUNT(*) FILTER (WHERE status = 'completed') as completed_payments,
+        COUNT(*) FILTER (WHERE status = 'pending') as pending_payments,
+        COUNT(*) FILTER (WHERE status = 'failed') as failed_payments,
+        COALESCE(AVG(amount), 0) as avg_order_value
+    FROM payments;
+END;
+$$ LANGUAGE plpgsql;
+`,
+
+    // Rolling back the baseline would drop every customer record - never do it from the runner
+    down: null
+};
@@ -0,0 +1,57 @@
+// Server-side package catalog. Existing payments may reference retired package IDs,
+// so the foreign key only applies to new rows (NOT VALID).
+module.exports = {
+    up: `
+CREATE TABLE IF NOT EXISTS packages (
+    package_id VARCHAR(50) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    price DECIMAL(10,2) NOT NULL CHECK (price > 0),
+    original_price DECIMAL(10,2) CHECK (original_price IS NULL OR original_price >= price),
+    currency VARCHAR(3) NOT NULL DEFAULT 'USD' CHECK (currency IN ('USD', 'EUR', 'GBP', 'CAD')),
+    discount_label VARCHAR(50),
+    description TEXT,
+    benefit TEXT,
+    features JSONB NOT NULL DEFAULT '[]'::jsonb,
+    button_text VARCHAR(100),
+    popular BOOLEAN NOT NULL DEFAULT false,
+    mobile_order INTEGER NOT NULL DEFAULT 0,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO packages (package_id, name, price, original_price, discount_label, description, benefit, features, button_text, popular, mobile_order, sort_order) VALUES
+    ('get-noticed', 'Get Noticed', 37.00, 99.00, 'Save 62%', 'Perfect for getting started',
+     'Quick upgrade to make your profile stand out instantly.',
+     '["5 enhanced photos", "3 style variations", "Basic bio tips", "Private and secure"]'::jsonb,
+     'Make my profile irresistible', false, 2, 1),
+    ('most-matches', 'Most Attention', 69.00, 199.00, 'Most Popular', 'Most popular choice',
+     'Our proven package that triples your responses fast.',
+     '["10 enhanced photos", "6 style variations", "Bio optimization", "Profile strategy guide", "Private and secure"]'::jsonb,
+     'Make my profile irresistible', true, 1, 2),
+    ('date-ready', 'Complete Makeover', 97.00, 199.00, 'Save 51%', 'Ultimate transformation',
+     'Full profile makeover so you''re ready for real dates, not just swipes.',
+     '["20 enhanced photos", "10 style variations", "Complete profile makeover", "Bio optimization", "Message templates", "Private and secure"]'::jsonb,
+     'Make my profile irresistible', false, 3, 3)
+ON CONFLICT (package_id) DO NOTHING;
+
+DROP TRIGGER IF EXISTS update_packages_updated_at ON packages;
+CREATE TRIGGER update_packages_updated_at
+    BEFORE UPDATE ON packages
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'payments_package_id_fkey') THEN
+        ALTER TABLE payments ADD CONSTRAINT payments_package_id_fkey
+            FOREIGN KEY (package_id) REFERENCES packages(package_id) NOT VALID;
+    END IF;
+END $$;
+`,
+
+    down: `
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_package_id_fkey;
+DROP TABLE IF EXISTS packages;
+`
+};
@@ -0,0 +1,59 @@
+// Onboarding schema v1: columns for the questionnaire fields that were being dropped,
+// and the CHECK constraints src/schemas/onboarding.js generated for v1. The SQL is frozen
+// here - later schema versions add their own migration.
+module.exports = {
+    up: `
+ALTER TABLE onboarding_submissions ADD COLUMN IF NOT EXISTS age_range VARCHAR(10);
+ALTER TABLE onboarding_submissions ADD COLUMN IF NOT EXISTS vibe VARCHAR(30);
+ALTER TABLE onboarding_submissions ADD COLUMN IF NOT EXISTS want_more VARCHAR(30);
+ALTER TABLE onboarding_submissions ADD COLUMN IF NOT EXISTS one_liner TEXT;
+ALTER TABLE onboarding_submissions ADD COLUMN IF NOT EXISTS schema_version INTEGER;
+
+ALTER TABLE onboarding_submissions DROP CONSTRAINT IF EXISTS onboarding_submissions_age_range_check;
+ALTER TABLE onboarding_submissions ADD CONSTRAINT onboarding_submissions_age_range_check CHECK (age_range IN ('20-29', '30-45', '46-60', '60+')) NOT VALID;
+ALTER TABLE onboarding_submissions DROP CONSTRAINT IF EXISTS onboarding_submissions_dating_goal_check;
+ALTER TABLE onboarding_submissions ADD CONSTRAINT onboarding_submissions_dating_goal_check CHECK (dating_goal IN ('casual', 'relationship', 'marriage', 'hookup')) NOT VALID;
+ALTER TABLE onboarding_submissions DROP CONSTRAINT IF EXISTS onboarding_submissions_current_matches_check;
+ALTER TABLE onboarding_submissions ADD CONSTRAINT onboarding_submissions_current_matches_check CHECK (current_matches IN ('0-2', '3-5', '5-10', '10+')) NOT VALID;
+ALTER TABLE onboarding_submissions DROP CONSTRAINT IF EXISTS onboarding_submissions_body_type_check;
+ALTER TABLE onboarding_submissions ADD CONSTRAINT onboarding_submissions_body_type_check CHECK (body_type IN ('slim', 'average-fit', 'lean-toned', 'muscular-athletic', 'bulky-bodybuilder', 'chubby-soft', 'plus-size', 'petite', 'tall-slim', 'short-stocky')) NOT VALID;
+ALTER TABLE onboarding_submissions DROP CONSTRAINT IF EXISTS onboarding_submissions_style_preference_check;
+ALTER TABLE onboarding_submissions ADD CONSTRAINT onboarding_submissions_style_preference_check CHECK (style_preference IN ('professional', 'casual', 'adventurous', 'party')) NOT VALID;
+ALTER TABLE onboarding_submissions DROP CONSTRAINT IF EXISTS onboarding_submissions_ethnicity_check;
+ALTER TABLE onboarding_submissions ADD CONSTRAINT onboarding_submissions_ethnicity_check CHECK (ethnicity IN ('prefer-not-to-say', 'white', 'black', 'hispanic', 'asian', 'middle-eastern', 'native-american', 'pacific-islander', 'mixed', 'other')) NOT VALID;
+ALTER TABLE onboarding_submissions DROP CONSTRAINT IF EXISTS onboarding_submissions_interests_check;
+ALTER TABLE onboarding_submissions ADD CONSTRAINT onboarding_submissions_interests_check CHECK (jsonb_typeof(interests) = 'array' AND interests <@ '["gym","travel","food","photography","music","reading","gaming","dating","coffee","hiking","movies","art"]'::jsonb) NOT VALID;
+ALTER TABLE onboarding_submissions DROP CONSTRAINT IF EXISTS onboarding_submissions_vibe_check;
+ALTER TABLE onboarding_submissions ADD CONSTRAINT onboarding_submissions_vibe_check CHECK (vibe IN ('fitness-lifestyle', 'career-success', 'foodie-traveler', 'fun-adventurous')) NOT VALID;
+ALTER TABLE onboarding_submissions DROP CONSTRAINT IF EXISTS onboarding_submissions_want_more_check;
+ALTER TABLE onboarding_submissions ADD CONSTRAINT onboarding_submissions_want_more_check CHECK (want_more IN ('matches', 'dates', 'serious-connections')) NOT VALID;
+`,
+
+    down: `
+ALTER TABLE onboarding_submissions DROP CONSTRAINT IF EXISTS onboarding_submissions_age_range_check;
+ALTER TABLE onboarding_submissions DROP CONSTRAINT IF EXISTS onboarding_submissions_vibe_check;
+ALTER TABLE onboarding_submissions DROP CONSTRAINT IF EXISTS onboarding_submissions_want_more_check;
+ALTER TABLE onboarding_submissions DROP CONSTRAINT IF EXISTS onboarding_submissions_interests_check;
+ALTER TABLE onboarding_submissions DROP COLUMN IF EXISTS age_range;
+ALTER TABLE onboarding_submissions DROP COLUMN IF EXISTS vibe;
+ALTER TABLE onboarding_submissions DROP COLUMN IF EXISTS want_more;
+ALTER TABLE onboarding_submissions DROP COLUMN IF EXISTS one_liner;
+ALTER TABLE onboarding_submissions DROP COLUMN IF EXISTS schema_version;
+
+ALTER TABLE onboarding_submissions DROP CONSTRAINT IF EXISTS onboarding_submissions_dating_goal_check;
+ALTER TABLE onboarding_submissions ADD CONSTRAINT onboarding_submissions_dating_goal_check
+    CHECK (dating_goal IN ('serious', 'casual', 'friends', 'explore')) NOT VALID;
+ALTER TABLE onboarding_submissions DROP CONSTRAINT IF EXISTS onboarding_submissions_current_matches_check;
+ALTER TABLE onboarding_submissions ADD CONSTRAINT onboarding_submissions_current_matches_check
+    CHECK (current_matches IN ('0-2', '3-5', '6-10', '10+')) NOT VALID;
+ALTER TABLE onboarding_submissions DROP CONSTRAINT IF EXISTS onboarding_submissions_body_type_check;
+ALTER TABLE onboarding_submissions ADD CONSTRAINT onboarding_submissions_body_type_check
+    CHECK (body_type IN ('slim', 'average', 'athletic', 'curvy', 'muscular')) NOT VALID;
+ALTER TABLE onboarding_submissions DROP CONSTRAINT IF EXISTS onboarding_submissions_style_preference_check;
+ALTER TABLE onboarding_submissions ADD CONSTRAINT onboarding_submissions_style_preference_check
+    CHECK (style_preference IN ('casual', 'professional', 'trendy', 'classic', 'edgy')) NOT VALID;
+ALTER TABLE onboarding_submissions DROP CONSTRAINT IF EXISTS onboarding_submissions_ethnicity_check;
+ALTER TABLE onboarding_submissions ADD CONSTRAINT onboarding_submissions_ethnicity_check
+    CHECK (ethnicity IN ('white', 'black', 'hispanic', 'asian', 'middle-eastern', 'mixed', 'other')) NOT VALID;
+`
+};
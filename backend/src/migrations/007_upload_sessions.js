@@ -0,0 +1,49 @@
+// Direct-to-storage photo uploads: a session per checkout and one media asset per photo
+module.exports = {
+    up: `
+CREATE TABLE IF NOT EXISTS upload_sessions (
+    session_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    email VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'consumed')),
+    user_id UUID REFERENCES onboarding_submissions(user_id) ON DELETE SET NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS media_assets (
+    asset_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL REFERENCES upload_sessions(session_id) ON DELETE CASCADE,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('photo', 'screenshot')),
+    storage_key VARCHAR(255) NOT NULL UNIQUE,
+    content_type VARCHAR(100) NOT NULL,
+    byte_size INTEGER,
+    width INTEGER,
+    height INTEGER,
+    url TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'uploaded', 'attached')),
+    uploaded_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_expires_at ON upload_sessions(expires_at);
+CREATE INDEX IF NOT EXISTS idx_media_assets_session_id ON media_assets(session_id);
+CREATE INDEX IF NOT EXISTS idx_media_assets_status ON media_assets(status);
+
+DROP TRIGGER IF EXISTS update_upload_sessions_updated_at ON upload_sessions;
+CREATE TRIGGER update_upload_sessions_updated_at
+    BEFORE UPDATE ON upload_sessions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_media_assets_updated_at ON media_assets;
+CREATE TRIGGER update_media_assets_updated_at
+    BEFORE UPDATE ON media_assets
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+`,
+
+    down: `
+DROP TABLE IF EXISTS media_assets;
+DROP TABLE IF EXISTS upload_sessions;
+`
+};
@@ -0,0 +1,21 @@
+// Photo quality verdicts on media assets, and the rejected status for unreadable uploads
+module.exports = {
+    up: `
+ALTER TABLE media_assets ADD COLUMN IF NOT EXISTS quality JSONB;
+ALTER TABLE media_assets ADD COLUMN IF NOT EXISTS perceptual_hash VARCHAR(16);
+
+ALTER TABLE media_assets DROP CONSTRAINT IF EXISTS media_assets_status_check;
+ALTER TABLE media_assets ADD CONSTRAINT media_assets_status_check
+    CHECK (status IN ('pending', 'uploaded', 'rejected', 'attached'));
+`,
+
+    down: `
+UPDATE media_assets SET status = 'pending' WHERE status = 'rejected';
+ALTER TABLE media_assets DROP CONSTRAINT IF EXISTS media_assets_status_check;
+ALTER TABLE media_assets ADD CONSTRAINT media_assets_status_check
+    CHECK (status IN ('pending', 'uploaded', 'attached'));
+
+ALTER TABLE media_assets DROP COLUMN IF EXISTS perceptual_hash;
+ALTER TABLE media_assets DROP COLUMN IF EXISTS quality;
+`
+};
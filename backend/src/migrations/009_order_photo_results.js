@@ -0,0 +1,24 @@
+// Per-photo upload outcomes, the minimum number of photos each package needs,
+// and a flag for paid orders that are still short of photos
+module.exports = {
+    up: `
+ALTER TABLE packages ADD COLUMN IF NOT EXISTS min_photos INTEGER NOT NULL DEFAULT 10 CHECK (min_photos >= 0);
+UPDATE packages SET min_photos = 5 WHERE package_id = 'get-noticed';
+
+ALTER TABLE media_assets ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE media_assets ADD COLUMN IF NOT EXISTS failure_reason VARCHAR(50);
+
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS needs_photos BOOLEAN NOT NULL DEFAULT false;
+CREATE INDEX IF NOT EXISTS idx_payments_needs_photos ON payments(created_at DESC) WHERE needs_photos;
+`,
+
+    down: `
+DROP INDEX IF EXISTS idx_payments_needs_photos;
+ALTER TABLE payments DROP COLUMN IF EXISTS needs_photos;
+
+ALTER TABLE media_assets DROP COLUMN IF EXISTS failure_reason;
+ALTER TABLE media_assets DROP COLUMN IF EXISTS attempts;
+
+ALTER TABLE packages DROP COLUMN IF EXISTS min_photos;
+`
+};
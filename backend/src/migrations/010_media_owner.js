@@ -0,0 +1,30 @@
+// Media assets point at the submission that owns them, so the media garbage collector
+// can tell referenced uploads from orphans. Collected assets are kept as 'deleted'.
+module.exports = {
+    up: `
+ALTER TABLE media_assets ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES onboarding_submissions(user_id) ON DELETE SET NULL;
+ALTER TABLE media_assets ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+UPDATE media_assets m SET user_id = s.user_id
+FROM upload_sessions s
+WHERE m.session_id = s.session_id AND m.status = 'attached' AND m.user_id IS NULL;
+
+ALTER TABLE media_assets DROP CONSTRAINT IF EXISTS media_assets_status_check;
+ALTER TABLE media_assets ADD CONSTRAINT media_assets_status_check
+    CHECK (status IN ('pending', 'uploaded', 'rejected', 'attached', 'deleted'));
+
+CREATE INDEX IF NOT EXISTS idx_media_assets_user_id ON media_assets(user_id);
+`,
+
+    down: `
+DROP INDEX IF EXISTS idx_media_assets_user_id;
+
+DELETE FROM media_assets WHERE status = 'deleted';
+ALTER TABLE media_assets DROP CONSTRAINT IF EXISTS media_assets_status_check;
+ALTER TABLE media_assets ADD CONSTRAINT media_assets_status_check
+    CHECK (status IN ('pending', 'uploaded', 'rejected', 'attached'));
+
+ALTER TABLE media_assets DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE media_assets DROP COLUMN IF EXISTS user_id;
+`
+};
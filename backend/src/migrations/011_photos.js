@@ -0,0 +1,144 @@
+// One row per photo of a submission instead of the original_photos / screenshot_photos URL
+// arrays, so photos can carry metadata (storage key, size, quality, customer ranking,
+// delivery use). Existing URLs are copied over; the storage key is taken from the
+// matching media asset, or parsed from the URL for photos uploaded before media_assets.
+
+const PAYMENT_DETAILS_COLUMNS = `
+    p.payment_id,
+    p.user_id,
+    p.order_id,
+    p.paypal_payment_id,
+    p.amount,
+    p.currency,
+    p.package_id,
+    p.package_name,
+    p.customer_email,
+    p.customer_name,
+    p.status,
+    p.created_at as payment_created_at,
+    p.updated_at as payment_updated_at,
+    o.name,
+    o.age,
+    o.dating_goal,
+    o.current_matches,
+    o.body_type,
+    o.style_preference,
+    o.ethnicity,
+    o.interests,
+    o.current_bio,
+    o.phone,
+    o.weekly_tips,`;
+
+const copyUrls = (column, kind) => `
+INSERT INTO photos (user_id, asset_id, kind, storage_key, url, width, height, byte_size, quality, position)
+SELECT
+    o.user_id,
+    m.asset_id,
+    '${kind}',
+    COALESCE(m.storage_key, substring(u.url from 'matchlens-onboarding-(?:photos|screenshots)/[^.?#]+')),
+    u.url,
+    m.width,
+    m.height,
+    m.byte_size,
+    m.quality,
+    u.position - 1
+FROM onboarding_submissions o
+CROSS JOIN LATERAL jsonb_array_elements_text(o.${column}) WITH ORDINALITY AS u(url, position)
+LEFT JOIN media_assets m ON m.url = u.url
+WHERE jsonb_typeof(o.${column}) = 'array'
+  AND NOT EXISTS (SELECT 1 FROM photos ph WHERE ph.user_id = o.user_id AND ph.kind = '${kind}');
+`;
+
+const restoreUrls = (column, kind) => `
+UPDATE onboarding_submissions o SET ${column} = COALESCE((
+    SELECT jsonb_agg(ph.url ORDER BY ph.position) FROM photos ph
+    WHERE ph.user_id = o.user_id AND ph.kind = '${kind}'
+), '[]'::jsonb);
+`;
+
+module.exports = {
+    up: `
+CREATE TABLE IF NOT EXISTS photos (
+    photo_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES onboarding_submissions(user_id) ON DELETE CASCADE,
+    asset_id UUID REFERENCES media_assets(asset_id) ON DELETE SET NULL,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('original', 'screenshot', 'enhanced')),
+    storage_key VARCHAR(255),
+    url TEXT NOT NULL,
+    width INTEGER,
+    height INTEGER,
+    byte_size INTEGER,
+    quality JSONB,
+    position INTEGER NOT NULL DEFAULT 0,
+    customer_rank INTEGER CHECK (customer_rank > 0),
+    used_in_delivery BOOLEAN NOT NULL DEFAULT false,
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'rejected', 'archived')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_photos_user_id ON photos(user_id, kind, position);
+CREATE INDEX IF NOT EXISTS idx_photos_storage_key ON photos(storage_key);
+
+DROP TRIGGER IF EXISTS update_photos_updated_at ON photos;
+CREATE TRIGGER update_photos_updated_at
+    BEFORE UPDATE ON photos
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'onboarding_submissions' AND column_name = 'original_photos'
+    ) THEN
+        ${copyUrls('original_photos', 'original')}
+        ${copyUrls('screenshot_photos', 'screenshot')}
+    END IF;
+END $$;
+
+DROP VIEW IF EXISTS payment_details;
+ALTER TABLE onboarding_submissions DROP COLUMN IF EXISTS original_photos;
+ALTER TABLE onboarding_submissions DROP COLUMN IF EXISTS screenshot_photos;
+
+CREATE VIEW payment_details AS
+SELECT ${PAYMENT_DETAILS_COLUMNS}
+    COALESCE((
+        SELECT jsonb_agg(jsonb_build_object(
+            'id', ph.photo_id,
+            'kind', ph.kind,
+            'url', ph.url,
+            'storageKey', ph.storage_key,
+            'width', ph.width,
+            'height', ph.height,
+            'status', ph.status,
+            'customerRank', ph.customer_rank,
+            'usedInDelivery', ph.used_in_delivery
+        ) ORDER BY ph.kind, ph.position)
+        FROM photos ph WHERE ph.user_id = o.user_id
+    ), '[]'::jsonb) as photos,
+    o.created_at as onboarding_created_at,
+    o.updated_at as onboarding_updated_at
+FROM payments p
+JOIN onboarding_submissions o ON p.user_id = o.user_id;
+`,
+
+    down: `
+DROP VIEW IF EXISTS payment_details;
+
+ALTER TABLE onboarding_submissions ADD COLUMN IF NOT EXISTS original_photos JSONB NOT NULL DEFAULT '[]'::jsonb;
+ALTER TABLE onboarding_submissions ADD COLUMN IF NOT EXISTS screenshot_photos JSONB NOT NULL DEFAULT '[]'::jsonb;
+${restoreUrls('original_photos', 'original')}
+${restoreUrls('screenshot_photos', 'screenshot')}
+
+CREATE VIEW payment_details AS
+SELECT ${PAYMENT_DETAILS_COLUMNS}
+    o.original_photos,
+    o.screenshot_photos,
+    o.created_at as onboarding_created_at,
+    o.updated_at as onboarding_updated_at
+FROM payments p
+JOIN onboarding_submissions o ON p.user_id = o.user_id;
+
+DROP TABLE IF EXISTS photos;
+`
+};
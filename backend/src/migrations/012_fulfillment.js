@@ -0,0 +1,62 @@
+// Fulfillment of paid orders. photo_generations (first sketched in the legacy setup script)
+// becomes one row per payment holding its workflow state, assignee and the bio suggestions
+// and style variations produced; generated photos are 'enhanced' rows in photos.
+// fulfillment_events records every transition with who made it and who it was assigned to.
+module.exports = {
+    up: `
+CREATE TABLE IF NOT EXISTS photo_generations (
+    generation_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    payment_id UUID NOT NULL UNIQUE REFERENCES payments(payment_id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES onboarding_submissions(user_id) ON DELETE CASCADE,
+    status VARCHAR(30) NOT NULL DEFAULT 'paid'
+        CHECK (status IN ('paid', 'queued', 'in_progress', 'review', 'delivered', 'revision_requested', 'cancelled')),
+    assignee_id UUID REFERENCES admin_users(admin_id) ON DELETE SET NULL,
+    style_variations JSONB NOT NULL DEFAULT '[]'::jsonb,
+    bio_suggestions JSONB NOT NULL DEFAULT '[]'::jsonb,
+    revision_count INTEGER NOT NULL DEFAULT 0,
+    error_message TEXT,
+    queued_at TIMESTAMP WITH TIME ZONE,
+    processing_started_at TIMESTAMP WITH TIME ZONE,
+    review_at TIMESTAMP WITH TIME ZONE,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS fulfillment_events (
+    event_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    generation_id UUID NOT NULL REFERENCES photo_generations(generation_id) ON DELETE CASCADE,
+    from_status VARCHAR(30),
+    to_status VARCHAR(30) NOT NULL,
+    actor VARCHAR(255) NOT NULL,
+    assignee_id UUID REFERENCES admin_users(admin_id) ON DELETE SET NULL,
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_photo_generations_status ON photo_generations(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_photo_generations_assignee_id ON photo_generations(assignee_id);
+CREATE INDEX IF NOT EXISTS idx_fulfillment_events_generation_id ON fulfillment_events(generation_id, created_at);
+
+DROP TRIGGER IF EXISTS update_photo_generations_updated_at ON photo_generations;
+CREATE TRIGGER update_photo_generations_updated_at
+    BEFORE UPDATE ON photo_generations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Orders paid before fulfillment tracking start out as paid
+WITH created AS (
+    INSERT INTO photo_generations (payment_id, user_id)
+    SELECT payment_id, user_id FROM payments
+    WHERE status IN ('completed', 'partially_refunded')
+    ON CONFLICT (payment_id) DO NOTHING
+    RETURNING generation_id
+)
+INSERT INTO fulfillment_events (generation_id, to_status, actor, note)
+SELECT generation_id, 'paid', 'system', 'Backfilled by migration 012' FROM created;
+`,
+
+    down: `
+DROP TABLE IF EXISTS fulfillment_events;
+DROP TABLE IF EXISTS photo_generations;
+`
+};
@@ -0,0 +1,11 @@
+// Enhanced photos point at the original they were made from, so the delivery page can
+// show them as before/after pairs. Photos attached without a source are paired by position.
+module.exports = {
+    up: `
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS source_photo_id UUID REFERENCES photos(photo_id) ON DELETE SET NULL;
+`,
+
+    down: `
+ALTER TABLE photos DROP COLUMN IF EXISTS source_photo_id;
+`
+};
@@ -0,0 +1,58 @@
+// Customer accounts. A customer is an email address (stored lowercased) that signs in with
+// a magic link - no password. Submissions and payments point at their customer, so every
+// order placed with the same email shows up in one dashboard. Existing orders are linked
+// by email. Replaces the never-used users table of the legacy setup script.
+module.exports = {
+    up: `
+CREATE TABLE IF NOT EXISTS customers (
+    customer_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    email VARCHAR(255) NOT NULL UNIQUE CHECK (email = LOWER(email)),
+    name VARCHAR(100),
+    phone VARCHAR(20),
+    is_verified BOOLEAN NOT NULL DEFAULT false,
+    last_login_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS update_customers_updated_at ON customers;
+CREATE TRIGGER update_customers_updated_at
+    BEFORE UPDATE ON customers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE onboarding_submissions ADD COLUMN IF NOT EXISTS customer_id UUID REFERENCES customers(customer_id) ON DELETE SET NULL;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS customer_id UUID REFERENCES customers(customer_id) ON DELETE SET NULL;
+
+-- One customer per email seen so far, named after their latest submission
+INSERT INTO customers (email, name, phone)
+SELECT DISTINCT ON (LOWER(TRIM(email))) LOWER(TRIM(email)), name, phone
+FROM onboarding_submissions
+ORDER BY LOWER(TRIM(email)), created_at DESC
+ON CONFLICT (email) DO NOTHING;
+
+INSERT INTO customers (email, name)
+SELECT DISTINCT ON (LOWER(TRIM(customer_email))) LOWER(TRIM(customer_email)), customer_name
+FROM payments
+ORDER BY LOWER(TRIM(customer_email)), created_at DESC
+ON CONFLICT (email) DO NOTHING;
+
+UPDATE onboarding_submissions o SET customer_id = c.customer_id
+FROM customers c
+WHERE c.email = LOWER(TRIM(o.email)) AND o.customer_id IS NULL;
+
+UPDATE payments p SET customer_id = c.customer_id
+FROM customers c
+WHERE c.email = LOWER(TRIM(p.customer_email)) AND p.customer_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_onboarding_submissions_customer_id ON onboarding_submissions(customer_id);
+CREATE INDEX IF NOT EXISTS idx_payments_customer_id ON payments(customer_id, created_at DESC);
+`,
+
+    down: `
+DROP INDEX IF EXISTS idx_payments_customer_id;
+DROP INDEX IF EXISTS idx_onboarding_submissions_customer_id;
+ALTER TABLE payments DROP COLUMN IF EXISTS customer_id;
+ALTER TABLE onboarding_submissions DROP COLUMN IF EXISTS customer_id;
+DROP TABLE IF EXISTS customers;
+`
+};
@@ -0,0 +1,19 @@
+// Returning customers: an email can place any number of orders, each with its own
+// questionnaire (submission). Submissions of the same email share a customer instead
+// of colliding on a unique email.
+module.exports = {
+    up: `
+ALTER TABLE onboarding_submissions DROP CONSTRAINT IF EXISTS onboarding_submissions_email_key;
+`,
+
+    down: `
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM onboarding_submissions GROUP BY email HAVING COUNT(*) > 1) THEN
+        RAISE EXCEPTION 'Cannot restore unique submission emails - some emails have several submissions';
+    END IF;
+END $$;
+
+ALTER TABLE onboarding_submissions ADD CONSTRAINT onboarding_submissions_email_key UNIQUE (email);
+`
+};
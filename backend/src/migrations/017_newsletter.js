@@ -0,0 +1,64 @@
+// Weekly dating-tips newsletter for customers who ticked weekly_tips. Staff write tips
+// once, each aimed at a segment (dating goals, interests, packages bought - empty means
+// everyone), and schedule issues that pick from them. Every recipient gets the tips of
+// the issue that match their latest questionnaire. Sending goes through email_outbox,
+// which now carries extra headers such as List-Unsubscribe.
+module.exports = {
+    up: `
+CREATE TABLE IF NOT EXISTS newsletter_tips (
+    tip_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    title VARCHAR(200) NOT NULL,
+    body TEXT NOT NULL,
+    dating_goals TEXT[] NOT NULL DEFAULT '{}',
+    interests TEXT[] NOT NULL DEFAULT '{}',
+    package_ids TEXT[] NOT NULL DEFAULT '{}',
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS newsletter_issues (
+    issue_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    subject VARCHAR(200) NOT NULL,
+    intro TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'sending', 'sent', 'cancelled')),
+    scheduled_for TIMESTAMP WITH TIME ZONE NOT NULL,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    recipient_count INTEGER,
+    created_by VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS newsletter_issue_tips (
+    issue_id UUID NOT NULL REFERENCES newsletter_issues(issue_id) ON DELETE CASCADE,
+    tip_id UUID NOT NULL REFERENCES newsletter_tips(tip_id) ON DELETE RESTRICT,
+    position INTEGER NOT NULL,
+    PRIMARY KEY (issue_id, tip_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_newsletter_issues_status ON newsletter_issues(status, scheduled_for);
+CREATE INDEX IF NOT EXISTS idx_onboarding_submissions_weekly_tips ON onboarding_submissions(customer_id) WHERE weekly_tips;
+
+ALTER TABLE email_outbox ADD COLUMN IF NOT EXISTS headers JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+DROP TRIGGER IF EXISTS update_newsletter_tips_updated_at ON newsletter_tips;
+CREATE TRIGGER update_newsletter_tips_updated_at
+    BEFORE UPDATE ON newsletter_tips
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_newsletter_issues_updated_at ON newsletter_issues;
+CREATE TRIGGER update_newsletter_issues_updated_at
+    BEFORE UPDATE ON newsletter_issues
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+`,
+
+    down: `
+ALTER TABLE email_outbox DROP COLUMN IF EXISTS headers;
+DROP INDEX IF EXISTS idx_onboarding_submissions_weekly_tips;
+DROP TABLE IF EXISTS newsletter_issue_tips;
+DROP TABLE IF EXISTS newsletter_issues;
+DROP TABLE IF EXISTS newsletter_tips;
+`
+};
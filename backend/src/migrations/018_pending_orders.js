@@ -0,0 +1,39 @@
+// Checkouts that were started but not (yet) paid. A row is written when the PayPal order
+// is created, with the package and the questionnaire draft, and moves to completed when
+// /store records the payment, cancelled when the customer backs out of PayPal, or
+// expired when nothing happens. payments keeps only paid orders - its rows need a stored
+// submission and a capture, which a checkout in progress does not have.
+module.exports = {
+    up: `
+CREATE TABLE IF NOT EXISTS pending_orders (
+    pending_order_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    order_id VARCHAR(100) NOT NULL UNIQUE,
+    package_id VARCHAR(50) NOT NULL REFERENCES packages(package_id),
+    package_name VARCHAR(100) NOT NULL,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+    customer_email VARCHAR(255),
+    customer_name VARCHAR(100),
+    onboarding_draft JSONB NOT NULL DEFAULT '{}'::jsonb,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'cancelled', 'expired')),
+    payment_id UUID REFERENCES payments(payment_id) ON DELETE SET NULL,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    expired_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pending_orders_status ON pending_orders(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_pending_orders_customer_email ON pending_orders(LOWER(customer_email));
+
+DROP TRIGGER IF EXISTS update_pending_orders_updated_at ON pending_orders;
+CREATE TRIGGER update_pending_orders_updated_at
+    BEFORE UPDATE ON pending_orders
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+`,
+
+    down: `
+DROP TABLE IF EXISTS pending_orders;
+`
+};
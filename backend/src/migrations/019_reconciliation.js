@@ -0,0 +1,52 @@
+// PayPal reconciliation: each run compares PayPal's transactions for a date range with
+// the payments we recorded and keeps one row per discrepancy. Nightly runs cover the
+// previous UTC day and are unique per day, so several API instances run each day once.
+module.exports = {
+    up: `
+CREATE TABLE IF NOT EXISTS reconciliation_runs (
+    run_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    range_start TIMESTAMP WITH TIME ZONE NOT NULL,
+    range_end TIMESTAMP WITH TIME ZONE NOT NULL,
+    run_type VARCHAR(20) NOT NULL CHECK (run_type IN ('nightly', 'manual')),
+    source VARCHAR(20) NOT NULL DEFAULT 'paypal' CHECK (source IN ('paypal', 'fixture')),
+    status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+    transaction_count INTEGER NOT NULL DEFAULT 0,
+    payment_count INTEGER NOT NULL DEFAULT 0,
+    discrepancy_count INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    created_by UUID REFERENCES admin_users(admin_id) ON DELETE SET NULL,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    finished_at TIMESTAMP WITH TIME ZONE,
+    CHECK (range_end > range_start)
+);
+
+CREATE TABLE IF NOT EXISTS reconciliation_discrepancies (
+    discrepancy_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    run_id UUID NOT NULL REFERENCES reconciliation_runs(run_id) ON DELETE CASCADE,
+    kind VARCHAR(30) NOT NULL CHECK (kind IN ('capture_without_order', 'order_without_capture', 'amount_mismatch', 'status_drift')),
+    order_id VARCHAR(100),
+    capture_id VARCHAR(100),
+    payment_id UUID REFERENCES payments(payment_id) ON DELETE SET NULL,
+    package_id VARCHAR(50),
+    paypal_amount DECIMAL(10,2),
+    recorded_amount DECIMAL(10,2),
+    expected_amount DECIMAL(10,2),
+    currency VARCHAR(3),
+    paypal_status VARCHAR(20),
+    recorded_status VARCHAR(20),
+    expected_status VARCHAR(20),
+    transaction_date TIMESTAMP WITH TIME ZONE,
+    details JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reconciliation_runs_nightly ON reconciliation_runs(range_start) WHERE run_type = 'nightly';
+CREATE INDEX IF NOT EXISTS idx_reconciliation_runs_started_at ON reconciliation_runs(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_reconciliation_discrepancies_run_id ON reconciliation_discrepancies(run_id, kind);
+`,
+
+    down: `
+DROP TABLE IF EXISTS reconciliation_discrepancies;
+DROP TABLE IF EXISTS reconciliation_runs;
+`
+};
@@ -0,0 +1,21 @@
+// Payments can be taken by PayPal or Stripe. provider records which one, on payments and
+// on the checkouts and webhook events leading up to them. The paypal_* ID columns predate
+// Stripe and hold the provider's IDs: paypal_payment_id is the PayPal capture or Stripe
+// charge, paypal_refund_id the provider's refund, order_id the PayPal order or Stripe
+// PaymentIntent. Existing rows are all PayPal.
+module.exports = {
+    up: `
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS provider VARCHAR(20) NOT NULL DEFAULT 'paypal' CHECK (provider IN ('paypal', 'stripe'));
+ALTER TABLE pending_orders ADD COLUMN IF NOT EXISTS provider VARCHAR(20) NOT NULL DEFAULT 'paypal' CHECK (provider IN ('paypal', 'stripe'));
+ALTER TABLE payment_events ADD COLUMN IF NOT EXISTS provider VARCHAR(20) NOT NULL DEFAULT 'paypal' CHECK (provider IN ('paypal', 'stripe'));
+
+CREATE INDEX IF NOT EXISTS idx_payments_provider ON payments(provider, created_at DESC);
+`,
+
+    down: `
+DROP INDEX IF EXISTS idx_payments_provider;
+ALTER TABLE payment_events DROP COLUMN IF EXISTS provider;
+ALTER TABLE pending_orders DROP COLUMN IF EXISTS provider;
+ALTER TABLE payments DROP COLUMN IF EXISTS provider;
+`
+};
@@ -0,0 +1,523 @@
+const crypto = require('crypto');
+const express = require('express');
+
+// A fake PayPal REST API for local development and tests - no credentials, no network.
+// It answers the calls the app makes (OAuth token, create/get/capture order, refund,
+// transaction search, webhook verification) with PayPal-shaped responses and posts
+// signed webhooks back to the API, so the whole checkout runs offline.
+//
+// What happens when an order is captured is scripted per order, when it is approved:
+//
+//   approve     the capture completes (PAYMENT.CAPTURE.COMPLETED)
+//   decline     the capture fails with 422 INSTRUMENT_DECLINED, nothing is charged
+//   pending     the capture is PENDING (PAYMENT.CAPTURE.PENDING) until it is settled
+//               through /mock/captures/:id/complete or /deny
+//   duplicate   the capture completes and its webhook is delivered twice
+//
+// Control endpoints live under /mock - see the README.
+
+const OUTCOMES = ['approve', 'decline', 'pending', 'duplicate'];
+const MOCK_WEBHOOK_SECRET = 'mock-paypal-webhook-secret';
+
+const newId = (length = 17) => {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ0123456789';
+    return Array.from(crypto.randomBytes(length), (byte) => alphabet[byte % alphabet.length]).join('');
+};
+
+const now = () => new Date().toISOString();
+
+// What PayPal's negative responses look like
+const paypalError = (res, status, name, issue, description) => res.status(status).json({
+    name,
+    message: description,
+    debug_id: newId(13).toLowerCase(),
+    details: issue ? [{ issue, description }] : undefined
+});
+
+const signWebhook = (transmissionId, transmissionTime, webhookId, body) => crypto
+    .createHmac('sha256', MOCK_WEBHOOK_SECRET)
+    .update(`${transmissionId}|${transmissionTime}|${webhookId}|${body}`)
+    .digest('base64');
+
+const createMockPayPal = ({
+    baseUrl = 'http://localhost:5055',
+    webhookUrl = null,
+    webhookId = 'MOCK-WEBHOOK',
+    defaultOutcome = 'approve'
+} = {}) => {
+    if (!OUTCOMES.includes(defaultOutcome)) {
+        throw new Error(`Unknown outcome: ${defaultOutcome} (expected one of ${OUTCOMES.join(', ')})`);
+    }
+
+    const state = {
+        tokens: new Set(),
+        orders: new Map(),
+        captures: new Map(),
+        refunds: new Map(),
+        webhooks: [],
+        outcomes: [], // Scripted outcomes for the next approvals, used before defaultOutcome
+        requests: new Map() // PayPal-Request-Id -> the response it got
+    };
+
+    const app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: false }));
+
+    // The control API is called from the browser by the checkout's mock buttons
+    app.use('/mock', (req, res, next) => {
+        res.set('Access-Control-Allow-Origin', '*');
+        res.set('Access-Control-Allow-Headers', 'Content-Type');
+        res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        if (req.method === 'OPTIONS') return res.sendStatus(204);
+        next();
+    });
+
+    const requireToken = (req, res, next) => {
+        const token = (req.get('Authorization') || '').replace(/^Bearer /, '');
+        if (!state.tokens.has(token)) {
+            return res.status(401).json({ error: 'invalid_token', error_description: 'Token signature verification failed' });
+        }
+        next();
+    };
+
+    // Same PayPal-Request-Id, same response - like PayPal's idempotency
+    const replayable = (handler) => (req, res) => {
+        const requestId = req.get('PayPal-Request-Id');
+        const key = requestId && `${req.method} ${req.path} ${requestId}`;
+        if (key && state.requests.has(key)) {
+            const { status, body } = state.requests.get(key);
+            return res.status(status).json(body);
+        }
+
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            if (key && res.statusCode < 500) state.requests.set(key, { status: res.statusCode, body });
+            return json(body);
+        };
+        handler(req, res);
+    };
+
+    const link = (href, rel, method = 'GET') => ({ href: `${baseUrl}${href}`, rel, method });
+
+    const orderView = (order) => ({
+        id: order.id,
+        intent: order.intent,
+        status: order.status,
+        purchase_units: order.purchaseUnits.map((unit, index) => ({
+            ...unit,
+            ...(index === 0 && order.captureIds.length > 0 && {
+                payments: { captures: order.captureIds.map((id) => captureView(state.captures.get(id))) }
+            })
+        })),
+        ...(order.payer && { payer: order.payer }),
+        create_time: order.createTime,
+        update_time: order.updateTime,
+        links: [
+            link(`/v2/checkout/orders/${order.id}`, 'self'),
+            ...(order.status === 'CREATED' ? [{ href: `${baseUrl}/checkoutnow?token=${order.id}`, rel: 'approve', method: 'GET' }] : []),
+            ...(order.status === 'APPROVED' ? [link(`/v2/checkout/orders/${order.id}/capture`, 'capture', 'POST')] : [])
+        ]
+    });
+
+    const captureView = (capture) => ({
+        id: capture.id,
+        status: capture.status,
+        ...(capture.status === 'PENDING' && { status_details: { reason: 'PENDING_REVIEW' } }),
+        amount: capture.amount,
+        final_capture: true,
+        custom_id: capture.customId,
+        seller_protection: { status: 'ELIGIBLE', dispute_categories: ['ITEM_NOT_RECEIVED', 'UNAUTHORIZED_TRANSACTION'] },
+        create_time: capture.createTime,
+        update_time: capture.updateTime,
+        links: [
+            link(`/v2/payments/captures/${capture.id}`, 'self'),
+            link(`/v2/payments/captures/${capture.id}/refund`, 'refund', 'POST'),
+            link(`/v2/checkout/orders/${capture.orderId}`, 'up')
+        ]
+    });
+
+    const refundView = (refund) => ({
+        id: refund.id,
+        status: refund.status,
+        amount: refund.amount,
+        ...(refund.note && { note_to_payer: refund.note }),
+        create_time: refund.createTime,
+        update_time: refund.updateTime,
+        links: [
+            link(`/v2/payments/refunds/${refund.id}`, 'self'),
+            link(`/v2/payments/captures/${refund.captureId}`, 'up')
+        ]
+    });
+
+    // Webhooks are signed so the API's verification call (answered below) accepts them
+    const deliverWebhook = async (event) => {
+        if (!webhookUrl) return;
+
+        const body = JSON.stringify(event.payload);
+        const transmissionId = crypto.randomUUID();
+        const transmissionTime = now();
+        try {
+            const response = await fetch(webhookUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'paypal-auth-algo': 'SHA256withRSA',
+                    'paypal-cert-url': `${baseUrl}/mock/cert.pem`,
+                    'paypal-transmission-id': transmissionId,
+                    'paypal-transmission-sig': signWebhook(transmissionId, transmissionTime, webhookId, body),
+                    'paypal-transmission-time': transmissionTime
+                },
+                body
+            });
+            event.deliveries.push({ at: transmissionTime, status: response.status });
+        } catch (error) {
+            event.deliveries.push({ at: transmissionTime, error: error.message });
+            console.warn(`⚠️ Mock PayPal could not deliver ${event.payload.event_type}:`, error.message);
+        }
+    };
+
+    const emitWebhook = (eventType, resourceType, resource, { times = 1 } = {}) => {
+        const event = {
+            payload: {
+                id: `WH-${newId(8)}-${newId(17)}`,
+                event_version: '1.0',
+                create_time: now(),
+                resource_type: resourceType,
+                resource_version: '2.0',
+                event_type: eventType,
+                summary: `Mock ${eventType}`,
+                resource
+            },
+            deliveries: []
+        };
+        state.webhooks.push(event);
+
+        // Delivered after the response that caused it, like the real thing
+        setImmediate(async () => {
+            for (let i = 0; i < times; i++) {
+                await deliverWebhook(event);
+            }
+        });
+        return event;
+    };
+
+    const approveOrder = (order, outcome) => {
+        order.status = 'APPROVED';
+        order.outcome = outcome || state.outcomes.shift() || defaultOutcome;
+        order.payer = {
+            name: { given_name: 'Mock', surname: 'Buyer' },
+            email_address: 'buyer@example.com',
+            payer_id: newId(13),
+            address: { country_code: 'US' }
+        };
+        order.updateTime = now();
+    };
+
+    // --- PayPal REST API ---
+
+    app.post('/v1/oauth2/token', (req, res) => {
+        if (!/^Basic .+/.test(req.get('Authorization') || '') || req.body.grant_type !== 'client_credentials') {
+            return res.status(401).json({ error: 'invalid_client', error_description: 'Client Authentication failed' });
+        }
+        const token = `A21AA${newId(40)}`;
+        state.tokens.add(token);
+        res.json({
+            scope: 'https://uri.paypal.com/services/payments/payment',
+            access_token: token,
+            token_type: 'Bearer',
+            app_id: 'APP-MOCK',
+            expires_in: 32400,
+            nonce: `${now()}${newId(8)}`
+        });
+    });
+
+    app.post('/v2/checkout/orders', requireToken, replayable((req, res) => {
+        const { intent, purchase_units: purchaseUnits, application_context: applicationContext } = req.body || {};
+        const amount = purchaseUnits?.[0]?.amount;
+        if (intent !== 'CAPTURE' || !amount?.value || !amount?.currency_code || !(parseFloat(amount.value) > 0)) {
+            return paypalError(res, 422, 'UNPROCESSABLE_ENTITY', 'INVALID_PARAMETER_VALUE', 'The order needs intent CAPTURE and a positive amount');
+        }
+
+        const order = {
+            id: newId(),
+            intent,
+            status: 'CREATED',
+            purchaseUnits: purchaseUnits.map((unit) => ({ reference_id: 'default', ...unit })),
+            returnUrl: applicationContext?.return_url || null,
+            cancelUrl: applicationContext?.cancel_url || null,
+            captureIds: [],
+            outcome: null,
+            payer: null,
+            createTime: now(),
+            updateTime: now()
+        };
+        state.orders.set(order.id, order);
+        res.status(201).json(orderView(order));
+    }));
+
+    app.get('/v2/checkout/orders/:orderId', requireToken, (req, res) => {
+        const order = state.orders.get(req.params.orderId);
+        if (!order) {
+            return paypalError(res, 404, 'RESOURCE_NOT_FOUND', 'INVALID_RESOURCE_ID', 'Specified resource ID does not exist');
+        }
+        res.json(orderView(order));
+    });
+
+    app.post('/v2/checkout/orders/:orderId/capture', requireToken, replayable((req, res) => {
+        const order = state.orders.get(req.params.orderId);
+        if (!order) {
+            return paypalError(res, 404, 'RESOURCE_NOT_FOUND', 'INVALID_RESOURCE_ID', 'Specified resource ID does not exist');
+        }
+        if (order.status === 'COMPLETED') {
+            return paypalError(res, 422, 'UNPROCESSABLE_ENTITY', 'ORDER_ALREADY_CAPTURED', 'Order already captured');
+        }
+        if (order.status !== 'APPROVED') {
+            return paypalError(res, 422, 'UNPROCESSABLE_ENTITY', 'ORDER_NOT_APPROVED', 'Payer has not yet approved the Order for payment');
+        }
+        if (order.outcome === 'decline') {
+            return paypalError(res, 422, 'UNPROCESSABLE_ENTITY', 'INSTRUMENT_DECLINED', 'The instrument presented was either declined by the processor or bank');
+        }
+
+        const unit = order.purchaseUnits[0];
+        const capture = {
+            id: newId(),
+            orderId: order.id,
+            status: order.outcome === 'pending' ? 'PENDING' : 'COMPLETED',
+            amount: unit.amount,
+            customId: unit.custom_id,
+            refundIds: [],
+            createTime: now(),
+            updateTime: now()
+        };
+        state.captures.set(capture.id, capture);
+        order.captureIds.push(capture.id);
+        order.status = 'COMPLETED';
+        order.updateTime = now();
+
+        emitWebhook(
+            capture.status === 'PENDING' ? 'PAYMENT.CAPTURE.PENDING' : 'PAYMENT.CAPTURE.COMPLETED',
+            'capture',
+            captureView(capture),
+            { times: order.outcome === 'duplicate' ? 2 : 1 }
+        );
+        res.status(201).json(orderView(order));
+    }));
+
+    app.post('/v2/payments/captures/:captureId/refund', requireToken, replayable((req, res) => {
+        const capture = state.captures.get(req.params.captureId);
+        if (!capture) {
+            return paypalError(res, 404, 'RESOURCE_NOT_FOUND', 'INVALID_RESOURCE_ID', 'Specified resource ID does not exist');
+        }
+        if (!['COMPLETED', 'PARTIALLY_REFUNDED'].includes(capture.status)) {
+            return paypalError(res, 422, 'UNPROCESSABLE_ENTITY', 'CAPTURE_FULLY_REFUNDED', 'The capture has already been fully refunded or cannot be refunded');
+        }
+
+        const refundedCents = capture.refundIds
+            .reduce((sum, id) => sum + Math.round(parseFloat(state.refunds.get(id).amount.value) * 100), 0);
+        const remainingCents = Math.round(parseFloat(capture.amount.value) * 100) - refundedCents;
+        const requested = req.body?.amount;
+        const cents = requested ? Math.round(parseFloat(requested.value) * 100) : remainingCents;
+
+        if (requested && requested.currency_code !== capture.amount.currency_code) {
+            return paypalError(res, 422, 'UNPROCESSABLE_ENTITY', 'REFUND_CURRENCY_MISMATCH', 'Refund must be in the currency of the capture');
+        }
+        if (!(cents > 0) || cents > remainingCents) {
+            return paypalError(res, 422, 'UNPROCESSABLE_ENTITY', 'REFUND_AMOUNT_EXCEEDED', 'The refund amount must be less than or equal to the capture amount that has not yet been refunded');
+        }
+
+        const refund = {
+            id: newId(),
+            captureId: capture.id,
+            status: 'COMPLETED',
+            amount: { value: (cents / 100).toFixed(2), currency_code: capture.amount.currency_code },
+            note: req.body?.note_to_payer,
+            createTime: now(),
+            updateTime: now()
+        };
+        state.refunds.set(refund.id, refund);
+        capture.refundIds.push(refund.id);
+        capture.status = cents === remainingCents ? 'REFUNDED' : 'PARTIALLY_REFUNDED';
+        capture.updateTime = now();
+
+        emitWebhook('PAYMENT.CAPTURE.REFUNDED', 'refund', refundView(refund));
+        res.status(201).json(refundView(refund));
+    }));
+
+    // Transaction search over the captures and refunds made here
+    app.get('/v1/reporting/transactions', requireToken, (req, res) => {
+        const start = new Date(req.query.start_date);
+        const end = new Date(req.query.end_date);
+        if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+            return paypalError(res, 400, 'INVALID_REQUEST', 'INVALID_PARAMETER_SYNTAX', 'start_date and end_date are required');
+        }
+
+        const captureStatus = { COMPLETED: 'S', PENDING: 'P', DECLINED: 'D', REFUNDED: 'V', PARTIALLY_REFUNDED: 'F' };
+        const transactions = [
+            ...[...state.captures.values()].map((capture) => ({
+                transaction_id: capture.id,
+                paypal_reference_id: capture.orderId,
+                paypal_reference_id_type: 'ODR',
+                transaction_event_code: 'T0006',
+                transaction_initiation_date: capture.createTime,
+                transaction_updated_date: capture.updateTime,
+                transaction_amount: capture.amount,
+                transaction_status: captureStatus[capture.status] || 'S',
+                custom_field: capture.customId
+            })),
+            ...[...state.refunds.values()].map((refund) => ({
+                transaction_id: refund.id,
+                paypal_reference_id: refund.captureId,
+                paypal_reference_id_type: 'TXN',
+                transaction_event_code: 'T1107',
+                transaction_initiation_date: refund.createTime,
+                transaction_updated_date: refund.updateTime,
+                transaction_amount: { ...refund.amount, value: `-${refund.amount.value}` },
+                transaction_status: 'S'
+            }))
+        ].filter((info) => {
+            const date = new Date(info.transaction_initiation_date);
+            return date >= start && date <= end;
+        });
+
+        const pageSize = parseInt(req.query.page_size) || 100;
+        const page = parseInt(req.query.page) || 1;
+        res.json({
+            transaction_details: transactions.slice((page - 1) * pageSize, page * pageSize).map((info) => ({ transaction_info: info })),
+            account_number: 'MOCKMERCHANT',
+            start_date: req.query.start_date,
+            end_date: req.query.end_date,
+            last_refreshed_datetime: now(),
+            page,
+            total_items: transactions.length,
+            total_pages: Math.max(1, Math.ceil(transactions.length / pageSize)),
+            links: []
+        });
+    });
+
+    app.post('/v1/notifications/verify-webhook-signature', requireToken, (req, res) => {
+        const {
+            transmission_id: transmissionId,
+            transmission_time: transmissionTime,
+            transmission_sig: transmissionSig,
+            webhook_id: requestWebhookId,
+            webhook_event: webhookEvent
+        } = req.body || {};
+
+        const expected = signWebhook(transmissionId, transmissionTime, requestWebhookId, JSON.stringify(webhookEvent));
+        const verified = requestWebhookId === webhookId && transmissionSig === expected;
+        res.json({ verification_status: verified ? 'SUCCESS' : 'FAILURE' });
+    });
+
+    // The buyer's approval page, for redirect flows (the approve link of an order)
+    app.get('/checkoutnow', (req, res) => {
+        const order = state.orders.get(req.query.token);
+        if (!order) return res.status(404).send('Unknown order');
+
+        const amount = order.purchaseUnits[0].amount;
+        res.send(`<!doctype html><title>Mock PayPal</title>
+<h1>Mock PayPal</h1>
+<p>Order ${order.id}: ${amount.value} ${amount.currency_code}</p>
+<form method="post" action="/checkoutnow/${order.id}">
+${OUTCOMES.map((outcome) => `<button name="outcome" value="${outcome}">${outcome}</button>`).join('\n')}
+<button name="outcome" value="cancel">cancel</button>
+</form>`);
+    });
+
+    app.post('/checkoutnow/:orderId', (req, res) => {
+        const order = state.orders.get(req.params.orderId);
+        if (!order) return res.status(404).send('Unknown order');
+
+        if (req.body.outcome === 'cancel') {
+            return order.cancelUrl ? res.redirect(`${order.cancelUrl}?token=${order.id}`) : res.send('Cancelled');
+        }
+        approveOrder(order, OUTCOMES.includes(req.body.outcome) ? req.body.outcome : null);
+        order.returnUrl ? res.redirect(`${order.returnUrl}?token=${order.id}&PayerID=${order.payer.payer_id}`) : res.send('Approved');
+    });
+
+    // --- Control API ---
+
+    // Body: { outcome? } - without one the next scripted outcome, then the default, is used
+    app.post('/mock/orders/:orderId/approve', (req, res) => {
+        const order = state.orders.get(req.params.orderId);
+        if (!order) return res.status(404).json({ success: false, message: 'Unknown order' });
+        if (order.status !== 'CREATED') {
+            return res.status(409).json({ success: false, message: `Order is ${order.status}` });
+        }
+        if (req.body?.outcome && !OUTCOMES.includes(req.body.outcome)) {
+            return res.status(400).json({ success: false, message: `outcome must be one of: ${OUTCOMES.join(', ')}` });
+        }
+
+        approveOrder(order, req.body?.outcome);
+        res.json({ success: true, order: orderView(order), outcome: order.outcome });
+    });
+
+    // Body: { outcomes: ['decline', 'approve', ...] } - used by the next approvals, in order
+    app.post('/mock/outcomes', (req, res) => {
+        const outcomes = req.body?.outcomes;
+        if (!Array.isArray(outcomes) || outcomes.some((outcome) => !OUTCOMES.includes(outcome))) {
+            return res.status(400).json({ success: false, message: `outcomes must be a list of: ${OUTCOMES.join(', ')}` });
+        }
+        state.outcomes.push(...outcomes);
+        res.json({ success: true, outcomes: state.outcomes });
+    });
+
+    // Settle a pending capture
+    app.post('/mock/captures/:captureId/:result(complete|deny)', (req, res) => {
+        const capture = state.captures.get(req.params.captureId);
+        if (!capture) return res.status(404).json({ success: false, message: 'Unknown capture' });
+        if (capture.status !== 'PENDING') {
+            return res.status(409).json({ success: false, message: `Capture is ${capture.status}` });
+        }
+
+        capture.status = req.params.result === 'complete' ? 'COMPLETED' : 'DECLINED';
+        capture.updateTime = now();
+        emitWebhook(
+            capture.status === 'COMPLETED' ? 'PAYMENT.CAPTURE.COMPLETED' : 'PAYMENT.CAPTURE.DENIED',
+            'capture',
+            captureView(capture)
+        );
+        res.json({ success: true, capture: captureView(capture) });
+    });
+
+    app.post('/mock/webhooks/:eventId/resend', async (req, res) => {
+        const event = state.webhooks.find((candidate) => candidate.payload.id === req.params.eventId);
+        if (!event) return res.status(404).json({ success: false, message: 'Unknown webhook event' });
+
+        await deliverWebhook(event);
+        res.json({ success: true, deliveries: event.deliveries });
+    });
+
+    app.get('/mock/state', (req, res) => {
+        res.json({
+            outcomes: state.outcomes,
+            orders: [...state.orders.values()].map((order) => ({ ...orderView(order), outcome: order.outcome })),
+            refunds: [...state.refunds.values()].map(refundView),
+            webhooks: state.webhooks.map((event) => ({
+                id: event.payload.id,
+                eventType: event.payload.event_type,
+                resourceId: event.payload.resource.id,
+                deliveries: event.deliveries
+            }))
+        });
+    });
+
+    app.post('/mock/reset', (req, res) => {
+        for (const key of ['orders', 'captures', 'refunds', 'requests']) state[key].clear();
+        state.webhooks.length = 0;
+        state.outcomes.length = 0;
+        res.json({ success: true });
+    });
+
+    app.use((req, res) => paypalError(res, 404, 'NOT_FOUND', null, `Mock PayPal does not implement ${req.method} ${req.path}`));
+
+    const listen = (port) => new Promise((resolve) => {
+        const server = app.listen(port, () => resolve(server));
+    });
+
+    return { app, state, listen };
+};
+
+module.exports = {
+    OUTCOMES,
+    createMockPayPal
+};
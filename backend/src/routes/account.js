@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router();
+const { requireCustomer } = require('../middleware/auth');
+const { rateLimits } = require('../middleware/optimized');
+const { requestLoginLink, verifyLoginLink } = require('../services/customerAuth');
+const { updateCustomerProfile, listCustomerOrders } = require('../services/customers');
+
+// Customer accounts: magic-link sign-in and the dashboard
+
+const sendFailure = (res, result) => res.status(result.httpStatus).json({
+    success: false,
+    code: result.code,
+    message: result.message
+});
+
+const sendError = (res, message, error) => {
+    console.error(`❌ ${message}:`, error.message);
+    res.status(500).json({
+        success: false,
+        message,
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+};
+
+// Email a login link - body: { email }. Answers the same whether or not the email has an account.
+router.post('/login-link', rateLimits.loginLink, async (req, res) => {
+    try {
+        const result = await requestLoginLink(req.body?.email);
+        if (!result.success) return sendFailure(res, result);
+
+        res.status(202).json({
+            success: true,
+            message: 'If that email has an order with us, a login link is on its way'
+        });
+    } catch (error) {
+        sendError(res, 'Failed to send login link', error);
+    }
+});
+
+// Exchange a login link token for a session - body: { token }
+router.post('/verify', async (req, res) => {
+    try {
+        const result = await verifyLoginLink(req.body?.token);
+        if (!result.success) return sendFailure(res, result);
+
+        console.log(`🔐 Customer login: ${result.customer.email}`);
+        res.json({
+            success: true,
+            token: result.token,
+            expiresIn: result.expiresIn,
+            customer: result.customer
+        });
+    } catch (error) {
+        sendError(res, 'Failed to sign in', error);
+    }
+});
+
+// The signed-in customer
+router.get('/me', requireCustomer, (req, res) => {
+    res.json({ success: true, customer: req.customer });
+});
+
+// Profile edits - body: { name?, phone? }
+router.put('/me', requireCustomer, async (req, res) => {
+    try {
+        const result = await updateCustomerProfile(req.customer.id, {
+            name: req.body?.name,
+            phone: req.body?.phone
+        });
+        if (!result.success) return sendFailure(res, result);
+
+        res.json({ success: true, customer: result.customer });
+    } catch (error) {
+        sendError(res, 'Failed to update profile', error);
+    }
+});
+
+// Order history with each order's status and, once delivered, its results link
+router.get('/orders', requireCustomer, async (req, res) => {
+    try {
+        res.json({ success: true, orders: await listCustomerOrders(req.customer.id) });
+    } catch (error) {
+        sendError(res, 'Failed to fetch orders', error);
+    }
+});
+
+module.exports = router;
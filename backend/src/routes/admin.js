@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const { login } = require('../services/adminAuth');
+const { requireAdmin } = require('../middleware/auth');
+const { rateLimits } = require('../middleware/optimized');
+
+// Staff sign-in - body: { email, password }. Returns a bearer token for the admin endpoints.
+router.post('/login', rateLimits.adminLogin, async (req, res) => {
+    try {
+        if (!process.env.AUTH_TOKEN_SECRET) {
+            return res.status(503).json({
+                success: false,
+                code: 'ADMIN_AUTH_NOT_CONFIGURED',
+                message: 'Admin authentication is not configured'
+            });
+        }
+
+        const { email, password } = req.body;
+        if (!email || !password) {
+            return res.status(400).json({
+                success: false,
+                code: 'MISSING_FIELDS',
+                message: 'Email and password are required'
+            });
+        }
+
+        const result = await login(email, password);
+
+        if (!result.success) {
+            console.warn(`⚠️ Failed admin login for ${email} from ${req.ip}`);
+            return res.status(result.httpStatus).json({
+                success: false,
+                code: result.code,
+                message: result.message
+            });
+        }
+
+        console.log(`🔐 Admin login: ${result.admin.email} (${result.admin.role})`);
+        res.json({
+            success: true,
+            token: result.token,
+            expiresIn: result.expiresIn,
+            admin: result.admin
+        });
+    } catch (error) {
+        console.error('❌ Admin login error:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to sign in',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// The signed-in staff member - the admin pages use this to decide what to show
+router.get('/me', requireAdmin(), (req, res) => {
+    res.json({
+        success: true,
+        admin: req.admin
+    });
+});
+
+module.exports = router;
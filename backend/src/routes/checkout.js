@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/auth');
+const { rateLimits } = require('../middleware/optimized');
+const {
+    createCheckoutIntent,
+    recordPendingOrder,
+    getCheckoutPayment,
+    cancelPendingOrder,
+    getAbandonedReport,
+    loadResume
+} = require('../services/checkouts');
+
+// Checkouts in progress: started by the Next app with the customer's payment provider,
+// reported on for staff, and resumable by the customer through a signed link.
+
+const sendFailure = (res, result) => res.status(result.httpStatus).json({
+    success: false,
+    code: result.code,
+    message: result.message
+});
+
+const sendError = (res, message, error) => {
+    console.error(`❌ ${message}:`, error.message);
+    res.status(500).json({
+        success: false,
+        message,
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+};
+
+// Start a checkout - body: { provider, packageId, onboardingData }. The order is priced from
+// the package catalog; clientSecret is what the browser confirms a Stripe payment with and
+// checkoutToken what it cancels the checkout with.
+router.post('/intents', rateLimits.checkout, async (req, res) => {
+    try {
+        const result = await createCheckoutIntent({
+            ...(req.body || {}),
+            idempotencyKey: req.get('Idempotency-Key')
+        });
+        if (!result.success) return sendFailure(res, result);
+
+        res.status(201).json({
+            success: true,
+            provider: result.provider,
+            orderId: result.orderId,
+            clientSecret: result.clientSecret,
+            checkoutToken: result.checkoutToken,
+            amount: result.package.price,
+            currency: result.package.currency,
+            checkoutId: result.checkout?.id || null
+        });
+    } catch (error) {
+        sendError(res, 'Failed to start checkout', error);
+    }
+});
+
+// Record a checkout whose order was created elsewhere - body: { provider, orderId, packageId, onboardingData, uploadToken }
+router.post('/pending', rateLimits.checkout, async (req, res) => {
+    try {
+        const result = await recordPendingOrder(req.body || {});
+        if (!result.success) return sendFailure(res, result);
+
+        res.status(201).json({ success: true, checkoutId: result.checkout.id });
+    } catch (error) {
+        sendError(res, 'Failed to record checkout', error);
+    }
+});
+
+// The checkout's payment as the provider reports it: { status, packageId, captureId, amount, currency }
+router.get('/:provider(paypal|stripe)/:orderId/payment', rateLimits.checkout, async (req, res) => {
+    try {
+        const result = await getCheckoutPayment(req.params);
+        if (!result.success) return sendFailure(res, result);
+
+        res.json({ success: true, payment: result.payment });
+    } catch (error) {
+        sendError(res, 'Failed to look up payment', error);
+    }
+});
+
+// The customer backed out of the payment without paying - body: { checkoutToken }
+router.post('/:orderId/cancel', async (req, res) => {
+    try {
+        const result = await cancelPendingOrder(req.params.orderId, req.body?.checkoutToken);
+        if (!result.success) return sendFailure(res, result);
+
+        res.json({ success: true, status: result.checkout.status });
+    } catch (error) {
+        sendError(res, 'Failed to cancel checkout', error);
+    }
+});
+
+// Package and questionnaire draft behind a resume link
+router.get('/resume/:token', async (req, res) => {
+    try {
+        const result = await loadResume(req.params.token);
+        if (!result.success) return sendFailure(res, result);
+
+        res.json({ success: true, packageId: result.packageId, onboardingData: result.onboardingData });
+    } catch (error) {
+        sendError(res, 'Failed to load checkout', error);
+    }
+});
+
+// Abandoned checkouts by package and age - ?packageId=&page=1&limit=50
+router.get('/abandoned', requireAdmin(), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+        const report = await getAbandonedReport({
+            packageId: req.query.packageId,
+            limit,
+            offset: (page - 1) * limit
+        });
+
+        res.json({
+            success: true,
+            ageBuckets: report.ageBuckets,
+            summary: report.summary,
+            checkouts: report.checkouts,
+            page,
+            limit
+        });
+    } catch (error) {
+        sendError(res, 'Failed to build abandoned checkout report', error);
+    }
+});
+
+module.exports = router;
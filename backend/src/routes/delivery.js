@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const { loadDelivery, readDeliveryPhoto, buildDeliveryArchive } = require('../services/delivery');
+
+// Public delivery page API. The signed token in the path is the only credential.
+
+const sendFailure = (res, result) => res.status(result.httpStatus).json({
+    success: false,
+    code: result.code,
+    message: result.message
+});
+
+const sendError = (res, message, error) => {
+    console.error(`❌ ${message}:`, error.message);
+    res.status(500).json({
+        success: false,
+        message,
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+};
+
+const sendDownload = (res, { filename, contentType, data }) => {
+    res.set({
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Content-Length': data.length,
+        'Cache-Control': 'private, no-store'
+    });
+    res.send(data);
+};
+
+// Before/after pairs, bio suggestions and style variations
+router.get('/:token', async (req, res) => {
+    try {
+        const result = await loadDelivery(req.params.token);
+        if (!result.success) return sendFailure(res, result);
+
+        res.json({ success: true, delivery: result.delivery });
+    } catch (error) {
+        sendError(res, 'Failed to load results', error);
+    }
+});
+
+// One delivered photo as an attachment
+router.get('/:token/photos/:photoId/download', async (req, res) => {
+    try {
+        const result = await readDeliveryPhoto(req.params.token, req.params.photoId);
+        if (!result.success) return sendFailure(res, result);
+
+        sendDownload(res, result);
+    } catch (error) {
+        sendError(res, 'Failed to download photo', error);
+    }
+});
+
+// All delivered photos and the bio suggestions as a zip
+router.get('/:token/download', async (req, res) => {
+    try {
+        const result = await buildDeliveryArchive(req.params.token);
+        if (!result.success) return sendFailure(res, result);
+
+        sendDownload(res, { ...result, contentType: 'application/zip' });
+    } catch (error) {
+        sendError(res, 'Failed to build download', error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,155 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { requireAdmin } = require('../middleware/auth');
+const {
+    listFulfillments,
+    getFulfillment,
+    transitionFulfillment,
+    assignFulfillment,
+    addGeneratedPhotos,
+    setSuggestions
+} = require('../services/fulfillment');
+const { createDeliveryLink } = require('../services/delivery');
+const { queuePaymentEmail } = require('../services/emailQueue');
+
+// Staff work on paid orders. Any staff role can read; admin and support move orders along.
+const canWork = requireAdmin('admin', 'support');
+
+const sendFailure = (res, result) => res.status(result.httpStatus).json({
+    success: false,
+    code: result.code,
+    message: result.message,
+    ...(result.allowed && { allowed: result.allowed })
+});
+
+const sendError = (res, message, error) => {
+    console.error(`❌ ${message}:`, error.message);
+    res.status(500).json({
+        success: false,
+        message,
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+};
+
+// Work queue - ?status=queued&assignee=me|<adminId>&page=1&limit=50
+router.get('/', requireAdmin(), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+        const assigneeId = req.query.assignee === 'me' ? req.admin.id : req.query.assignee;
+
+        const result = await listFulfillments({
+            status: req.query.status,
+            assigneeId,
+            limit,
+            offset: (page - 1) * limit
+        });
+        if (!result.success) return sendFailure(res, result);
+
+        res.json({ success: true, fulfillments: result.fulfillments, page, limit });
+    } catch (error) {
+        sendError(res, 'Failed to list orders', error);
+    }
+});
+
+// One order with its transition history and photos
+router.get('/:paymentId', requireAdmin(), async (req, res) => {
+    try {
+        const result = await getFulfillment(req.params.paymentId);
+        if (!result.success) return sendFailure(res, result);
+
+        res.json(result);
+    } catch (error) {
+        sendError(res, 'Failed to fetch order', error);
+    }
+});
+
+// Move an order - body: { to, assigneeId?, note? }
+router.post('/:paymentId/transition', canWork, async (req, res) => {
+    try {
+        const { to, assigneeId, note } = req.body;
+        const result = await transitionFulfillment({
+            paymentId: req.params.paymentId,
+            to,
+            assigneeId,
+            note,
+            admin: req.admin
+        });
+        if (!result.success) return sendFailure(res, result);
+
+        // Delivered orders come back with the link to send the customer
+        const delivery = to === 'delivered' ? await createDeliveryLink(req.params.paymentId) : null;
+
+        // ...and the customer is emailed it - once per delivery, so a redelivery after a revision emails again
+        if (delivery?.success) {
+            await queuePaymentEmail(pool, 'delivery_ready', req.params.paymentId, {
+                data: { deliveryUrl: delivery.url },
+                dedupeKey: `delivery_ready:${req.params.paymentId}:${new Date(result.fulfillment.deliveredAt).toISOString()}`
+            }).catch((error) => console.error(`❌ Failed to queue delivery email for ${req.params.paymentId}:`, error.message));
+        }
+
+        res.json({
+            success: true,
+            fulfillment: result.fulfillment,
+            ...(delivery?.success && { deliveryLink: { url: delivery.url, expiresAt: delivery.expiresAt } })
+        });
+    } catch (error) {
+        sendError(res, 'Failed to update order', error);
+    }
+});
+
+// Fresh signed link to the customer's results page - for resending a delivery
+router.post('/:paymentId/delivery-link', canWork, async (req, res) => {
+    try {
+        const result = await createDeliveryLink(req.params.paymentId);
+        if (!result.success) return sendFailure(res, result);
+
+        res.json({ success: true, deliveryLink: { url: result.url, expiresAt: result.expiresAt } });
+    } catch (error) {
+        sendError(res, 'Failed to create delivery link', error);
+    }
+});
+
+// Reassign without changing the step - body: { assigneeId } (null to unassign)
+router.post('/:paymentId/assign', canWork, async (req, res) => {
+    try {
+        const result = await assignFulfillment({
+            paymentId: req.params.paymentId,
+            assigneeId: req.body.assigneeId,
+            admin: req.admin
+        });
+        if (!result.success) return sendFailure(res, result);
+
+        res.json({ success: true, fulfillment: result.fulfillment });
+    } catch (error) {
+        sendError(res, 'Failed to assign order', error);
+    }
+});
+
+// Attach generated photos - body: { photos: [{ url, storageKey?, width?, height?, sourcePhotoId? }] }
+router.post('/:paymentId/photos', canWork, async (req, res) => {
+    try {
+        const result = await addGeneratedPhotos({ paymentId: req.params.paymentId, photos: req.body.photos });
+        if (!result.success) return sendFailure(res, result);
+
+        res.status(201).json({ success: true, photos: result.photos, fulfillment: result.fulfillment });
+    } catch (error) {
+        sendError(res, 'Failed to attach photos', error);
+    }
+});
+
+// Replace suggestions - body: { bioSuggestions?: string[], styleVariations?: string[] }
+router.put('/:paymentId/suggestions', canWork, async (req, res) => {
+    try {
+        const { bioSuggestions, styleVariations } = req.body;
+        const result = await setSuggestions({ paymentId: req.params.paymentId, bioSuggestions, styleVariations });
+        if (!result.success) return sendFailure(res, result);
+
+        res.json({ success: true, fulfillment: result.fulfillment });
+    } catch (error) {
+        sendError(res, 'Failed to save suggestions', error);
+    }
+});
+
+module.exports = router;
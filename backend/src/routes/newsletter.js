@@ -0,0 +1,145 @@
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/auth');
+const {
+    listTips,
+    createTip,
+    updateTip,
+    listIssues,
+    getIssue,
+    createIssue,
+    updateIssue,
+    cancelIssue,
+    unsubscribe
+} = require('../services/newsletter');
+
+// Weekly tips newsletter: staff manage tips and issues; customers unsubscribe with the
+// signed link from any issue.
+const canEdit = requireAdmin('admin', 'support');
+
+const sendFailure = (res, result) => res.status(result.httpStatus).json({
+    success: false,
+    code: result.code,
+    message: result.message,
+    ...(result.missing && { missing: result.missing })
+});
+
+const sendError = (res, message, error) => {
+    console.error(`❌ ${message}:`, error.message);
+    res.status(500).json({
+        success: false,
+        message,
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+};
+
+// Unsubscribe - token in the body ({ token }) or, for one-click unsubscribe from the
+// mail client (RFC 8058), in the query string
+router.post('/unsubscribe', async (req, res) => {
+    try {
+        const result = await unsubscribe(req.body?.token || req.query.token);
+        if (!result.success) return sendFailure(res, result);
+
+        res.json({ success: true, message: 'You will not get weekly tips any more' });
+    } catch (error) {
+        sendError(res, 'Failed to unsubscribe', error);
+    }
+});
+
+// Tips - ?active=true|false
+router.get('/tips', requireAdmin(), async (req, res) => {
+    try {
+        const active = req.query.active === undefined ? undefined : req.query.active === 'true';
+        res.json({ success: true, tips: await listTips({ active }) });
+    } catch (error) {
+        sendError(res, 'Failed to list tips', error);
+    }
+});
+
+// Body: { title, body, segment?: { datingGoals?, interests?, packageIds? } }
+router.post('/tips', canEdit, async (req, res) => {
+    try {
+        const result = await createTip(req.body || {}, req.admin);
+        if (!result.success) return sendFailure(res, result);
+
+        res.status(201).json({ success: true, tip: result.tip });
+    } catch (error) {
+        sendError(res, 'Failed to create tip', error);
+    }
+});
+
+// Body: any of { title, body, segment, isActive }
+router.put('/tips/:tipId', canEdit, async (req, res) => {
+    try {
+        const result = await updateTip(req.params.tipId, req.body || {});
+        if (!result.success) return sendFailure(res, result);
+
+        res.json({ success: true, tip: result.tip });
+    } catch (error) {
+        sendError(res, 'Failed to update tip', error);
+    }
+});
+
+// Issues - ?status=scheduled&page=1&limit=50
+router.get('/issues', requireAdmin(), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+        const result = await listIssues({ status: req.query.status, limit, offset: (page - 1) * limit });
+        if (!result.success) return sendFailure(res, result);
+
+        res.json({ success: true, issues: result.issues, page, limit });
+    } catch (error) {
+        sendError(res, 'Failed to list issues', error);
+    }
+});
+
+// One issue with its tips and, while scheduled, how many subscribers it would reach
+router.get('/issues/:issueId', requireAdmin(), async (req, res) => {
+    try {
+        const result = await getIssue(req.params.issueId);
+        if (!result.success) return sendFailure(res, result);
+
+        res.json({ success: true, issue: result.issue, audience: result.audience });
+    } catch (error) {
+        sendError(res, 'Failed to fetch issue', error);
+    }
+});
+
+// Body: { subject, intro?, tipIds, scheduledFor? } - without scheduledFor it goes out in the next weekly slot
+router.post('/issues', canEdit, async (req, res) => {
+    try {
+        const result = await createIssue(req.body || {}, req.admin);
+        if (!result.success) return sendFailure(res, result);
+
+        res.status(201).json({ success: true, issue: result.issue, audience: result.audience });
+    } catch (error) {
+        sendError(res, 'Failed to create issue', error);
+    }
+});
+
+// Body: any of { subject, intro, tipIds, scheduledFor } - scheduled issues only
+router.put('/issues/:issueId', canEdit, async (req, res) => {
+    try {
+        const result = await updateIssue(req.params.issueId, req.body || {});
+        if (!result.success) return sendFailure(res, result);
+
+        res.json({ success: true, issue: result.issue, audience: result.audience });
+    } catch (error) {
+        sendError(res, 'Failed to update issue', error);
+    }
+});
+
+router.post('/issues/:issueId/cancel', canEdit, async (req, res) => {
+    try {
+        const result = await cancelIssue(req.params.issueId);
+        if (!result.success) return sendFailure(res, result);
+
+        res.json({ success: true, issue: result.issue });
+    } catch (error) {
+        sendError(res, 'Failed to cancel issue', error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const { getActivePackages, getPackage } = require('../services/packages');
+
+// Public package catalog - the pricing pages and checkout render from this
+router.get('/', async (req, res) => {
+    try {
+        const packages = await getActivePackages();
+
+        res.set('Cache-Control', 'public, max-age=60');
+        res.json({
+            success: true,
+            packages
+        });
+    } catch (error) {
+        console.error('❌ List packages error:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch packages',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+router.get('/:packageId', async (req, res) => {
+    try {
+        const pkg = await getPackage(req.params.packageId);
+
+        if (!pkg) {
+            return res.status(404).json({
+                success: false,
+                code: 'UNKNOWN_PACKAGE',
+                message: 'Package not found'
+            });
+        }
+
+        res.set('Cache-Control', 'public, max-age=60');
+        res.json({
+            success: true,
+            package: pkg
+        });
+    } catch (error) {
+        console.error('❌ Get package error:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch package',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+module.exports = router;
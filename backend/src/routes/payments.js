@@ -1,143 +1,104 @@
 const express = require('express');
 const router = express.Router();
-const { query } = require('../config/database');
-const cloudinary = require('cloudinary').v2;
-
-// Configure Cloudinary
-cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET
-});
-
-// Helper function to upload images to Cloudinary
-const uploadImagesToCloudinary = async (images, folder) => {
-    const uploadedUrls = [];
-
-    if (!images || !Array.isArray(images)) {
-        return uploadedUrls;
-    }
-
-    for (const imageData of images) {
-        try {
-            // Handle both base64 data and file objects
-            let uploadData = imageData;
-
-            // If it's a file object with base64 data
-            if (typeof imageData === 'object' && imageData.data) {
-                uploadData = `data:${imageData.type || 'image/jpeg'};base64,${imageData.data}`;
-            } else if (typeof imageData === 'string' && !imageData.startsWith('data:')) {
-                // If it's just base64 data without data URL prefix
-                uploadData = `data:image/jpeg;base64,${imageData}`;
-            }
-
-            const result = await new Promise((resolve, reject) => {
-                cloudinary.uploader.upload(
-                    uploadData,
-                    {
-                        folder: folder,
-                        resource_type: 'auto',
-                        transformation: [
-                            { width: 800, height: 800, crop: 'limit' },
-                            { quality: 'auto:good' }
-                        ]
-                    },
-                    (error, result) => {
-                        if (error) reject(error);
-                        else resolve(result);
-                    }
-                );
-            });
-
-            uploadedUrls.push(result.secure_url);
-            console.log(`✅ Image uploaded to Cloudinary: ${result.secure_url}`);
-
-        } catch (uploadError) {
-            console.error('❌ Error uploading image to Cloudinary:', uploadError);
-            // Continue with other images even if one fails
-        }
-    }
-
-    return uploadedUrls;
-};
+const { query, getClient } = require('../config/database');
+const { verifyPayment } = require('../services/paymentVerification');
+const { idempotent } = require('../middleware/idempotency');
+const { requireAdmin } = require('../middleware/auth');
+const { resolveOrderPhotos, attachOrderPhotos } = require('../services/uploads');
+const { listSubmissionPhotos } = require('../services/photos');
+const { createFulfillment } = require('../services/fulfillment');
+const { upsertCustomer, getPurchaseHistory } = require('../services/customers');
+const { queuePaymentEmail } = require('../services/emailQueue');
+const { completePendingOrder } = require('../services/checkouts');
+const { applyPendingEvents } = require('../services/paymentEvents');
+const { ONBOARDING_SCHEMA_VERSION, buildOnboardingValidator } = require('../schemas/onboarding');
 
 // Store payment and onboarding data - ONLY AFTER PAYMENT SUCCESS
-router.post('/store', async (req, res) => {
+router.post('/store', idempotent('payments.store', {
+    fallbackKey: (req) => req.body?.orderId
+}), buildOnboardingValidator('onboardingData'), async (req, res) => {
     try {
         console.log('🔄 Payment store request received for:', req.body.customerEmail);
 
         const {
+            provider,
             orderId,
             paymentId,
-            amount,
-            currency,
             packageId,
-            packageName,
             customerEmail,
             customerName,
-            status,
-            onboardingData
+            onboardingData,
+            uploadToken,
+            photoIds
         } = req.body;
 
         // Validate required fields
-        if (!orderId || !paymentId || !amount || !customerEmail) {
+        if (!orderId || !packageId || !customerEmail) {
             return res.status(400).json({
                 success: false,
+                code: 'MISSING_FIELDS',
                 message: 'Missing required payment fields'
             });
         }
 
-        // IMPORTANT: Only store questionnaire data if payment status is 'completed'
-        if (status !== 'completed') {
-            return res.status(400).json({
+        // IMPORTANT: Only store questionnaire data once the provider confirms the capture
+        const verification = await verifyPayment({ provider, orderId, paymentId, packageId });
+        if (!verification.verified) {
+            console.warn(`⚠️ Payment verification failed for order ${orderId}: ${verification.code}`);
+            return res.status(verification.httpStatus).json({
                 success: false,
-                message: 'Payment must be completed before storing questionnaire data'
+                code: verification.code,
+                message: verification.message,
+                ...(verification.expected && { expected: verification.expected, actual: verification.actual })
             });
         }
 
-        // Validate onboarding data
-        if (!onboardingData || !onboardingData.name || !onboardingData.email) {
-            return res.status(400).json({
+        console.log(`✅ Payment verified with ${verification.provider} - proceeding to store questionnaire data`);
+
+        // Photos were uploaded straight to storage - look up the confirmed ones by ID
+        const photos = await resolveOrderPhotos({
+            uploadToken,
+            photoIds,
+            minPhotos: verification.package.minPhotos
+        });
+        if (!photos.success) {
+            return res.status(photos.httpStatus).json({
                 success: false,
-                message: 'Missing required onboarding data (name, email)'
+                code: photos.code,
+                message: photos.message
             });
         }
 
-        // Verify payment was successful before storing any data
-        console.log('✅ Payment confirmed as completed - proceeding to store questionnaire data');
-
-        // Upload images to Cloudinary first
-        console.log('📸 Uploading images to Cloudinary...');
-
-        const originalPhotoUrls = await uploadImagesToCloudinary(
-            onboardingData.originalPhotos || [],
-            'matchlens-onboarding-photos'
-        );
-        const screenshotPhotoUrls = await uploadImagesToCloudinary(
-            onboardingData.screenshotPhotos || [],
-            'matchlens-onboarding-screenshots'
-        );
-
-        console.log(`✅ Uploaded ${originalPhotoUrls.length} original photos and ${screenshotPhotoUrls.length} screenshot photos`);
+        console.log(`✅ Resolved ${photos.assetIds.length} stored photos and screenshots`);
+        if (photos.summary.needsPhotos) {
+            console.warn(`⚠️ Order ${orderId} needs photos: ${photos.summary.stored}/${photos.summary.required} stored`);
+        }
 
-        // Start transaction - ONLY after payment success and image uploads
-        const { getClient } = require('../config/database');
+        // Start transaction - ONLY after payment success and photo lookup
         const client = await getClient();
 
         try {
             await client.query('BEGIN');
 
+            // Every order with this email belongs to the same customer account
+            const customerId = await upsertCustomer(client, {
+                email: customerEmail,
+                name: customerName || onboardingData.name,
+                phone: onboardingData.phone
+            });
+
             // First, insert onboarding data and get user_id
             const onboardingResult = await client.query(`
                 INSERT INTO onboarding_submissions (
-                    name, age, dating_goal, current_matches, body_type, style_preference,
+                    name, age, age_range, dating_goal, current_matches, body_type, style_preference,
                     ethnicity, interests, current_bio, email, phone, weekly_tips,
-                    original_photos, screenshot_photos
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+                    vibe, want_more, one_liner, schema_version, customer_id
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
                 RETURNING user_id
             `, [
                 onboardingData.name,
-                onboardingData.age ? parseInt(onboardingData.age) : null,
+                parseInt(onboardingData.age), // Lower bound of the age range
+                onboardingData.age,
                 onboardingData.datingGoal,
                 onboardingData.currentMatches,
                 onboardingData.bodyType,
@@ -148,36 +109,61 @@ router.post('/store', async (req, res) => {
                 onboardingData.email,
                 onboardingData.phone || '',
                 onboardingData.weeklyTips || false,
-                JSON.stringify(originalPhotoUrls), // Use Cloudinary URLs
-                JSON.stringify(screenshotPhotoUrls) // Use Cloudinary URLs
+                onboardingData.vibe,
+                onboardingData.wantMore,
+                onboardingData.oneLiner || null,
+                ONBOARDING_SCHEMA_VERSION,
+                customerId
             ]);
 
             const userId = onboardingResult.rows[0].user_id;
             console.log('✅ Onboarding data stored with user_id:', userId);
 
-            // Then, insert payment data with user_id as foreign key
+            await attachOrderPhotos(client, photos, userId);
+
+            // Then, insert payment data with user_id as foreign key - values come from the verified capture
             const paymentResult = await client.query(`
                 INSERT INTO payments (
                     user_id, order_id, paypal_payment_id, amount, currency, package_id,
-                    package_name, customer_email, customer_name, status
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                    package_name, customer_email, customer_name, status, paypal_data, needs_photos, customer_id, provider
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
                 RETURNING payment_id
             `, [
                 userId,
                 orderId,
-                paymentId,
-                amount,
-                currency || 'USD',
-                packageId,
-                packageName,
+                verification.captureId,
+                verification.amount,
+                verification.currency,
+                verification.package.id,
+                verification.package.name,
                 customerEmail,
                 customerName,
-                status
+                'completed',
+                JSON.stringify(verification.order),
+                photos.summary.needsPhotos,
+                customerId,
+                verification.provider
             ]);
 
             const paymentIdResult = paymentResult.rows[0].payment_id;
             console.log('✅ Payment stored successfully with payment_id:', paymentIdResult);
 
+            // Start the order in the fulfillment workflow
+            await createFulfillment(client, { paymentId: paymentIdResult, userId });
+            await completePendingOrder(client, orderId, paymentIdResult);
+
+            // Receipt and confirmation go out once the order is committed
+            await queuePaymentEmail(client, 'purchase_receipt', paymentIdResult);
+            await queuePaymentEmail(client, 'onboarding_received', paymentIdResult);
+
+            // Refunds, disputes and the like that the provider sent before we had the order
+            await applyPendingEvents(client, {
+                paymentId: paymentIdResult,
+                providerId: verification.provider,
+                orderId,
+                captureId: verification.captureId
+            });
+
             // Commit transaction
             await client.query('COMMIT');
 
@@ -186,7 +172,9 @@ router.post('/store', async (req, res) => {
                 message: 'Payment successful - Questionnaire data stored successfully',
                 userId: userId,
                 paymentId: paymentIdResult,
-                orderId: orderId
+                orderId: orderId,
+                needsPhotos: photos.summary.needsPhotos,
+                photos: photos.summary
             });
 
         } catch (transactionError) {
@@ -207,7 +195,7 @@ router.post('/store', async (req, res) => {
 });
 
 // Get payment by order ID with user details
-router.get('/order/:orderId', async (req, res) => {
+router.get('/order/:orderId', requireAdmin(), async (req, res) => {
     try {
         const { orderId } = req.params;
 
@@ -216,6 +204,7 @@ router.get('/order/:orderId', async (req, res) => {
                 p.payment_id,
                 p.user_id,
                 p.order_id,
+                p.provider,
                 p.paypal_payment_id,
                 p.amount,
                 p.currency,
@@ -236,8 +225,6 @@ router.get('/order/:orderId', async (req, res) => {
                 o.current_bio,
                 o.phone,
                 o.weekly_tips,
-                o.original_photos,
-                o.screenshot_photos,
                 o.created_at as onboarding_created_at
             FROM payments p
             JOIN onboarding_submissions o ON p.user_id = o.user_id
@@ -251,9 +238,10 @@ router.get('/order/:orderId', async (req, res) => {
             });
         }
 
+        const payment = result.rows[0];
         res.json({
             success: true,
-            payment: result.rows[0]
+            payment: { ...payment, photos: await listSubmissionPhotos(payment.user_id) }
         });
 
     } catch (error) {
@@ -267,7 +255,7 @@ router.get('/order/:orderId', async (req, res) => {
 });
 
 // Get payment by payment ID
-router.get('/payment/:paymentId', async (req, res) => {
+router.get('/payment/:paymentId', requireAdmin(), async (req, res) => {
     try {
         const { paymentId } = req.params;
 
@@ -276,6 +264,7 @@ router.get('/payment/:paymentId', async (req, res) => {
                 p.payment_id,
                 p.user_id,
                 p.order_id,
+                p.provider,
                 p.paypal_payment_id,
                 p.amount,
                 p.currency,
@@ -296,8 +285,6 @@ router.get('/payment/:paymentId', async (req, res) => {
                 o.current_bio,
                 o.phone,
                 o.weekly_tips,
-                o.original_photos,
-                o.screenshot_photos,
                 o.created_at as onboarding_created_at
             FROM payments p
             JOIN onboarding_submissions o ON p.user_id = o.user_id
@@ -311,9 +298,10 @@ router.get('/payment/:paymentId', async (req, res) => {
             });
         }
 
+        const payment = result.rows[0];
         res.json({
             success: true,
-            payment: result.rows[0]
+            payment: { ...payment, photos: await listSubmissionPhotos(payment.user_id) }
         });
 
     } catch (error) {
@@ -327,13 +315,14 @@ router.get('/payment/:paymentId', async (req, res) => {
 });
 
 // List all payments with user details
-router.get('/list', async (req, res) => {
+router.get('/list', requireAdmin(), async (req, res) => {
     try {
         const result = await query(`
             SELECT 
                 p.payment_id,
                 p.user_id,
                 p.order_id,
+                p.provider,
                 p.paypal_payment_id,
                 p.amount,
                 p.currency,
@@ -369,35 +358,27 @@ router.get('/list', async (req, res) => {
     }
 });
 
-// Get user by user ID with all payments
-router.get('/user/:userId', async (req, res) => {
+// Purchase history behind a submission - the customer, every questionnaire version and
+// every payment made with the same email
+router.get('/user/:userId', requireAdmin(), async (req, res) => {
     try {
-        const { userId } = req.params;
-
-        // Get user details
-        const userResult = await query(
-            'SELECT * FROM onboarding_submissions WHERE user_id = $1',
-            [userId]
-        );
+        const result = await getPurchaseHistory(req.params.userId);
 
-        if (userResult.rows.length === 0) {
-            return res.status(404).json({
+        if (!result.success) {
+            return res.status(result.httpStatus).json({
                 success: false,
-                message: 'User not found'
+                code: result.code,
+                message: result.message
             });
         }
 
-        // Get user's payments
-        const paymentsResult = await query(
-            'SELECT * FROM payments WHERE user_id = $1 ORDER BY created_at DESC',
-            [userId]
-        );
-
         res.json({
             success: true,
-            user: userResult.rows[0],
-            payments: paymentsResult.rows,
-            paymentCount: paymentsResult.rows.length
+            user: result.user,
+            customer: result.customer,
+            submissions: result.submissions,
+            payments: result.payments,
+            paymentCount: result.payments.length
         });
 
     } catch (error) {
@@ -0,0 +1,81 @@
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/auth');
+const {
+    runReconciliation,
+    listRuns,
+    getRun,
+    toCsv
+} = require('../services/reconciliation');
+
+// PayPal reconciliation runs and their discrepancy reports. Runs happen nightly; admins
+// can start one for any range.
+
+const sendFailure = (res, result) => res.status(result.httpStatus).json({
+    success: false,
+    code: result.code,
+    message: result.message,
+    ...(result.runId && { runId: result.runId })
+});
+
+const sendError = (res, message, error) => {
+    console.error(`❌ ${message}:`, error.message);
+    res.status(500).json({
+        success: false,
+        message,
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+};
+
+// Runs - ?runType=nightly|manual&page=1&limit=50
+router.get('/runs', requireAdmin(), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+        const runs = await listRuns({ runType: req.query.runType, limit, offset: (page - 1) * limit });
+        res.json({ success: true, runs, page, limit });
+    } catch (error) {
+        sendError(res, 'Failed to list reconciliation runs', error);
+    }
+});
+
+// Body: { from, to } - ISO dates, to exclusive, at most 30 days apart. Answers once the run is done.
+router.post('/runs', requireAdmin('admin'), async (req, res) => {
+    try {
+        const result = await runReconciliation(req.body || {}, { admin: req.admin });
+        if (!result.success) return sendFailure(res, result);
+
+        res.status(201).json({ success: true, run: result.run });
+    } catch (error) {
+        sendError(res, 'Failed to run reconciliation', error);
+    }
+});
+
+// One run with its discrepancies - ?kind=capture_without_order|order_without_capture|amount_mismatch|status_drift
+router.get('/runs/:runId', requireAdmin(), async (req, res) => {
+    try {
+        const result = await getRun(req.params.runId, { kind: req.query.kind });
+        if (!result.success) return sendFailure(res, result);
+
+        res.json({ success: true, run: result.run, discrepancies: result.discrepancies });
+    } catch (error) {
+        sendError(res, 'Failed to fetch reconciliation run', error);
+    }
+});
+
+// The discrepancy report as CSV - takes ?kind= like the JSON version
+router.get('/runs/:runId/report.csv', requireAdmin(), async (req, res) => {
+    try {
+        const result = await getRun(req.params.runId, { kind: req.query.kind });
+        if (!result.success) return sendFailure(res, result);
+
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="reconciliation-${result.run.id}.csv"`);
+        res.send(toCsv(result.discrepancies));
+    } catch (error) {
+        sendError(res, 'Failed to export reconciliation report', error);
+    }
+});
+
+module.exports = router;
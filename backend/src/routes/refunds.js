@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('../config/database');
+const { requireAdmin } = require('../middleware/auth');
+const { issueRefund } = require('../services/refunds');
+
+// Issue a full or partial refund - body: { amount?, reason }. The signed-in admin is recorded as operator.
+router.post('/:paymentId/refund', requireAdmin('admin', 'support'), async (req, res) => {
+    try {
+        const { paymentId } = req.params;
+        const { amount, reason } = req.body;
+
+        const result = await issueRefund({ paymentId, amount, reason, operator: req.admin.email });
+
+        if (!result.success) {
+            return res.status(result.httpStatus).json({
+                success: false,
+                code: result.code,
+                message: result.message,
+                ...(result.refundable && { refundable: result.refundable })
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Refund issued successfully',
+            refund: result.refund,
+            paymentStatus: result.paymentStatus
+        });
+    } catch (error) {
+        console.error('❌ Refund error:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to issue refund',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// List refunds for a payment
+router.get('/:paymentId/refunds', requireAdmin(), async (req, res) => {
+    try {
+        const result = await query(
+            'SELECT * FROM refunds WHERE payment_id = $1 ORDER BY created_at DESC',
+            [req.params.paymentId]
+        );
+
+        res.json({
+            success: true,
+            refunds: result.rows
+        });
+    } catch (error) {
+        console.error('❌ List refunds error:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch refunds',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,133 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const { requireUploadSession } = require('../middleware/auth');
+const { verifyToken } = require('../services/tokens');
+const { storage } = require('../services/storage');
+const {
+    MAX_BYTES,
+    createUploadSession,
+    createUploadTargets,
+    completeUpload,
+    listSessionAssets
+} = require('../services/uploads');
+
+const localUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_BYTES, files: 1 }
+}).single('file');
+
+const sendFailure = (res, result) => res.status(result.httpStatus).json({
+    success: false,
+    code: result.code,
+    message: result.message
+});
+
+const sendError = (res, message, error) => {
+    console.error(`❌ ${message}:`, error.message);
+    res.status(500).json({
+        success: false,
+        message,
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+};
+
+// Start an upload session - body: { email? }. The returned token authorizes the calls below.
+router.post('/sessions', async (req, res) => {
+    try {
+        const session = await createUploadSession({ email: req.body?.email });
+        res.status(201).json({ success: true, ...session });
+    } catch (error) {
+        sendError(res, 'Failed to create upload session', error);
+    }
+});
+
+// Signed upload targets - body: { files: [{ kind: 'photo' | 'screenshot', contentType, size }] }
+router.post('/sessions/:sessionId/targets', requireUploadSession, async (req, res) => {
+    try {
+        const result = await createUploadTargets(req.uploadSessionId, req.body?.files);
+        if (!result.success) return sendFailure(res, result);
+
+        res.status(201).json({ success: true, targets: result.targets });
+    } catch (error) {
+        sendError(res, 'Failed to create upload targets', error);
+    }
+});
+
+// Confirm a finished upload - the backend checks storage before marking it uploaded
+router.post('/sessions/:sessionId/assets/:assetId/complete', requireUploadSession, async (req, res) => {
+    try {
+        const result = await completeUpload(req.uploadSessionId, req.params.assetId);
+        if (!result.success) return sendFailure(res, result);
+
+        res.json({ success: true, asset: result.asset });
+    } catch (error) {
+        sendError(res, 'Failed to confirm upload', error);
+    }
+});
+
+// Upload progress for the session
+router.get('/sessions/:sessionId', requireUploadSession, async (req, res) => {
+    try {
+        const assets = await listSessionAssets(req.uploadSessionId);
+        res.json({ success: true, assets });
+    } catch (error) {
+        sendError(res, 'Failed to fetch upload session', error);
+    }
+});
+
+// Upload target for MEDIA_STORAGE=local - multipart form with the signed token and the file
+router.post('/local', (req, res, next) => {
+    if (storage.name !== 'local') {
+        return res.status(404).json({ success: false, message: 'Endpoint not found' });
+    }
+
+    localUpload(req, res, (error) => {
+        if (error?.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({
+                success: false,
+                code: 'FILE_TOO_LARGE',
+                message: `Photos must be at most ${MAX_BYTES / (1024 * 1024)}MB`
+            });
+        }
+        next(error);
+    });
+}, async (req, res) => {
+    const claims = verifyToken('local-upload', req.body?.token);
+    if (!claims) {
+        return res.status(401).json({
+            success: false,
+            code: 'UNAUTHORIZED',
+            message: 'Valid upload target token required'
+        });
+    }
+    if (!req.file) {
+        return res.status(400).json({
+            success: false,
+            code: 'MISSING_FILE',
+            message: 'A file is required'
+        });
+    }
+    if (req.file.size > claims.maxBytes) {
+        return res.status(413).json({
+            success: false,
+            code: 'FILE_TOO_LARGE',
+            message: `Photos must be at most ${claims.maxBytes / (1024 * 1024)}MB`
+        });
+    }
+
+    try {
+        await storage.put(claims.key, req.file.buffer);
+        res.status(201).json({ success: true });
+    } catch (error) {
+        // sharp could not read it - not an image
+        console.warn(`⚠️ Rejected local upload for ${claims.key}: ${error.message}`);
+        res.status(400).json({
+            success: false,
+            code: 'INVALID_IMAGE',
+            message: 'File is not a supported image'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const { getClient } = require('../config/database');
+const { getPaymentProvider } = require('../services/paymentProviders');
+const { applyPaymentEvent } = require('../services/paymentEvents');
+
+// Payment lifecycle webhooks - PayPal PAYMENT.CAPTURE.* and Stripe payment_intent.*, refund.*
+// and charge.dispute.funds_withdrawn, normalized by the provider (see services/paymentProviders)
+router.post('/:provider(paypal|stripe)', async (req, res) => {
+    let client;
+    let event;
+
+    try {
+        // Only configured providers have an adapter - the provider keeps retrying until one is set up
+        const provider = getPaymentProvider(req.params.provider);
+        if (!provider) {
+            return res.status(503).json({
+                success: false,
+                code: 'PROVIDER_NOT_CONFIGURED',
+                message: `Payment provider ${req.params.provider} is not configured`
+            });
+        }
+
+        if (!req.rawBody) {
+            return res.status(400).json({
+                success: false,
+                code: 'MISSING_BODY',
+                message: 'Webhook body is required'
+            });
+        }
+
+        const parsed = await provider.parseWebhook(req);
+        if (!parsed.success) {
+            // Let the provider retry - we could not verify the signature
+            console.error(`❌ ${provider.label} webhook verification unavailable:`, parsed.error);
+            return res.status(503).json({
+                success: false,
+                code: 'VERIFICATION_UNAVAILABLE',
+                message: 'Could not verify webhook signature'
+            });
+        }
+
+        if (!parsed.verified) {
+            console.warn(`⚠️ Rejected ${provider.label} webhook with invalid signature: ${parsed.transmissionId}`);
+            return res.status(400).json({
+                success: false,
+                code: 'INVALID_SIGNATURE',
+                message: 'Webhook signature verification failed'
+            });
+        }
+
+        event = parsed.event;
+
+        if (!event.status) {
+            console.log(`ℹ️ Ignoring ${provider.label} webhook ${event.type}`);
+            return res.json({ success: true, ignored: true });
+        }
+
+        const { captureId, orderId } = event;
+        client = await getClient();
+        await client.query('BEGIN');
+
+        // Record the event first - providers retry deliveries, so the event ID makes this idempotent
+        const inserted = await client.query(`
+            INSERT INTO payment_events (event_id, event_type, capture_id, order_id, payload, provider)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            ON CONFLICT (event_id) DO NOTHING
+            RETURNING event_id
+        `, [event.id, event.type, captureId, orderId, JSON.stringify(event.payload), provider.id]);
+
+        if (inserted.rows.length === 0) {
+            await client.query('ROLLBACK');
+            console.log(`ℹ️ Duplicate ${provider.label} webhook ${event.id} ignored`);
+            return res.json({ success: true, duplicate: true });
+        }
+
+        const paymentResult = await client.query(`
+            SELECT payment_id, status FROM payments
+            WHERE provider = $3 AND (paypal_payment_id = $1 OR ($2::text IS NOT NULL AND order_id = $2))
+            LIMIT 1
+            FOR UPDATE
+        `, [captureId, orderId, provider.id]);
+
+        const payment = paymentResult.rows[0];
+        let result = { status: null, updated: false };
+
+        if (!payment) {
+            // The event can arrive before /store has written the order - it stays unprocessed
+            // and /store applies it (services/paymentEvents applyPendingEvents)
+            console.warn(`⚠️ No payment found yet for ${provider.label} webhook ${event.id} (capture ${captureId}) - kept for /store`);
+        } else {
+            result = await applyPaymentEvent(client, payment, event, provider);
+        }
+
+        await client.query('COMMIT');
+
+        res.json({
+            success: true,
+            paymentId: payment?.payment_id || null,
+            status: result.status,
+            updated: result.updated,
+            pending: !payment
+        });
+    } catch (error) {
+        if (client) {
+            await client.query('ROLLBACK').catch(() => {});
+        }
+        console.error(`❌ ${req.params.provider} webhook processing error:`, {
+            eventId: event?.id,
+            eventType: event?.type,
+            message: error.message
+        });
+        // Non-2xx makes the provider redeliver the event
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process webhook',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    } finally {
+        client?.release();
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,232 @@
+const { body, validationResult } = require('express-validator');
+
+// The onboarding questionnaire - the single source for the /store validators, the
+// onboarding_submissions CHECK constraints and the option lists in the Next app
+// (frontend/src/lib/onboarding-schema.ts, written by `npm run generate:onboarding-schema`).
+//
+// Changing an option list is a schema change: bump the version, regenerate the
+// frontend file and add a migration with the SQL printed by
+// `npm run generate:onboarding-schema -- --sql`. Paste it in - a migration that calls
+// buildConstraintSql() would change under migrations that already ran.
+const ONBOARDING_SCHEMA_VERSION = 1;
+
+const fields = {
+    name: { type: 'string', label: 'Name', required: true, maxLength: 100 },
+    age: {
+        type: 'enum',
+        label: 'Age',
+        column: 'age_range',
+        required: true,
+        options: [
+            { value: '20-29', label: 'Young Adult (20-29)' },
+            { value: '30-45', label: 'Adult (30-45)' },
+            { value: '46-60', label: 'Middle-aged (46-60)' },
+            { value: '60+', label: 'Senior (60+)' }
+        ]
+    },
+    datingGoal: {
+        type: 'enum',
+        label: 'Dating goal',
+        column: 'dating_goal',
+        required: true,
+        options: [
+            { value: 'casual', label: 'Casual Dating' },
+            { value: 'relationship', label: 'Relationship' },
+            { value: 'marriage', label: 'Marriage' },
+            { value: 'hookup', label: 'Hookup' }
+        ]
+    },
+    currentMatches: {
+        type: 'enum',
+        label: 'Current matches',
+        column: 'current_matches',
+        required: true,
+        options: [
+            { value: '0-2', label: '0-2 matches' },
+            { value: '3-5', label: '3-5 matches' },
+            { value: '5-10', label: '5-10 matches' },
+            { value: '10+', label: '10+ matches' }
+        ]
+    },
+    bodyType: {
+        type: 'enum',
+        label: 'Body type',
+        column: 'body_type',
+        required: true,
+        options: [
+            { value: 'slim', label: 'Slim' },
+            { value: 'average-fit', label: 'Average / Fit' },
+            { value: 'lean-toned', label: 'Lean & Toned' },
+            { value: 'muscular-athletic', label: 'Muscular / Athletic' },
+            { value: 'bulky-bodybuilder', label: 'Bulky / Bodybuilder' },
+            { value: 'chubby-soft', label: 'Chubby / Soft' },
+            { value: 'plus-size', label: 'Plus-size' },
+            { value: 'petite', label: 'Petite' },
+            { value: 'tall-slim', label: 'Tall and Slim' },
+            { value: 'short-stocky', label: 'Short and Stocky' }
+        ]
+    },
+    stylePreference: {
+        type: 'enum',
+        label: 'Style preference',
+        column: 'style_preference',
+        required: true,
+        options: [
+            { value: 'professional', label: 'Professional', description: 'Business attire, suits, formal wear' },
+            { value: 'casual', label: 'Casual', description: 'Everyday comfort, relaxed style' },
+            { value: 'adventurous', label: 'Adventurous', description: 'Outdoor gear, active lifestyle' },
+            { value: 'party', label: 'Party', description: 'Night out, trendy fashion' }
+        ]
+    },
+    ethnicity: {
+        type: 'enum',
+        label: 'Ethnicity',
+        column: 'ethnicity',
+        required: true,
+        options: [
+            { value: 'prefer-not-to-say', label: 'Prefer not to say' },
+            { value: 'white', label: 'White/Caucasian' },
+            { value: 'black', label: 'Black/African American' },
+            { value: 'hispanic', label: 'Hispanic/Latino' },
+            { value: 'asian', label: 'Asian' },
+            { value: 'middle-eastern', label: 'Middle Eastern' },
+            { value: 'native-american', label: 'Native American' },
+            { value: 'pacific-islander', label: 'Pacific Islander' },
+            { value: 'mixed', label: 'Mixed/Multi-racial' },
+            { value: 'other', label: 'Other' }
+        ]
+    },
+    interests: {
+        type: 'enumArray',
+        label: 'Interests',
+        column: 'interests',
+        required: true,
+        minItems: 3,
+        maxItems: 3,
+        options: [
+            { value: 'gym', label: 'Gym' },
+            { value: 'travel', label: 'Travel' },
+            { value: 'food', label: 'Food' },
+            { value: 'photography', label: 'Photography' },
+            { value: 'music', label: 'Music' },
+            { value: 'reading', label: 'Reading' },
+            { value: 'gaming', label: 'Gaming' },
+            { value: 'dating', label: 'Dating' },
+            { value: 'coffee', label: 'Coffee' },
+            { value: 'hiking', label: 'Hiking' },
+            { value: 'movies', label: 'Movies' },
+            { value: 'art', label: 'Art' }
+        ]
+    },
+    currentBio: { type: 'string', label: 'Current bio', maxLength: 500 },
+    email: { type: 'email', label: 'Email', required: true, maxLength: 255 },
+    phone: { type: 'phone', label: 'Phone', digits: 10 },
+    weeklyTips: { type: 'boolean', label: 'Weekly tips' },
+    vibe: {
+        type: 'enum',
+        label: 'Vibe',
+        column: 'vibe',
+        required: true,
+        options: [
+            { value: 'fitness-lifestyle', label: 'Fitness & Lifestyle' },
+            { value: 'career-success', label: 'Career & Success' },
+            { value: 'foodie-traveler', label: 'Foodie & Traveler' },
+            { value: 'fun-adventurous', label: 'Fun & Adventurous' }
+        ]
+    },
+    wantMore: {
+        type: 'enum',
+        label: 'Want more',
+        column: 'want_more',
+        required: true,
+        options: [
+            { value: 'matches', label: 'Matches' },
+            { value: 'dates', label: 'Dates' },
+            { value: 'serious-connections', label: 'Serious Connections' }
+        ]
+    },
+    oneLiner: { type: 'string', label: 'One-liner', maxLength: 200 }
+};
+
+const optionValues = (field) => field.options.map((option) => option.value);
+
+// express-validator chain for one field; prefix is the path of the onboarding object in the body
+const fieldValidators = (prefix, key, field) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    let chain = body(path);
+
+    chain = field.required
+        ? chain.exists({ values: 'falsy' }).withMessage(`${field.label} is required`).bail()
+        : chain.optional({ values: 'falsy' });
+
+    switch (field.type) {
+        case 'string':
+            return [chain.isString().bail().trim().isLength({ max: field.maxLength })
+                .withMessage(`${field.label} must be at most ${field.maxLength} characters`)];
+        case 'email':
+            return [chain.isEmail().withMessage(`${field.label} must be a valid email address`)
+                .isLength({ max: field.maxLength }).withMessage(`${field.label} is too long`)];
+        case 'phone':
+            return [chain.custom((value) => String(value).replace(/\D/g, '').length === field.digits)
+                .withMessage(`${field.label} must have ${field.digits} digits`)];
+        case 'boolean':
+            return [chain.isBoolean({ strict: true }).withMessage(`${field.label} must be true or false`)];
+        case 'enum':
+            return [chain.isIn(optionValues(field))
+                .withMessage(`${field.label} must be one of: ${optionValues(field).join(', ')}`)];
+        case 'enumArray':
+            return [
+                chain.isArray({ min: field.minItems, max: field.maxItems })
+                    .withMessage(field.minItems === field.maxItems
+                        ? `Select exactly ${field.minItems} ${field.label.toLowerCase()}`
+                        : `Select ${field.minItems}-${field.maxItems} ${field.label.toLowerCase()}`),
+                body(`${path}.*`).isIn(optionValues(field))
+                    .withMessage(`${field.label} must be from: ${optionValues(field).join(', ')}`)
+            ];
+        default:
+            throw new Error(`Unknown onboarding field type: ${field.type}`);
+    }
+};
+
+// Validation middleware for the whole questionnaire, e.g. buildOnboardingValidator('onboardingData')
+const buildOnboardingValidator = (prefix = '') => [
+    ...Object.entries(fields).flatMap(([key, field]) => fieldValidators(prefix, key, field)),
+
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                code: 'INVALID_ONBOARDING_DATA',
+                message: 'Onboarding data failed validation',
+                schemaVersion: ONBOARDING_SCHEMA_VERSION,
+                errors: errors.array().map((error) => ({ field: error.path, message: error.msg }))
+            });
+        }
+        next();
+    }
+];
+
+const sqlList = (values) => values.map((value) => `'${value.replace(/'/g, "''")}'`).join(', ');
+
+// CHECK constraints for every enum column. NOT VALID: rows stored under an older
+// schema version stay readable, new writes must match the current option lists.
+const buildConstraintSql = () => Object.values(fields)
+    .filter((field) => field.column)
+    .map((field) => {
+        const name = `onboarding_submissions_${field.column}_check`;
+        const check = field.type === 'enumArray'
+            ? `jsonb_typeof(${field.column}) = 'array' AND ${field.column} <@ '${JSON.stringify(optionValues(field))}'::jsonb`
+            : `${field.column} IN (${sqlList(optionValues(field))})`;
+
+        return `ALTER TABLE onboarding_submissions DROP CONSTRAINT IF EXISTS ${name};
+ALTER TABLE onboarding_submissions ADD CONSTRAINT ${name} CHECK (${check}) NOT VALID;`;
+    })
+    .join('\n');
+
+module.exports = {
+    ONBOARDING_SCHEMA_VERSION,
+    onboardingFields: fields,
+    buildOnboardingValidator,
+    buildConstraintSql
+};
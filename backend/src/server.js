@@ -5,47 +5,52 @@ if (process.env.NODE_ENV !== 'production') {
 
 const express = require('express');
 const cors = require('cors');
-const { Pool } = require('pg');
-const cloudinary = require('cloudinary').v2;
 const compression = require('compression');
 const helmet = require('helmet');
+const { verifyPayment } = require('./services/paymentVerification');
+const { idempotent } = require('./middleware/idempotency');
+const { requireAdmin } = require('./middleware/auth');
+const { resolveOrderPhotos, attachOrderPhotos } = require('./services/uploads');
+const { listSubmissionPhotos } = require('./services/photos');
+const { createFulfillment } = require('./services/fulfillment');
+const { upsertCustomer, getPurchaseHistory } = require('./services/customers');
+const { queuePaymentEmail, startEmailWorker } = require('./services/emailQueue');
+const { startNewsletterWorker } = require('./services/newsletter');
+const { completePendingOrder, startCheckoutExpiryWorker } = require('./services/checkouts');
+const { applyPendingEvents } = require('./services/paymentEvents');
+const { startReconciliationWorker } = require('./services/reconciliation');
+const { transport: emailTransport } = require('./services/email');
+const { storage } = require('./services/storage');
+const { ONBOARDING_SCHEMA_VERSION, buildOnboardingValidator } = require('./schemas/onboarding');
+const webhookRoutes = require('./routes/webhooks');
+const refundRoutes = require('./routes/refunds');
+const packageRoutes = require('./routes/packages');
+const uploadRoutes = require('./routes/uploads');
+const adminRoutes = require('./routes/admin');
+const fulfillmentRoutes = require('./routes/fulfillment');
+const deliveryRoutes = require('./routes/delivery');
+const accountRoutes = require('./routes/account');
+const newsletterRoutes = require('./routes/newsletter');
+const checkoutRoutes = require('./routes/checkout');
+const reconciliationRoutes = require('./routes/reconciliation');
 
 const app = express();
 const PORT = process.env.PORT || 5001;
 
-// Optimized database pool configuration
-let pool = null;
-try {
-    pool = new Pool({
-        host: process.env.DB_HOST,
-        port: process.env.DB_PORT,
-        database: process.env.DB_NAME,
-        user: process.env.DB_USER,
-        password: process.env.DB_PASSWORD,
-        ssl: process.env.DB_HOST?.includes('digitalocean') ? { rejectUnauthorized: false } : false,
-        max: 10, // Increased for better concurrency
-        min: 2,  // Keep minimum connections
-        idleTimeoutMillis: 30000,
-        connectionTimeoutMillis: 10000,
-        acquireTimeoutMillis: 10000,
-        statement_timeout: 30000,
-        query_timeout: 30000,
-    });
-    
-    // Test connection on startup
-    pool.on('connect', () => console.log('✅ Database connected'));
-    pool.on('error', (err) => console.error('❌ Database pool error:', err));
-} catch (error) {
-    console.error('❌ Database connection error:', error);
-    throw error;
-}
+// Shared database pool (also used by the mounted routers)
+const { pool } = require('./config/database');
 
-// Cloudinary config
-cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET
-});
+// TRUST_PROXY takes a hop count, true/false, or a list of addresses/subnets
+const parseTrustProxy = (value) => {
+    if (!value) return 'loopback';
+    if (/^\d+$/.test(value)) return parseInt(value, 10);
+    if (value === 'true' || value === 'false') return value === 'true';
+    return value;
+};
+
+// req.ip comes from X-Forwarded-For set by these proxies - by default the Next server on the
+// same host. Set TRUST_PROXY (an Express "trust proxy" value) when a load balancer sits in front.
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
 
 // Optimized middleware stack
 app.use(helmet({
@@ -57,111 +62,183 @@ app.use(cors({
     origin: process.env.FRONTEND_URL || '*',
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+    exposedHeaders: ['Idempotent-Replayed']
 }));
 app.use(express.json({ 
-    limit: '10mb',
+    limit: '1mb', // Photos are uploaded straight to storage, never through the API
     verify: (req, res, buf) => {
         req.rawBody = buf;
     }
 }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 
 // Health check
 app.get(['/', '/health'], (req, res) => res.status(200).send('OK'));
 
-// Optimized image upload function with better error handling and performance
-async function uploadImages(images, folder) {
-    if (!Array.isArray(images) || images.length === 0) return [];
+// Package catalog
+app.use('/api/packages', packageRoutes);
 
-    // Process images in batches to avoid overwhelming Cloudinary
-    const batchSize = 3;
-    const results = [];
-    
-    for (let i = 0; i < images.length; i += batchSize) {
-        const batch = images.slice(i, i + batchSize);
-        
-        const uploads = batch.map(async (image, index) => {
-            try {
-                // Validate image data
-                if (!image || typeof image !== 'string') {
-                    console.warn(`Invalid image data at index ${i + index}`);
-                    return null;
-                }
-                
-                const imageData = image.startsWith('data:') ? image : `data:image/jpeg;base64,${image}`;
-                
-                const result = await cloudinary.uploader.upload(imageData, {
-                    folder,
-                    transformation: [
-                        { width: 800, height: 800, crop: 'limit' },
-                        { quality: 'auto:good' },
-                        { format: 'auto' } // Auto-optimize format
-                    ],
-                    timeout: 30000, // 30 second timeout
-                    resource_type: 'auto'
-                });
-                
-                console.log(`✅ Uploaded image ${i + index + 1}/${images.length} to ${result.secure_url}`);
-                return result.secure_url;
-            } catch (error) {
-                console.error(`❌ Image upload failed for batch ${i + index}:`, error.message);
-                return null;
-            }
-        });
-        
-        const batchResults = await Promise.all(uploads);
-        results.push(...batchResults.filter(Boolean));
-    }
-    
-    return results;
+// Payment provider webhooks
+app.use('/api/webhooks', webhookRoutes);
+
+// Direct-to-storage photo uploads
+app.use('/api/uploads', uploadRoutes);
+
+// Local media storage serves its own files (the frontend loads them cross-origin)
+if (storage.name === 'local') {
+    app.use('/media', express.static(storage.root, {
+        setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+    }));
 }
 
-// Store payment and onboarding data
-app.post('/api/payments/store', async (req, res) => {
+// Staff sign-in
+app.use('/api/admin', adminRoutes);
+
+// Refunds (staff only)
+app.use('/api/payments', refundRoutes);
+
+// Order fulfillment workflow (staff only)
+app.use('/api/fulfillment', fulfillmentRoutes);
+
+// Customer results page (signed delivery links)
+app.use('/api/delivery', deliveryRoutes);
+
+// Customer accounts (magic-link sign-in, dashboard)
+app.use('/api/account', accountRoutes);
+
+// Weekly tips newsletter (staff) and unsubscribe links
+app.use('/api/newsletter', newsletterRoutes);
+
+// Checkouts in progress, abandoned checkout report and resume links
+app.use('/api/checkout', checkoutRoutes);
+
+// PayPal reconciliation runs and discrepancy reports (staff)
+app.use('/api/reconciliation', reconciliationRoutes);
+
+// The response for an order that is already stored - retries get the original IDs back
+const findStoredOrder = async (db, orderId) => {
+    const result = await db.query(
+        'SELECT user_id, payment_id, needs_photos FROM payments WHERE order_id = $1',
+        [orderId]
+    );
+    const row = result.rows[0];
+    return row && {
+        success: true,
+        message: 'Data stored successfully',
+        userId: row.user_id,
+        paymentId: row.payment_id,
+        needsPhotos: row.needs_photos,
+        duplicate: true
+    };
+};
+
+const sendStoreError = (res, error) => res.status(500).json({
+    success: false,
+    message: 'Failed to store data',
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+});
+
+// Store payment and onboarding data - retries with the same Idempotency-Key
+// (or the same order ID) get the original response back.
+// Photos are uploaded beforehand through /api/uploads; the body only carries their IDs.
+app.post('/api/payments/store', idempotent('payments.store', {
+    fallbackKey: (req) => req.body?.orderId
+}), buildOnboardingValidator('onboardingData'), async (req, res) => {
     const {
-        orderId, paymentId, amount, currency = 'USD', packageId, packageName,
-        customerEmail, customerName, status, onboardingData
+        provider, orderId, paymentId, packageId, customerEmail, customerName, onboardingData,
+        uploadToken, photoIds
     } = req.body;
 
     // Validation
-    if (!orderId || !paymentId || !amount || !customerEmail || status !== 'completed') {
+    if (!orderId || !packageId || !customerEmail) {
         return res.status(400).json({
             success: false,
-            message: 'Missing required payment fields or payment not completed'
+            code: 'MISSING_FIELDS',
+            message: 'Missing required payment fields'
         });
     }
 
-    if (!onboardingData?.name || !onboardingData?.email) {
-        return res.status(400).json({
+    let verification;
+    try {
+        // Stored under a different key (e.g. by the capture route) - skip the uploads and inserts
+        const existingOrder = await findStoredOrder(pool, orderId);
+        if (existingOrder) {
+            console.log(`♻️ Order ${orderId} already stored - returning the original result`);
+            return res.json(existingOrder);
+        }
+
+        // Verify the capture with the provider before anything is uploaded or written
+        verification = await verifyPayment({ provider, orderId, paymentId, packageId });
+    } catch (error) {
+        console.error('❌ Store payment lookup error:', error.message);
+        return sendStoreError(res, error);
+    }
+
+    if (!verification.verified) {
+        console.warn(`⚠️ Payment verification failed for order ${orderId}: ${verification.code}`);
+        return res.status(verification.httpStatus).json({
+            success: false,
+            code: verification.code,
+            message: verification.message,
+            ...(verification.expected && { expected: verification.expected, actual: verification.actual })
+        });
+    }
+
+    const { captureId, amount, currency, package: verifiedPackage } = verification;
+
+    // Resolve the uploaded photos before opening the transaction
+    let photos;
+    try {
+        photos = await resolveOrderPhotos({
+            uploadToken,
+            photoIds,
+            minPhotos: verifiedPackage.minPhotos
+        });
+    } catch (error) {
+        console.error('❌ Photo lookup error:', error.message);
+        return sendStoreError(res, error);
+    }
+
+    if (!photos.success) {
+        return res.status(photos.httpStatus).json({
             success: false,
-            message: 'Missing onboarding data (name and email required)'
+            code: photos.code,
+            message: photos.message
         });
     }
 
-    const client = await pool.connect();
+    let client;
+    try {
+        client = await pool.connect();
+    } catch (error) {
+        console.error('❌ Store payment connection error:', error.message);
+        return sendStoreError(res, error);
+    }
     const startTime = Date.now();
 
     try {
         await client.query('BEGIN');
 
-        // Upload images in parallel
-        const [originalUrls, screenshotUrls] = await Promise.all([
-            uploadImages(onboardingData.originalPhotos || [], 'matchlens-onboarding-photos'),
-            uploadImages(onboardingData.screenshotPhotos || [], 'matchlens-onboarding-screenshots')
-        ]);
+        // Every order with this email belongs to the same customer account
+        const customerId = await upsertCustomer(client, {
+            email: customerEmail,
+            name: customerName || onboardingData.name,
+            phone: onboardingData.phone
+        });
 
         // Insert onboarding data
         const onboardingResult = await client.query(`
             INSERT INTO onboarding_submissions (
-                name, age, dating_goal, current_matches, body_type, style_preference,
+                name, age, age_range, dating_goal, current_matches, body_type, style_preference,
                 ethnicity, interests, current_bio, email, phone, weekly_tips,
-                original_photos, screenshot_photos
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+                vibe, want_more, one_liner, schema_version, customer_id
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
             RETURNING user_id
         `, [
             onboardingData.name,
-            onboardingData.age ? parseInt(onboardingData.age) : null,
+            parseInt(onboardingData.age), // Lower bound of the age range
+            onboardingData.age,
             onboardingData.datingGoal,
             onboardingData.currentMatches,
             onboardingData.bodyType,
@@ -172,56 +249,94 @@ app.post('/api/payments/store', async (req, res) => {
             onboardingData.email,
             onboardingData.phone || '',
             onboardingData.weeklyTips || false,
-            JSON.stringify(originalUrls),
-            JSON.stringify(screenshotUrls)
+            onboardingData.vibe,
+            onboardingData.wantMore,
+            onboardingData.oneLiner || null,
+            ONBOARDING_SCHEMA_VERSION,
+            customerId
         ]);
 
         const userId = onboardingResult.rows[0].user_id;
 
-        // Insert payment data
+        await attachOrderPhotos(client, photos, userId);
+
+        // Insert payment data - amounts and IDs come from the verified capture
         const paymentResult = await client.query(`
             INSERT INTO payments (
                 user_id, order_id, paypal_payment_id, amount, currency, package_id,
-                package_name, customer_email, customer_name, status
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                package_name, customer_email, customer_name, status, paypal_data, needs_photos, customer_id, provider
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
             RETURNING payment_id
         `, [
-            userId, orderId, paymentId, amount, currency, packageId,
-            packageName, customerEmail, customerName, status
+            userId, orderId, captureId, amount, currency, verifiedPackage.id,
+            verifiedPackage.name, customerEmail, customerName, 'completed',
+            JSON.stringify(verification.order), photos.summary.needsPhotos, customerId, verification.provider
         ]);
 
+        await createFulfillment(client, { paymentId: paymentResult.rows[0].payment_id, userId });
+        await completePendingOrder(client, orderId, paymentResult.rows[0].payment_id);
+
+        // Receipt and confirmation go out once the order is committed
+        await queuePaymentEmail(client, 'purchase_receipt', paymentResult.rows[0].payment_id);
+        await queuePaymentEmail(client, 'onboarding_received', paymentResult.rows[0].payment_id);
+
+        // Refunds, disputes and the like that the provider sent before we had the order
+        await applyPendingEvents(client, {
+            paymentId: paymentResult.rows[0].payment_id,
+            providerId: verification.provider,
+            orderId,
+            captureId
+        });
+
         await client.query('COMMIT');
         
         const processingTime = Date.now() - startTime;
         console.log(`✅ Transaction completed in ${processingTime}ms`);
 
+        if (photos.summary.needsPhotos) {
+            console.warn(`⚠️ Order ${orderId} needs photos: ${photos.summary.stored}/${photos.summary.required} stored`);
+        }
+
         res.json({
             success: true,
             message: 'Data stored successfully',
             userId,
             paymentId: paymentResult.rows[0].payment_id,
+            needsPhotos: photos.summary.needsPhotos,
+            photos: photos.summary,
             processingTime: `${processingTime}ms`
         });
 
     } catch (error) {
-        await client.query('ROLLBACK');
+        await client.query('ROLLBACK').catch((rollbackError) => {
+            console.error('❌ Store payment rollback error:', rollbackError.message);
+        });
+
+        // Lost a race with a concurrent store of the same order
+        if (error.code === '23505' && error.constraint === 'payments_order_id_key') {
+            try {
+                const storedOrder = await findStoredOrder(pool, orderId);
+                if (storedOrder) {
+                    return res.json(storedOrder);
+                }
+            } catch (lookupError) {
+                console.error('❌ Stored order lookup error:', lookupError.message);
+            }
+        }
+
         console.error('❌ Store payment error:', {
             message: error.message,
             stack: error.stack,
             processingTime: `${Date.now() - startTime}ms`
         });
-        res.status(500).json({
-            success: false,
-            message: 'Failed to store data',
-            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-        });
+        sendStoreError(res, error);
     } finally {
         client.release(); // Always release the connection
     }
 });
 
 // Optimized payments list endpoint with pagination and caching
-app.get('/api/payments/list', async (req, res) => {
+app.get('/api/payments/list', requireAdmin(), async (req, res) => {
     try {
         const page = parseInt(req.query.page) || 1;
         const limit = Math.min(parseInt(req.query.limit) || 50, 100); // Max 100 per page
@@ -232,9 +347,13 @@ app.get('/api/payments/list', async (req, res) => {
             pool.query('SELECT COUNT(*) FROM payments'),
             pool.query(`
                 SELECT 
-                    p.payment_id, p.user_id, p.order_id, p.amount, p.currency,
-                    p.package_name, p.customer_email, p.customer_name, p.status,
+                    p.payment_id, p.user_id, p.order_id, p.provider, p.paypal_payment_id, p.amount, p.currency,
+                    p.package_name, p.customer_email, p.customer_name, p.status, p.needs_photos,
                     p.created_at as payment_created_at,
+                    COALESCE((
+                        SELECT SUM(r.amount) FROM refunds r
+                        WHERE r.payment_id = p.payment_id AND r.status IN ('pending', 'completed')
+                    ), 0) as refunded_amount,
                     o.name, o.age, o.email, o.dating_goal
                 FROM payments p
                 JOIN onboarding_submissions o ON p.user_id = o.user_id
@@ -269,7 +388,7 @@ app.get('/api/payments/list', async (req, res) => {
 });
 
 // Optimized payment lookup with better error handling
-app.get('/api/payments/order/:orderId', async (req, res) => {
+app.get('/api/payments/order/:orderId', requireAdmin(), async (req, res) => {
     try {
         const { orderId } = req.params;
         
@@ -285,7 +404,7 @@ app.get('/api/payments/order/:orderId', async (req, res) => {
             SELECT 
                 p.*, o.name, o.age, o.dating_goal, o.current_matches, o.body_type,
                 o.style_preference, o.ethnicity, o.interests, o.current_bio,
-                o.phone, o.weekly_tips, o.original_photos, o.screenshot_photos,
+                o.phone, o.weekly_tips,
                 o.created_at as onboarding_created_at
             FROM payments p
             JOIN onboarding_submissions o ON p.user_id = o.user_id
@@ -299,9 +418,10 @@ app.get('/api/payments/order/:orderId', async (req, res) => {
             });
         }
 
+        const payment = result.rows[0];
         res.json({ 
             success: true, 
-            payment: result.rows[0] 
+            payment: { ...payment, photos: await listSubmissionPhotos(payment.user_id) }
         });
     } catch (error) {
         console.error('❌ Get payment error:', error.message);
@@ -313,6 +433,38 @@ app.get('/api/payments/order/:orderId', async (req, res) => {
     }
 });
 
+// Purchase history behind a submission - the customer, every questionnaire version and
+// every payment made with the same email
+app.get('/api/payments/user/:userId', requireAdmin(), async (req, res) => {
+    try {
+        const result = await getPurchaseHistory(req.params.userId);
+
+        if (!result.success) {
+            return res.status(result.httpStatus).json({
+                success: false,
+                code: result.code,
+                message: result.message
+            });
+        }
+
+        res.json({
+            success: true,
+            user: result.user,
+            customer: result.customer,
+            submissions: result.submissions,
+            payments: result.payments,
+            paymentCount: result.payments.length
+        });
+    } catch (error) {
+        console.error('❌ Get user error:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch user',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
 // Enhanced error handling middleware
 app.use((error, req, res, next) => {
     console.error('❌ Unhandled error:', {
@@ -341,64 +493,82 @@ app.use('*', (req, res) => {
     });
 });
 
-// Start server with enhanced logging
-const server = app.listen(PORT, '0.0.0.0', () => {
-    console.log(`🚀 Server running on port ${PORT}`);
-    console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`🔗 Health check: http://localhost:${PORT}/health`);
-    console.log(`📊 Database: ${process.env.DB_HOST ? 'Connected' : 'Not configured'}`);
-    console.log(`☁️  Cloudinary: ${process.env.CLOUDINARY_CLOUD_NAME ? 'Configured' : 'Not configured'}`);
-});
+// Start server with enhanced logging - tests require the app without starting it
+const startServer = () => {
+    const server = app.listen(PORT, '0.0.0.0', () => {
+        console.log(`🚀 Server running on port ${PORT}`);
+        console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+        console.log(`🔗 Health check: http://localhost:${PORT}/health`);
+        console.log(`📊 Database: ${process.env.DB_HOST ? 'Connected' : 'Not configured'}`);
+        console.log(`☁️  Media storage: ${storage.name}`);
+        console.log(`📧 Email transport: ${emailTransport.name}`);
+    });
 
-// Enhanced graceful shutdown with better error handling
-const gracefulShutdown = (signal) => {
-    console.log(`\n🛑 ${signal} received, shutting down gracefully...`);
-    
-    const startTime = Date.now();
-    const timeout = setTimeout(() => {
-        console.log('⏰ Force exit timeout reached (15s)');
-        process.exit(1);
-    }, 15000); // Increased timeout
-
-    server.close((err) => {
-        if (err) {
-            console.error('❌ Error closing HTTP server:', err);
-        } else {
-            console.log('✅ HTTP server closed');
-        }
-        
-        if (pool) {
-            pool.end((err) => {
-                if (err) {
-                    console.error('❌ Error closing database pool:', err);
-                } else {
-                    console.log('✅ Database pool closed');
-                }
-                
-                const shutdownTime = Date.now() - startTime;
-                console.log(`⏱️  Shutdown completed in ${shutdownTime}ms`);
+    const stopEmailWorker = startEmailWorker();
+    const stopNewsletterWorker = startNewsletterWorker();
+    const stopCheckoutExpiryWorker = startCheckoutExpiryWorker();
+    const stopReconciliationWorker = startReconciliationWorker();
+
+    // Enhanced graceful shutdown with better error handling
+    const gracefulShutdown = (signal) => {
+        console.log(`\n🛑 ${signal} received, shutting down gracefully...`);
+
+        const startTime = Date.now();
+        stopEmailWorker();
+        stopNewsletterWorker();
+        stopCheckoutExpiryWorker();
+        stopReconciliationWorker();
+        const timeout = setTimeout(() => {
+            console.log('⏰ Force exit timeout reached (15s)');
+            process.exit(1);
+        }, 15000); // Increased timeout
+
+        server.close((err) => {
+            if (err) {
+                console.error('❌ Error closing HTTP server:', err);
+            } else {
+                console.log('✅ HTTP server closed');
+            }
+
+            if (pool) {
+                pool.end((err) => {
+                    if (err) {
+                        console.error('❌ Error closing database pool:', err);
+                    } else {
+                        console.log('✅ Database pool closed');
+                    }
+
+                    const shutdownTime = Date.now() - startTime;
+                    console.log(`⏱️  Shutdown completed in ${shutdownTime}ms`);
+                    clearTimeout(timeout);
+                    process.exit(0);
+                });
+            } else {
                 clearTimeout(timeout);
                 process.exit(0);
-            });
-        } else {
-            clearTimeout(timeout);
-            process.exit(0);
-        }
+            }
+        });
+    };
+
+    // Handle various shutdown signals
+    process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+    process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+    process.on('SIGUSR2', () => gracefulShutdown('SIGUSR2')); // For nodemon
+
+    // Handle uncaught exceptions
+    process.on('uncaughtException', (error) => {
+        console.error('💥 Uncaught Exception:', error);
+        gracefulShutdown('UNCAUGHT_EXCEPTION');
     });
-};
 
-// Handle various shutdown signals
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
-process.on('SIGUSR2', () => gracefulShutdown('SIGUSR2')); // For nodemon
+    process.on('unhandledRejection', (reason, promise) => {
+        console.error('💥 Unhandled Rejection at:', promise, 'reason:', reason);
+        gracefulShutdown('UNHANDLED_REJECTION');
+    });
+};
 
-// Handle uncaught exceptions
-process.on('uncaughtException', (error) => {
-    console.error('💥 Uncaught Exception:', error);
-    gracefulShutdown('UNCAUGHT_EXCEPTION');
-});
+if (require.main === module) {
+    startServer();
+}
 
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('💥 Unhandled Rejection at:', promise, 'reason:', reason);
-    gracefulShutdown('UNHANDLED_REJECTION');
-});
\ No newline at end of file
+module.exports = app;
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { query } = require('../config/database');
+const { signToken } = require('./tokens');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ADMIN_ROLES = ['admin', 'support', 'read_only'];
+
+// Staff sessions last a working day
+const SESSION_TTL_SECONDS = 12 * 60 * 60;
+
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const derived = await scrypt(password, salt, 64);
+    return `scrypt$${salt}$${derived.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+    const [scheme, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const derived = await scrypt(password, salt, 64);
+    const expected = Buffer.from(hash, 'hex');
+    return expected.length === derived.length && crypto.timingSafeEqual(expected, derived);
+};
+
+// Only what the frontend needs - never the password hash
+const toAdmin = (row) => ({
+    id: row.admin_id,
+    email: row.email,
+    name: row.name,
+    role: row.role
+});
+
+const getActiveAdmin = async (adminId) => {
+    const result = await query(
+        'SELECT * FROM admin_users WHERE admin_id = $1 AND is_active = true',
+        [adminId]
+    );
+    return result.rows[0] ? toAdmin(result.rows[0]) : null;
+};
+
+// Check credentials and issue a session token
+const login = async (email, password) => {
+    const result = await query(
+        'SELECT * FROM admin_users WHERE email = $1 AND is_active = true',
+        [(email || '').trim().toLowerCase()]
+    );
+    const row = result.rows[0];
+
+    // Hash anyway for unknown emails so response timing does not reveal which accounts exist
+    const valid = row
+        ? await verifyPassword(password || '', row.password_hash)
+        : (await hashPassword(password || ''), false);
+
+    if (!valid) {
+        return { success: false, code: 'INVALID_CREDENTIALS', message: 'Invalid email or password', httpStatus: 401 };
+    }
+
+    await query('UPDATE admin_users SET last_login_at = NOW() WHERE admin_id = $1', [row.admin_id]);
+
+    const admin = toAdmin(row);
+    return {
+        success: true,
+        admin,
+        token: signToken('admin', { sub: admin.id }, SESSION_TTL_SECONDS),
+        expiresIn: SESSION_TTL_SECONDS
+    };
+};
+
+const createAdmin = async ({ email, name, role, password }) => {
+    if (!ADMIN_ROLES.includes(role)) {
+        throw new Error(`Role must be one of: ${ADMIN_ROLES.join(', ')}`);
+    }
+
+    const result = await query(`
+        INSERT INTO admin_users (email, name, role, password_hash)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (email) DO UPDATE
+            SET name = EXCLUDED.name, role = EXCLUDED.role,
+                password_hash = EXCLUDED.password_hash, is_active = true
+        RETURNING *
+    `, [email.trim().toLowerCase(), name, role, await hashPassword(password)]);
+
+    return toAdmin(result.rows[0]);
+};
+
+module.exports = {
+    ADMIN_ROLES,
+    SESSION_TTL_SECONDS,
+    login,
+    getActiveAdmin,
+    createAdmin
+};
@@ -0,0 +1,379 @@
+const { query } = require('../config/database');
+const { getPaymentProvider } = require('./paymentProviders');
+const { getPackage } = require('./packages');
+const { normalizeEmail } = require('./customers');
+const { signToken, verifyToken } = require('./tokens');
+const { startWorker } = require('../utils/worker');
+
+// Checkouts in progress (pending_orders). A checkout is recorded when its order is created
+// with the payment provider (a PayPal order or Stripe PaymentIntent), with the package and
+// the questionnaire draft, so we can see who reached checkout and dropped off - and send
+// them back to it with their answers intact.
+//
+//   pending -> completed   /store recorded the payment
+//   pending -> cancelled   the customer backed out of the payment
+//   pending -> expired     nothing happened for CHECKOUT_TIMEOUT_MINUTES
+//
+// A cancelled or expired order that is paid after all still completes.
+
+const CHECKOUT_TIMEOUT_MINUTES = 3 * 60;
+
+// Resume links go out in follow-ups, days after the checkout
+const RESUME_TTL_SECONDS = 14 * 24 * 60 * 60;
+
+// The browser that started a checkout holds its token for as long as the checkout is open
+const CHECKOUT_TOKEN_TTL_SECONDS = 24 * 60 * 60;
+
+// Abandoned checkouts are grouped by how long ago they were started
+const AGE_BUCKETS = [
+    { label: 'under_1h', maxHours: 1 },
+    { label: '1h_to_24h', maxHours: 24 },
+    { label: '1d_to_7d', maxHours: 7 * 24 },
+    { label: 'over_7d', maxHours: null }
+];
+
+const WORKER_INTERVAL_MS = 10 * 60 * 1000;
+
+// Payments that mean the customer bought after all
+const PAID_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+const fail = (code, message, httpStatus = 400, details = {}) => ({
+    success: false,
+    code,
+    message,
+    httpStatus,
+    ...details
+});
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const signResumeLink = (pendingOrderId) => {
+    const token = signToken('checkout-resume', { oid: pendingOrderId }, RESUME_TTL_SECONDS);
+    return {
+        token,
+        url: `${process.env.FRONTEND_URL}/checkout?resume=${token}`,
+        expiresAt: new Date(Date.now() + RESUME_TTL_SECONDS * 1000)
+    };
+};
+
+// Proves the caller started the checkout for this order - cancelling needs it
+const signCheckoutToken = (orderId) => signToken('checkout', { oid: orderId }, CHECKOUT_TOKEN_TTL_SECONDS);
+
+const toCheckout = (row) => ({
+    id: row.pending_order_id,
+    orderId: row.order_id,
+    provider: row.provider,
+    packageId: row.package_id,
+    packageName: row.package_name,
+    amount: parseFloat(row.amount),
+    currency: row.currency,
+    customerEmail: row.customer_email,
+    customerName: row.customer_name,
+    status: row.status,
+    paymentId: row.payment_id,
+    completedAt: row.completed_at,
+    cancelledAt: row.cancelled_at,
+    expiredAt: row.expired_at,
+    createdAt: row.created_at
+});
+
+// Upload credentials are left out - the link that resumes the checkout shows the draft
+const toDraft = (onboardingData) => {
+    const { uploadToken, photoIds, ...draft } = isPlainObject(onboardingData) ? onboardingData : {};
+    return draft;
+};
+
+// The same order posted again (a retried request) refreshes the draft while it is still open.
+// The email and name first recorded stay - follow-ups and resume links go to that address.
+const insertPendingOrder = async ({ provider, orderId, selectedPackage, draft }) => {
+    const email = normalizeEmail(draft.email) || null;
+    const name = typeof draft.name === 'string' && draft.name.trim() ? draft.name.trim().slice(0, 100) : null;
+
+    const result = await query(`
+        INSERT INTO pending_orders (order_id, provider, package_id, package_name, amount, currency, customer_email, customer_name, onboarding_draft)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        ON CONFLICT (order_id) DO UPDATE
+            SET onboarding_draft = EXCLUDED.onboarding_draft,
+                customer_email = COALESCE(pending_orders.customer_email, EXCLUDED.customer_email),
+                customer_name = COALESCE(pending_orders.customer_name, EXCLUDED.customer_name)
+            WHERE pending_orders.status = 'pending'
+        RETURNING *
+    `, [
+        orderId,
+        provider,
+        selectedPackage.id,
+        selectedPackage.name,
+        selectedPackage.price,
+        selectedPackage.currency,
+        email,
+        name,
+        JSON.stringify(draft)
+    ]);
+
+    if (!result.rows[0]) {
+        return fail('CHECKOUT_CLOSED', 'This checkout has already finished', 409);
+    }
+    return { success: true, checkout: toCheckout(result.rows[0]) };
+};
+
+// Start a checkout - creates the order with the provider, priced from the package catalog,
+// and records it. clientSecret is set for providers confirmed in the browser (Stripe);
+// checkoutToken goes back to the browser for cancelling.
+const createCheckoutIntent = async ({ provider: providerName = 'paypal', packageId, onboardingData, idempotencyKey }) => {
+    const provider = getPaymentProvider(providerName);
+    if (!provider) {
+        return fail('UNKNOWN_PROVIDER', `Unknown payment provider: ${providerName}`);
+    }
+
+    const selectedPackage = await getPackage(packageId);
+    if (!selectedPackage) {
+        return fail('UNKNOWN_PACKAGE', `Unknown package: ${packageId}`);
+    }
+
+    const draft = toDraft(onboardingData);
+    const created = await provider.createIntent({
+        package: selectedPackage,
+        customerEmail: normalizeEmail(draft.email),
+        idempotencyKey
+    });
+    if (!created.success) {
+        return fail('PROVIDER_ERROR', `${provider.label} order creation failed`, 502, { debugId: created.debugId });
+    }
+
+    // The customer can pay without it - a checkout we failed to record is only missing from the report
+    let checkout = null;
+    try {
+        const recorded = await insertPendingOrder({ provider: provider.id, orderId: created.orderId, selectedPackage, draft });
+        checkout = recorded.checkout || null;
+    } catch (error) {
+        console.error(`❌ Failed to record checkout ${created.orderId}:`, error.message);
+    }
+
+    return {
+        success: true,
+        provider: provider.id,
+        orderId: created.orderId,
+        clientSecret: created.clientSecret,
+        checkoutToken: signCheckoutToken(created.orderId),
+        package: selectedPackage,
+        checkout
+    };
+};
+
+// Record a checkout whose order was created elsewhere - body: { provider, orderId, packageId, onboardingData, uploadToken }.
+// Only a customer with an upload session (from onboarding) can record one, and the order must
+// exist at the provider and be for the package, so nothing else can be recorded.
+const recordPendingOrder = async ({ provider: providerName = 'paypal', orderId, packageId, onboardingData, uploadToken }) => {
+    if (typeof orderId !== 'string' || !orderId || orderId.length > 100) {
+        return fail('MISSING_FIELDS', 'orderId is required');
+    }
+
+    if (!verifyToken('upload', uploadToken)) {
+        return fail('INVALID_UPLOAD_TOKEN', 'Upload session is invalid or has expired', 401);
+    }
+
+    const provider = getPaymentProvider(providerName);
+    if (!provider) {
+        return fail('UNKNOWN_PROVIDER', `Unknown payment provider: ${providerName}`);
+    }
+
+    const selectedPackage = await getPackage(packageId);
+    if (!selectedPackage) {
+        return fail('UNKNOWN_PACKAGE', `Unknown package: ${packageId}`);
+    }
+
+    const lookup = await provider.getPayment(orderId);
+    if (!lookup.success) {
+        if (lookup.notFound) {
+            return fail('ORDER_NOT_FOUND', `${provider.label} order does not exist`, 404);
+        }
+        return fail('PROVIDER_LOOKUP_FAILED', `Could not look up the order with ${provider.label}`, 502, { debugId: lookup.debugId });
+    }
+    if (lookup.payment.packageId !== selectedPackage.id) {
+        return fail('PACKAGE_MISMATCH', `${provider.label} order was created for a different package`, 409);
+    }
+
+    return insertPendingOrder({ provider: provider.id, orderId, selectedPackage, draft: toDraft(onboardingData) });
+};
+
+// Where a checkout's payment stands with its provider - the Next capture route checks that a
+// Stripe PaymentIntent succeeded before it keeps the order for /store
+const getCheckoutPayment = async ({ provider: providerName, orderId }) => {
+    const provider = getPaymentProvider(providerName);
+    if (!provider) {
+        return fail('UNKNOWN_PROVIDER', `Unknown payment provider: ${providerName}`);
+    }
+
+    const lookup = await provider.getPayment(orderId);
+    if (!lookup.success) {
+        if (lookup.notFound) {
+            return fail('ORDER_NOT_FOUND', `${provider.label} order does not exist`, 404);
+        }
+        return fail('PROVIDER_LOOKUP_FAILED', `Could not look up the order with ${provider.label}`, 502, { debugId: lookup.debugId });
+    }
+
+    const { status, packageId, captureId, amount, currency } = lookup.payment;
+    return { success: true, payment: { provider: provider.id, orderId, status, packageId, captureId, amount, currency } };
+};
+
+// The order was paid and stored - runs inside the /store transaction
+const completePendingOrder = (client, orderId, paymentId) => client.query(`
+    UPDATE pending_orders
+    SET status = 'completed', payment_id = $2, completed_at = NOW()
+    WHERE order_id = $1 AND status <> 'completed'
+`, [orderId, paymentId]);
+
+// The customer backed out of the payment - checkoutToken is the one the checkout was started with
+const cancelPendingOrder = async (orderId, checkoutToken) => {
+    if (verifyToken('checkout', checkoutToken)?.oid !== orderId) {
+        return fail('INVALID_CHECKOUT_TOKEN', 'Checkout token is invalid or has expired', 401);
+    }
+
+    const result = await query(`
+        UPDATE pending_orders
+        SET status = 'cancelled', cancelled_at = NOW()
+        WHERE order_id = $1 AND status = 'pending'
+        RETURNING *
+    `, [orderId]);
+    if (result.rows[0]) {
+        return { success: true, checkout: toCheckout(result.rows[0]) };
+    }
+
+    const existing = await query('SELECT * FROM pending_orders WHERE order_id = $1', [orderId]);
+    if (!existing.rows[0]) {
+        return fail('CHECKOUT_NOT_FOUND', 'Checkout not found', 404);
+    }
+    if (existing.rows[0].status === 'completed') {
+        return fail('CHECKOUT_CLOSED', 'This checkout has already been paid', 409);
+    }
+    // Already cancelled or expired - nothing to do
+    return { success: true, checkout: toCheckout(existing.rows[0]) };
+};
+
+// Checkouts nobody finished in time
+const expireStaleCheckouts = async () => {
+    const result = await query(`
+        UPDATE pending_orders
+        SET status = 'expired', expired_at = NOW()
+        WHERE status = 'pending' AND created_at < NOW() - make_interval(mins => $1)
+    `, [CHECKOUT_TIMEOUT_MINUTES]);
+
+    if (result.rowCount > 0) {
+        console.log(`🛒 ${result.rowCount} checkouts expired`);
+    }
+    return result.rowCount;
+};
+
+const ageBucketSql = () => `CASE
+    ${AGE_BUCKETS.filter((bucket) => bucket.maxHours).map((bucket) =>
+        `WHEN po.created_at > NOW() - INTERVAL '${bucket.maxHours} hours' THEN '${bucket.label}'`).join('\n    ')}
+    ELSE '${AGE_BUCKETS[AGE_BUCKETS.length - 1].label}'
+END`;
+
+// Cancelled and expired checkouts. A checkout counts as recovered when the same email
+// paid for an order afterwards; recovered ones are left out of the list.
+const ABANDONED_CTE = `
+    WITH abandoned AS (
+        SELECT po.*, ${ageBucketSql()} AS age_bucket,
+               EXISTS (
+                   SELECT 1 FROM payments p
+                   WHERE po.customer_email IS NOT NULL
+                     AND LOWER(p.customer_email) = po.customer_email
+                     AND p.created_at > po.created_at
+                     AND p.status = ANY($1)
+               ) AS recovered
+        FROM pending_orders po
+        WHERE po.status IN ('cancelled', 'expired')
+          AND ($2::text IS NULL OR po.package_id = $2)
+    )
+`;
+
+// Staff report - ?packageId=&page=1&limit=50. Summary rows per package and age bucket,
+// then the unrecovered checkouts (newest first) with a link to send the customer back.
+const getAbandonedReport = async ({ packageId = null, limit = 50, offset = 0 } = {}) => {
+    const params = [PAID_STATUSES, packageId || null];
+
+    const [summary, checkouts] = await Promise.all([
+        query(`
+            ${ABANDONED_CTE}
+            SELECT package_id, package_name, currency, age_bucket,
+                   COUNT(*) FILTER (WHERE NOT recovered) AS abandoned,
+                   COUNT(*) FILTER (WHERE recovered) AS recovered,
+                   COALESCE(SUM(amount) FILTER (WHERE NOT recovered), 0) AS abandoned_value
+            FROM abandoned
+            GROUP BY package_id, package_name, currency, age_bucket
+            ORDER BY package_id, age_bucket
+        `, params),
+        query(`
+            ${ABANDONED_CTE}
+            SELECT * FROM abandoned
+            WHERE NOT recovered
+            ORDER BY created_at DESC
+            LIMIT $3 OFFSET $4
+        `, [...params, limit, offset])
+    ]);
+
+    const bucketOrder = AGE_BUCKETS.map((bucket) => bucket.label);
+
+    return {
+        success: true,
+        ageBuckets: bucketOrder,
+        summary: summary.rows
+            .map((row) => ({
+                packageId: row.package_id,
+                packageName: row.package_name,
+                currency: row.currency,
+                ageBucket: row.age_bucket,
+                abandoned: parseInt(row.abandoned),
+                recovered: parseInt(row.recovered),
+                abandonedValue: parseFloat(row.abandoned_value)
+            }))
+            .sort((a, b) => a.packageId.localeCompare(b.packageId) ||
+                bucketOrder.indexOf(a.ageBucket) - bucketOrder.indexOf(b.ageBucket)),
+        checkouts: checkouts.rows.map((row) => ({
+            ...toCheckout(row),
+            ageBucket: row.age_bucket,
+            resumeUrl: signResumeLink(row.pending_order_id).url
+        }))
+    };
+};
+
+// What the checkout page needs to pick up where the customer left off
+const loadResume = async (token) => {
+    const claims = verifyToken('checkout-resume', token);
+    if (!claims) {
+        return fail('INVALID_RESUME_LINK', 'This link is invalid or has expired', 401);
+    }
+
+    const result = await query('SELECT * FROM pending_orders WHERE pending_order_id = $1', [claims.oid]);
+    const row = result.rows[0];
+    if (!row) {
+        return fail('INVALID_RESUME_LINK', 'This link is invalid or has expired', 401);
+    }
+    if (row.status === 'completed') {
+        return fail('CHECKOUT_CLOSED', 'This order has already been paid', 409);
+    }
+
+    return {
+        success: true,
+        packageId: row.package_id,
+        onboardingData: row.onboarding_draft
+    };
+};
+
+const startCheckoutExpiryWorker = ({ intervalMs = WORKER_INTERVAL_MS } = {}) =>
+    startWorker('Checkout expiry', expireStaleCheckouts, intervalMs);
+
+module.exports = {
+    CHECKOUT_TIMEOUT_MINUTES,
+    createCheckoutIntent,
+    recordPendingOrder,
+    getCheckoutPayment,
+    completePendingOrder,
+    cancelPendingOrder,
+    expireStaleCheckouts,
+    getAbandonedReport,
+    signResumeLink,
+    loadResume,
+    startCheckoutExpiryWorker
+};
@@ -0,0 +1,70 @@
+const { pool, query } = require('../config/database');
+const { signToken, verifyToken } = require('./tokens');
+const { normalizeEmail, findCustomerByEmail, getCustomer } = require('./customers');
+const { queueEmail, processEmailQueue } = require('./emailQueue');
+
+// Passwordless sign-in for customers. A login link carries a short-lived signed token;
+// opening it exchanges the token for a session. A link works once: signing in moves
+// last_login_at past the moment the link was issued.
+
+const LOGIN_LINK_TTL_SECONDS = 15 * 60;
+
+// Customers come back for their results over weeks, not hours
+const SESSION_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// Send a login link to a customer's email. Unknown emails get the same answer,
+// so the endpoint does not reveal who has bought from us.
+const requestLoginLink = async (email) => {
+    const normalized = normalizeEmail(email);
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized)) {
+        return { success: false, code: 'INVALID_EMAIL', message: 'Enter a valid email address', httpStatus: 400 };
+    }
+
+    const customer = await findCustomerByEmail(normalized);
+    if (!customer) return { success: true };
+
+    const token = signToken('login-link', { sub: customer.id, email: customer.email }, LOGIN_LINK_TTL_SECONDS);
+    await queueEmail(pool, {
+        template: 'login_link',
+        to: customer.email,
+        data: {
+            url: `${process.env.FRONTEND_URL}/login/verify?token=${token}`,
+            expiresInMinutes: LOGIN_LINK_TTL_SECONDS / 60
+        }
+    });
+
+    // The customer is waiting on this one - send now rather than on the worker's next run
+    processEmailQueue().catch((error) => console.error('❌ Failed to send login link:', error.message));
+    return { success: true };
+};
+
+// Exchange a login link token for a session token
+const verifyLoginLink = async (token) => {
+    const claims = verifyToken('login-link', token);
+    const expired = { success: false, code: 'INVALID_LOGIN_LINK', message: 'This login link is invalid or has expired', httpStatus: 401 };
+    if (!claims) return expired;
+
+    // Claiming the link and recording the login is one statement, so a link cannot be used twice
+    const result = await query(`
+        UPDATE customers
+        SET last_login_at = NOW(), is_verified = true
+        WHERE customer_id = $1 AND email = $2
+          AND (last_login_at IS NULL OR last_login_at < to_timestamp($3))
+        RETURNING customer_id
+    `, [claims.sub, claims.email, claims.iat]);
+    if (!result.rows[0]) return expired;
+
+    return {
+        success: true,
+        customer: await getCustomer(claims.sub),
+        token: signToken('customer', { sub: claims.sub }, SESSION_TTL_SECONDS),
+        expiresIn: SESSION_TTL_SECONDS
+    };
+};
+
+module.exports = {
+    LOGIN_LINK_TTL_SECONDS,
+    SESSION_TTL_SECONDS,
+    requestLoginLink,
+    verifyLoginLink
+};
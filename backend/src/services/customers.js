@@ -0,0 +1,177 @@
+const { query } = require('../config/database');
+const { signDeliveryLink, VISIBLE_STATUSES } = require('./delivery');
+const { listSubmissionPhotos } = require('./photos');
+
+// Customer accounts, one per email. Every submission and payment made with the email
+// points at the customer, which is what the dashboard lists. A returning customer gets
+// a new submission (questionnaire version) and payment per purchase.
+
+const MAX_NAME_LENGTH = 100;
+const PHONE_PATTERN = /^\+?[0-9\s\-()]{7,20}$/;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const fail = (code, message, httpStatus = 400) => ({
+    success: false,
+    code,
+    message,
+    httpStatus
+});
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+const toCustomer = (row) => ({
+    id: row.customer_id,
+    email: row.email,
+    name: row.name,
+    phone: row.phone,
+    isVerified: row.is_verified,
+    lastLoginAt: row.last_login_at,
+    createdAt: row.created_at
+});
+
+// An order as the customer sees it - payment, fulfillment step and, once delivered, the results link
+const toOrder = (row) => ({
+    paymentId: row.payment_id,
+    orderId: row.order_id,
+    packageId: row.package_id,
+    packageName: row.package_name,
+    amount: parseFloat(row.amount),
+    currency: row.currency,
+    paymentStatus: row.status,
+    status: row.fulfillment_status || 'paid',
+    needsPhotos: row.needs_photos,
+    deliveredAt: row.delivered_at,
+    deliveryUrl: VISIBLE_STATUSES.includes(row.fulfillment_status) ? signDeliveryLink(row.payment_id).url : null,
+    createdAt: row.created_at
+});
+
+// The customer for an email, created on first purchase - runs inside the /store transaction.
+// Keeps the name and phone the customer chose over what later checkouts send.
+const upsertCustomer = async (client, { email, name, phone }) => {
+    const result = await client.query(`
+        INSERT INTO customers (email, name, phone)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (email) DO UPDATE
+            SET name = COALESCE(customers.name, EXCLUDED.name),
+                phone = COALESCE(customers.phone, EXCLUDED.phone)
+        RETURNING customer_id
+    `, [normalizeEmail(email), name || null, phone || null]);
+    return result.rows[0].customer_id;
+};
+
+const findCustomerByEmail = async (email) => {
+    const result = await query('SELECT * FROM customers WHERE email = $1', [normalizeEmail(email)]);
+    return result.rows[0] ? toCustomer(result.rows[0]) : null;
+};
+
+const getCustomer = async (customerId) => {
+    const result = await query('SELECT * FROM customers WHERE customer_id = $1', [customerId]);
+    return result.rows[0] ? toCustomer(result.rows[0]) : null;
+};
+
+// Profile edits from the dashboard - body: { name?, phone? } (empty phone clears it)
+const updateCustomerProfile = async (customerId, { name, phone }) => {
+    if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH)) {
+        return fail('INVALID_PROFILE', `name must be 1-${MAX_NAME_LENGTH} characters`);
+    }
+    if (phone !== undefined && phone !== null && phone !== '' &&
+        (typeof phone !== 'string' || !PHONE_PATTERN.test(phone.trim()))) {
+        return fail('INVALID_PROFILE', 'phone must be a valid phone number');
+    }
+    if (name === undefined && phone === undefined) {
+        return fail('INVALID_PROFILE', 'Send name and/or phone');
+    }
+
+    const result = await query(`
+        UPDATE customers
+        SET name = COALESCE($2, name),
+            phone = CASE WHEN $3 THEN $4 ELSE phone END
+        WHERE customer_id = $1
+        RETURNING *
+    `, [
+        customerId,
+        name === undefined ? null : name.trim(),
+        phone !== undefined,
+        phone ? phone.trim() : null
+    ]);
+
+    if (!result.rows[0]) {
+        return fail('CUSTOMER_NOT_FOUND', 'Account not found', 404);
+    }
+    return { success: true, customer: toCustomer(result.rows[0]) };
+};
+
+// Every order placed with the customer's email, newest first
+const listCustomerOrders = async (customerId) => {
+    const result = await query(`
+        SELECT p.payment_id, p.order_id, p.package_id, p.package_name, p.amount, p.currency,
+               p.status, p.needs_photos, p.created_at,
+               g.status AS fulfillment_status, g.delivered_at
+        FROM payments p
+        LEFT JOIN photo_generations g ON g.payment_id = p.payment_id
+        WHERE p.customer_id = $1
+        ORDER BY p.created_at DESC
+    `, [customerId]);
+    return result.rows.map(toOrder);
+};
+
+// Staff view of everyone behind a submission: the customer, every questionnaire they
+// filled in (oldest first, numbered as versions) and every payment across them
+const getPurchaseHistory = async (userId) => {
+    if (!UUID_PATTERN.test(userId)) {
+        return fail('USER_NOT_FOUND', 'User not found', 404);
+    }
+
+    const submissionResult = await query('SELECT * FROM onboarding_submissions WHERE user_id = $1', [userId]);
+    const submission = submissionResult.rows[0];
+    if (!submission) {
+        return fail('USER_NOT_FOUND', 'User not found', 404);
+    }
+
+    // Submissions stored before customer accounts may not be linked yet
+    const [customer, submissions, payments] = await Promise.all([
+        submission.customer_id ? getCustomer(submission.customer_id) : null,
+        query(`
+            SELECT *, ROW_NUMBER() OVER (ORDER BY created_at) AS version
+            FROM onboarding_submissions
+            WHERE user_id = $1 OR customer_id = $2
+            ORDER BY created_at
+        `, [userId, submission.customer_id]),
+        query(`
+            SELECT p.*, g.status AS fulfillment_status, g.delivered_at,
+                   COALESCE((
+                       SELECT SUM(r.amount) FROM refunds r
+                       WHERE r.payment_id = p.payment_id AND r.status IN ('pending', 'completed')
+                   ), 0) AS refunded_amount
+            FROM payments p
+            LEFT JOIN photo_generations g ON g.payment_id = p.payment_id
+            WHERE p.user_id = $1 OR p.customer_id = $2
+            ORDER BY p.created_at DESC
+        `, [userId, submission.customer_id])
+    ]);
+
+    const withPhotos = await Promise.all(submissions.rows.map(async (row) => ({
+        ...row,
+        version: parseInt(row.version),
+        photos: await listSubmissionPhotos(row.user_id)
+    })));
+
+    return {
+        success: true,
+        user: withPhotos.find((row) => row.user_id === userId),
+        customer,
+        submissions: withPhotos,
+        payments: payments.rows
+    };
+};
+
+module.exports = {
+    normalizeEmail,
+    upsertCustomer,
+    findCustomerByEmail,
+    getCustomer,
+    updateCustomerProfile,
+    listCustomerOrders,
+    getPurchaseHistory
+};
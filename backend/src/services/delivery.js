@@ -0,0 +1,189 @@
+const sharp = require('sharp');
+const { signToken, verifyToken } = require('./tokens');
+const { getFulfillment } = require('./fulfillment');
+const { storage } = require('./storage');
+const { withRetry } = require('../utils/retry');
+const { createZip } = require('../utils/zip');
+
+// Customer-facing delivery of an order's results. The customer gets a signed link to
+// /results/<token> on the frontend; the token names the payment and expires, so the
+// page needs no account. Results are visible once the order has been delivered.
+
+const DELIVERY_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// A revision request keeps the delivered photos visible until the new ones are delivered
+const VISIBLE_STATUSES = ['delivered', 'revision_requested'];
+
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp', heif: 'heic', avif: 'avif' };
+const CONTENT_TYPES = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp', heif: 'image/heic', avif: 'image/avif' };
+
+const fail = (code, message, httpStatus = 400, details = {}) => ({
+    success: false,
+    code,
+    message,
+    httpStatus,
+    ...details
+});
+
+const signDeliveryLink = (paymentId) => {
+    const token = signToken('delivery', { pid: paymentId }, DELIVERY_TTL_SECONDS);
+    return {
+        token,
+        url: `${process.env.FRONTEND_URL}/results/${token}`,
+        expiresAt: new Date(Date.now() + DELIVERY_TTL_SECONDS * 1000)
+    };
+};
+
+// Signed link to the delivery page - staff send it to the customer
+const createDeliveryLink = async (paymentId) => {
+    const result = await getFulfillment(paymentId);
+    if (!result.success) return result;
+
+    if (!VISIBLE_STATUSES.includes(result.fulfillment.status)) {
+        return fail('DELIVERY_NOT_READY', 'Only delivered orders have a delivery link', 409);
+    }
+
+    return { success: true, ...signDeliveryLink(paymentId) };
+};
+
+// The customer sees URLs and sizes only - no storage keys, quality data or staff notes
+const toCustomerPhoto = (photo) => ({
+    id: photo.id,
+    url: photo.url,
+    width: photo.width,
+    height: photo.height
+});
+
+// Each delivered photo next to the original it was made from. Photos attached without a
+// source are paired with the original at the same position, when there is one.
+const pairPhotos = (enhanced, originals) => {
+    const byId = new Map(originals.map((photo) => [photo.id, photo]));
+    return enhanced.map((photo, index) => {
+        const original = byId.get(photo.sourcePhotoId) || originals[index] || null;
+        return {
+            enhanced: toCustomerPhoto(photo),
+            original: original && toCustomerPhoto(original)
+        };
+    });
+};
+
+// Resolve a delivery token to the order's results
+const loadDelivery = async (token) => {
+    const claims = verifyToken('delivery', token);
+    if (!claims) {
+        return fail('INVALID_DELIVERY_LINK', 'This link is invalid or has expired', 401);
+    }
+
+    const result = await getFulfillment(claims.pid);
+    if (!result.success) {
+        return fail('INVALID_DELIVERY_LINK', 'This link is invalid or has expired', 401);
+    }
+
+    const { fulfillment, photos } = result;
+    if (fulfillment.status === 'cancelled') {
+        return fail('DELIVERY_CANCELLED', 'This order was cancelled', 410);
+    }
+    if (!VISIBLE_STATUSES.includes(fulfillment.status)) {
+        return fail('DELIVERY_NOT_READY', 'Your photos are still being worked on', 409);
+    }
+
+    const originals = photos.filter((photo) => photo.kind === 'original' && photo.status === 'active');
+    const delivered = photos.filter((photo) => photo.kind === 'enhanced' && photo.status === 'active' && photo.usedInDelivery);
+
+    return {
+        success: true,
+        fulfillment,
+        delivered,
+        delivery: {
+            orderId: fulfillment.orderId,
+            firstName: fulfillment.customerName ? fulfillment.customerName.trim().split(/\s+/)[0] : null,
+            packageName: fulfillment.packageName,
+            status: fulfillment.status,
+            deliveredAt: fulfillment.deliveredAt,
+            expiresAt: new Date(claims.exp * 1000),
+            pairs: pairPhotos(delivered, originals),
+            bioSuggestions: fulfillment.bioSuggestions,
+            styleVariations: fulfillment.styleVariations
+        }
+    };
+};
+
+// Bytes of a delivered photo - from storage when we hold it, otherwise from its URL
+const readPhoto = async (photo) => {
+    const { value } = await withRetry(async () => {
+        if (photo.storageKey) return storage.read(photo.storageKey);
+
+        const res = await fetch(photo.url);
+        if (!res.ok) {
+            throw new Error(`Failed to fetch ${photo.url}: ${res.status}`);
+        }
+        return Buffer.from(await res.arrayBuffer());
+    });
+
+    const { format } = await sharp(value).metadata();
+    return {
+        data: value,
+        extension: EXTENSIONS[format] || 'jpg',
+        contentType: CONTENT_TYPES[format] || 'application/octet-stream'
+    };
+};
+
+const photoName = (index, extension) => `matchlens-photo-${String(index + 1).padStart(2, '0')}.${extension}`;
+
+// One delivered photo as a download - { filename, contentType, data }
+const readDeliveryPhoto = async (token, photoId) => {
+    const result = await loadDelivery(token);
+    if (!result.success) return result;
+
+    const index = result.delivered.findIndex((photo) => photo.id === photoId);
+    if (index === -1) {
+        return fail('PHOTO_NOT_FOUND', 'Photo not found', 404);
+    }
+
+    const file = await readPhoto(result.delivered[index]);
+    return {
+        success: true,
+        filename: photoName(index, file.extension),
+        contentType: file.contentType,
+        data: file.data
+    };
+};
+
+// Every delivered photo plus the bio suggestions in one zip - { filename, data }
+const buildDeliveryArchive = async (token) => {
+    const result = await loadDelivery(token);
+    if (!result.success) return result;
+    if (result.delivered.length === 0) {
+        return fail('PHOTO_NOT_FOUND', 'There are no photos to download yet', 404);
+    }
+
+    const files = [];
+    for (const [index, photo] of result.delivered.entries()) {
+        const file = await readPhoto(photo);
+        files.push({ name: photoName(index, file.extension), data: file.data, modifiedAt: result.fulfillment.deliveredAt });
+    }
+
+    const { bioSuggestions } = result.delivery;
+    if (bioSuggestions.length > 0) {
+        files.push({
+            name: 'bio-suggestions.txt',
+            data: Buffer.from(bioSuggestions.map((bio, index) => `Bio ${index + 1}\n\n${bio}\n`).join('\n'), 'utf8')
+        });
+    }
+
+    return {
+        success: true,
+        filename: `matchlens-${result.delivery.orderId}.zip`,
+        data: createZip(files)
+    };
+};
+
+module.exports = {
+    DELIVERY_TTL_SECONDS,
+    VISIBLE_STATUSES,
+    signDeliveryLink,
+    createDeliveryLink,
+    loadDelivery,
+    readDeliveryPhoto,
+    buildDeliveryArchive
+};
@@ -0,0 +1,30 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Writes every message to EMAIL_FILE_DIR as an .eml file instead of sending it - for
+// development and tests. Open the files in any mail client, or read them in a test.
+
+const createFileTransport = () => {
+    const root = path.resolve(process.env.EMAIL_FILE_DIR || path.join(__dirname, '..', '..', '..', 'mail'));
+
+    const send = async ({ to, messageId, raw }) => {
+        await fs.mkdir(root, { recursive: true });
+
+        // Sortable by time, and unique even for two messages in the same millisecond
+        const id = messageId.replace(/[<>]/g, '').split('@')[0];
+        const file = path.join(root, `${new Date().toISOString().replace(/[:.]/g, '-')}-${id}.eml`);
+        await fs.writeFile(file, raw);
+
+        console.log(`📧 Email to ${to} written to ${file}`);
+        return { messageId };
+    };
+
+    return {
+        name: 'file',
+        send
+    };
+};
+
+module.exports = {
+    createFileTransport
+};
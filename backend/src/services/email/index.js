@@ -0,0 +1,37 @@
+const { createFileTransport } = require('./file');
+const { createSmtpTransport } = require('./smtp');
+const { addressOf, buildMessage } = require('./mime');
+
+// Email transport selected by EMAIL_TRANSPORT (smtp | file). Without SMTP_HOST it falls
+// back to writing .eml files, so development and tests never send real email.
+//
+// Every transport implements:
+//   send({ from, to, messageId, raw })   deliver a built message -> { messageId }
+// where from/to are bare envelope addresses and raw is the full RFC 5322 message.
+
+const transports = {
+    smtp: createSmtpTransport,
+    file: createFileTransport
+};
+
+const EMAIL_FROM = process.env.EMAIL_FROM || 'Matchlens AI <support@matchboostai.com>';
+
+const transportName = process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'file');
+
+if (!transports[transportName]) {
+    throw new Error(`Unknown EMAIL_TRANSPORT "${transportName}" - use one of: ${Object.keys(transports).join(', ')}`);
+}
+
+const transport = transports[transportName]();
+
+// Build and send one message - { to, subject, text, html, headers? }
+const sendEmail = ({ to, subject, text, html, headers }) => {
+    const { messageId, raw } = buildMessage({ from: EMAIL_FROM, to, subject, text, html, headers });
+    return transport.send({ from: addressOf(EMAIL_FROM), to: addressOf(to), messageId, raw });
+};
+
+module.exports = {
+    EMAIL_FROM,
+    transport,
+    sendEmail
+};
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+
+// Builds the raw RFC 5322 message both transports send: a multipart/alternative body
+// with a plain-text and an HTML part, base64 encoded so any character set survives.
+
+// Header values come from customer data - never let one start a new header
+const headerValue = (value) => String(value).replace(/[\r\n]+/g, ' ').trim();
+
+// Non-ASCII subjects are encoded as an RFC 2047 encoded-word
+const encodeHeader = (value) => {
+    const clean = headerValue(value);
+    return /^[\x20-\x7e]*$/.test(clean) ? clean : `=?UTF-8?B?${Buffer.from(clean, 'utf8').toString('base64')}?=`;
+};
+
+// The address part of "Name <address>"
+const addressOf = (value) => {
+    const match = /<([^>]+)>/.exec(value);
+    return headerValue(match ? match[1] : value);
+};
+
+const base64Lines = (content) => Buffer.from(content, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+
+// headers adds extra headers, e.g. { 'List-Unsubscribe': '<https://...>' }
+const buildMessage = ({ from, to, subject, text, html, headers = {}, date = new Date() }) => {
+    const boundary = `matchlens-${crypto.randomBytes(12).toString('hex')}`;
+    const messageId = `<${crypto.randomUUID()}@${addressOf(from).split('@')[1] || 'localhost'}>`;
+
+    const lines = [
+        `From: ${headerValue(from)}`,
+        `To: ${headerValue(to)}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${date.toUTCString()}`,
+        `Message-ID: ${messageId}`,
+        ...Object.entries(headers)
+            .filter(([name]) => /^[A-Za-z0-9-]+$/.test(name))
+            .map(([name, value]) => `${name}: ${headerValue(value)}`),
+        'MIME-Version: 1.0',
+        `Content-Type: multipart/alternative; boundary="${boundary}"`,
+        '',
+        `--${boundary}`,
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Lines(text),
+        `--${boundary}`,
+        'Content-Type: text/html; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Lines(html),
+        `--${boundary}--`,
+        ''
+    ];
+
+    return { messageId, raw: lines.join('\r\n') };
+};
+
+module.exports = {
+    addressOf,
+    buildMessage
+};
@@ -0,0 +1,149 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+// A small SMTP client - enough to hand a message to a relay (SendGrid, SES, Postmark...)
+// or to a local sink such as Mailpit or MailHog on port 1025. Upgrades with STARTTLS
+// when the server offers it and authenticates with AUTH PLAIN when credentials are set.
+
+const TIMEOUT_MS = 15000;
+
+const smtpError = (message, code) => Object.assign(new Error(message), { code });
+
+// Reads complete (possibly multi-line) replies off a socket: "250-..." continues, "250 ..." ends
+const createReader = (socket) => {
+    let buffer = '';
+    let lines = [];
+    const replies = [];
+    const waiting = [];
+    let failure = null;
+
+    const settle = () => {
+        while (waiting.length > 0 && (replies.length > 0 || failure)) {
+            const { resolve, reject } = waiting.shift();
+            if (replies.length > 0) resolve(replies.shift());
+            else reject(failure);
+        }
+    };
+
+    const onData = (chunk) => {
+        buffer += chunk.toString('utf8');
+        let index;
+        while ((index = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, index);
+            buffer = buffer.slice(index + 2);
+            lines.push(line);
+            if (/^\d{3}(?: |$)/.test(line)) {
+                replies.push({ code: parseInt(line.slice(0, 3)), lines: lines.map((l) => l.slice(4)) });
+                lines = [];
+            }
+        }
+        settle();
+    };
+
+    const onError = (error) => {
+        failure = error;
+        settle();
+    };
+    const onClose = () => onError(smtpError('SMTP connection closed unexpectedly', 'ECONNCLOSED'));
+
+    socket.on('data', onData);
+    socket.on('error', onError);
+    socket.on('close', onClose);
+
+    return {
+        next: () => new Promise((resolve, reject) => {
+            waiting.push({ resolve, reject });
+            settle();
+        }),
+        detach: () => {
+            socket.off('data', onData);
+            socket.off('error', onError);
+            socket.off('close', onClose);
+        }
+    };
+};
+
+const connect = ({ host, port, secure }) => new Promise((resolve, reject) => {
+    const socket = secure
+        ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+        : net.connect({ host, port }, () => resolve(socket));
+    socket.once('error', reject);
+});
+
+const upgrade = (socket, host) => new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+    secured.once('error', reject);
+});
+
+// Lines starting with a dot are doubled so they cannot end the DATA section early
+const dotStuff = (raw) => raw.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+
+const createSmtpTransport = () => {
+    const host = process.env.SMTP_HOST;
+    const port = parseInt(process.env.SMTP_PORT || '1025');
+    const secure = process.env.SMTP_SECURE === 'true';
+    const user = process.env.SMTP_USER;
+    const pass = process.env.SMTP_PASS;
+
+    if (!host) {
+        throw new Error('EMAIL_TRANSPORT=smtp needs SMTP_HOST');
+    }
+
+    const send = async ({ from, to, messageId, raw }) => {
+        let socket = await connect({ host, port, secure });
+        socket.setTimeout(TIMEOUT_MS, () => socket.destroy(smtpError('SMTP server timed out', 'ETIMEDOUT')));
+        let reader = createReader(socket);
+
+        // Send a command (or nothing, for the greeting) and expect one of the given codes
+        const command = async (line, expected) => {
+            if (line !== null) socket.write(`${line}\r\n`);
+            const reply = await reader.next();
+            if (!expected.includes(reply.code)) {
+                const shown = line && line.startsWith('AUTH') ? 'AUTH' : line;
+                throw smtpError(`SMTP ${shown || 'greeting'} failed: ${reply.code} ${reply.lines.join(' ')}`, reply.code);
+            }
+            return reply;
+        };
+
+        try {
+            await command(null, [220]);
+            let hello = await command(`EHLO ${os.hostname()}`, [250]);
+
+            if (!secure && hello.lines.some((line) => /^STARTTLS\b/i.test(line))) {
+                await command('STARTTLS', [220]);
+                reader.detach();
+                socket = await upgrade(socket, host);
+                socket.setTimeout(TIMEOUT_MS, () => socket.destroy(smtpError('SMTP server timed out', 'ETIMEDOUT')));
+                reader = createReader(socket);
+                hello = await command(`EHLO ${os.hostname()}`, [250]);
+            }
+
+            if (user) {
+                const credentials = Buffer.from(`\0${user}\0${pass || ''}`, 'utf8').toString('base64');
+                await command(`AUTH PLAIN ${credentials}`, [235]);
+            }
+
+            await command(`MAIL FROM:<${from}>`, [250]);
+            await command(`RCPT TO:<${to}>`, [250, 251]);
+            await command('DATA', [354]);
+            await command(`${dotStuff(raw).replace(/\r\n$/, '')}\r\n.`, [250]);
+            await command('QUIT', [221]).catch(() => {});
+
+            return { messageId };
+        } finally {
+            reader.detach();
+            socket.on('error', () => {});
+            socket.destroy();
+        }
+    };
+
+    return {
+        name: 'smtp',
+        send
+    };
+};
+
+module.exports = {
+    createSmtpTransport
+};
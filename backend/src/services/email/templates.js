@@ -0,0 +1,172 @@
+// Transactional email templates. Each renders { subject, text, html } from the payments
+// row it is about (package name, amount, order ID, customer) plus template extras.
+
+const SUPPORT_EMAIL = 'support@matchboostai.com';
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const formatAmount = (amount, currency) => new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: currency || 'USD'
+}).format(parseFloat(amount));
+
+const firstName = (name) => (name ? name.trim().split(/\s+/)[0] : null);
+
+const greeting = (name) => (firstName(name) ? `Hi ${firstName(name)},` : 'Hi,');
+
+// Shared HTML frame - paragraphs are plain strings (escaped here) or { html } blocks
+const layout = ({ heading, paragraphs, action, footer }) => `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f9fafb;font-family:Arial,Helvetica,sans-serif;color:#111827;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:12px;">
+<tr><td style="padding:32px;">
+<h1 style="margin:0 0 16px;font-size:22px;">${escapeHtml(heading)}</h1>
+${paragraphs.map((p) => `<p style="margin:0 0 16px;line-height:1.5;">${p.html || escapeHtml(p)}</p>`).join('\n')}
+${action ? `<p style="margin:24px 0;"><a href="${escapeHtml(action.url)}" style="background:#d4ae36;color:#000000;padding:12px 20px;border-radius:8px;text-decoration:none;font-weight:bold;">${escapeHtml(action.label)}</a></p>` : ''}
+<p style="margin:24px 0 0;font-size:13px;color:#6b7280;">Questions? Reply to this email or write to ${SUPPORT_EMAIL}.</p>
+${footer ? `<p style="margin:8px 0 0;font-size:13px;color:#6b7280;">${footer.html}</p>` : ''}
+</td></tr>
+</table>
+</body>
+</html>
+`;
+
+const text = (lines, footer = null) => `${lines.filter((line) => line !== null).join('\n\n')}\n\nQuestions? Reply to this email or write to ${SUPPORT_EMAIL}.\n${footer ? `${footer}\n` : ''}`;
+
+// Tip bodies are plain text - blank lines separate paragraphs
+const paragraphsOf = (body) => body.split(/\n\s*\n/).map((p) => p.trim()).filter(Boolean);
+
+// How each payments.provider took the money and how its refunds reach the customer
+const PAYMENT_METHODS = {
+    paypal: {
+        paidWith: 'Paid with PayPal.',
+        refundTiming: 'PayPal usually returns the money to your account or card within 5-10 business days.'
+    },
+    stripe: {
+        paidWith: 'Paid by card.',
+        refundTiming: 'Your bank usually returns the money to your card within 5-10 business days.'
+    }
+};
+
+// Rows from before payments.provider existed were all PayPal
+const paymentMethod = (payment) => PAYMENT_METHODS[payment.provider] || PAYMENT_METHODS.paypal;
+
+const orderSummary = (payment) => ({
+    text: `Order: ${payment.order_id}\nPackage: ${payment.package_name}\nAmount: ${formatAmount(payment.amount, payment.currency)}`,
+    html: `<strong>Order:</strong> ${escapeHtml(payment.order_id)}<br><strong>Package:</strong> ${escapeHtml(payment.package_name)}<br><strong>Amount:</strong> ${escapeHtml(formatAmount(payment.amount, payment.currency))}`
+});
+
+const templates = {
+    purchase_receipt: ({ payment }) => {
+        const summary = orderSummary(payment);
+        const intro = `Thanks for your purchase - here is your receipt for ${payment.package_name}.`;
+        return {
+            subject: `Your Matchlens AI receipt - order ${payment.order_id}`,
+            text: text([greeting(payment.customer_name), intro, summary.text, paymentMethod(payment).paidWith]),
+            html: layout({
+                heading: 'Thanks for your purchase',
+                paragraphs: [greeting(payment.customer_name), intro, { html: summary.html }, paymentMethod(payment).paidWith]
+            })
+        };
+    },
+
+    onboarding_received: ({ payment }) => {
+        const intro = `We have your questionnaire and photos for ${payment.package_name} (order ${payment.order_id}). Our team is starting on your new profile.`;
+        const photos = payment.needs_photos
+            ? 'We still need a few more photos to work from - reply to this email with them attached.'
+            : null;
+        const next = 'We will email you as soon as your photos and bio suggestions are ready.';
+        return {
+            subject: 'We are working on your profile',
+            text: text([greeting(payment.customer_name), intro, photos, next]),
+            html: layout({
+                heading: 'We are working on your profile',
+                paragraphs: [greeting(payment.customer_name), intro, photos, next].filter(Boolean)
+            })
+        };
+    },
+
+    delivery_ready: ({ payment, deliveryUrl }) => {
+        const intro = `Your ${payment.package_name} results for order ${payment.order_id} are ready: enhanced photos, bio suggestions and style notes.`;
+        const expiry = 'The link stays valid for 30 days - download your photos before then, or sign in to your account for a fresh link.';
+        return {
+            subject: 'Your new dating profile photos are ready',
+            text: text([greeting(payment.customer_name), intro, `View and download them: ${deliveryUrl}`, expiry]),
+            html: layout({
+                heading: 'Your photos are ready',
+                paragraphs: [greeting(payment.customer_name), intro, expiry],
+                action: { url: deliveryUrl, label: 'View your results' }
+            })
+        };
+    },
+
+    refund_issued: ({ payment, refund }) => {
+        const summary = orderSummary(payment);
+        const intro = `We have refunded ${formatAmount(refund.amount, refund.currency)} for order ${payment.order_id}.`;
+        const timing = paymentMethod(payment).refundTiming;
+        return {
+            subject: `Refund issued - order ${payment.order_id}`,
+            text: text([greeting(payment.customer_name), intro, summary.text, timing]),
+            html: layout({
+                heading: 'Your refund is on its way',
+                paragraphs: [greeting(payment.customer_name), intro, { html: summary.html }, timing]
+            })
+        };
+    },
+
+    // One issue of the weekly tips newsletter - only the tips that match the recipient's segment
+    newsletter_issue: ({ issue, tips, name, unsubscribeUrl }) => {
+        const unsubscribe = 'You get these tips because you asked for them in your questionnaire.';
+        return {
+            subject: issue.subject,
+            text: text(
+                [greeting(name), issue.intro || null, ...tips.map((tip) => `${tip.title}\n\n${paragraphsOf(tip.body).join('\n\n')}`)],
+                `${unsubscribe} Unsubscribe: ${unsubscribeUrl}`
+            ),
+            html: layout({
+                heading: issue.subject,
+                paragraphs: [
+                    greeting(name),
+                    ...(issue.intro ? [issue.intro] : []),
+                    ...tips.map((tip) => ({
+                        html: `<strong style="font-size:17px;">${escapeHtml(tip.title)}</strong><br>${paragraphsOf(tip.body).map(escapeHtml).join('<br><br>')}`
+                    }))
+                ],
+                footer: { html: `${escapeHtml(unsubscribe)} <a href="${escapeHtml(unsubscribeUrl)}" style="color:#6b7280;">Unsubscribe</a>` }
+            })
+        };
+    },
+
+    login_link: ({ url, expiresInMinutes }) => {
+        const intro = `Use this link to sign in to your Matchlens AI account. It works once and expires in ${expiresInMinutes} minutes.`;
+        const ignore = 'If you did not ask to sign in, you can ignore this email.';
+        return {
+            subject: 'Your Matchlens AI sign-in link',
+            text: text([greeting(null), intro, url, ignore]),
+            html: layout({
+                heading: 'Sign in to Matchlens AI',
+                paragraphs: [greeting(null), intro, ignore],
+                action: { url, label: 'Sign in' }
+            })
+        };
+    }
+};
+
+const EMAIL_TEMPLATES = Object.keys(templates);
+
+const renderTemplate = (template, data) => {
+    if (!templates[template]) {
+        throw new Error(`Unknown email template "${template}" - use one of: ${EMAIL_TEMPLATES.join(', ')}`);
+    }
+    return templates[template](data);
+};
+
+module.exports = {
+    EMAIL_TEMPLATES,
+    renderTemplate
+};
@@ -0,0 +1,126 @@
+const { query } = require('../config/database');
+const { sendEmail } = require('./email');
+const { renderTemplate } = require('./email/templates');
+const { startWorker } = require('../utils/worker');
+
+// Outbox for transactional email. Callers queue a rendered message - inside their own
+// transaction when they have one, so an email goes out only if the change it announces
+// commits. The worker sends pending messages and retries failures with backoff.
+
+const MAX_ATTEMPTS = 6;
+
+// 1, 2, 4, 8, 16 minutes between attempts
+const RETRY_BASE_SECONDS = 60;
+
+// A message left in 'sending' this long belongs to a worker that died mid-send
+const STALE_SENDING_MINUTES = 10;
+
+const WORKER_INTERVAL_MS = 30 * 1000;
+
+// Queue one templated email - db is the pool or a transaction client.
+// A message with a dedupe key already queued is not queued again.
+const queueEmail = async (db, { template, to, data, paymentId = null, dedupeKey = null, headers = {} }) => {
+    const { subject, text, html } = renderTemplate(template, data);
+    const result = await db.query(`
+        INSERT INTO email_outbox (template, recipient, subject, text_body, html_body, payment_id, dedupe_key, headers)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (dedupe_key) DO NOTHING
+        RETURNING email_id
+    `, [template, to, subject, text, html, paymentId, dedupeKey, JSON.stringify(headers)]);
+    return result.rows[0]?.email_id || null;
+};
+
+// Queue an email about an order to the customer who placed it, rendered from its payments row
+const queuePaymentEmail = async (db, template, paymentId, { data = {}, dedupeKey = `${template}:${paymentId}` } = {}) => {
+    const result = await db.query('SELECT * FROM payments WHERE payment_id = $1', [paymentId]);
+    const payment = result.rows[0];
+    if (!payment) return null;
+
+    return queueEmail(db, {
+        template,
+        to: payment.customer_email,
+        data: { ...data, payment },
+        paymentId,
+        dedupeKey
+    });
+};
+
+// Claim due messages in one statement, so two workers never send the same one
+const claimDueEmails = async (limit) => {
+    const result = await query(`
+        UPDATE email_outbox
+        SET status = 'sending', attempts = attempts + 1
+        WHERE email_id IN (
+            SELECT email_id FROM email_outbox
+            WHERE (status = 'pending' AND next_attempt_at <= NOW())
+               OR (status = 'sending' AND updated_at < NOW() - make_interval(mins => $2))
+            ORDER BY next_attempt_at
+            LIMIT $1
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+    `, [limit, STALE_SENDING_MINUTES]);
+    return result.rows;
+};
+
+// Send what is due - resolves to { sent, retrying, failed }
+const processEmailQueue = async ({ limit = 20 } = {}) => {
+    const report = { sent: 0, retrying: 0, failed: 0 };
+
+    for (const email of await claimDueEmails(limit)) {
+        try {
+            await sendEmail({
+                to: email.recipient,
+                subject: email.subject,
+                text: email.text_body,
+                html: email.html_body,
+                headers: email.headers
+            });
+            await query(
+                "UPDATE email_outbox SET status = 'sent', sent_at = NOW(), last_error = NULL WHERE email_id = $1",
+                [email.email_id]
+            );
+            report.sent++;
+        } catch (error) {
+            const giveUp = email.attempts >= MAX_ATTEMPTS;
+            await query(`
+                UPDATE email_outbox
+                SET status = $2,
+                    last_error = $3,
+                    next_attempt_at = NOW() + make_interval(secs => $4)
+                WHERE email_id = $1
+            `, [
+                email.email_id,
+                giveUp ? 'failed' : 'pending',
+                error.message,
+                RETRY_BASE_SECONDS * 2 ** (email.attempts - 1)
+            ]);
+
+            if (giveUp) {
+                console.error(`❌ Email ${email.template} to ${email.recipient} failed after ${email.attempts} attempts:`, error.message);
+                report.failed++;
+            } else {
+                console.warn(`⚠️ Email ${email.template} to ${email.recipient} failed (attempt ${email.attempts}), retrying:`, error.message);
+                report.retrying++;
+            }
+        }
+    }
+
+    return report;
+};
+
+// Poll the outbox in the background
+const startEmailWorker = ({ intervalMs = WORKER_INTERVAL_MS } = {}) => startWorker('Email queue', async () => {
+    const report = await processEmailQueue();
+    if (report.sent || report.retrying || report.failed) {
+        console.log(`📧 Email queue: ${report.sent} sent, ${report.retrying} retrying, ${report.failed} failed`);
+    }
+}, intervalMs);
+
+module.exports = {
+    MAX_ATTEMPTS,
+    queueEmail,
+    queuePaymentEmail,
+    processEmailQueue,
+    startEmailWorker
+};
@@ -0,0 +1,434 @@
+const { query, getClient } = require('../config/database');
+const { listSubmissionPhotos, toPhoto } = require('./photos');
+
+// Fulfillment workflow for paid orders, one photo_generations row per payment:
+//
+//   paid -> queued -> in_progress -> review -> delivered -> revision_requested -> in_progress ...
+//
+// Staff move orders along with transitionFulfillment; every move is validated against
+// TRANSITIONS and recorded in fulfillment_events with the actor and assignee.
+
+const FULFILLMENT_STATUSES = ['paid', 'queued', 'in_progress', 'review', 'delivered', 'revision_requested', 'cancelled'];
+
+const TRANSITIONS = {
+    paid: ['queued', 'cancelled'],
+    queued: ['in_progress', 'cancelled'],
+    // Back to the queue when the assignee cannot finish it
+    in_progress: ['review', 'queued', 'cancelled'],
+    // The reviewer either delivers or sends it back for more work
+    review: ['delivered', 'in_progress'],
+    delivered: ['revision_requested'],
+    revision_requested: ['in_progress', 'cancelled'],
+    cancelled: []
+};
+
+// Column stamped when an order enters a step
+const STEP_TIMESTAMPS = {
+    queued: 'queued_at',
+    in_progress: 'processing_started_at',
+    review: 'review_at',
+    delivered: 'delivered_at'
+};
+
+// A reason is required for transitions the customer will ask about
+const NOTE_REQUIRED = ['revision_requested', 'cancelled'];
+
+// Generated photos and suggestions can only change while someone is working on the order
+const WORK_STATUSES = ['in_progress', 'review'];
+
+const MAX_PHOTOS_PER_REQUEST = 20;
+const MAX_SUGGESTIONS = 20;
+const MAX_SUGGESTION_LENGTH = 2000;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const fail = (code, message, httpStatus = 400, details = {}) => ({
+    success: false,
+    code,
+    message,
+    httpStatus,
+    ...details
+});
+
+const FULFILLMENT_SELECT = `
+    SELECT g.*, p.order_id, p.package_id, p.package_name, p.customer_email, p.customer_name, p.needs_photos,
+           a.email AS assignee_email, a.name AS assignee_name
+    FROM photo_generations g
+    JOIN payments p ON p.payment_id = g.payment_id
+    LEFT JOIN admin_users a ON a.admin_id = g.assignee_id
+`;
+
+const toFulfillment = (row) => ({
+    id: row.generation_id,
+    paymentId: row.payment_id,
+    userId: row.user_id,
+    orderId: row.order_id,
+    packageId: row.package_id,
+    packageName: row.package_name,
+    customerEmail: row.customer_email,
+    customerName: row.customer_name,
+    needsPhotos: row.needs_photos,
+    status: row.status,
+    allowedTransitions: TRANSITIONS[row.status] || [],
+    assignee: row.assignee_id
+        ? { id: row.assignee_id, email: row.assignee_email, name: row.assignee_name }
+        : null,
+    styleVariations: row.style_variations,
+    bioSuggestions: row.bio_suggestions,
+    revisionCount: row.revision_count,
+    errorMessage: row.error_message,
+    queuedAt: row.queued_at,
+    startedAt: row.processing_started_at,
+    reviewAt: row.review_at,
+    deliveredAt: row.delivered_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+const toEvent = (row) => ({
+    id: row.event_id,
+    from: row.from_status,
+    to: row.to_status,
+    actor: row.actor,
+    assigneeId: row.assignee_id,
+    note: row.note,
+    createdAt: row.created_at
+});
+
+const recordEvent = (client, generationId, { from = null, to, actor, assigneeId = null, note = null }) => client.query(`
+    INSERT INTO fulfillment_events (generation_id, from_status, to_status, actor, assignee_id, note)
+    VALUES ($1, $2, $3, $4, $5, $6)
+`, [generationId, from, to, actor, assigneeId, note]);
+
+// Start fulfillment for a freshly stored payment - runs inside the /store transaction
+const createFulfillment = async (client, { paymentId, userId }) => {
+    const result = await client.query(`
+        INSERT INTO photo_generations (payment_id, user_id)
+        VALUES ($1, $2)
+        ON CONFLICT (payment_id) DO NOTHING
+        RETURNING generation_id
+    `, [paymentId, userId]);
+
+    if (result.rows[0]) {
+        await recordEvent(client, result.rows[0].generation_id, { to: 'paid', actor: 'system' });
+    }
+};
+
+const findFulfillment = async (paymentId) => {
+    if (!UUID_PATTERN.test(paymentId)) return null;
+
+    const result = await query(`${FULFILLMENT_SELECT} WHERE g.payment_id = $1`, [paymentId]);
+    return result.rows[0] ? toFulfillment(result.rows[0]) : null;
+};
+
+// The order with its history and photos
+const getFulfillment = async (paymentId) => {
+    const fulfillment = await findFulfillment(paymentId);
+    if (!fulfillment) {
+        return fail('FULFILLMENT_NOT_FOUND', 'No fulfillment found for this payment', 404);
+    }
+
+    const [events, photos] = await Promise.all([
+        query(
+            'SELECT * FROM fulfillment_events WHERE generation_id = $1 ORDER BY created_at',
+            [fulfillment.id]
+        ),
+        listSubmissionPhotos(fulfillment.userId)
+    ]);
+
+    return {
+        success: true,
+        fulfillment,
+        events: events.rows.map(toEvent),
+        photos
+    };
+};
+
+// Work queue - filter by status and/or assignee, oldest first
+const listFulfillments = async ({ status, assigneeId, limit = 50, offset = 0 } = {}) => {
+    if (status && !FULFILLMENT_STATUSES.includes(status)) {
+        return fail('INVALID_STATUS', `status must be one of: ${FULFILLMENT_STATUSES.join(', ')}`);
+    }
+    if (assigneeId && !UUID_PATTERN.test(assigneeId)) {
+        return fail('INVALID_ASSIGNEE', 'assignee must be a staff account ID or "me"');
+    }
+
+    const conditions = [];
+    const params = [];
+    if (status) {
+        params.push(status);
+        conditions.push(`g.status = $${params.length}`);
+    }
+    if (assigneeId) {
+        params.push(assigneeId);
+        conditions.push(`g.assignee_id = $${params.length}`);
+    }
+    params.push(limit, offset);
+
+    const result = await query(`
+        ${FULFILLMENT_SELECT}
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY g.created_at ASC
+        LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+
+    return { success: true, fulfillments: result.rows.map(toFulfillment) };
+};
+
+const isActiveAdmin = async (client, adminId) => {
+    if (!UUID_PATTERN.test(adminId)) return false;
+
+    const result = await client.query(
+        'SELECT 1 FROM admin_users WHERE admin_id = $1 AND is_active = true',
+        [adminId]
+    );
+    return result.rows.length > 0;
+};
+
+const lockFulfillment = async (client, paymentId) => {
+    if (!UUID_PATTERN.test(paymentId)) return null;
+
+    const result = await client.query(
+        'SELECT * FROM photo_generations WHERE payment_id = $1 FOR UPDATE',
+        [paymentId]
+    );
+    return result.rows[0] || null;
+};
+
+// Run fn(client, generation) in a transaction holding the order's row lock
+const withLockedFulfillment = async (paymentId, fn) => {
+    const client = await getClient();
+
+    try {
+        await client.query('BEGIN');
+
+        const generation = await lockFulfillment(client, paymentId);
+        if (!generation) {
+            await client.query('ROLLBACK');
+            return fail('FULFILLMENT_NOT_FOUND', 'No fulfillment found for this payment', 404);
+        }
+
+        const result = await fn(client, generation);
+        if (!result.success) {
+            await client.query('ROLLBACK');
+            return result;
+        }
+
+        await client.query('COMMIT');
+        return { ...result, fulfillment: await findFulfillment(paymentId) };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+const countGeneratedPhotos = async (client, userId) => {
+    const result = await client.query(
+        "SELECT COUNT(*) AS count FROM photos WHERE user_id = $1 AND kind = 'enhanced' AND status = 'active'",
+        [userId]
+    );
+    return parseInt(result.rows[0].count);
+};
+
+// Move an order to the next step. Starting work assigns it (to assigneeId, the current
+// assignee, or the acting staff member); going back to the queue unassigns it.
+const transitionFulfillment = async ({ paymentId, to, admin, assigneeId, note }) => {
+    if (!FULFILLMENT_STATUSES.includes(to)) {
+        return fail('INVALID_STATUS', `to must be one of: ${FULFILLMENT_STATUSES.join(', ')}`);
+    }
+    if (NOTE_REQUIRED.includes(to) && !(typeof note === 'string' && note.trim())) {
+        return fail('NOTE_REQUIRED', `A note is required to move an order to ${to}`);
+    }
+
+    return withLockedFulfillment(paymentId, async (client, generation) => {
+        const from = generation.status;
+        if (!TRANSITIONS[from].includes(to)) {
+            return fail('INVALID_TRANSITION', `Cannot move an order from ${from} to ${to}`, 409, {
+                allowed: TRANSITIONS[from]
+            });
+        }
+
+        let nextAssignee = generation.assignee_id;
+        if (to === 'in_progress') {
+            nextAssignee = assigneeId || generation.assignee_id || admin.id;
+        } else if (to === 'queued') {
+            nextAssignee = null;
+        }
+        if (nextAssignee && nextAssignee !== generation.assignee_id && !(await isActiveAdmin(client, nextAssignee))) {
+            return fail('INVALID_ASSIGNEE', 'Assignee must be an active staff account');
+        }
+
+        if ((to === 'review' || to === 'delivered') && (await countGeneratedPhotos(client, generation.user_id)) === 0) {
+            return fail('NO_GENERATED_PHOTOS', `Attach generated photos before moving an order to ${to}`, 409);
+        }
+
+        const timestampColumn = STEP_TIMESTAMPS[to];
+        await client.query(`
+            UPDATE photo_generations
+            SET status = $2,
+                assignee_id = $3,
+                revision_count = revision_count + $4
+                ${timestampColumn ? `, ${timestampColumn} = NOW()` : ''}
+            WHERE generation_id = $1
+        `, [generation.generation_id, to, nextAssignee, to === 'revision_requested' ? 1 : 0]);
+
+        if (to === 'delivered') {
+            await client.query(
+                "UPDATE photos SET used_in_delivery = true WHERE user_id = $1 AND kind = 'enhanced' AND status = 'active'",
+                [generation.user_id]
+            );
+        }
+
+        await recordEvent(client, generation.generation_id, {
+            from,
+            to,
+            actor: admin.email,
+            assigneeId: nextAssignee,
+            note: note?.trim() || null
+        });
+
+        console.log(`📦 Order ${paymentId}: ${from} -> ${to} by ${admin.email}`);
+        return { success: true };
+    });
+};
+
+// Hand an order to someone else without changing its step
+const assignFulfillment = async ({ paymentId, assigneeId, admin }) => {
+    return withLockedFulfillment(paymentId, async (client, generation) => {
+        if (['delivered', 'cancelled'].includes(generation.status)) {
+            return fail('INVALID_TRANSITION', `A ${generation.status} order cannot be reassigned`, 409);
+        }
+        if (assigneeId && !(await isActiveAdmin(client, assigneeId))) {
+            return fail('INVALID_ASSIGNEE', 'Assignee must be an active staff account');
+        }
+
+        await client.query(
+            'UPDATE photo_generations SET assignee_id = $2 WHERE generation_id = $1',
+            [generation.generation_id, assigneeId || null]
+        );
+        await recordEvent(client, generation.generation_id, {
+            from: generation.status,
+            to: generation.status,
+            actor: admin.email,
+            assigneeId: assigneeId || null,
+            note: assigneeId ? 'Reassigned' : 'Unassigned'
+        });
+        return { success: true };
+    });
+};
+
+const isHttpUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+};
+
+// Attach generated photos - body photos: [{ url, storageKey?, width?, height?, sourcePhotoId? }]
+// sourcePhotoId is the customer's original the photo was made from.
+const addGeneratedPhotos = async ({ paymentId, photos }) => {
+    if (!Array.isArray(photos) || photos.length === 0 || photos.length > MAX_PHOTOS_PER_REQUEST) {
+        return fail('INVALID_PHOTOS', `photos must be an array of 1-${MAX_PHOTOS_PER_REQUEST} photos`);
+    }
+    for (const [index, photo] of photos.entries()) {
+        if (!isHttpUrl(photo?.url)) {
+            return fail('INVALID_PHOTOS', `photos[${index}].url must be an http(s) URL`);
+        }
+        if (photo.sourcePhotoId !== undefined && photo.sourcePhotoId !== null && !UUID_PATTERN.test(photo.sourcePhotoId)) {
+            return fail('INVALID_PHOTOS', `photos[${index}].sourcePhotoId must be a photo ID`);
+        }
+    }
+
+    return withLockedFulfillment(paymentId, async (client, generation) => {
+        if (!WORK_STATUSES.includes(generation.status)) {
+            return fail('INVALID_TRANSITION', `Photos can only be attached while an order is ${WORK_STATUSES.join(' or ')}`, 409);
+        }
+
+        const next = await client.query(
+            "SELECT COALESCE(MAX(position) + 1, 0) AS position FROM photos WHERE user_id = $1 AND kind = 'enhanced'",
+            [generation.user_id]
+        );
+        const start = parseInt(next.rows[0].position);
+
+        const originals = await client.query(
+            "SELECT photo_id FROM photos WHERE user_id = $1 AND kind = 'original'",
+            [generation.user_id]
+        );
+        const originalIds = new Set(originals.rows.map((row) => row.photo_id));
+        const unknown = photos.findIndex((photo) => photo.sourcePhotoId && !originalIds.has(photo.sourcePhotoId));
+        if (unknown !== -1) {
+            return fail('INVALID_PHOTOS', `photos[${unknown}].sourcePhotoId is not one of this order's original photos`);
+        }
+
+        const inserted = [];
+        for (const [index, photo] of photos.entries()) {
+            const result = await client.query(`
+                INSERT INTO photos (user_id, kind, source_photo_id, storage_key, url, width, height, position)
+                VALUES ($1, 'enhanced', $2, $3, $4, $5, $6, $7)
+                RETURNING *
+            `, [
+                generation.user_id,
+                photo.sourcePhotoId || null,
+                photo.storageKey || null,
+                photo.url,
+                Number.isInteger(photo.width) ? photo.width : null,
+                Number.isInteger(photo.height) ? photo.height : null,
+                start + index
+            ]);
+            inserted.push(toPhoto(result.rows[0]));
+        }
+        return { success: true, photos: inserted };
+    });
+};
+
+const validateSuggestions = (name, value) => {
+    if (value === undefined) return null;
+    if (!Array.isArray(value) || value.length > MAX_SUGGESTIONS ||
+        value.some((item) => typeof item !== 'string' || !item.trim() || item.length > MAX_SUGGESTION_LENGTH)) {
+        return fail('INVALID_SUGGESTIONS', `${name} must be an array of up to ${MAX_SUGGESTIONS} non-empty strings`);
+    }
+    return null;
+};
+
+// Replace the bio suggestions and/or style variations for the customer
+const setSuggestions = async ({ paymentId, bioSuggestions, styleVariations }) => {
+    const invalid = validateSuggestions('bioSuggestions', bioSuggestions) ||
+        validateSuggestions('styleVariations', styleVariations);
+    if (invalid) return invalid;
+    if (bioSuggestions === undefined && styleVariations === undefined) {
+        return fail('INVALID_SUGGESTIONS', 'Send bioSuggestions and/or styleVariations');
+    }
+
+    return withLockedFulfillment(paymentId, async (client, generation) => {
+        if (!WORK_STATUSES.includes(generation.status)) {
+            return fail('INVALID_TRANSITION', `Suggestions can only change while an order is ${WORK_STATUSES.join(' or ')}`, 409);
+        }
+
+        await client.query(`
+            UPDATE photo_generations
+            SET bio_suggestions = COALESCE($2, bio_suggestions),
+                style_variations = COALESCE($3, style_variations)
+            WHERE generation_id = $1
+        `, [
+            generation.generation_id,
+            bioSuggestions ? JSON.stringify(bioSuggestions.map((item) => item.trim())) : null,
+            styleVariations ? JSON.stringify(styleVariations.map((item) => item.trim())) : null
+        ]);
+        return { success: true };
+    });
+};
+
+module.exports = {
+    FULFILLMENT_STATUSES,
+    TRANSITIONS,
+    createFulfillment,
+    getFulfillment,
+    listFulfillments,
+    transitionFulfillment,
+    assignFulfillment,
+    addGeneratedPhotos,
+    setSuggestions
+};
@@ -0,0 +1,114 @@
+const { query } = require('../config/database');
+const { storage } = require('./storage');
+const { ASSET_KINDS } = require('./uploads');
+const { withRetry } = require('../utils/retry');
+
+// Garbage collection for onboarding media. An upload is referenced while its session can
+// still check out, or once it is attached to a submission that still exists. Everything
+// else in the onboarding folders - abandoned sessions, rejected files, photos of deleted
+// submissions and files no media_assets row knows about - is deleted after a grace period.
+
+// Longer than an upload session, so nothing a customer can still check out with is touched
+const DEFAULT_GRACE_HOURS = 48;
+
+const GC_FOLDERS = Object.values(ASSET_KINDS).map(({ folder }) => folder);
+
+// Photos stored before media_assets existed have no asset row - the photos table keeps
+// their storage key, so they stay referenced as long as the submission does
+const loadPhotoKeys = async () => {
+    const result = await query('SELECT storage_key FROM photos WHERE storage_key IS NOT NULL');
+    return new Set(result.rows.map((row) => row.storage_key));
+};
+
+// Tracked assets nothing references any more
+const findOrphanedAssets = async (cutoff, photoKeys) => {
+    const result = await query(`
+        SELECT m.asset_id, m.storage_key, m.status, m.byte_size, m.created_at
+        FROM media_assets m
+        JOIN upload_sessions s ON s.session_id = m.session_id
+        WHERE m.status <> 'deleted'
+          AND m.created_at < $1
+          AND NOT (m.status = 'attached' AND m.user_id IS NOT NULL)
+          AND NOT (s.status = 'open' AND s.expires_at > NOW())
+        ORDER BY m.created_at
+    `, [cutoff]);
+
+    return result.rows.filter((row) => !photoKeys.has(row.storage_key)).map((row) => ({
+        key: row.storage_key,
+        assetId: row.asset_id,
+        source: 'media_assets',
+        reason: row.status === 'attached' ? 'OWNER_DELETED' : `UNATTACHED_${row.status.toUpperCase()}`,
+        byteSize: row.byte_size,
+        createdAt: row.created_at
+    }));
+};
+
+// Files in storage that no live asset row or submission photo points to
+const findUntrackedFiles = async (cutoff, photoKeys) => {
+    const tracked = await query("SELECT storage_key FROM media_assets WHERE status <> 'deleted'");
+    const known = new Set([...tracked.rows.map((row) => row.storage_key), ...photoKeys]);
+
+    const orphans = [];
+    for (const folder of GC_FOLDERS) {
+        for (const object of await storage.list(folder)) {
+            if (known.has(object.key) || object.createdAt >= cutoff) continue;
+            orphans.push({
+                key: object.key,
+                assetId: null,
+                source: 'storage',
+                reason: 'UNTRACKED',
+                byteSize: object.byteSize,
+                createdAt: object.createdAt
+            });
+        }
+    }
+    return orphans;
+};
+
+const deleteOrphan = async (orphan) => {
+    await withRetry(() => storage.delete(orphan.key));
+    if (orphan.assetId) {
+        await query(
+            "UPDATE media_assets SET status = 'deleted', deleted_at = NOW() WHERE asset_id = $1",
+            [orphan.assetId]
+        );
+    }
+};
+
+// Find (and unless reportOnly, delete) orphaned media. Returns a report of every orphan.
+const collectOrphanedMedia = async ({ reportOnly = false, graceHours = DEFAULT_GRACE_HOURS } = {}) => {
+    const cutoff = new Date(Date.now() - graceHours * 60 * 60 * 1000);
+
+    const photoKeys = await loadPhotoKeys();
+    const orphans = [
+        ...await findOrphanedAssets(cutoff, photoKeys),
+        ...await findUntrackedFiles(cutoff, photoKeys)
+    ];
+
+    const report = {
+        storage: storage.name,
+        reportOnly,
+        cutoff,
+        orphans,
+        totalBytes: orphans.reduce((sum, orphan) => sum + (orphan.byteSize || 0), 0),
+        deleted: 0,
+        failed: []
+    };
+    if (reportOnly) return report;
+
+    for (const orphan of orphans) {
+        try {
+            await deleteOrphan(orphan);
+            report.deleted++;
+        } catch (error) {
+            console.error(`❌ Failed to delete ${orphan.key}:`, error.message);
+            report.failed.push({ key: orphan.key, error: error.message });
+        }
+    }
+    return report;
+};
+
+module.exports = {
+    DEFAULT_GRACE_HOURS,
+    collectOrphanedMedia
+};
@@ -0,0 +1,549 @@
+const { pool, query, getClient } = require('../config/database');
+const { signToken, verifyToken } = require('./tokens');
+const { queueEmail } = require('./emailQueue');
+const { onboardingFields } = require('../schemas/onboarding');
+const { startWorker } = require('../utils/worker');
+
+// Weekly dating-tips newsletter. Staff write tips aimed at a segment and schedule issues
+// made of them; when an issue is due the worker queues one email per opted-in customer
+// with the tips that match them. The opt-in is weekly_tips on the customer's latest
+// questionnaire, so buying again with the box ticked subscribes them again.
+//
+// A tip's segment has three dimensions - dating goals, interests and packages bought.
+// An empty dimension matches everyone; a customer must match every non-empty one.
+
+const ISSUE_STATUSES = ['scheduled', 'sending', 'sent', 'cancelled'];
+
+// Issues go out on Tuesdays at 15:00 UTC unless staff pick another time
+const SEND_DAY = 2;
+const SEND_HOUR_UTC = 15;
+
+const MAX_TIPS_PER_ISSUE = 10;
+
+// Unsubscribe links keep working long after the issue they came in
+const UNSUBSCRIBE_TTL_SECONDS = 365 * 24 * 60 * 60;
+
+// An issue left in 'sending' this long belongs to a worker that died mid-send
+const STALE_SENDING_MINUTES = 30;
+
+const WORKER_INTERVAL_MS = 5 * 60 * 1000;
+
+// Payments that count as having bought a package
+const PURCHASED_STATUSES = ['completed', 'partially_refunded'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const fail = (code, message, httpStatus = 400, details = {}) => ({
+    success: false,
+    code,
+    message,
+    httpStatus,
+    ...details
+});
+
+const toTip = (row) => ({
+    id: row.tip_id,
+    title: row.title,
+    body: row.body,
+    segment: {
+        datingGoals: row.dating_goals,
+        interests: row.interests,
+        packageIds: row.package_ids
+    },
+    isActive: row.is_active,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+const toIssue = (row) => ({
+    id: row.issue_id,
+    subject: row.subject,
+    intro: row.intro,
+    status: row.status,
+    scheduledFor: row.scheduled_for,
+    sentAt: row.sent_at,
+    recipientCount: row.recipient_count,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+// The next weekly send slot after now
+const nextSendSlot = (now = new Date()) => {
+    const slot = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), SEND_HOUR_UTC));
+    slot.setUTCDate(slot.getUTCDate() + ((SEND_DAY - slot.getUTCDay() + 7) % 7));
+    if (slot <= now) slot.setUTCDate(slot.getUTCDate() + 7);
+    return slot;
+};
+
+// --- Segments ---
+
+const optionValues = (field) => onboardingFields[field].options.map((option) => option.value);
+
+const isStringArray = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string');
+
+// { datingGoals?, interests?, packageIds? } -> normalized segment, checked against the
+// questionnaire options and the package catalog
+const validateSegment = async (segment = {}) => {
+    const { datingGoals = [], interests = [], packageIds = [] } = segment || {};
+    if (![datingGoals, interests, packageIds].every(isStringArray)) {
+        return fail('INVALID_SEGMENT', 'segment.datingGoals, segment.interests and segment.packageIds must be arrays of strings');
+    }
+
+    const goals = optionValues('datingGoal');
+    const unknownGoal = datingGoals.find((goal) => !goals.includes(goal));
+    if (unknownGoal) {
+        return fail('INVALID_SEGMENT', `Unknown dating goal "${unknownGoal}" - use one of: ${goals.join(', ')}`);
+    }
+
+    const interestOptions = optionValues('interests');
+    const unknownInterest = interests.find((interest) => !interestOptions.includes(interest));
+    if (unknownInterest) {
+        return fail('INVALID_SEGMENT', `Unknown interest "${unknownInterest}" - use one of: ${interestOptions.join(', ')}`);
+    }
+
+    if (packageIds.length > 0) {
+        const result = await query('SELECT package_id FROM packages WHERE package_id = ANY($1)', [packageIds]);
+        const known = result.rows.map((row) => row.package_id);
+        const unknownPackage = packageIds.find((id) => !known.includes(id));
+        if (unknownPackage) {
+            return fail('INVALID_SEGMENT', `Unknown package "${unknownPackage}"`);
+        }
+    }
+
+    return {
+        success: true,
+        segment: {
+            datingGoals: [...new Set(datingGoals)],
+            interests: [...new Set(interests)],
+            packageIds: [...new Set(packageIds)]
+        }
+    };
+};
+
+const matchesDimension = (wanted, actual) => wanted.length === 0 || wanted.some((value) => actual.includes(value));
+
+const tipMatches = (tip, recipient) =>
+    matchesDimension(tip.segment.datingGoals, [recipient.datingGoal]) &&
+    matchesDimension(tip.segment.interests, recipient.interests) &&
+    matchesDimension(tip.segment.packageIds, recipient.packageIds);
+
+// Everyone whose latest questionnaire asked for weekly tips, with what they are segmented by
+const loadRecipients = async () => {
+    const result = await query(`
+        SELECT * FROM (
+            SELECT DISTINCT ON (c.customer_id)
+                   c.customer_id, c.email, c.name, o.weekly_tips, o.dating_goal, o.interests,
+                   ARRAY(
+                       SELECT DISTINCT p.package_id FROM payments p
+                       WHERE p.customer_id = c.customer_id AND p.status = ANY($1)
+                   ) AS package_ids
+            FROM customers c
+            JOIN onboarding_submissions o ON o.customer_id = c.customer_id
+            ORDER BY c.customer_id, o.created_at DESC
+        ) latest
+        WHERE weekly_tips
+    `, [PURCHASED_STATUSES]);
+
+    return result.rows.map((row) => ({
+        customerId: row.customer_id,
+        email: row.email,
+        name: row.name,
+        datingGoal: row.dating_goal,
+        interests: Array.isArray(row.interests) ? row.interests : [],
+        packageIds: row.package_ids
+    }));
+};
+
+// --- Tips ---
+
+const validateTipContent = ({ title, body }, { partial = false } = {}) => {
+    if ((!partial || title !== undefined) && !(typeof title === 'string' && title.trim() && title.trim().length <= 200)) {
+        return fail('INVALID_TIP', 'title must be 1-200 characters');
+    }
+    if ((!partial || body !== undefined) && !(typeof body === 'string' && body.trim())) {
+        return fail('INVALID_TIP', 'body is required');
+    }
+    return null;
+};
+
+// ?active=true|false filters; default is every tip
+const listTips = async ({ active } = {}) => {
+    const result = await query(`
+        SELECT * FROM newsletter_tips
+        ${active === undefined ? '' : 'WHERE is_active = $1'}
+        ORDER BY created_at DESC
+    `, active === undefined ? [] : [active]);
+    return result.rows.map(toTip);
+};
+
+// Body: { title, body, segment?: { datingGoals?, interests?, packageIds? } }
+const createTip = async ({ title, body, segment }, admin) => {
+    const invalid = validateTipContent({ title, body });
+    if (invalid) return invalid;
+
+    const checked = await validateSegment(segment);
+    if (!checked.success) return checked;
+
+    const result = await query(`
+        INSERT INTO newsletter_tips (title, body, dating_goals, interests, package_ids, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+    `, [
+        title.trim(),
+        body.trim(),
+        checked.segment.datingGoals,
+        checked.segment.interests,
+        checked.segment.packageIds,
+        admin.email
+    ]);
+    return { success: true, tip: toTip(result.rows[0]) };
+};
+
+// Body: any of { title, body, segment, isActive } - retired tips stay in past issues
+const updateTip = async (tipId, { title, body, segment, isActive }) => {
+    if (!UUID_PATTERN.test(tipId)) {
+        return fail('TIP_NOT_FOUND', 'Tip not found', 404);
+    }
+
+    const invalid = validateTipContent({ title, body }, { partial: true });
+    if (invalid) return invalid;
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+        return fail('INVALID_TIP', 'isActive must be true or false');
+    }
+
+    let checked = null;
+    if (segment !== undefined) {
+        checked = await validateSegment(segment);
+        if (!checked.success) return checked;
+    }
+
+    const result = await query(`
+        UPDATE newsletter_tips
+        SET title = COALESCE($2, title),
+            body = COALESCE($3, body),
+            dating_goals = COALESCE($4, dating_goals),
+            interests = COALESCE($5, interests),
+            package_ids = COALESCE($6, package_ids),
+            is_active = COALESCE($7, is_active)
+        WHERE tip_id = $1
+        RETURNING *
+    `, [
+        tipId,
+        title?.trim() ?? null,
+        body?.trim() ?? null,
+        checked?.segment.datingGoals ?? null,
+        checked?.segment.interests ?? null,
+        checked?.segment.packageIds ?? null,
+        isActive ?? null
+    ]);
+
+    if (!result.rows[0]) {
+        return fail('TIP_NOT_FOUND', 'Tip not found', 404);
+    }
+    return { success: true, tip: toTip(result.rows[0]) };
+};
+
+// --- Issues ---
+
+const loadIssueTips = async (db, issueId) => {
+    const result = await db.query(`
+        SELECT t.* FROM newsletter_issue_tips it
+        JOIN newsletter_tips t ON t.tip_id = it.tip_id
+        WHERE it.issue_id = $1
+        ORDER BY it.position
+    `, [issueId]);
+    return result.rows.map(toTip);
+};
+
+// tipIds must name active tips; scheduledFor defaults to the next weekly slot
+const validateIssue = async ({ subject, intro, tipIds, scheduledFor }, { partial = false } = {}) => {
+    if ((!partial || subject !== undefined) && !(typeof subject === 'string' && subject.trim() && subject.trim().length <= 200)) {
+        return fail('INVALID_ISSUE', 'subject must be 1-200 characters');
+    }
+    if (intro !== undefined && intro !== null && typeof intro !== 'string') {
+        return fail('INVALID_ISSUE', 'intro must be text');
+    }
+    if (scheduledFor !== undefined && scheduledFor !== null && Number.isNaN(new Date(scheduledFor).getTime())) {
+        return fail('INVALID_ISSUE', 'scheduledFor must be a date');
+    }
+
+    if (!partial || tipIds !== undefined) {
+        if (!Array.isArray(tipIds) || tipIds.length === 0 || tipIds.length > MAX_TIPS_PER_ISSUE ||
+            !tipIds.every((id) => typeof id === 'string' && UUID_PATTERN.test(id)) || new Set(tipIds).size !== tipIds.length) {
+            return fail('INVALID_ISSUE', `tipIds must list 1-${MAX_TIPS_PER_ISSUE} different tip IDs`);
+        }
+
+        const result = await query('SELECT tip_id FROM newsletter_tips WHERE tip_id = ANY($1) AND is_active', [tipIds]);
+        const found = result.rows.map((row) => row.tip_id);
+        const missing = tipIds.filter((id) => !found.includes(id));
+        if (missing.length > 0) {
+            return fail('TIP_NOT_FOUND', 'Some tips do not exist or are inactive', 404, { missing });
+        }
+    }
+
+    return null;
+};
+
+const replaceIssueTips = async (client, issueId, tipIds) => {
+    await client.query('DELETE FROM newsletter_issue_tips WHERE issue_id = $1', [issueId]);
+    for (const [position, tipId] of tipIds.entries()) {
+        await client.query(
+            'INSERT INTO newsletter_issue_tips (issue_id, tip_id, position) VALUES ($1, $2, $3)',
+            [issueId, tipId, position]
+        );
+    }
+};
+
+// Who an issue would reach right now - per tip and in total
+const estimateAudience = (tips, recipients) => ({
+    recipients: recipients.filter((recipient) => tips.some((tip) => tipMatches(tip, recipient))).length,
+    subscribers: recipients.length,
+    perTip: Object.fromEntries(tips.map((tip) => [
+        tip.id,
+        recipients.filter((recipient) => tipMatches(tip, recipient)).length
+    ]))
+});
+
+// ?status=scheduled&page=1&limit=50, newest schedule first
+const listIssues = async ({ status, limit = 50, offset = 0 } = {}) => {
+    if (status && !ISSUE_STATUSES.includes(status)) {
+        return fail('INVALID_STATUS', `status must be one of: ${ISSUE_STATUSES.join(', ')}`);
+    }
+
+    const result = await query(`
+        SELECT * FROM newsletter_issues
+        ${status ? 'WHERE status = $3' : ''}
+        ORDER BY scheduled_for DESC
+        LIMIT $1 OFFSET $2
+    `, status ? [limit, offset, status] : [limit, offset]);
+
+    return { success: true, issues: result.rows.map(toIssue) };
+};
+
+// One issue with its tips and, until it is sent, the audience it would reach
+const getIssue = async (issueId) => {
+    if (!UUID_PATTERN.test(issueId)) {
+        return fail('ISSUE_NOT_FOUND', 'Issue not found', 404);
+    }
+
+    const result = await query('SELECT * FROM newsletter_issues WHERE issue_id = $1', [issueId]);
+    if (!result.rows[0]) {
+        return fail('ISSUE_NOT_FOUND', 'Issue not found', 404);
+    }
+
+    const issue = toIssue(result.rows[0]);
+    const tips = await loadIssueTips(pool, issueId);
+    const audience = issue.status === 'scheduled' ? estimateAudience(tips, await loadRecipients()) : null;
+
+    return { success: true, issue: { ...issue, tips }, audience };
+};
+
+// Body: { subject, intro?, tipIds, scheduledFor? }
+const createIssue = async ({ subject, intro, tipIds, scheduledFor }, admin) => {
+    const invalid = await validateIssue({ subject, intro, tipIds, scheduledFor });
+    if (invalid) return invalid;
+
+    const client = await getClient();
+    let issueId;
+
+    try {
+        await client.query('BEGIN');
+
+        const result = await client.query(`
+            INSERT INTO newsletter_issues (subject, intro, scheduled_for, created_by)
+            VALUES ($1, $2, $3, $4)
+            RETURNING issue_id
+        `, [subject.trim(), intro?.trim() || null, scheduledFor ? new Date(scheduledFor) : nextSendSlot(), admin.email]);
+        issueId = result.rows[0].issue_id;
+
+        await replaceIssueTips(client, issueId, tipIds);
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    console.log(`📰 Newsletter issue ${issueId} scheduled by ${admin.email}`);
+    return getIssue(issueId);
+};
+
+// Edit or cancel an issue that has not started sending
+const withScheduledIssue = async (issueId, fn) => {
+    if (!UUID_PATTERN.test(issueId)) {
+        return fail('ISSUE_NOT_FOUND', 'Issue not found', 404);
+    }
+
+    const client = await getClient();
+
+    try {
+        await client.query('BEGIN');
+
+        const result = await client.query('SELECT * FROM newsletter_issues WHERE issue_id = $1 FOR UPDATE', [issueId]);
+        const issue = result.rows[0];
+        if (!issue) {
+            await client.query('ROLLBACK');
+            return fail('ISSUE_NOT_FOUND', 'Issue not found', 404);
+        }
+        if (issue.status !== 'scheduled') {
+            await client.query('ROLLBACK');
+            return fail('ISSUE_NOT_EDITABLE', `An issue that is ${issue.status} cannot be changed`, 409);
+        }
+
+        await fn(client, issue);
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    return getIssue(issueId);
+};
+
+// Body: any of { subject, intro, tipIds, scheduledFor }
+const updateIssue = async (issueId, { subject, intro, tipIds, scheduledFor }) => {
+    const invalid = await validateIssue({ subject, intro, tipIds, scheduledFor }, { partial: true });
+    if (invalid) return invalid;
+
+    return withScheduledIssue(issueId, async (client) => {
+        await client.query(`
+            UPDATE newsletter_issues
+            SET subject = COALESCE($2, subject),
+                intro = CASE WHEN $3 THEN $4 ELSE intro END,
+                scheduled_for = COALESCE($5, scheduled_for)
+            WHERE issue_id = $1
+        `, [
+            issueId,
+            subject?.trim() ?? null,
+            intro !== undefined,
+            intro?.trim() || null,
+            scheduledFor ? new Date(scheduledFor) : null
+        ]);
+
+        if (tipIds !== undefined) {
+            await replaceIssueTips(client, issueId, tipIds);
+        }
+    });
+};
+
+const cancelIssue = (issueId) => withScheduledIssue(issueId, (client) =>
+    client.query("UPDATE newsletter_issues SET status = 'cancelled' WHERE issue_id = $1", [issueId])
+);
+
+// --- Unsubscribe ---
+
+const signUnsubscribeLink = (customerId) => {
+    const token = signToken('unsubscribe', { sub: customerId }, UNSUBSCRIBE_TTL_SECONDS);
+    return `${process.env.FRONTEND_URL}/unsubscribe?token=${token}`;
+};
+
+// Turn weekly tips off on every questionnaire of the customer - unsubscribing twice is fine
+const unsubscribe = async (token) => {
+    const claims = verifyToken('unsubscribe', token);
+    if (!claims) {
+        return fail('INVALID_UNSUBSCRIBE_LINK', 'This unsubscribe link is invalid or has expired', 401);
+    }
+
+    const result = await query(
+        'UPDATE onboarding_submissions SET weekly_tips = false WHERE customer_id = $1 AND weekly_tips',
+        [claims.sub]
+    );
+    if (result.rowCount > 0) {
+        console.log(`📭 Customer ${claims.sub} unsubscribed from weekly tips`);
+    }
+    return { success: true };
+};
+
+// --- Sending ---
+
+// Queue the issue for everyone it has tips for. The outbox dedupe key makes a resumed
+// send (after a crash) skip the customers already queued.
+const sendIssue = async (issue) => {
+    const tips = await loadIssueTips(pool, issue.issue_id);
+    let queued = 0;
+
+    for (const recipient of await loadRecipients()) {
+        const matching = tips.filter((tip) => tipMatches(tip, recipient));
+        if (matching.length === 0) continue;
+
+        const unsubscribeUrl = signUnsubscribeLink(recipient.customerId);
+        const emailId = await queueEmail(pool, {
+            template: 'newsletter_issue',
+            to: recipient.email,
+            data: { issue, tips: matching, name: recipient.name, unsubscribeUrl },
+            dedupeKey: `newsletter:${issue.issue_id}:${recipient.customerId}`,
+            headers: {
+                // One-click unsubscribe (RFC 8058) through the frontend's unsubscribe route
+                'List-Unsubscribe': `<${unsubscribeUrl.replace('/unsubscribe?', '/api/newsletter/unsubscribe?')}>`,
+                'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+            }
+        });
+        if (emailId) queued++;
+    }
+
+    const count = await query(
+        "SELECT COUNT(*) AS count FROM email_outbox WHERE template = 'newsletter_issue' AND dedupe_key LIKE $1",
+        [`newsletter:${issue.issue_id}:%`]
+    );
+    await query(
+        "UPDATE newsletter_issues SET status = 'sent', sent_at = NOW(), recipient_count = $2 WHERE issue_id = $1",
+        [issue.issue_id, parseInt(count.rows[0].count)]
+    );
+
+    console.log(`📰 Newsletter issue ${issue.issue_id} queued for ${queued} recipients`);
+    return queued;
+};
+
+// Send every issue whose time has come, one at a time
+const sendDueIssues = async () => {
+    let sent = 0;
+
+    for (;;) {
+        const result = await query(`
+            UPDATE newsletter_issues
+            SET status = 'sending'
+            WHERE issue_id = (
+                SELECT issue_id FROM newsletter_issues
+                WHERE (status = 'scheduled' AND scheduled_for <= NOW())
+                   OR (status = 'sending' AND updated_at < NOW() - make_interval(mins => $1))
+                ORDER BY scheduled_for
+                LIMIT 1
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *
+        `, [STALE_SENDING_MINUTES]);
+
+        const issue = result.rows[0];
+        if (!issue) return sent;
+
+        await sendIssue(issue);
+        sent++;
+    }
+};
+
+// Check for due issues in the background
+const startNewsletterWorker = ({ intervalMs = WORKER_INTERVAL_MS } = {}) =>
+    startWorker('Newsletter', sendDueIssues, intervalMs);
+
+module.exports = {
+    ISSUE_STATUSES,
+    nextSendSlot,
+    listTips,
+    createTip,
+    updateTip,
+    listIssues,
+    getIssue,
+    createIssue,
+    updateIssue,
+    cancelIssue,
+    signUnsubscribeLink,
+    unsubscribe,
+    sendDueIssues,
+    startNewsletterWorker
+};
@@ -0,0 +1,56 @@
+const { query } = require('../config/database');
+
+// The catalog changes rarely - cache it briefly instead of querying on every checkout
+const CACHE_TTL_MS = 60 * 1000;
+let cache = { packages: null, loadedAt: 0 };
+
+// Shape a packages row the way the frontend renders it
+const toPackage = (row) => ({
+    id: row.package_id,
+    name: row.name,
+    price: parseFloat(row.price),
+    originalPrice: row.original_price !== null ? parseFloat(row.original_price) : null,
+    currency: row.currency,
+    discount: row.discount_label,
+    description: row.description,
+    benefit: row.benefit,
+    features: row.features || [],
+    buttonText: row.button_text,
+    popular: row.popular,
+    mobileOrder: row.mobile_order,
+    minPhotos: row.min_photos
+});
+
+const loadPackages = async () => {
+    if (cache.packages && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+        return cache.packages;
+    }
+
+    const result = await query(`
+        SELECT * FROM packages
+        WHERE is_active = true
+        ORDER BY sort_order ASC, price ASC
+    `);
+
+    cache = { packages: result.rows.map(toPackage), loadedAt: Date.now() };
+    return cache.packages;
+};
+
+// Active packages in display order
+const getActivePackages = () => loadPackages();
+
+// A single active package, or null - this is the price PayPal must have charged
+const getPackage = async (packageId) => {
+    const packages = await loadPackages();
+    return packages.find((pkg) => pkg.id === packageId) || null;
+};
+
+const clearPackageCache = () => {
+    cache = { packages: null, loadedAt: 0 };
+};
+
+module.exports = {
+    getActivePackages,
+    getPackage,
+    clearPackageCache
+};
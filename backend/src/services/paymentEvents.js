@@ -0,0 +1,81 @@
+const { getPaymentProvider } = require('./paymentProviders');
+const { recordRefund, refreshRefundStatus } = require('./refunds');
+
+// Providers can deliver events out of order, so a late pending must not undo a completed
+// and nothing may resurrect a payment whose money was returned.
+const canTransition = (from, to) => {
+    if (from === to) return false;
+    if (from === 'refunded') return false;
+    if (from === 'partially_refunded' && to === 'completed') return false;
+    return to !== 'pending';
+};
+
+// Apply a normalized webhook event (see services/paymentProviders) to its locked payment
+// row and mark the event processed -> { status, updated }
+const applyPaymentEvent = async (client, payment, event, provider) => {
+    let updated = false;
+    let status = payment.status;
+
+    if (event.refund) {
+        // Refunds made in the provider's dashboard are recorded like ours (a known refund
+        // just gets its status updated), then the status becomes refunded or
+        // partially_refunded depending on the total
+        await recordRefund(client, {
+            paymentId: payment.payment_id,
+            paypalRefundId: event.refund.refundId,
+            amount: event.refund.amount,
+            currency: event.refund.currency,
+            reason: event.refund.reason,
+            operator: provider.id,
+            status: event.refund.status
+        });
+        status = await refreshRefundStatus(client, payment.payment_id);
+        updated = status !== payment.status;
+        console.log(`✅ Payment ${payment.payment_id}: ${payment.status} → ${status} (${event.type})`);
+    } else if (canTransition(payment.status, event.status)) {
+        await client.query(
+            'UPDATE payments SET status = $1 WHERE payment_id = $2',
+            [event.status, payment.payment_id]
+        );
+        updated = true;
+        status = event.status;
+        console.log(`✅ Payment ${payment.payment_id}: ${payment.status} → ${event.status} (${event.type})`);
+    }
+
+    await client.query(
+        'UPDATE payment_events SET payment_id = $1, processed_at = NOW() WHERE event_id = $2',
+        [payment.payment_id, event.id]
+    );
+
+    return { status, updated };
+};
+
+// Events that arrived before /store wrote their order are kept unprocessed - apply them,
+// oldest first, once the payment exists. Runs in the transaction that inserts the payment.
+const applyPendingEvents = async (client, { paymentId, providerId, orderId, captureId }) => {
+    const pending = await client.query(`
+        SELECT event_id, payload FROM payment_events
+        WHERE processed_at IS NULL AND provider = $1 AND (order_id = $2 OR capture_id = $3)
+        ORDER BY created_at
+        FOR UPDATE
+    `, [providerId, orderId, captureId]);
+    if (pending.rows.length === 0) return 0;
+
+    const provider = getPaymentProvider(providerId);
+    for (const row of pending.rows) {
+        const paymentResult = await client.query(
+            'SELECT payment_id, status FROM payments WHERE payment_id = $1 FOR UPDATE',
+            [paymentId]
+        );
+        const event = provider.toWebhookEvent(row.payload);
+        await applyPaymentEvent(client, paymentResult.rows[0], event, provider);
+    }
+
+    console.log(`✅ Applied ${pending.rows.length} ${provider.label} event(s) that arrived before order ${orderId} was stored`);
+    return pending.rows.length;
+};
+
+module.exports = {
+    applyPaymentEvent,
+    applyPendingEvents
+};
@@ -0,0 +1,50 @@
+const { createPayPalProvider } = require('./paypal');
+const { createStripeProvider } = require('./stripe');
+const { stripeAPI } = require('../../config/stripe');
+
+// Payment providers a checkout can be paid with. payments.provider records which one took
+// the money, and everything after checkout (verification, refunds, webhooks) goes through it.
+//
+// Every provider implements:
+//   createIntent({ package, customerEmail, idempotencyKey })   start a checkout -> { orderId, clientSecret }
+//   getPayment(orderId, { captureId })                         the checkout as a payment (below)
+//   capture(orderId, { captureId })                            take the money for an approved checkout -> payment
+//   refund({ captureId, amount, currency, requestId })         full (no amount) or partial refund -> refund
+//   parseWebhook(req)                                          verify and normalize a webhook -> { verified, event }
+//   toWebhookEvent(payload)                                    normalize a stored webhook payload -> event
+//
+// Each returns { success: true, ... } or { success: false, error, debugId, notFound }.
+//
+// A payment is { status, packageId, captureId, amount, currency, raw } with status one of
+// created, approved (captured on our side), pending, completed, failed or refunded.
+// A refund is { refundId, amount, currency, status } with the refunds.status values.
+// A webhook event is { id, type, status, captureId, orderId, refund, payload }, where status
+// is the payments.status it moves a payment to and refund is set for refund events.
+
+const adapters = {
+    paypal: createPayPalProvider,
+    stripe: createStripeProvider
+};
+
+const PAYMENT_PROVIDERS = Object.keys(adapters);
+
+const DEFAULT_PROVIDER = 'paypal';
+
+const isEnabled = (name) => name === 'paypal' || (name === 'stripe' && stripeAPI.isConfigured);
+
+const instances = {};
+
+// null for an unknown provider or one that is not configured
+const getPaymentProvider = (name = DEFAULT_PROVIDER) => {
+    if (!adapters[name] || !isEnabled(name)) return null;
+    if (!instances[name]) {
+        instances[name] = adapters[name]();
+    }
+    return instances[name];
+};
+
+module.exports = {
+    PAYMENT_PROVIDERS,
+    DEFAULT_PROVIDER,
+    getPaymentProvider
+};
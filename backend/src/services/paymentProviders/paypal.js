@@ -0,0 +1,170 @@
+const { paypalAPI } = require('../../config/paypal');
+
+// PayPal Orders v2. The order ID is the checkout's order ID, the capture ID is the payment
+// reference refunds and webhooks use. Buyers approve the order in PayPal's own window.
+
+const ORDER_STATUS = {
+    CREATED: 'created',
+    SAVED: 'created',
+    PAYER_ACTION_REQUIRED: 'created',
+    APPROVED: 'approved',
+    VOIDED: 'failed'
+};
+
+const CAPTURE_STATUS = {
+    COMPLETED: 'completed',
+    PENDING: 'pending',
+    DECLINED: 'failed',
+    FAILED: 'failed',
+    PARTIALLY_REFUNDED: 'refunded',
+    REFUNDED: 'refunded'
+};
+
+// Capture events and the payments.status they move a payment to
+const CAPTURE_EVENT_STATUS = {
+    'PAYMENT.CAPTURE.COMPLETED': 'completed',
+    'PAYMENT.CAPTURE.PENDING': 'pending',
+    'PAYMENT.CAPTURE.DENIED': 'failed',
+    'PAYMENT.CAPTURE.REFUNDED': 'refunded', // Or partially_refunded - see the refund totals
+    'PAYMENT.CAPTURE.REVERSED': 'refunded' // Chargeback - the money went back to the buyer
+};
+
+const lookupFailure = (lookup) => ({
+    success: false,
+    notFound: lookup.statusCode === 404,
+    error: lookup.error,
+    debugId: lookup.debugId
+});
+
+// The order as the provider-neutral payment - captureId picks one capture when there are several
+const toPayment = (order, captureId = null) => {
+    const purchaseUnit = order.purchase_units?.[0];
+    const captures = purchaseUnit?.payments?.captures || [];
+    const capture = captures.find((c) => c.id === captureId) ||
+        captures.find((c) => c.status === 'COMPLETED') ||
+        captures[0];
+
+    let status = ORDER_STATUS[order.status] || 'created';
+    if (order.status === 'COMPLETED') {
+        status = capture ? CAPTURE_STATUS[capture.status] || 'failed' : 'failed';
+    }
+
+    return {
+        status,
+        packageId: purchaseUnit?.custom_id || null,
+        captureId: capture?.id || null,
+        amount: capture?.amount?.value || purchaseUnit?.amount?.value || null,
+        currency: capture?.amount?.currency_code || purchaseUnit?.amount?.currency_code || null,
+        raw: order
+    };
+};
+
+// REFUNDED/REVERSED events carry a refund resource that links "up" to its capture
+const getCaptureId = (event) => {
+    const resource = event.resource || {};
+
+    if (event.event_type === 'PAYMENT.CAPTURE.REFUNDED' || event.event_type === 'PAYMENT.CAPTURE.REVERSED') {
+        const upLink = (resource.links || []).find((link) => link.rel === 'up');
+        const match = upLink?.href?.match(/\/captures\/([^/?]+)/);
+        return match ? match[1] : null;
+    }
+
+    return resource.id || null;
+};
+
+// A PAYMENT.CAPTURE.* event as the webhook route applies it
+const toWebhookEvent = (event) => {
+    const refund = event.event_type === 'PAYMENT.CAPTURE.REFUNDED' && event.resource;
+    return {
+        id: event.id,
+        type: event.event_type,
+        status: CAPTURE_EVENT_STATUS[event.event_type] || null,
+        captureId: getCaptureId(event),
+        orderId: event.resource?.supplementary_data?.related_ids?.order_id || null,
+        refund: refund && {
+            refundId: refund.id,
+            amount: refund.amount?.value,
+            currency: refund.amount?.currency_code,
+            status: (refund.status || 'completed').toLowerCase(),
+            reason: refund.note_to_payer || 'Refunded in PayPal'
+        },
+        payload: event
+    };
+};
+
+const createPayPalProvider = () => ({
+    id: 'paypal',
+    label: 'PayPal',
+
+    createIntent: async ({ package: selectedPackage }) => {
+        const created = await paypalAPI.createOrder({
+            intent: 'CAPTURE',
+            purchase_units: [{
+                reference_id: `order_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                description: selectedPackage.name,
+                custom_id: selectedPackage.id,
+                amount: {
+                    currency_code: selectedPackage.currency,
+                    value: selectedPackage.price.toFixed(2)
+                }
+            }],
+            application_context: {
+                shipping_preference: 'NO_SHIPPING',
+                user_action: 'PAY_NOW',
+                return_url: `${process.env.FRONTEND_URL}/onboarding/success`,
+                cancel_url: `${process.env.FRONTEND_URL}/checkout`
+            }
+        });
+        if (!created.success) {
+            return { success: false, error: created.error, debugId: created.debugId };
+        }
+        return { success: true, orderId: created.orderId, clientSecret: null };
+    },
+
+    getPayment: async (orderId, { captureId } = {}) => {
+        const lookup = await paypalAPI.getOrder(orderId);
+        if (!lookup.success) return lookupFailure(lookup);
+        return { success: true, payment: toPayment(lookup.order, captureId) };
+    },
+
+    // Take the money for an approved order
+    capture: async (orderId, { captureId } = {}) => {
+        const captured = await paypalAPI.captureOrder(orderId);
+        if (!captured.success) return lookupFailure(captured);
+        return { success: true, payment: toPayment(captured.capture, captureId) };
+    },
+
+    // amount as a decimal string - omit it for a full refund
+    refund: async ({ captureId, amount, currency, requestId }) => {
+        const result = await paypalAPI.refundCapture(captureId, { amount, currency, requestId });
+        if (!result.success) {
+            return { success: false, error: result.error, debugId: result.debugId };
+        }
+        return {
+            success: true,
+            refundId: result.refundId,
+            amount: result.refund.amount?.value || amount,
+            currency: result.refund.amount?.currency_code || currency,
+            status: (result.status || 'completed').toLowerCase()
+        };
+    },
+
+    toWebhookEvent,
+
+    // Verified with PayPal's postback API
+    parseWebhook: async (req) => {
+        const verification = await paypalAPI.verifyWebhookSignature(req.headers, req.rawBody);
+        if (!verification.success) {
+            return { success: false, error: verification.error };
+        }
+        if (!verification.verified) {
+            return { success: true, verified: false, transmissionId: req.headers['paypal-transmission-id'] };
+        }
+
+        return { success: true, verified: true, event: toWebhookEvent(req.body) };
+    }
+});
+
+module.exports = {
+    createPayPalProvider
+};
@@ -0,0 +1,145 @@
+const { stripeAPI } = require('../../config/stripe');
+const { toCents, fromCents } = require('../../utils/money');
+
+// Stripe PaymentIntents with automatic capture. The PaymentIntent ID is the checkout's order
+// ID and its charge is the payment reference refunds and webhooks use. The browser confirms
+// the intent with the client secret through Stripe's Payment Element, so there is nothing
+// left to capture on our side once it has succeeded.
+
+const INTENT_STATUS = {
+    requires_payment_method: 'created',
+    requires_confirmation: 'created',
+    requires_action: 'created',
+    requires_capture: 'approved',
+    processing: 'pending',
+    succeeded: 'completed',
+    canceled: 'failed'
+};
+
+const REFUND_STATUS = {
+    succeeded: 'completed',
+    pending: 'pending',
+    requires_action: 'pending',
+    failed: 'failed',
+    canceled: 'cancelled'
+};
+
+// Events and the payments.status they move a payment to
+const EVENT_STATUS = {
+    'payment_intent.succeeded': 'completed',
+    'payment_intent.processing': 'pending',
+    'payment_intent.payment_failed': 'failed',
+    'refund.created': 'refunded', // Or partially_refunded - see the refund totals
+    'refund.updated': 'refunded',
+    'charge.dispute.funds_withdrawn': 'refunded' // Chargeback - the money went back to the buyer
+};
+
+const lookupFailure = (lookup) => ({
+    success: false,
+    notFound: lookup.statusCode === 404,
+    error: lookup.error,
+    debugId: lookup.requestId
+});
+
+const toPayment = (paymentIntent) => ({
+    status: INTENT_STATUS[paymentIntent.status] || 'created',
+    packageId: paymentIntent.metadata?.package_id || null,
+    captureId: typeof paymentIntent.latest_charge === 'string' ? paymentIntent.latest_charge : paymentIntent.latest_charge?.id || null,
+    amount: fromCents(paymentIntent.status === 'succeeded' ? paymentIntent.amount_received : paymentIntent.amount),
+    currency: paymentIntent.currency?.toUpperCase() || null,
+    raw: paymentIntent
+});
+
+const toRefund = (refund) => ({
+    refundId: refund.id,
+    amount: fromCents(refund.amount),
+    currency: refund.currency?.toUpperCase(),
+    status: REFUND_STATUS[refund.status] || 'pending',
+    reason: refund.metadata?.reason || 'Refunded in Stripe'
+});
+
+// A payment_intent.*, refund.* or dispute event as the webhook route applies it
+const toWebhookEvent = (event) => {
+    const object = event.data?.object || {};
+    const isRefund = event.type === 'refund.created' || event.type === 'refund.updated';
+    const isPaymentIntent = event.type?.startsWith('payment_intent.');
+
+    return {
+        id: event.id,
+        type: event.type,
+        status: EVENT_STATUS[event.type] || null,
+        captureId: isPaymentIntent ? toPayment(object).captureId : object.charge || null,
+        orderId: isPaymentIntent ? object.id : object.payment_intent || null,
+        refund: isRefund && toRefund(object),
+        payload: event
+    };
+};
+
+const createStripeProvider = () => ({
+    id: 'stripe',
+    label: 'Stripe',
+
+    createIntent: async ({ package: selectedPackage, customerEmail, idempotencyKey }) => {
+        const created = await stripeAPI.createPaymentIntent({
+            amount: toCents(selectedPackage.price),
+            currency: selectedPackage.currency,
+            description: selectedPackage.name,
+            metadata: { package_id: selectedPackage.id },
+            receiptEmail: customerEmail || undefined,
+            idempotencyKey
+        });
+        if (!created.success) {
+            return { success: false, error: created.error, debugId: created.requestId };
+        }
+        return {
+            success: true,
+            orderId: created.paymentIntent.id,
+            clientSecret: created.paymentIntent.client_secret
+        };
+    },
+
+    getPayment: async (orderId) => {
+        const lookup = await stripeAPI.getPaymentIntent(orderId);
+        if (!lookup.success) return lookupFailure(lookup);
+        return { success: true, payment: toPayment(lookup.paymentIntent) };
+    },
+
+    // Intents are captured automatically when the browser confirms them
+    capture: async (orderId) => {
+        const lookup = await stripeAPI.getPaymentIntent(orderId);
+        if (!lookup.success) return lookupFailure(lookup);
+        return { success: true, payment: toPayment(lookup.paymentIntent) };
+    },
+
+    // amount as a decimal string - omit it for a full refund
+    refund: async ({ captureId, amount, requestId }) => {
+        const result = await stripeAPI.createRefund(captureId, {
+            amount: amount ? toCents(amount) : undefined,
+            idempotencyKey: requestId
+        });
+        if (!result.success) {
+            return { success: false, error: result.error, debugId: result.requestId };
+        }
+        const { refundId, amount: refunded, currency, status } = toRefund(result.refund);
+        return { success: true, refundId, amount: refunded, currency, status };
+    },
+
+    toWebhookEvent,
+
+    // Signed with the endpoint's secret - no call to Stripe needed
+    parseWebhook: async (req) => {
+        const verification = stripeAPI.verifyWebhookSignature(req.headers['stripe-signature'], req.rawBody);
+        if (!verification.success) {
+            return { success: false, error: verification.error };
+        }
+        if (!verification.verified) {
+            return { success: true, verified: false, transmissionId: req.body?.id };
+        }
+
+        return { success: true, verified: true, event: toWebhookEvent(req.body) };
+    }
+});
+
+module.exports = {
+    createStripeProvider
+};
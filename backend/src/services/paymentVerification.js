@@ -0,0 +1,98 @@
+const { getPaymentProvider } = require('./paymentProviders');
+const { getPackage } = require('./packages');
+const { toCents } = require('../utils/money');
+
+const reject = (code, message, httpStatus = 402, details = {}) => ({
+    verified: false,
+    code,
+    message,
+    httpStatus,
+    ...details
+});
+
+// Fetch the payment from its provider and check that it was really paid for the expected package.
+// Never trust the status/amount the browser sends - this is what decides whether we store an order.
+const verifyPayment = async ({ provider: providerName = 'paypal', orderId, paymentId, packageId }) => {
+    const provider = getPaymentProvider(providerName);
+    if (!provider) {
+        return reject('UNKNOWN_PROVIDER', `Unknown payment provider: ${providerName}`, 400);
+    }
+
+    // The catalog is what the payment is checked against - without it nothing can be verified
+    let expectedPackage;
+    try {
+        expectedPackage = await getPackage(packageId);
+    } catch (error) {
+        console.error('❌ Package lookup failed during verification:', error.message);
+        return reject('VERIFICATION_UNAVAILABLE', 'Could not verify the payment right now', 503);
+    }
+    if (!expectedPackage) {
+        return reject('UNKNOWN_PACKAGE', `Unknown package: ${packageId}`, 400);
+    }
+
+    const lookup = await provider.getPayment(orderId, { captureId: paymentId });
+    if (!lookup.success) {
+        if (lookup.notFound) {
+            return reject('ORDER_NOT_FOUND', `${provider.label} order does not exist`, 402);
+        }
+        return reject('PROVIDER_LOOKUP_FAILED', `Could not verify the order with ${provider.label}`, 502, {
+            debugId: lookup.debugId
+        });
+    }
+
+    let payment = lookup.payment;
+
+    // Approved but not captured yet - capture it here so the money is actually taken
+    if (payment.status === 'approved') {
+        const captured = await provider.capture(orderId, { captureId: paymentId });
+        if (!captured.success) {
+            return reject('CAPTURE_FAILED', `${provider.label} capture failed`, 502, {
+                debugId: captured.debugId
+            });
+        }
+        payment = captured.payment;
+    }
+
+    if (payment.status !== 'completed') {
+        return reject('PAYMENT_NOT_COMPLETED', `${provider.label} payment status is ${payment.status}`);
+    }
+
+    if (!payment.captureId) {
+        return reject('CAPTURE_NOT_FOUND', `${provider.label} order has no capture`);
+    }
+
+    if (payment.packageId !== expectedPackage.id) {
+        return reject('PACKAGE_MISMATCH', `${provider.label} order was created for a different package`, 402, {
+            expected: expectedPackage.id,
+            actual: payment.packageId
+        });
+    }
+
+    if (payment.currency !== expectedPackage.currency) {
+        return reject('CURRENCY_MISMATCH', 'Captured currency does not match the package', 402, {
+            expected: expectedPackage.currency,
+            actual: payment.currency
+        });
+    }
+
+    if (toCents(payment.amount) !== toCents(expectedPackage.price)) {
+        return reject('AMOUNT_MISMATCH', 'Captured amount does not match the package price', 402, {
+            expected: expectedPackage.price,
+            actual: payment.amount
+        });
+    }
+
+    return {
+        verified: true,
+        provider: provider.id,
+        order: payment.raw,
+        captureId: payment.captureId,
+        amount: payment.amount,
+        currency: payment.currency,
+        package: expectedPackage
+    };
+};
+
+module.exports = {
+    verifyPayment
+};
@@ -0,0 +1,39 @@
+const fs = require('fs');
+
+// Stand-in for paypalAPI.listTransactions that serves recorded transaction search
+// responses instead of calling PayPal. The fixture file holds what the Reporting API
+// returned - one response page, or an array of them:
+//
+//   [{ "transaction_details": [...], "page": 1, "total_pages": 2 }, ...]
+//
+// Transactions are filtered and paged the way PayPal does it, so a run over any range
+// sees what the live API would have returned for it.
+
+const createFixtureTransactionSource = (fixturePath) => {
+    const recorded = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    const pages = Array.isArray(recorded) ? recorded : [recorded];
+    const transactions = pages.flatMap((page) => page.transaction_details || []);
+
+    return {
+        listTransactions: async ({ startDate, endDate, page = 1, pageSize = 500 }) => {
+            const start = new Date(startDate);
+            const end = new Date(endDate);
+
+            const inRange = transactions.filter((transaction) => {
+                const date = new Date(transaction.transaction_info.transaction_initiation_date);
+                return date >= start && date <= end;
+            });
+
+            return {
+                success: true,
+                transactions: inRange.slice((page - 1) * pageSize, page * pageSize),
+                page,
+                totalPages: Math.max(1, Math.ceil(inRange.length / pageSize))
+            };
+        }
+    };
+};
+
+module.exports = {
+    createFixtureTransactionSource
+};
@@ -0,0 +1,179 @@
+const sharp = require('sharp');
+
+// Quality gate for onboarding photos. Every upload is normalized (EXIF orientation applied,
+// EXIF/GPS metadata stripped, converted to JPEG) and scored, so step 3 of onboarding can
+// show a verdict per photo before checkout.
+//
+// Face presence is not checked here - sharp has no face detection, so covered faces and
+// group shots still rely on the examples shown in onboarding.
+
+const QUALITY_RULES = {
+    // Shortest side in pixels - below this there is nothing to enhance
+    minShortSide: 600,
+    // Variance of the Laplacian on a 512px greyscale copy - lower is blurrier
+    blurFail: 40,
+    blurWarn: 80,
+    // Mean brightness (0-255)
+    tooDark: 50,
+    tooBright: 215,
+    // Hamming distance between perceptual hashes that counts as the same shot
+    duplicateDistance: 8
+};
+
+const SEVERITY_ORDER = { pass: 0, warn: 1, fail: 2 };
+
+const JPEG_QUALITY = 90;
+
+const issue = (code, severity, message, details = {}) => ({ code, severity, message, ...details });
+
+// Re-encode as a clean JPEG: orientation baked in, no EXIF/GPS/ICC metadata left
+const normalizePhoto = (buffer) => sharp(buffer, { failOn: 'error' })
+    .rotate()
+    .jpeg({ quality: JPEG_QUALITY, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+
+// Variance of the Laplacian - the standard cheap sharpness measure
+const measureSharpness = async (buffer) => {
+    const { data, info } = await sharp(buffer)
+        .greyscale()
+        .resize(512, 512, { fit: 'inside', withoutEnlargement: true })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const { width, height } = info;
+    let sum = 0;
+    let sumSquares = 0;
+    let count = 0;
+
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const laplacian = data[i - width] + data[i + width] + data[i - 1] + data[i + 1] - 4 * data[i];
+            sum += laplacian;
+            sumSquares += laplacian * laplacian;
+            count++;
+        }
+    }
+
+    if (count === 0) return 0;
+    const mean = sum / count;
+    return sumSquares / count - mean * mean;
+};
+
+const measureBrightness = async (buffer) => {
+    const { channels } = await sharp(buffer).greyscale().stats();
+    return channels[0].mean;
+};
+
+// 64-bit difference hash - near-identical shots differ in only a few bits
+const perceptualHash = async (buffer) => {
+    const data = await sharp(buffer)
+        .greyscale()
+        .resize(9, 8, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+    let hash = 0n;
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            hash = (hash << 1n) | (data[y * 9 + x] < data[y * 9 + x + 1] ? 1n : 0n);
+        }
+    }
+    return hash.toString(16).padStart(16, '0');
+};
+
+const hashDistance = (a, b) => {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let distance = 0;
+    while (diff > 0n) {
+        distance += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return distance;
+};
+
+const worstVerdict = (issues) => issues.reduce(
+    (verdict, { severity }) => (SEVERITY_ORDER[severity] > SEVERITY_ORDER[verdict] ? severity : verdict),
+    'pass'
+);
+
+const scorePhoto = ({ width, height, sharpness, brightness }) => {
+    const issues = [];
+
+    if (Math.min(width, height) < QUALITY_RULES.minShortSide) {
+        issues.push(issue('LOW_RESOLUTION', 'fail', `Photo is too small - use at least ${QUALITY_RULES.minShortSide}px on the shortest side`));
+    }
+    if (sharpness < QUALITY_RULES.blurFail) {
+        issues.push(issue('BLURRY', 'fail', 'Photo is blurry - hold the camera steady or pick a sharper shot'));
+    } else if (sharpness < QUALITY_RULES.blurWarn) {
+        issues.push(issue('SLIGHTLY_BLURRY', 'warn', 'Photo looks a little soft'));
+    }
+    if (brightness < QUALITY_RULES.tooDark) {
+        issues.push(issue('UNDEREXPOSED', 'warn', 'Photo is quite dark - try better lighting'));
+    } else if (brightness > QUALITY_RULES.tooBright) {
+        issues.push(issue('OVEREXPOSED', 'warn', 'Photo is very bright - details may be washed out'));
+    }
+
+    return issues;
+};
+
+// Returns { buffer, hash, analysis } for a decodable image, or { analysis } with a failing
+// verdict when the file cannot be read at all. Screenshots pass score: false - they are
+// read by the team, not enhanced, so only the normalization applies.
+const processPhoto = async (input, { score = true } = {}) => {
+    let normalized;
+    try {
+        normalized = await normalizePhoto(input);
+    } catch (error) {
+        return {
+            analysis: {
+                verdict: 'fail',
+                issues: [issue('UNSUPPORTED_FORMAT', 'fail', 'We could not read this photo - please upload it as a JPEG or PNG')]
+            }
+        };
+    }
+
+    const { data: buffer, info } = normalized;
+    const [sharpness, brightness, hash] = await Promise.all([
+        measureSharpness(buffer),
+        measureBrightness(buffer),
+        perceptualHash(buffer)
+    ]);
+
+    const metrics = {
+        width: info.width,
+        height: info.height,
+        sharpness: Math.round(sharpness),
+        brightness: Math.round(brightness)
+    };
+    const issues = score ? scorePhoto(metrics) : [];
+
+    return {
+        buffer,
+        hash,
+        analysis: {
+            verdict: worstVerdict(issues),
+            issues,
+            metrics
+        }
+    };
+};
+
+// Flag a shot that is (nearly) the same as one already in the session
+const addDuplicateIssue = (analysis, hash, others) => {
+    const duplicate = others.find((other) => other.hash && hashDistance(hash, other.hash) <= QUALITY_RULES.duplicateDistance);
+    if (!duplicate) return analysis;
+
+    const issues = [
+        ...analysis.issues,
+        issue('DUPLICATE', 'warn', 'This looks like the same shot as another photo - variety gets better results', { duplicateOf: duplicate.id })
+    ];
+    return { ...analysis, issues, verdict: worstVerdict(issues) };
+};
+
+module.exports = {
+    QUALITY_RULES,
+    processPhoto,
+    addDuplicateIssue,
+    hashDistance
+};
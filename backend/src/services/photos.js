@@ -0,0 +1,61 @@
+const { query } = require('../config/database');
+
+// Photos of a submission: the customer's originals and screenshots, and later the
+// enhanced photos delivered back. Originals and screenshots come from media assets.
+
+const toPhoto = (row) => ({
+    id: row.photo_id,
+    kind: row.kind,
+    sourcePhotoId: row.source_photo_id,
+    url: row.url,
+    storageKey: row.storage_key,
+    width: row.width,
+    height: row.height,
+    byteSize: row.byte_size,
+    status: row.status,
+    quality: row.quality,
+    position: row.position,
+    customerRank: row.customer_rank,
+    usedInDelivery: row.used_in_delivery,
+    createdAt: row.created_at
+});
+
+// All photos of a submission, originals first, each kind in upload order
+const listSubmissionPhotos = async (userId) => {
+    const result = await query(`
+        SELECT * FROM photos
+        WHERE user_id = $1
+        ORDER BY CASE kind WHEN 'original' THEN 0 WHEN 'screenshot' THEN 1 ELSE 2 END, position
+    `, [userId]);
+    return result.rows.map(toPhoto);
+};
+
+// Copy the order's media assets into photos - runs inside the /store transaction.
+// Photos that failed the quality gate are kept for the team but marked rejected.
+const createSubmissionPhotos = async (client, assetIds, userId) => {
+    if (assetIds.length === 0) return;
+
+    await client.query(`
+        INSERT INTO photos (user_id, asset_id, kind, storage_key, url, width, height, byte_size, quality, position, status)
+        SELECT
+            $2,
+            m.asset_id,
+            CASE m.kind WHEN 'photo' THEN 'original' ELSE 'screenshot' END,
+            m.storage_key,
+            m.url,
+            m.width,
+            m.height,
+            m.byte_size,
+            m.quality,
+            ROW_NUMBER() OVER (PARTITION BY m.kind ORDER BY requested.position) - 1,
+            CASE WHEN m.quality->>'verdict' = 'fail' THEN 'rejected' ELSE 'active' END
+        FROM unnest($1::uuid[]) WITH ORDINALITY AS requested(asset_id, position)
+        JOIN media_assets m ON m.asset_id = requested.asset_id
+    `, [assetIds, userId]);
+};
+
+module.exports = {
+    toPhoto,
+    listSubmissionPhotos,
+    createSubmissionPhotos
+};
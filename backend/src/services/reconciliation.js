@@ -0,0 +1,400 @@
+const { query, getClient } = require('../config/database');
+const { paypalAPI } = require('../config/paypal');
+const { startWorker } = require('../utils/worker');
+const { toCents } = require('../utils/money');
+
+// PayPal reconciliation. A run pulls PayPal's transactions for a date range and matches
+// them to payments by paypal_payment_id (the capture ID) or order_id, then records:
+//
+//   capture_without_order   PayPal took money we have no payment for
+//   order_without_capture   a payment we recorded has no capture at PayPal
+//   amount_mismatch         the captured amount differs from the payment or the package price
+//   status_drift            the payment status does not follow from PayPal's status and refunds
+//
+// Only PayPal payments take part - Stripe payments are not in PayPal's transactions.
+// The nightly run covers the previous UTC day. Staff can run any range of up to 30 days.
+
+const NIGHTLY_DELAY_HOURS = 4; // Transaction search lags a few hours behind
+const MAX_RANGE_DAYS = 30; // PayPal searches at most 31 days at a time - this leaves room for the margin
+const MATCH_MARGIN_MS = 60 * 60 * 1000; // Captures just outside the range still match payments inside it
+const WORKER_INTERVAL_MS = 60 * 60 * 1000;
+const PAGE_SIZE = 500;
+
+const DISCREPANCY_KINDS = ['capture_without_order', 'order_without_capture', 'amount_mismatch', 'status_drift'];
+
+// Payments that should have a capture behind them
+const CAPTURED_STATUSES = ['pending', 'completed', 'partially_refunded', 'refunded'];
+
+const fail = (code, message, httpStatus = 400, details = {}) => ({
+    success: false,
+    code,
+    message,
+    httpStatus,
+    ...details
+});
+
+const isCapture = (info) => info.transaction_event_code?.startsWith('T00') && parseFloat(info.transaction_amount?.value) > 0;
+const isReversal = (info) => info.transaction_event_code?.startsWith('T11');
+
+// The payments.status a capture should have, given PayPal's status code and what was refunded
+const expectedStatus = (info, refundedCents) => {
+    switch (info.transaction_status) {
+        case 'P':
+            return 'pending';
+        case 'D':
+            return 'failed';
+        case 'V':
+            return 'refunded';
+        case 'F':
+            return 'partially_refunded';
+        default:
+            if (refundedCents >= toCents(info.transaction_amount.value)) return 'refunded';
+            if (refundedCents > 0) return 'partially_refunded';
+            return 'completed';
+    }
+};
+
+// Every page of the transaction search
+const fetchTransactions = async (source, startDate, endDate) => {
+    const transactions = [];
+
+    for (let page = 1; ; page++) {
+        const result = await source.listTransactions({ startDate, endDate, page, pageSize: PAGE_SIZE });
+        if (!result.success) {
+            throw Object.assign(new Error(`PayPal transaction search failed: ${result.error}`), {
+                code: 'PAYPAL_SEARCH_FAILED',
+                debugId: result.debugId
+            });
+        }
+        transactions.push(...result.transactions.map((transaction) => transaction.transaction_info));
+        if (page >= result.totalPages) return transactions;
+    }
+};
+
+// Compare PayPal's side with ours - pure, so it can be checked against recorded transactions
+const findDiscrepancies = ({ transactions, payments, packagePrices, rangeStart, rangeEnd, searchEnd = rangeEnd }) => {
+    const discrepancies = [];
+
+    const captures = transactions.filter(isCapture);
+    const refundedByCapture = new Map();
+    for (const info of transactions.filter(isReversal)) {
+        const captureId = info.paypal_reference_id;
+        const cents = Math.abs(toCents(info.transaction_amount.value));
+        refundedByCapture.set(captureId, (refundedByCapture.get(captureId) || 0) + cents);
+    }
+
+    const byCaptureId = new Map(payments.map((payment) => [payment.paypal_payment_id, payment]));
+    const byOrderId = new Map(payments.map((payment) => [payment.order_id, payment]));
+    const matchedPayments = new Set();
+
+    for (const info of captures) {
+        const orderId = info.paypal_reference_id_type === 'ODR' ? info.paypal_reference_id : null;
+        const payment = byCaptureId.get(info.transaction_id) || (orderId && byOrderId.get(orderId));
+        if (payment) matchedPayments.add(payment.payment_id);
+
+        // Captures in the margin are only there to match payments near the edges of the range
+        const date = new Date(info.transaction_initiation_date);
+        if (date < rangeStart || date >= rangeEnd) continue;
+
+        const packageId = payment?.package_id || info.custom_field || null;
+        const packagePrice = packagePrices.get(packageId);
+        const base = {
+            order_id: payment?.order_id || orderId,
+            capture_id: info.transaction_id,
+            payment_id: payment?.payment_id || null,
+            package_id: packageId,
+            paypal_amount: info.transaction_amount.value,
+            currency: info.transaction_amount.currency_code,
+            paypal_status: info.transaction_status,
+            transaction_date: info.transaction_initiation_date
+        };
+
+        if (!payment) {
+            // Denied captures never took any money
+            if (info.transaction_status !== 'D') {
+                discrepancies.push({
+                    ...base,
+                    kind: 'capture_without_order',
+                    expected_amount: packagePrice?.price ?? null,
+                    details: { payerEmail: info.payer_email || null, invoiceId: info.invoice_id || null }
+                });
+            }
+            continue;
+        }
+
+        const paypalCents = toCents(info.transaction_amount.value);
+        const recordedWrong = paypalCents !== toCents(payment.amount) ||
+            info.transaction_amount.currency_code !== payment.currency;
+        const priceWrong = packagePrice && (paypalCents !== toCents(packagePrice.price) ||
+            info.transaction_amount.currency_code !== packagePrice.currency);
+        if (recordedWrong || priceWrong) {
+            discrepancies.push({
+                ...base,
+                kind: 'amount_mismatch',
+                recorded_amount: payment.amount,
+                expected_amount: packagePrice?.price ?? null,
+                details: { recordedCurrency: payment.currency, packageCurrency: packagePrice?.currency || null }
+            });
+        }
+
+        // Refunds made after the searched range are not in the transactions - the payment is
+        // further along than PayPal's side of it here, which is not drift
+        const expected = expectedStatus(info, refundedByCapture.get(info.transaction_id) || 0);
+        const refundedLater = payment.last_refund_at && new Date(payment.last_refund_at) > searchEnd &&
+            ['partially_refunded', 'refunded'].includes(payment.status);
+        if (payment.status !== expected && !refundedLater) {
+            discrepancies.push({
+                ...base,
+                kind: 'status_drift',
+                recorded_amount: payment.amount,
+                recorded_status: payment.status,
+                expected_status: expected,
+                details: { refunded: (refundedByCapture.get(info.transaction_id) || 0) / 100 }
+            });
+        }
+    }
+
+    for (const payment of payments) {
+        const createdAt = new Date(payment.created_at);
+        if (matchedPayments.has(payment.payment_id) || !CAPTURED_STATUSES.includes(payment.status) ||
+            createdAt < rangeStart || createdAt >= rangeEnd) {
+            continue;
+        }
+        discrepancies.push({
+            kind: 'order_without_capture',
+            order_id: payment.order_id,
+            capture_id: payment.paypal_payment_id,
+            payment_id: payment.payment_id,
+            package_id: payment.package_id,
+            recorded_amount: payment.amount,
+            expected_amount: packagePrices.get(payment.package_id)?.price ?? null,
+            currency: payment.currency,
+            recorded_status: payment.status,
+            transaction_date: null,
+            details: { recordedAt: createdAt.toISOString() }
+        });
+    }
+
+    return discrepancies;
+};
+
+const loadPayments = async (rangeStart, rangeEnd, captures) => {
+    const result = await query(`
+        SELECT p.payment_id, p.order_id, p.paypal_payment_id, p.amount, p.currency, p.package_id, p.status, p.created_at,
+               (SELECT MAX(r.created_at) FROM refunds r WHERE r.payment_id = p.payment_id) AS last_refund_at
+        FROM payments p
+        WHERE p.provider = 'paypal'
+          AND ((p.created_at >= $1 AND p.created_at < $2)
+               OR p.paypal_payment_id = ANY($3)
+               OR p.order_id = ANY($4))
+    `, [
+        rangeStart,
+        rangeEnd,
+        captures.map((info) => info.transaction_id),
+        captures.filter((info) => info.paypal_reference_id_type === 'ODR').map((info) => info.paypal_reference_id)
+    ]);
+    return result.rows;
+};
+
+// Current prices, including packages that are no longer sold
+const loadPackagePrices = async () => {
+    const result = await query('SELECT package_id, price, currency FROM packages');
+    return new Map(result.rows.map((row) => [row.package_id, { price: row.price, currency: row.currency }]));
+};
+
+const DISCREPANCY_COLUMNS = [
+    'kind', 'order_id', 'capture_id', 'payment_id', 'package_id', 'paypal_amount', 'recorded_amount',
+    'expected_amount', 'currency', 'paypal_status', 'recorded_status', 'expected_status', 'transaction_date', 'details'
+];
+
+const saveResults = async (runId, { transactionCount, paymentCount, discrepancies }) => {
+    const client = await getClient();
+    try {
+        await client.query('BEGIN');
+        for (const discrepancy of discrepancies) {
+            await client.query(`
+                INSERT INTO reconciliation_discrepancies (run_id, ${DISCREPANCY_COLUMNS.join(', ')})
+                VALUES ($1, ${DISCREPANCY_COLUMNS.map((_, index) => `$${index + 2}`).join(', ')})
+            `, [runId, ...DISCREPANCY_COLUMNS.map((column) =>
+                column === 'details' ? JSON.stringify(discrepancy.details || {}) : discrepancy[column] ?? null)]);
+        }
+        const result = await client.query(`
+            UPDATE reconciliation_runs
+            SET status = 'completed', transaction_count = $2, payment_count = $3,
+                discrepancy_count = $4, error = NULL, finished_at = NOW()
+            WHERE run_id = $1
+            RETURNING *
+        `, [runId, transactionCount, paymentCount, discrepancies.length]);
+        await client.query('COMMIT');
+        return result.rows[0];
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+const toRun = (row) => ({
+    id: row.run_id,
+    rangeStart: row.range_start,
+    rangeEnd: row.range_end,
+    runType: row.run_type,
+    source: row.source,
+    status: row.status,
+    transactionCount: row.transaction_count,
+    paymentCount: row.payment_count,
+    discrepancyCount: row.discrepancy_count,
+    error: row.error,
+    createdBy: row.created_by,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at
+});
+
+// Fetch, match and store the results of a claimed run. A failure is kept on the run.
+const executeRun = async (run, source) => {
+    const rangeStart = new Date(run.range_start);
+    const rangeEnd = new Date(run.range_end);
+
+    const searchEnd = new Date(rangeEnd.getTime() + MATCH_MARGIN_MS);
+
+    try {
+        const transactions = await fetchTransactions(
+            source,
+            new Date(rangeStart.getTime() - MATCH_MARGIN_MS).toISOString(),
+            searchEnd.toISOString()
+        );
+        const [payments, packagePrices] = await Promise.all([
+            loadPayments(rangeStart, rangeEnd, transactions.filter(isCapture)),
+            loadPackagePrices()
+        ]);
+
+        const discrepancies = findDiscrepancies({ transactions, payments, packagePrices, rangeStart, rangeEnd, searchEnd });
+        const finished = await saveResults(run.run_id, {
+            transactionCount: transactions.length,
+            paymentCount: payments.length,
+            discrepancies
+        });
+
+        console.log(`🧾 Reconciliation ${rangeStart.toISOString()} - ${rangeEnd.toISOString()}: ${discrepancies.length} discrepancies`);
+        return toRun(finished);
+    } catch (error) {
+        await query(`
+            UPDATE reconciliation_runs
+            SET status = 'failed', error = $2, finished_at = NOW()
+            WHERE run_id = $1
+        `, [run.run_id, error.message]);
+        throw error;
+    }
+};
+
+const parseDate = (value) => {
+    const date = new Date(value);
+    return value && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+// Staff run over any range - body: { from, to } (ISO dates, to exclusive).
+// source/sourceName swap PayPal for a recorded-fixture stand-in.
+const runReconciliation = async ({ from, to }, { admin = null, source = paypalAPI, sourceName = 'paypal' } = {}) => {
+    const rangeStart = parseDate(from);
+    const rangeEnd = parseDate(to);
+    if (!rangeStart || !rangeEnd || rangeEnd <= rangeStart) {
+        return fail('INVALID_RANGE', 'from and to must be dates, with to after from');
+    }
+    if (rangeEnd - rangeStart > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+        return fail('RANGE_TOO_LONG', `A run can cover at most ${MAX_RANGE_DAYS} days`);
+    }
+
+    const created = await query(`
+        INSERT INTO reconciliation_runs (range_start, range_end, run_type, source, created_by)
+        VALUES ($1, $2, 'manual', $3, $4)
+        RETURNING *
+    `, [rangeStart, rangeEnd, sourceName, admin?.id || null]);
+
+    try {
+        return { success: true, run: await executeRun(created.rows[0], source) };
+    } catch (error) {
+        if (error.code !== 'PAYPAL_SEARCH_FAILED') throw error;
+        return fail(error.code, error.message, 502, { runId: created.rows[0].run_id, debugId: error.debugId });
+    }
+};
+
+// The previous UTC day, once PayPal has caught up. Each day is claimed by one instance;
+// a failed day is tried again on the next tick.
+const runNightlyReconciliation = async (now = new Date()) => {
+    const rangeEnd = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    if (now - rangeEnd < NIGHTLY_DELAY_HOURS * 60 * 60 * 1000) return null;
+    const rangeStart = new Date(rangeEnd.getTime() - 24 * 60 * 60 * 1000);
+
+    const claimed = await query(`
+        INSERT INTO reconciliation_runs (range_start, range_end, run_type, source)
+        VALUES ($1, $2, 'nightly', 'paypal')
+        ON CONFLICT (range_start) WHERE run_type = 'nightly' DO UPDATE
+            SET status = 'running', error = NULL, started_at = NOW(), finished_at = NULL
+            WHERE reconciliation_runs.status = 'failed'
+        RETURNING *
+    `, [rangeStart, rangeEnd]);
+
+    if (!claimed.rows[0]) return null;
+    return executeRun(claimed.rows[0], paypalAPI);
+};
+
+// Runs - ?runType=nightly|manual&limit=&offset=
+const listRuns = async ({ runType, limit = 50, offset = 0 } = {}) => {
+    const result = await query(`
+        SELECT * FROM reconciliation_runs
+        WHERE ($1::text IS NULL OR run_type = $1)
+        ORDER BY started_at DESC
+        LIMIT $2 OFFSET $3
+    `, [runType || null, limit, offset]);
+    return result.rows.map(toRun);
+};
+
+// One run with its discrepancies - ?kind= narrows them down
+const getRun = async (runId, { kind } = {}) => {
+    if (kind && !DISCREPANCY_KINDS.includes(kind)) {
+        return fail('INVALID_KIND', `kind must be one of: ${DISCREPANCY_KINDS.join(', ')}`);
+    }
+
+    const run = await query('SELECT * FROM reconciliation_runs WHERE run_id = $1', [runId]);
+    if (!run.rows[0]) {
+        return fail('RUN_NOT_FOUND', 'Reconciliation run not found', 404);
+    }
+
+    const discrepancies = await query(`
+        SELECT * FROM reconciliation_discrepancies
+        WHERE run_id = $1 AND ($2::text IS NULL OR kind = $2)
+        ORDER BY kind, transaction_date NULLS LAST, order_id
+    `, [runId, kind || null]);
+
+    return { success: true, run: toRun(run.rows[0]), discrepancies: discrepancies.rows };
+};
+
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString()
+        : typeof value === 'object' ? JSON.stringify(value)
+            : String(value);
+    // Quote everything that could break the row, and defuse spreadsheet formulas
+    const safe = /^[=+\-@]/.test(text) && !/^-?\d/.test(text) ? `'${text}` : text;
+    return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+const toCsv = (discrepancies) => [
+    DISCREPANCY_COLUMNS.join(','),
+    ...discrepancies.map((row) => DISCREPANCY_COLUMNS.map((column) => csvCell(row[column])).join(','))
+].join('\r\n') + '\r\n';
+
+const startReconciliationWorker = ({ intervalMs = WORKER_INTERVAL_MS } = {}) =>
+    startWorker('Reconciliation', runNightlyReconciliation, intervalMs);
+
+module.exports = {
+    DISCREPANCY_KINDS,
+    findDiscrepancies,
+    runReconciliation,
+    runNightlyReconciliation,
+    listRuns,
+    getRun,
+    toCsv,
+    startReconciliationWorker
+};
@@ -0,0 +1,173 @@
+const { getClient } = require('../config/database');
+const { getPaymentProvider } = require('./paymentProviders');
+const { toCents, fromCents } = require('../utils/money');
+const { queuePaymentEmail } = require('./emailQueue');
+
+// Payments that still have money left to give back
+const REFUNDABLE_STATUSES = ['completed', 'partially_refunded'];
+
+const fail = (code, message, httpStatus = 400, details = {}) => ({
+    success: false,
+    code,
+    message,
+    httpStatus,
+    ...details
+});
+
+// Pending refunds count too - otherwise two quick partial refunds could exceed the capture
+const getRefundedCents = async (client, paymentId) => {
+    const result = await client.query(`
+        SELECT COALESCE(SUM(amount), 0) AS total
+        FROM refunds
+        WHERE payment_id = $1 AND status IN ('pending', 'completed')
+    `, [paymentId]);
+    return toCents(result.rows[0].total);
+};
+
+// Insert a refund row once - paypal_refund_id (the provider's refund ID) makes webhook
+// redeliveries a no-op. The customer is emailed once the refund completes, whether we or
+// the provider's dashboard issued it.
+const recordRefund = async (client, { paymentId, paypalRefundId, amount, currency, reason, operator, status }) => {
+    const result = await client.query(`
+        INSERT INTO refunds (payment_id, paypal_refund_id, amount, currency, reason, operator, status)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (paypal_refund_id) DO UPDATE SET status = EXCLUDED.status
+        RETURNING *
+    `, [paymentId, paypalRefundId, amount, currency, reason, operator, (status || 'completed').toLowerCase()]);
+
+    const refund = result.rows[0];
+    if (refund.status === 'completed') {
+        await queuePaymentEmail(client, 'refund_issued', paymentId, {
+            data: { refund },
+            dedupeKey: `refund_issued:${refund.paypal_refund_id}`
+        });
+    }
+    return refund;
+};
+
+// Derive payments.status from the refunds recorded against it
+const refreshRefundStatus = async (client, paymentId) => {
+    const paymentResult = await client.query(
+        'SELECT amount, status FROM payments WHERE payment_id = $1',
+        [paymentId]
+    );
+    const payment = paymentResult.rows[0];
+    if (!payment || (!REFUNDABLE_STATUSES.includes(payment.status) && payment.status !== 'refunded')) {
+        return payment?.status || null;
+    }
+
+    const refundedCents = await getRefundedCents(client, paymentId);
+    let status = 'completed';
+    if (refundedCents >= toCents(payment.amount)) {
+        status = 'refunded';
+    } else if (refundedCents > 0) {
+        status = 'partially_refunded';
+    }
+
+    if (status !== payment.status) {
+        await client.query('UPDATE payments SET status = $1 WHERE payment_id = $2', [status, paymentId]);
+    }
+    return status;
+};
+
+// Issue a full (no amount) or partial refund through the payment's provider and record it
+const issueRefund = async ({ paymentId, amount, reason, operator }) => {
+    if (!reason || !operator) {
+        return fail('MISSING_FIELDS', 'Refund reason and operator are required');
+    }
+
+    if (amount !== undefined && amount !== null && !(toCents(amount) > 0)) {
+        return fail('INVALID_AMOUNT', 'Refund amount must be greater than zero');
+    }
+
+    const client = await getClient();
+
+    try {
+        await client.query('BEGIN');
+
+        // Lock the payment so concurrent refunds see each other's totals
+        const paymentResult = await client.query(`
+            SELECT payment_id, provider, paypal_payment_id, amount, currency, status
+            FROM payments WHERE payment_id = $1
+            FOR UPDATE
+        `, [paymentId]);
+
+        const payment = paymentResult.rows[0];
+        if (!payment) {
+            await client.query('ROLLBACK');
+            return fail('PAYMENT_NOT_FOUND', 'Payment not found', 404);
+        }
+
+        if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+            await client.query('ROLLBACK');
+            return fail('NOT_REFUNDABLE', `Payment with status ${payment.status} cannot be refunded`, 409);
+        }
+
+        const refundedCents = await getRefundedCents(client, paymentId);
+        const remainingCents = toCents(payment.amount) - refundedCents;
+        const refundCents = amount ? toCents(amount) : remainingCents;
+
+        if (refundCents > remainingCents) {
+            await client.query('ROLLBACK');
+            return fail('AMOUNT_EXCEEDS_REMAINING', 'Refund amount exceeds the refundable balance', 400, {
+                refundable: fromCents(remainingCents)
+            });
+        }
+
+        const provider = getPaymentProvider(payment.provider);
+        if (!provider) {
+            await client.query('ROLLBACK');
+            return fail('PROVIDER_UNAVAILABLE', `Payment provider ${payment.provider} is not configured`, 503);
+        }
+
+        // Refunding the whole capture in one go - send no amount and let the provider refund it in full
+        const isFull = refundCents === toCents(payment.amount);
+        const refundAmount = fromCents(refundCents);
+
+        const result = await provider.refund({
+            captureId: payment.paypal_payment_id,
+            amount: isFull ? undefined : refundAmount,
+            currency: payment.currency,
+            // Deterministic per balance, so retrying after a failed commit returns the same refund
+            requestId: `refund_${paymentId}_${refundedCents}_${refundCents}`
+        });
+
+        if (!result.success) {
+            await client.query('ROLLBACK');
+            return fail('REFUND_FAILED', result.error, 502, { debugId: result.debugId, provider: provider.id });
+        }
+
+        const refund = await recordRefund(client, {
+            paymentId,
+            paypalRefundId: result.refundId,
+            amount: result.amount || refundAmount,
+            currency: result.currency || payment.currency,
+            reason,
+            operator,
+            status: result.status
+        });
+
+        const paymentStatus = await refreshRefundStatus(client, paymentId);
+
+        await client.query('COMMIT');
+
+        console.log(`✅ Refunded ${refund.amount} ${refund.currency} on payment ${paymentId} by ${operator}`);
+
+        return {
+            success: true,
+            refund,
+            paymentStatus
+        };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = {
+    issueRefund,
+    recordRefund,
+    refreshRefundStatus
+};
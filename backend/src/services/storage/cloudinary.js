@@ -0,0 +1,129 @@
+const cloudinary = require('cloudinary').v2;
+
+// Cloudinary storage - uploads go straight to Cloudinary, transforms are URL parameters
+
+const ALLOWED_FORMATS = ['jpg', 'jpeg', 'png', 'webp', 'heic', 'heif'];
+
+const createCloudinaryStorage = () => {
+    cloudinary.config({
+        cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+        api_key: process.env.CLOUDINARY_API_KEY,
+        api_secret: process.env.CLOUDINARY_API_SECRET
+    });
+
+    const toStoredObject = (resource) => ({
+        url: resource.secure_url,
+        byteSize: resource.bytes,
+        width: resource.width,
+        height: resource.height
+    });
+
+    const put = async (key, buffer) => {
+        const resource = await new Promise((resolve, reject) => {
+            cloudinary.uploader.upload_stream(
+                {
+                    public_id: key,
+                    resource_type: 'image',
+                    allowed_formats: ALLOWED_FORMATS,
+                    overwrite: true,
+                    invalidate: true,
+                    timeout: 30000
+                },
+                (error, result) => (error ? reject(error) : resolve(result))
+            ).end(buffer);
+        });
+        return toStoredObject(resource);
+    };
+
+    // Delivered as JPEG so HEIC uploads arrive in a format sharp can decode
+    const read = async (key) => {
+        const res = await fetch(cloudinary.url(key, { secure: true, format: 'jpg' }));
+        if (!res.ok) {
+            throw new Error(`Failed to read ${key} from Cloudinary: ${res.status}`);
+        }
+        return Buffer.from(await res.arrayBuffer());
+    };
+
+    // Signed form fields for a direct POST to Cloudinary's upload API
+    const createUploadTarget = async (key) => {
+        const { cloud_name: cloudName, api_key: apiKey, api_secret: apiSecret } = cloudinary.config();
+        const params = {
+            public_id: key,
+            timestamp: Math.floor(Date.now() / 1000),
+            allowed_formats: ALLOWED_FORMATS.join(',')
+        };
+
+        return {
+            url: `https://api.cloudinary.com/v1_1/${cloudName}/image/upload`,
+            method: 'POST',
+            fields: {
+                ...params,
+                api_key: apiKey,
+                signature: cloudinary.utils.api_sign_request(params, apiSecret)
+            }
+        };
+    };
+
+    const stat = async (key) => {
+        try {
+            return toStoredObject(await cloudinary.api.resource(key));
+        } catch (error) {
+            if (error.error?.http_code === 404 || error.http_code === 404) {
+                return null;
+            }
+            throw error;
+        }
+    };
+
+    const getUrl = async (key) => cloudinary.url(key, { secure: true });
+
+    // Derived images are rendered by Cloudinary on first request
+    const transform = async (key, { width, height, quality }) => cloudinary.url(key, {
+        secure: true,
+        transformation: [
+            { width, height, crop: 'limit' },
+            { quality: quality === 'good' ? 'auto:good' : quality },
+            { fetch_format: 'auto' }
+        ]
+    });
+
+    const remove = async (key) => {
+        await cloudinary.uploader.destroy(key, { invalidate: true });
+    };
+
+    // Pages through the Admin API - public IDs are the storage keys
+    const list = async (prefix) => {
+        const objects = [];
+        let cursor;
+        do {
+            const page = await cloudinary.api.resources({
+                type: 'upload',
+                resource_type: 'image',
+                prefix,
+                max_results: 500,
+                next_cursor: cursor
+            });
+            objects.push(...page.resources.map((resource) => ({
+                key: resource.public_id,
+                byteSize: resource.bytes,
+                createdAt: new Date(resource.created_at)
+            })));
+            cursor = page.next_cursor;
+        } while (cursor);
+        return objects;
+    };
+
+    return {
+        name: 'cloudinary',
+        put,
+        read,
+        createUploadTarget,
+        stat,
+        getUrl,
+        transform,
+        delete: remove,
+        list
+    };
+};
+
+module.exports = { createCloudinaryStorage };
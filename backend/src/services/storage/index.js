@@ -0,0 +1,41 @@
+const { createCloudinaryStorage } = require('./cloudinary');
+const { createLocalStorage } = require('./local');
+
+// Media storage selected by MEDIA_STORAGE (cloudinary | local). Without Cloudinary
+// credentials it falls back to local disk so the whole flow runs offline.
+//
+// Every adapter implements:
+//   put(key, buffer)                        store bytes under key, replacing what was there -> stored object
+//   read(key)                               the stored bytes (decodable by sharp)           -> Buffer
+//   createUploadTarget(key, { maxBytes })   signed target for a direct browser upload
+//   stat(key)                               what is stored under key                        -> stored object | null
+//   getUrl(key)                             public URL of the original
+//   transform(key, transform)               public URL of a derived image (see TRANSFORMS)
+//   delete(key)                             remove the original and its derived images
+//   list(prefix)                            originals under a folder -> [{ key, byteSize, createdAt }]
+//
+// A stored object is { url, byteSize, width, height }.
+
+const adapters = {
+    cloudinary: createCloudinaryStorage,
+    local: createLocalStorage
+};
+
+// Named transforms shared by all adapters
+const TRANSFORMS = {
+    // What the team works from - longest side capped, recompressed at good quality
+    display: { width: 800, height: 800, quality: 'good' }
+};
+
+const storageName = process.env.MEDIA_STORAGE || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+
+if (!adapters[storageName]) {
+    throw new Error(`Unknown MEDIA_STORAGE "${storageName}" - use one of: ${Object.keys(adapters).join(', ')}`);
+}
+
+const storage = adapters[storageName]();
+
+module.exports = {
+    storage,
+    TRANSFORMS
+};
@@ -0,0 +1,128 @@
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const { signToken } = require('../tokens');
+
+// Local disk storage for development and offline runs. Files are served by the API
+// itself under /media, and direct uploads are posted to /api/uploads/local.
+
+// How long a signed local upload target stays usable
+const UPLOAD_TARGET_TTL_SECONDS = 15 * 60;
+
+const QUALITY = { good: 80, best: 90, eco: 65 };
+
+const createLocalStorage = () => {
+    const root = path.resolve(process.env.MEDIA_LOCAL_DIR || path.join(__dirname, '..', '..', '..', 'media'));
+    const publicUrl = (process.env.MEDIA_PUBLIC_URL || `http://localhost:${process.env.PORT || 5001}`).replace(/\/$/, '');
+
+    // Keys are generated by the API, but never let one point outside the storage root
+    const filePath = (key) => {
+        const resolved = path.resolve(root, key);
+        if (!resolved.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return resolved;
+    };
+
+    const variantKey = (key, { width, height, quality }) => `_variants/${width}x${height}-${quality}/${key}.jpg`;
+
+    const toUrl = (key) => `${publicUrl}/media/${key}`;
+
+    // Derived images of a key are stale once the original changes
+    const removeVariants = async (key) => {
+        const variants = path.join(root, '_variants');
+        const sizes = await fs.readdir(variants).catch(() => []);
+        await Promise.all(sizes.map((size) => fs.rm(path.join(variants, size, `${key}.jpg`), { force: true })));
+    };
+
+    const stat = async (key) => {
+        try {
+            const file = filePath(key);
+            const [info, metadata] = await Promise.all([fs.stat(file), sharp(file).metadata()]);
+            return { url: toUrl(key), byteSize: info.size, width: metadata.width, height: metadata.height };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    };
+
+    const put = async (key, buffer) => {
+        // Rejects anything that is not a decodable image before it is written
+        await sharp(buffer).metadata();
+
+        const file = filePath(key);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, buffer);
+        await removeVariants(key);
+        return stat(key);
+    };
+
+    const read = async (key) => fs.readFile(filePath(key));
+
+    const createUploadTarget = async (key, { maxBytes }) => ({
+        url: `${publicUrl}/api/uploads/local`,
+        method: 'POST',
+        fields: {
+            token: signToken('local-upload', { key, maxBytes }, UPLOAD_TARGET_TTL_SECONDS)
+        }
+    });
+
+    const getUrl = async (key) => toUrl(key);
+
+    // Rendered once with sharp and kept next to the original
+    const transform = async (key, options) => {
+        const derived = variantKey(key, options);
+        const derivedPath = filePath(derived);
+
+        try {
+            await fs.access(derivedPath);
+        } catch {
+            await fs.mkdir(path.dirname(derivedPath), { recursive: true });
+            await sharp(filePath(key))
+                .rotate()
+                .resize(options.width, options.height, { fit: 'inside', withoutEnlargement: true })
+                .jpeg({ quality: QUALITY[options.quality] || QUALITY.good })
+                .toFile(derivedPath);
+        }
+        return toUrl(derived);
+    };
+
+    const remove = async (key) => {
+        await fs.rm(filePath(key), { force: true });
+        await removeVariants(key);
+    };
+
+    // Originals under a folder - derived images live under _variants and are not listed
+    const list = async (prefix) => {
+        const dir = filePath(prefix);
+        const entries = await fs.readdir(dir, { recursive: true, withFileTypes: true }).catch((error) => {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        });
+
+        return Promise.all(entries.filter((entry) => entry.isFile()).map(async (entry) => {
+            const file = path.join(entry.parentPath || entry.path, entry.name);
+            const info = await fs.stat(file);
+            return {
+                key: path.relative(root, file).split(path.sep).join('/'),
+                byteSize: info.size,
+                createdAt: info.mtime
+            };
+        }));
+    };
+
+    return {
+        name: 'local',
+        root,
+        put,
+        read,
+        createUploadTarget,
+        stat,
+        getUrl,
+        transform,
+        delete: remove,
+        list
+    };
+};
+
+module.exports = { createLocalStorage };
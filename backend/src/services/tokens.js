@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+
+// Compact signed tokens: base64url(payload).base64url(HMAC-SHA256).
+// Every token carries a purpose so a token issued for one feature is useless for another.
+
+const getSecret = () => {
+    const secret = process.env.AUTH_TOKEN_SECRET;
+    if (!secret) {
+        throw new Error('AUTH_TOKEN_SECRET is not set');
+    }
+    return secret;
+};
+
+const sign = (data) => crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+
+// expiresIn is in seconds
+const signToken = (purpose, claims, expiresIn) => {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = Buffer.from(JSON.stringify({
+        ...claims,
+        purpose,
+        iat: now,
+        exp: now + expiresIn
+    })).toString('base64url');
+
+    return `${payload}.${sign(payload)}`;
+};
+
+// Returns the claims, or null for a malformed, forged, expired or wrong-purpose token
+const verifyToken = (purpose, token) => {
+    if (typeof token !== 'string') return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+
+    if (claims.purpose !== purpose || !(claims.exp > Math.floor(Date.now() / 1000))) {
+        return null;
+    }
+    return claims;
+};
+
+module.exports = {
+    signToken,
+    verifyToken
+};
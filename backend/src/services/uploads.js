@@ -0,0 +1,350 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const { signToken, verifyToken } = require('./tokens');
+const { storage, TRANSFORMS } = require('./storage');
+const { processPhoto, addDuplicateIssue } = require('./photoQuality');
+const { withRetry } = require('../utils/retry');
+const { createSubmissionPhotos } = require('./photos');
+
+// Photos go straight from the browser to media storage. The API only hands out signed
+// upload targets, confirms each upload and later attaches the photos to an order.
+
+// A session covers one checkout, including retries of the store call after payment
+const SESSION_TTL_SECONDS = 24 * 60 * 60;
+
+const MAX_BYTES = 20 * 1024 * 1024;
+
+const ASSET_KINDS = {
+    photo: { folder: 'matchlens-onboarding-photos', maxFiles: 20 },
+    screenshot: { folder: 'matchlens-onboarding-screenshots', maxFiles: 10 }
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const fail = (code, message, httpStatus = 400, details = {}) => ({
+    success: false,
+    code,
+    message,
+    httpStatus,
+    ...details
+});
+
+const toAsset = (row) => ({
+    id: row.asset_id,
+    kind: row.kind,
+    status: row.status,
+    url: row.url,
+    byteSize: row.byte_size,
+    width: row.width,
+    height: row.height,
+    quality: row.quality,
+    attempts: row.attempts,
+    failureReason: row.failure_reason
+});
+
+// What happened to one photo of an order - returned by /store so nothing is dropped silently
+const toPhotoResult = (photoId, row) => {
+    if (!row) {
+        return { photoId, kind: null, status: 'failed', reason: 'NOT_FOUND', retries: 0 };
+    }
+
+    const result = {
+        photoId,
+        kind: row.kind,
+        status: row.status === 'uploaded' ? 'stored' : 'failed',
+        retries: Math.max((row.attempts || 0) - 1, 0)
+    };
+    if (row.status === 'uploaded') {
+        return { ...result, verdict: row.quality?.verdict || null };
+    }
+    if (row.status === 'pending') {
+        return { ...result, reason: row.failure_reason || 'NOT_UPLOADED' };
+    }
+    return { ...result, reason: row.failure_reason || row.status.toUpperCase() };
+};
+
+// Record a failed try so the order can report why the photo is missing
+const recordUploadFailure = (assetId, reason, attempts) => query(
+    'UPDATE media_assets SET attempts = attempts + $2, failure_reason = $3 WHERE asset_id = $1',
+    [assetId, attempts, reason]
+);
+
+const createUploadSession = async ({ email } = {}) => {
+    const result = await query(`
+        INSERT INTO upload_sessions (email, expires_at)
+        VALUES ($1, NOW() + $2::interval)
+        RETURNING session_id, expires_at
+    `, [email || null, `${SESSION_TTL_SECONDS} seconds`]);
+
+    const session = result.rows[0];
+    return {
+        sessionId: session.session_id,
+        expiresAt: session.expires_at,
+        token: signToken('upload', { sid: session.session_id }, SESSION_TTL_SECONDS)
+    };
+};
+
+const getOpenSession = async (sessionId) => {
+    const result = await query(
+        'SELECT * FROM upload_sessions WHERE session_id = $1',
+        [sessionId]
+    );
+    const session = result.rows[0];
+
+    if (!session) {
+        return fail('UPLOAD_SESSION_NOT_FOUND', 'Upload session not found', 404);
+    }
+    if (session.status !== 'open' || new Date(session.expires_at) <= new Date()) {
+        return fail('UPLOAD_SESSION_CLOSED', 'Upload session is no longer accepting photos', 409);
+    }
+    return { success: true, session };
+};
+
+// files: [{ kind, contentType, size }] - returns one signed target per file, in order
+const createUploadTargets = async (sessionId, files) => {
+    if (!Array.isArray(files) || files.length === 0) {
+        return fail('INVALID_FILES', 'files must be a non-empty array');
+    }
+
+    for (const [index, file] of files.entries()) {
+        if (!ASSET_KINDS[file?.kind]) {
+            return fail('INVALID_FILES', `files[${index}].kind must be one of: ${Object.keys(ASSET_KINDS).join(', ')}`);
+        }
+        if (typeof file.contentType !== 'string' || !file.contentType.startsWith('image/')) {
+            return fail('INVALID_FILES', `files[${index}] must be an image`);
+        }
+        if (file.size !== undefined && !(file.size > 0 && file.size <= MAX_BYTES)) {
+            return fail('FILE_TOO_LARGE', `files[${index}] must be at most ${MAX_BYTES / (1024 * 1024)}MB`, 413);
+        }
+    }
+
+    const sessionResult = await getOpenSession(sessionId);
+    if (!sessionResult.success) return sessionResult;
+
+    // Rejected files do not count, so customers can replace them
+    const counts = await query(
+        "SELECT kind, COUNT(*) AS count FROM media_assets WHERE session_id = $1 AND status <> 'rejected' GROUP BY kind",
+        [sessionId]
+    );
+    for (const [kind, { maxFiles }] of Object.entries(ASSET_KINDS)) {
+        const existing = parseInt(counts.rows.find((row) => row.kind === kind)?.count || 0);
+        const requested = files.filter((file) => file.kind === kind).length;
+        if (existing + requested > maxFiles) {
+            return fail('TOO_MANY_FILES', `At most ${maxFiles} ${kind}s per upload session`, 409);
+        }
+    }
+
+    const targets = [];
+    for (const file of files) {
+        const assetId = crypto.randomUUID();
+        const storageKey = `${ASSET_KINDS[file.kind].folder}/${sessionId}/${assetId}`;
+
+        await query(`
+            INSERT INTO media_assets (asset_id, session_id, kind, storage_key, content_type)
+            VALUES ($1, $2, $3, $4, $5)
+        `, [assetId, sessionId, file.kind, storageKey, file.contentType]);
+
+        targets.push({
+            assetId,
+            kind: file.kind,
+            upload: await storage.createUploadTarget(storageKey, { maxBytes: MAX_BYTES })
+        });
+    }
+
+    return { success: true, targets };
+};
+
+// Called by the client once its upload finished - checks storage before trusting it,
+// then runs the quality gate. The verdict is returned for the onboarding UI to show.
+const completeUpload = async (sessionId, assetId) => {
+    if (!UUID_PATTERN.test(assetId)) {
+        return fail('ASSET_NOT_FOUND', 'Photo not found in this upload session', 404);
+    }
+
+    const sessionResult = await getOpenSession(sessionId);
+    if (!sessionResult.success) return sessionResult;
+
+    const result = await query(
+        'SELECT * FROM media_assets WHERE asset_id = $1 AND session_id = $2',
+        [assetId, sessionId]
+    );
+    const asset = result.rows[0];
+
+    if (!asset) {
+        return fail('ASSET_NOT_FOUND', 'Photo not found in this upload session', 404);
+    }
+    if (asset.status !== 'pending') {
+        return { success: true, asset: toAsset(asset) };
+    }
+
+    // Storage calls are retried with backoff; every try is counted on the asset
+    let attempts = 1;
+    const retried = async (fn) => {
+        try {
+            const { value, retries } = await withRetry(fn);
+            attempts += retries;
+            return value;
+        } catch (error) {
+            attempts += error.retries || 0;
+            throw error;
+        }
+    };
+
+    let stored;
+    try {
+        stored = await retried(async () => {
+            const found = await storage.stat(asset.storage_key);
+            // Uploads can take a moment to show up - treat "not there yet" as retryable
+            if (!found) throw Object.assign(new Error('Upload not found'), { code: 'UPLOAD_NOT_FOUND' });
+            return found;
+        });
+    } catch (error) {
+        const code = error.code === 'UPLOAD_NOT_FOUND' ? 'UPLOAD_NOT_FOUND' : 'STORAGE_ERROR';
+        await recordUploadFailure(assetId, code, attempts);
+        if (code === 'UPLOAD_NOT_FOUND') {
+            return fail(code, 'No upload received for this photo yet', 409);
+        }
+        console.error(`❌ Storage error confirming ${asset.kind} ${assetId}:`, error.message);
+        return fail(code, 'Media storage is unavailable - please try again', 502);
+    }
+    if (stored.byteSize > MAX_BYTES) {
+        await recordUploadFailure(assetId, 'FILE_TOO_LARGE', attempts);
+        return fail('FILE_TOO_LARGE', `Photos must be at most ${MAX_BYTES / (1024 * 1024)}MB`, 413);
+    }
+
+    let processed;
+    let clean;
+    let url;
+    try {
+        // Strip metadata and convert before the photo is used anywhere
+        processed = await processPhoto(
+            await retried(() => storage.read(asset.storage_key)),
+            { score: asset.kind === 'photo' }
+        );
+
+        if (processed.buffer) {
+            clean = await retried(() => storage.put(asset.storage_key, processed.buffer));
+
+            // The order keeps the display-size rendition, like the old server-side uploads did
+            url = await retried(() => storage.transform(asset.storage_key, TRANSFORMS.display));
+        }
+    } catch (error) {
+        await recordUploadFailure(assetId, 'STORAGE_ERROR', attempts);
+        console.error(`❌ Storage error processing ${asset.kind} ${assetId}:`, error.message);
+        return fail('STORAGE_ERROR', 'Media storage is unavailable - please try again', 502);
+    }
+
+    const { buffer, hash, analysis } = processed;
+
+    if (!buffer) {
+        const rejected = await query(`
+            UPDATE media_assets
+            SET status = 'rejected', quality = $2, attempts = attempts + $3,
+                failure_reason = 'UNSUPPORTED_FORMAT', uploaded_at = NOW()
+            WHERE asset_id = $1
+            RETURNING *
+        `, [assetId, JSON.stringify(analysis), attempts]);
+
+        console.warn(`⚠️ Rejected unreadable ${asset.kind} ${assetId}`);
+        return { success: true, asset: toAsset(rejected.rows[0]) };
+    }
+
+    const others = await query(`
+        SELECT asset_id AS id, perceptual_hash AS hash FROM media_assets
+        WHERE session_id = $1 AND kind = $2 AND asset_id <> $3 AND status IN ('uploaded', 'attached')
+    `, [sessionId, asset.kind, assetId]);
+    const quality = addDuplicateIssue(analysis, hash, others.rows);
+
+    const updated = await query(`
+        UPDATE media_assets
+        SET status = 'uploaded', url = $2, byte_size = $3, width = $4, height = $5,
+            quality = $6, perceptual_hash = $7, attempts = attempts + $8, failure_reason = NULL,
+            uploaded_at = NOW()
+        WHERE asset_id = $1
+        RETURNING *
+    `, [assetId, url, clean.byteSize, clean.width, clean.height, JSON.stringify(quality), hash, attempts]);
+
+    console.log(`✅ Upload confirmed for ${asset.kind} ${assetId} (${quality.verdict})`);
+    return { success: true, asset: toAsset(updated.rows[0]) };
+};
+
+const listSessionAssets = async (sessionId) => {
+    const result = await query(
+        'SELECT * FROM media_assets WHERE session_id = $1 ORDER BY created_at',
+        [sessionId]
+    );
+    return result.rows.map(toAsset);
+};
+
+// Resolve the photo IDs sent to /store into stored assets, before any transaction is opened.
+// Photos that never made it into storage do not fail the order - they are reported
+// per photo, and an order with fewer usable photos than its package needs is flagged.
+const resolveOrderPhotos = async ({ uploadToken, photoIds = [], minPhotos = 0 }) => {
+    if (!Array.isArray(photoIds) || photoIds.some((id) => !UUID_PATTERN.test(id))) {
+        return fail('INVALID_PHOTO_IDS', 'photoIds must be an array of photo IDs');
+    }
+    if (new Set(photoIds).size !== photoIds.length) {
+        return fail('INVALID_PHOTO_IDS', 'photoIds must not contain duplicates');
+    }
+    if (photoIds.length === 0) {
+        return {
+            success: true,
+            sessionId: null,
+            assetIds: [],
+            summary: { stored: 0, required: minPhotos, needsPhotos: minPhotos > 0, results: [] }
+        };
+    }
+
+    const sessionId = verifyToken('upload', uploadToken)?.sid;
+    if (!sessionId) {
+        return fail('INVALID_UPLOAD_TOKEN', 'A valid upload session token is required with photoIds', 401);
+    }
+
+    const sessionResult = await getOpenSession(sessionId);
+    if (!sessionResult.success) return sessionResult;
+
+    const result = await query(
+        'SELECT * FROM media_assets WHERE session_id = $1 AND asset_id = ANY($2::uuid[])',
+        [sessionId, photoIds]
+    );
+    const byId = new Map(result.rows.map((row) => [row.asset_id, row]));
+
+    const results = photoIds.map((id) => toPhotoResult(id, byId.get(id)));
+    const assets = photoIds.map((id) => byId.get(id)).filter((asset) => asset?.status === 'uploaded');
+
+    // Photos that failed the quality gate are kept, but do not count towards the package minimum
+    const stored = assets.filter((asset) => asset.kind === 'photo' && asset.quality?.verdict !== 'fail').length;
+
+    return {
+        success: true,
+        sessionId,
+        assetIds: assets.map((asset) => asset.asset_id),
+        summary: { stored, required: minPhotos, needsPhotos: stored < minPhotos, results }
+    };
+};
+
+// Link the photos to the stored submission and record them in photos - runs inside the /store transaction
+const attachOrderPhotos = async (client, { sessionId, assetIds }, userId) => {
+    if (assetIds.length === 0) return;
+
+    await client.query(
+        "UPDATE media_assets SET status = 'attached', user_id = $3 WHERE session_id = $1 AND asset_id = ANY($2::uuid[])",
+        [sessionId, assetIds, userId]
+    );
+    await client.query(
+        "UPDATE upload_sessions SET status = 'consumed', user_id = $2 WHERE session_id = $1",
+        [sessionId, userId]
+    );
+    await createSubmissionPhotos(client, assetIds, userId);
+};
+
+module.exports = {
+    ASSET_KINDS,
+    MAX_BYTES,
+    createUploadSession,
+    createUploadTargets,
+    completeUpload,
+    listSessionAssets,
+    resolveOrderPhotos,
+    attachOrderPhotos
+};
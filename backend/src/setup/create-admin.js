@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+const { closePool } = require('../config/database');
+const { ADMIN_ROLES, createAdmin } = require('../services/adminAuth');
+
+// Create a staff account, or reset an existing one's role and password.
+//
+//   npm run create-admin -- <email> <name> [role]
+//
+// The password is read from ADMIN_PASSWORD; when unset a random one is generated and printed once.
+
+if (require.main === module) {
+    const [email, name, role = 'read_only'] = process.argv.slice(2);
+
+    if (!email || !name || !ADMIN_ROLES.includes(role)) {
+        console.error(`Usage: npm run create-admin -- <email> <name> [${ADMIN_ROLES.join('|')}]`);
+        process.exit(1);
+    }
+
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+
+    createAdmin({ email, name, role, password })
+        .then(async (admin) => {
+            console.log(`✅ ${admin.email} is now ${admin.role}`);
+            if (!process.env.ADMIN_PASSWORD) {
+                console.log(`🔑 Generated password: ${password}`);
+            }
+            await closePool();
+            process.exit(0);
+        })
+        .catch(async (error) => {
+            console.error('💥 Failed to create admin:', error.message);
+            await closePool();
+            process.exit(1);
+        });
+}
@@ -1,5 +1,6 @@
 const { query, testConnection } = require('../config/database');
 require('dotenv').config();
+const { confirmDestructiveSetup } = require('./guard');
 
 // SQL queries to create tables
 const createTables = async () => {
@@ -61,21 +62,6 @@ const createTables = async () => {
       );
     `;
 
-        // Create users table (for future authentication)
-        const createUsersTable = `
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        email VARCHAR(255) UNIQUE NOT NULL,
-        name VARCHAR(255) NOT NULL,
-        phone VARCHAR(20),
-        password_hash VARCHAR(255),
-        is_verified BOOLEAN DEFAULT false,
-        subscription_status VARCHAR(50) DEFAULT 'inactive',
-        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
-      );
-    `;
-
         // Create photo_generations table (for tracking AI processing)
         const createPhotoGenerationsTable = `
       CREATE TABLE IF NOT EXISTS photo_generations (
@@ -107,8 +93,6 @@ const createTables = async () => {
       CREATE INDEX IF NOT EXISTS idx_payments_customer_email ON payments(customer_email);
       CREATE INDEX IF NOT EXISTS idx_payments_created_at ON payments(created_at);
       
-      CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
-      
       CREATE INDEX IF NOT EXISTS idx_photo_generations_submission_id ON photo_generations(submission_id);
       CREATE INDEX IF NOT EXISTS idx_photo_generations_payment_id ON photo_generations(payment_id);
       CREATE INDEX IF NOT EXISTS idx_photo_generations_status ON photo_generations(status);
@@ -136,12 +120,6 @@ const createTables = async () => {
         FOR EACH ROW
         EXECUTE FUNCTION update_updated_at_column();
 
-      DROP TRIGGER IF EXISTS update_users_updated_at ON users;
-      CREATE TRIGGER update_users_updated_at
-        BEFORE UPDATE ON users
-        FOR EACH ROW
-        EXECUTE FUNCTION update_updated_at_column();
-
       DROP TRIGGER IF EXISTS update_photo_generations_updated_at ON photo_generations;
       CREATE TRIGGER update_photo_generations_updated_at
         BEFORE UPDATE ON photo_generations
@@ -156,9 +134,6 @@ const createTables = async () => {
         await query(createPaymentsTable);
         console.log('✅ Created payments table');
 
-        await query(createUsersTable);
-        console.log('✅ Created users table');
-
         await query(createPhotoGenerationsTable);
         console.log('✅ Created photo_generations table');
 
@@ -199,6 +174,7 @@ const setupDatabase = async () => {
 
 // Run setup if called directly
 if (require.main === module) {
+    confirmDestructiveSetup('setup/database.js');
     setupDatabase();
 }
 
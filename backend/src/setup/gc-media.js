@@ -0,0 +1,46 @@
+const { closePool } = require('../config/database');
+const { DEFAULT_GRACE_HOURS, collectOrphanedMedia } = require('../services/mediaGc');
+
+// Delete onboarding photos and screenshots nothing references any more.
+//
+//   npm run gc-media                  delete orphans older than the grace period
+//   npm run gc-media:report           only list them
+//
+// --grace-hours N overrides the grace period (default 48 hours).
+
+const formatBytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const reportOnly = args.includes('--report-only');
+    const graceIndex = args.indexOf('--grace-hours');
+    const graceHours = graceIndex === -1 ? DEFAULT_GRACE_HOURS : Number(args[graceIndex + 1]);
+
+    if (!(graceHours >= 0)) {
+        console.error('Usage: npm run gc-media -- [--report-only] [--grace-hours N]');
+        process.exit(1);
+    }
+
+    collectOrphanedMedia({ reportOnly, graceHours })
+        .then(async (report) => {
+            console.log(`🧹 Orphaned media in ${report.storage} storage older than ${report.cutoff.toISOString()}:`);
+            for (const orphan of report.orphans) {
+                console.log(`   ${orphan.key} (${orphan.reason}${orphan.byteSize ? `, ${formatBytes(orphan.byteSize)}` : ''})`);
+            }
+            console.log(`📊 ${report.orphans.length} orphans, ${formatBytes(report.totalBytes)}`);
+
+            if (reportOnly) {
+                console.log('ℹ️ Report only - nothing was deleted');
+            } else {
+                console.log(`✅ Deleted ${report.deleted} orphans`);
+            }
+
+            await closePool();
+            process.exit(report.failed.length > 0 ? 1 : 0);
+        })
+        .catch(async (error) => {
+            console.error('💥 Media garbage collection failed:', error.message);
+            await closePool();
+            process.exit(1);
+        });
+}
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const { ONBOARDING_SCHEMA_VERSION, onboardingFields, buildConstraintSql } = require('../schemas/onboarding');
+
+// Writes the frontend copy of the onboarding schema (option lists and limits).
+//
+//   npm run generate:onboarding-schema            regenerate the file
+//   npm run generate:onboarding-schema -- --check fail if it is out of date
+//   npm run generate:onboarding-schema -- --sql   print the CHECK constraint SQL to paste
+//                                                 into a new migration
+
+const OUTPUT_FILE = path.join(__dirname, '..', '..', '..', 'frontend', 'src', 'lib', 'onboarding-schema.ts');
+
+const toConstName = (key) => `${key}Options`;
+const toTypeName = (key) => key.charAt(0).toUpperCase() + key.slice(1);
+
+const renderFrontendSchema = () => {
+    const optionFields = Object.entries(onboardingFields).filter(([, field]) => field.options);
+
+    const optionLists = optionFields.map(([key, field]) => [
+        `export const ${toConstName(key)} = ${JSON.stringify(field.options, null, 4)} as const satisfies readonly OnboardingOption[];`,
+        '',
+        `export type ${toTypeName(key)} = (typeof ${toConstName(key)})[number]["value"];`
+    ].join('\n'));
+
+    const limits = {};
+    for (const [key, field] of Object.entries(onboardingFields)) {
+        const { type, label, column, options, ...rest } = field;
+        if (Object.keys(rest).length > 0) {
+            limits[key] = rest;
+        }
+    }
+
+    return [
+        '// Generated from backend/src/schemas/onboarding.js by `npm run generate:onboarding-schema`.',
+        '// Do not edit by hand - the backend validates and constrains against the same schema.',
+        '',
+        `export const ONBOARDING_SCHEMA_VERSION = ${ONBOARDING_SCHEMA_VERSION};`,
+        '',
+        'export interface OnboardingOption {',
+        '    value: string;',
+        '    label: string;',
+        '    description?: string;',
+        '}',
+        '',
+        ...optionLists.flatMap((block) => [block, '']),
+        `export const onboardingLimits = ${JSON.stringify(limits, null, 4)} as const;`,
+        ''
+    ].join('\n');
+};
+
+// Run if called directly
+if (require.main === module) {
+    const output = renderFrontendSchema();
+    const relative = path.relative(process.cwd(), OUTPUT_FILE);
+
+    if (process.argv.includes('--sql')) {
+        process.stdout.write(buildConstraintSql());
+    } else if (process.argv.includes('--check')) {
+        const current = fs.existsSync(OUTPUT_FILE) ? fs.readFileSync(OUTPUT_FILE, 'utf8') : '';
+        if (current !== output) {
+            console.error(`❌ ${relative} is out of date - run "npm run generate:onboarding-schema"`);
+            process.exit(1);
+        }
+        console.log(`✅ ${relative} matches onboarding schema v${ONBOARDING_SCHEMA_VERSION}`);
+    } else {
+        fs.writeFileSync(OUTPUT_FILE, output);
+        console.log(`✅ Wrote ${relative} (onboarding schema v${ONBOARDING_SCHEMA_VERSION})`);
+    }
+}
+
+module.exports = { renderFrontendSchema };
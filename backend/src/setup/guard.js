@@ -0,0 +1,18 @@
+// The legacy setup scripts predate the migrations: they build conflicting schemas and
+// several drop tables first. They only run on an explicit --force outside production.
+const confirmDestructiveSetup = (scriptName) => {
+    if (process.env.NODE_ENV === 'production') {
+        console.error(`🛑 ${scriptName} is a legacy schema script and is disabled in production. Use "npm run migrate".`);
+        process.exit(1);
+    }
+
+    if (!process.argv.includes('--force')) {
+        console.error(`🛑 ${scriptName} is a legacy schema script that conflicts with the migrations and can drop existing data.`);
+        console.error('   Use "npm run migrate" to update the schema, or re-run with --force on a throwaway database.');
+        process.exit(1);
+    }
+
+    console.warn(`⚠️ Running destructive legacy setup ${scriptName} (--force)`);
+};
+
+module.exports = { confirmDestructiveSetup };
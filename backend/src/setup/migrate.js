@@ -0,0 +1,260 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getClient, closePool } = require('../config/database');
+
+// Versioned schema migrations.
+//
+//   npm run migrate              apply pending migrations
+//   npm run migrate:status       list applied / pending migrations
+//   npm run migrate:down         roll back the latest migration (--steps N for more)
+//   npm run migrate:create name  scaffold src/migrations/NNN_name.js
+//
+// Add --dry-run to up/down to print the SQL without touching the database.
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d{3})_([a-z0-9_-]+)\.js$/;
+
+// Arbitrary constant - makes two deploys running migrations at once take turns
+const MIGRATION_LOCK_ID = 72616401;
+
+// Migration files in version order, each with a checksum of its contents
+const loadMigrations = () => {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter((file) => MIGRATION_FILE.test(file))
+        .sort()
+        .map((file) => {
+            const [, version, name] = file.match(MIGRATION_FILE);
+            const filePath = path.join(MIGRATIONS_DIR, file);
+            const { up, down } = require(filePath);
+
+            if (typeof up !== 'string' || !up.trim()) {
+                throw new Error(`Migration ${file} must export an "up" SQL string`);
+            }
+
+            return {
+                version,
+                name,
+                file,
+                up,
+                down: typeof down === 'string' && down.trim() ? down : null,
+                checksum: crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex')
+            };
+        });
+};
+
+const ensureMigrationsTable = (client) => client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(10) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum VARCHAR(64) NOT NULL,
+        execution_ms INTEGER,
+        applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    )
+`);
+
+// Nothing is applied on a database that has never been migrated - dry runs and status
+// read it without creating schema_migrations
+const getApplied = async (client) => {
+    const exists = await client.query("SELECT to_regclass('schema_migrations') IS NOT NULL AS exists");
+    if (!exists.rows[0].exists) return new Map();
+
+    const result = await client.query('SELECT * FROM schema_migrations ORDER BY version');
+    return new Map(result.rows.map((row) => [row.version, row]));
+};
+
+// An applied migration whose file was edited no longer describes the live schema
+const checkChecksums = (migrations, applied) => {
+    const changed = migrations.filter((m) => applied.has(m.version) && applied.get(m.version).checksum !== m.checksum);
+    if (changed.length > 0) {
+        throw new Error(
+            `Applied migrations were modified: ${changed.map((m) => m.file).join(', ')}. ` +
+            'Write a new migration instead of editing one that already ran.'
+        );
+    }
+
+    const missing = [...applied.keys()].filter((version) => !migrations.some((m) => m.version === version));
+    if (missing.length > 0) {
+        throw new Error(`Applied migrations are missing from ${MIGRATIONS_DIR}: ${missing.join(', ')}`);
+    }
+};
+
+// Run fn while holding the migration lock - readOnly runs (dry runs, status) change nothing
+const withLock = async (fn, { readOnly = false } = {}) => {
+    const client = await getClient();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+        if (!readOnly) {
+            await ensureMigrationsTable(client);
+        }
+        return await fn(client);
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+        client.release();
+    }
+};
+
+const migrateUp = async ({ dryRun = false } = {}) => withLock(async (client) => {
+    const migrations = loadMigrations();
+    const applied = await getApplied(client);
+    checkChecksums(migrations, applied);
+
+    const pending = migrations.filter((m) => !applied.has(m.version));
+    if (pending.length === 0) {
+        console.log('✅ Database is up to date');
+        return [];
+    }
+
+    for (const migration of pending) {
+        if (dryRun) {
+            console.log(`\n-- [dry run] ${migration.file}\n${migration.up.trim()}\n`);
+            continue;
+        }
+
+        const startTime = Date.now();
+        console.log(`🔄 Applying ${migration.file}...`);
+
+        // One transaction per migration - a failure leaves earlier migrations applied
+        try {
+            await client.query('BEGIN');
+            await client.query(migration.up);
+            await client.query(
+                'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)',
+                [migration.version, migration.name, migration.checksum, Date.now() - startTime]
+            );
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw new Error(`${migration.file} failed: ${error.message}`);
+        }
+
+        console.log(`✅ Applied ${migration.file} in ${Date.now() - startTime}ms`);
+    }
+
+    return pending;
+}, { readOnly: dryRun });
+
+const migrateDown = async ({ steps = 1, dryRun = false } = {}) => withLock(async (client) => {
+    const migrations = loadMigrations();
+    const applied = await getApplied(client);
+    checkChecksums(migrations, applied);
+
+    const targets = migrations
+        .filter((m) => applied.has(m.version))
+        .reverse()
+        .slice(0, steps);
+
+    if (targets.length === 0) {
+        console.log('ℹ️ No applied migrations to roll back');
+        return [];
+    }
+
+    // Check the whole batch first so we never stop halfway through
+    const irreversible = targets.find((m) => !m.down);
+    if (irreversible) {
+        throw new Error(`${irreversible.file} cannot be rolled back (no "down" SQL)`);
+    }
+
+    for (const migration of targets) {
+        if (dryRun) {
+            console.log(`\n-- [dry run] rollback ${migration.file}\n${migration.down.trim()}\n`);
+            continue;
+        }
+
+        console.log(`🔄 Rolling back ${migration.file}...`);
+
+        try {
+            await client.query('BEGIN');
+            await client.query(migration.down);
+            await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw new Error(`Rollback of ${migration.file} failed: ${error.message}`);
+        }
+
+        console.log(`✅ Rolled back ${migration.file}`);
+    }
+
+    return targets;
+}, { readOnly: dryRun });
+
+const migrationStatus = async () => withLock(async (client) => {
+    const migrations = loadMigrations();
+    const applied = await getApplied(client);
+
+    for (const migration of migrations) {
+        const row = applied.get(migration.version);
+        if (!row) {
+            console.log(`⏳ pending   ${migration.file}`);
+        } else if (row.checksum !== migration.checksum) {
+            console.log(`⚠️ modified  ${migration.file} (applied ${row.applied_at.toISOString()})`);
+        } else {
+            console.log(`✅ applied   ${migration.file} (${row.applied_at.toISOString()})`);
+        }
+    }
+
+    return { migrations, applied };
+}, { readOnly: true });
+
+const createMigration = (name) => {
+    const slug = (name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    if (!slug) {
+        throw new Error('Usage: npm run migrate:create <name>');
+    }
+
+    const versions = loadMigrations().map((m) => parseInt(m.version, 10));
+    const version = String((versions.length ? Math.max(...versions) : 0) + 1).padStart(3, '0');
+    const file = path.join(MIGRATIONS_DIR, `${version}_${slug}.js`);
+
+    fs.writeFileSync(file, `// TODO: describe this migration
+module.exports = {
+    up: \`
+\`,
+
+    down: \`
+\`
+};
+`);
+    console.log(`✅ Created ${path.relative(process.cwd(), file)}`);
+    return file;
+};
+
+// Run if called directly
+if (require.main === module) {
+    const [command = 'up', ...args] = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const stepsIndex = args.indexOf('--steps');
+    const steps = stepsIndex >= 0 ? parseInt(args[stepsIndex + 1], 10) : 1;
+
+    const commands = {
+        up: () => migrateUp({ dryRun }),
+        down: () => migrateDown({ steps, dryRun }),
+        status: () => migrationStatus(),
+        create: async () => createMigration(args.filter((arg) => !arg.startsWith('--')).join('_'))
+    };
+
+    if (!commands[command] || !(steps > 0)) {
+        console.error('Usage: node src/setup/migrate.js <up|down|status|create> [--dry-run] [--steps N] [name]');
+        process.exit(1);
+    }
+
+    commands[command]()
+        .then(async () => {
+            if (command !== 'create') await closePool();
+            process.exit(0);
+        })
+        .catch(async (error) => {
+            console.error('💥 Migration failed:', error.message);
+            if (command !== 'create') await closePool();
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    loadMigrations,
+    migrateUp,
+    migrateDown,
+    migrationStatus,
+    createMigration
+};
@@ -0,0 +1,43 @@
+const { createMockPayPal, OUTCOMES } = require('../mock/paypalServer');
+
+// Run the fake PayPal API for offline development.
+//
+//   npm run mock-paypal
+//   npm run mock-paypal -- --outcome decline    what approvals do unless scripted otherwise
+//
+// Point the API at it with PAYPAL_MODE=mock, and the frontend with PAYPAL_MODE=mock and
+// NEXT_PUBLIC_PAYPAL_MOCK_URL. Webhooks go to MOCK_PAYPAL_WEBHOOK_URL
+// (default http://localhost:5001/api/webhooks/paypal).
+
+if (process.env.NODE_ENV !== 'production') {
+    require('dotenv').config();
+}
+
+const argValue = (args, name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+};
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const port = parseInt(argValue(args, '--port') || process.env.MOCK_PAYPAL_PORT) || 5055;
+    const defaultOutcome = argValue(args, '--outcome') || process.env.MOCK_PAYPAL_OUTCOME || 'approve';
+
+    if (!OUTCOMES.includes(defaultOutcome)) {
+        console.error(`💥 Unknown outcome "${defaultOutcome}" - expected one of: ${OUTCOMES.join(', ')}`);
+        process.exit(1);
+    }
+
+    const mock = createMockPayPal({
+        baseUrl: `http://localhost:${port}`,
+        webhookUrl: process.env.MOCK_PAYPAL_WEBHOOK_URL || `http://localhost:${process.env.PORT || 5001}/api/webhooks/paypal`,
+        webhookId: process.env.PAYPAL_WEBHOOK_ID || 'MOCK-WEBHOOK',
+        defaultOutcome
+    });
+
+    mock.listen(port).then((server) => {
+        console.log(`🧪 Mock PayPal running on http://localhost:${port} (default outcome: ${defaultOutcome})`);
+        process.on('SIGINT', () => server.close(() => process.exit(0)));
+        process.on('SIGTERM', () => server.close(() => process.exit(0)));
+    });
+}
@@ -1,4 +1,5 @@
 const { query } = require('../config/database');
+const { confirmDestructiveSetup } = require('./guard');
 
 const setupPaymentsTable = async () => {
     try {
@@ -86,6 +87,7 @@ const setupPaymentsTable = async () => {
 
 // Run setup if called directly
 if (require.main === module) {
+    confirmDestructiveSetup('setup/payments.js');
     setupPaymentsTable()
         .then(() => {
             console.log('✅ Payments setup completed successfully');
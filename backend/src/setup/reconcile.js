@@ -0,0 +1,58 @@
+const fs = require('fs');
+const { closePool } = require('../config/database');
+const { runReconciliation, getRun, toCsv } = require('../services/reconciliation');
+const { createFixtureTransactionSource } = require('../services/paypalFixtures');
+
+// Reconcile PayPal transactions with recorded payments and write the discrepancy report.
+//
+//   npm run reconcile                                  the previous UTC day
+//   npm run reconcile -- --from 2026-10-01 --to 2026-10-08
+//   npm run reconcile -- --fixture fixtures/paypal-transactions.json
+//
+// --fixture serves recorded transaction search responses instead of calling PayPal.
+// --csv PATH sets where the report goes (default reconciliation-<run id>.csv).
+
+const argValue = (args, name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+};
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const today = new Date(new Date().toISOString().slice(0, 10));
+    const from = argValue(args, '--from') || new Date(today.getTime() - 24 * 60 * 60 * 1000).toISOString();
+    const to = argValue(args, '--to') || today.toISOString();
+    const fixture = argValue(args, '--fixture');
+
+    const options = fixture
+        ? { source: createFixtureTransactionSource(fixture), sourceName: 'fixture' }
+        : {};
+
+    runReconciliation({ from, to }, options)
+        .then(async (result) => {
+            if (!result.success) {
+                console.error(`💥 Reconciliation failed: ${result.code} - ${result.message}`);
+                await closePool();
+                process.exit(1);
+            }
+
+            const { run, discrepancies } = await getRun(result.run.id);
+            const csvPath = argValue(args, '--csv') || `reconciliation-${run.id}.csv`;
+            fs.writeFileSync(csvPath, toCsv(discrepancies));
+
+            console.log(`🧾 ${run.transactionCount} PayPal transactions, ${run.paymentCount} payments from ${run.source}`);
+            const counts = discrepancies.reduce((acc, row) => ({ ...acc, [row.kind]: (acc[row.kind] || 0) + 1 }), {});
+            for (const [kind, count] of Object.entries(counts)) {
+                console.log(`   ${kind}: ${count}`);
+            }
+            console.log(`📄 ${discrepancies.length} discrepancies written to ${csvPath}`);
+
+            await closePool();
+            process.exit(0);
+        })
+        .catch(async (error) => {
+            console.error('💥 Reconciliation failed:', error.message);
+            await closePool();
+            process.exit(1);
+        });
+}
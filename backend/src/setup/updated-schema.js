@@ -1,4 +1,5 @@
 const { query } = require('../config/database');
+const { confirmDestructiveSetup } = require('./guard');
 
 const setupUpdatedSchema = async () => {
     try {
@@ -136,6 +137,7 @@ const setupUpdatedSchema = async () => {
 
 // Run setup if called directly
 if (require.main === module) {
+    confirmDestructiveSetup('setup/updated-schema.js');
     setupUpdatedSchema()
         .then(() => {
             console.log('✅ Updated schema setup completed successfully');
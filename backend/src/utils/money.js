@@ -0,0 +1,10 @@
+// Compare money values in cents so "69", "69.0" and "69.00" are equal
+const toCents = (value) => Math.round(parseFloat(value) * 100);
+
+// Format cents the way PayPal expects amounts ("69.00")
+const fromCents = (cents) => (cents / 100).toFixed(2);
+
+module.exports = {
+    toCents,
+    fromCents
+};
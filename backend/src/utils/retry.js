@@ -0,0 +1,19 @@
+// Retry a flaky call (storage, network) with exponential backoff.
+// Resolves to { value, retries }; the last error is rethrown with .retries set.
+const withRetry = async (fn, { attempts = 3, baseDelayMs = 250 } = {}) => {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return { value: await fn(attempt), retries: attempt - 1 };
+        } catch (error) {
+            if (attempt >= attempts) {
+                error.retries = attempt - 1;
+                throw error;
+            }
+            await new Promise((resolve) => setTimeout(resolve, baseDelayMs * 2 ** (attempt - 1)));
+        }
+    }
+};
+
+module.exports = {
+    withRetry
+};
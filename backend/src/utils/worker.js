@@ -0,0 +1,27 @@
+// Run a background job inside the API process every intervalMs, starting now.
+// Runs never overlap, a failed run is logged and retried on the next tick, and the
+// timer does not keep the process alive. Returns a function that stops the worker.
+const startWorker = (name, run, intervalMs) => {
+    let running = false;
+
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await run();
+        } catch (error) {
+            console.error(`❌ ${name} run failed:`, error.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(tick, intervalMs);
+    timer.unref();
+    tick();
+    return () => clearInterval(timer);
+};
+
+module.exports = {
+    startWorker
+};
@@ -0,0 +1,203 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { freePort, startMockPayPal, startTestDatabase } = require('./helpers');
+
+// Abandoned checkouts against a migrated database and the mock PayPal server: stale checkouts
+// expire, the report leaves out customers who came back and paid, and a resume link brings
+// back the questionnaire draft - but never the upload credentials or an order already paid.
+
+const HOUR = 60 * 60 * 1000;
+
+describe('abandoned checkouts', () => {
+    let paypal;
+    let db;
+    let server;
+    let baseUrl;
+    let checkouts;
+    let signToken;
+    let adminToken;
+    let client = 0;
+
+    before(async () => {
+        process.env.AUTH_TOKEN_SECRET = 'test-secret';
+        process.env.FRONTEND_URL = 'http://localhost:3000';
+        paypal = await startMockPayPal();
+        const app = require('../src/server');
+        checkouts = require('../src/services/checkouts');
+        ({ signToken } = require('../src/services/tokens'));
+
+        const port = await freePort();
+        baseUrl = `http://localhost:${port}`;
+        server = await new Promise((resolve) => {
+            const listening = app.listen(port, () => resolve(listening));
+        });
+    });
+
+    after(async () => {
+        await new Promise((resolve) => server.close(resolve));
+        await paypal.close();
+    });
+
+    beforeEach(async () => {
+        await paypal.reset();
+        require('../src/services/packages').clearPackageCache();
+        db = await startTestDatabase();
+
+        const admin = await db.query(`
+            INSERT INTO admin_users (email, name, role, password_hash)
+            VALUES ('staff@example.com', 'Staff', 'support', 'unused')
+            RETURNING admin_id
+        `);
+        adminToken = signToken('admin', { sub: admin.rows[0].admin_id }, 60);
+    });
+
+    afterEach(() => db.restore());
+
+    const request = async (method, path, { body, token } = {}) => {
+        const response = await fetch(`${baseUrl}/api/checkout${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Forwarded-For': `10.0.1.${++client % 250}`,
+                ...(token ? { Authorization: `Bearer ${token}` } : {})
+            },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    // A checkout started hoursAgo, as the checkout page starts it
+    const startCheckout = async (email, { packageId = 'get-noticed', hoursAgo = 0, onboardingData = {} } = {}) => {
+        const { status, body } = await request('POST', '/intents', {
+            body: { provider: 'paypal', packageId, onboardingData: { name: 'Sam', email, ...onboardingData } }
+        });
+        assert.equal(status, 201, body.message);
+        await db.query(
+            'UPDATE pending_orders SET created_at = $2 WHERE order_id = $1',
+            [body.orderId, new Date(Date.now() - hoursAgo * HOUR)]
+        );
+        return body;
+    };
+
+    const statusOf = async (orderId) =>
+        (await db.query('SELECT status FROM pending_orders WHERE order_id = $1', [orderId])).rows[0].status;
+
+    // A payment by the same email, as /store records it
+    const createPayment = async (email, status = 'completed') => {
+        const submission = await db.query(`
+            INSERT INTO onboarding_submissions (name, dating_goal, current_matches, body_type, style_preference, ethnicity, email)
+            VALUES ('Sam', 'casual', '0-2', 'slim', 'casual', 'prefer-not-to-say', $1)
+            RETURNING user_id
+        `, [email]);
+        const payment = await db.query(`
+            INSERT INTO payments (user_id, order_id, paypal_payment_id, amount, package_id, package_name, customer_email, customer_name, status)
+            VALUES ($1, $2, $2, 37.00, 'get-noticed', 'Get Noticed', $3, 'Sam', $4)
+            RETURNING payment_id
+        `, [submission.rows[0].user_id, `PAID-${email}`, email, status]);
+        return payment.rows[0].payment_id;
+    };
+
+    it('expires only checkouts left pending past the timeout', async () => {
+        const stale = await startCheckout('stale@example.com', { hoursAgo: 4 });
+        const recent = await startCheckout('recent@example.com', { hoursAgo: 2 });
+        const cancelled = await startCheckout('cancelled@example.com', { hoursAgo: 5 });
+        await request('POST', `/${cancelled.orderId}/cancel`, { body: { checkoutToken: cancelled.checkoutToken } });
+
+        assert.equal(await checkouts.expireStaleCheckouts(), 1);
+        assert.equal(await checkouts.expireStaleCheckouts(), 0);
+
+        assert.equal(await statusOf(stale.orderId), 'expired');
+        assert.equal(await statusOf(recent.orderId), 'pending');
+        assert.equal(await statusOf(cancelled.orderId), 'cancelled');
+    });
+
+    it('still completes an expired checkout that is paid after all', async () => {
+        const stale = await startCheckout('late@example.com', { hoursAgo: 4 });
+        await checkouts.expireStaleCheckouts();
+        const paymentId = await createPayment('late@example.com');
+
+        await checkouts.completePendingOrder(db, stale.orderId, paymentId);
+
+        const row = await db.query('SELECT status, payment_id FROM pending_orders WHERE order_id = $1', [stale.orderId]);
+        assert.deepEqual(row.rows[0], { status: 'completed', payment_id: paymentId });
+    });
+
+    it('reports abandoned checkouts by package and age, leaving out customers who paid later', async () => {
+        await startCheckout('hours@example.com', { hoursAgo: 4 });
+        await startCheckout('days@example.com', { packageId: 'most-matches', hoursAgo: 3 * 24 });
+        await startCheckout('weeks@example.com', { hoursAgo: 10 * 24 });
+        await startCheckout('Came.Back@example.com', { hoursAgo: 5 });
+        await startCheckout('open@example.com', { hoursAgo: 0 });
+        await checkouts.expireStaleCheckouts();
+        await createPayment('came.back@example.com');
+        // A refunded purchase still counts as coming back; a failed payment does not
+        await startCheckout('refunded@example.com', { hoursAgo: 6 });
+        await startCheckout('failed@example.com', { hoursAgo: 6 });
+        await checkouts.expireStaleCheckouts();
+        await createPayment('refunded@example.com', 'refunded');
+        await createPayment('failed@example.com', 'failed');
+
+        const { status, body } = await request('GET', '/abandoned', { token: adminToken });
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.summary.map((row) => [row.packageId, row.ageBucket, row.abandoned, row.recovered, row.abandonedValue]), [
+            ['get-noticed', '1h_to_24h', 2, 2, 74],
+            ['get-noticed', 'over_7d', 1, 0, 37],
+            ['most-matches', '1d_to_7d', 1, 0, 69]
+        ]);
+        assert.deepEqual(body.checkouts.map((checkout) => checkout.customerEmail), [
+            'hours@example.com',
+            'failed@example.com',
+            'days@example.com',
+            'weeks@example.com'
+        ]);
+        for (const checkout of body.checkouts) {
+            assert.match(checkout.resumeUrl, /^http:\/\/localhost:3000\/checkout\?resume=[\w.-]+$/);
+        }
+
+        const filtered = await request('GET', '/abandoned?packageId=most-matches&limit=1', { token: adminToken });
+        assert.deepEqual(filtered.body.checkouts.map((checkout) => checkout.customerEmail), ['days@example.com']);
+        const secondPage = await request('GET', '/abandoned?page=2&limit=2', { token: adminToken });
+        assert.deepEqual(secondPage.body.checkouts.map((checkout) => checkout.customerEmail), ['days@example.com', 'weeks@example.com']);
+
+        const unauthenticated = await request('GET', '/abandoned');
+        assert.equal(unauthenticated.status, 401);
+    });
+
+    it('resumes a checkout with its draft but without the upload credentials', async () => {
+        await startCheckout('sam@example.com', {
+            packageId: 'most-matches',
+            hoursAgo: 4,
+            onboardingData: { datingGoal: 'relationship', uploadToken: 'upload-secret', photoIds: ['photo-1'] }
+        });
+        await checkouts.expireStaleCheckouts();
+        const report = await request('GET', '/abandoned', { token: adminToken });
+        const token = new URL(report.body.checkouts[0].resumeUrl).searchParams.get('resume');
+
+        const { status, body } = await request('GET', `/resume/${token}`);
+
+        assert.equal(status, 200);
+        assert.equal(body.packageId, 'most-matches');
+        assert.deepEqual(body.onboardingData, { name: 'Sam', email: 'sam@example.com', datingGoal: 'relationship' });
+    });
+
+    it('refuses resume links that expired, were meant for something else or point at a paid order', async () => {
+        const started = await startCheckout('sam@example.com');
+        const { pending_order_id: id } = (await db.query('SELECT pending_order_id FROM pending_orders')).rows[0];
+
+        const refused = [
+            await request('GET', `/resume/${signToken('checkout-resume', { oid: id }, -1)}`),
+            await request('GET', `/resume/${signToken('checkout', { oid: id }, 60)}`),
+            await request('GET', `/resume/${signToken('checkout-resume', { oid: '00000000-0000-4000-8000-000000000000' }, 60)}`)
+        ];
+        for (const response of refused) {
+            assert.equal(response.status, 401);
+            assert.equal(response.body.code, 'INVALID_RESUME_LINK');
+        }
+
+        await checkouts.completePendingOrder(db, started.orderId, await createPayment('sam@example.com'));
+        const paid = await request('GET', `/resume/${checkouts.signResumeLink(id).token}`);
+        assert.equal(paid.status, 409);
+        assert.equal(paid.body.code, 'CHECKOUT_CLOSED');
+    });
+});
@@ -0,0 +1,209 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { freePort, startMockPayPal, stubDatabase, PACKAGE_ROWS } = require('./helpers');
+
+// Checkouts in progress: only the browser that started a checkout can cancel it, a recorded
+// checkout keeps the email it was started with, and starting checkouts is rate limited.
+// Requests go through the whole app from loopback, like the Next server's, so the client
+// address comes from X-Forwarded-For.
+
+// The pending_orders table, enough for the checkout routes
+const createStore = () => {
+    const store = { orders: new Map() };
+    store.handler = (sql, params) => {
+        if (/FROM packages/.test(sql)) return PACKAGE_ROWS;
+
+        if (/INSERT INTO pending_orders/.test(sql)) {
+            const [orderId, provider, packageId, packageName, amount, currency, email, name, draft] = params;
+            const existing = store.orders.get(orderId);
+            if (existing) {
+                if (existing.status !== 'pending') return [];
+                Object.assign(existing, {
+                    onboarding_draft: JSON.parse(draft),
+                    customer_email: existing.customer_email ?? email,
+                    customer_name: existing.customer_name ?? name
+                });
+                return [existing];
+            }
+            const row = {
+                pending_order_id: `checkout-${store.orders.size + 1}`,
+                order_id: orderId,
+                provider,
+                package_id: packageId,
+                package_name: packageName,
+                amount,
+                currency,
+                customer_email: email,
+                customer_name: name,
+                onboarding_draft: JSON.parse(draft),
+                status: 'pending'
+            };
+            store.orders.set(orderId, row);
+            return [row];
+        }
+        if (/UPDATE pending_orders\s+SET status = 'cancelled'/.test(sql)) {
+            const row = store.orders.get(params[0]);
+            if (!row || row.status !== 'pending') return [];
+            row.status = 'cancelled';
+            return [row];
+        }
+        if (/SELECT \* FROM pending_orders WHERE order_id/.test(sql)) {
+            const row = store.orders.get(params[0]);
+            return row ? [row] : [];
+        }
+        return [];
+    };
+    return store;
+};
+
+describe('/api/checkout', () => {
+    let paypal;
+    let server;
+    let baseUrl;
+    let store;
+    let db;
+    let signToken;
+
+    before(async () => {
+        process.env.AUTH_TOKEN_SECRET = 'test-secret';
+        paypal = await startMockPayPal();
+        const app = require('../src/server');
+
+        const port = await freePort();
+        baseUrl = `http://localhost:${port}`;
+        server = await new Promise((resolve) => {
+            const listening = app.listen(port, () => resolve(listening));
+        });
+        ({ signToken } = require('../src/services/tokens'));
+    });
+
+    after(async () => {
+        db.restore();
+        await new Promise((resolve) => server.close(resolve));
+        await paypal.close();
+    });
+
+    beforeEach(async () => {
+        await paypal.reset();
+        require('../src/services/packages').clearPackageCache();
+        store = createStore();
+        db?.restore();
+        db = stubDatabase(store.handler);
+    });
+
+    const post = async (path, body, headers = {}) => {
+        const response = await fetch(`${baseUrl}/api/checkout${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    // Each test starts its checkouts from its own address, so the shared rate limit does not carry over
+    let client = 0;
+    const startCheckout = (email = 'sam@example.com', address = `10.0.0.${++client}`) => post('/intents', {
+        provider: 'paypal',
+        packageId: 'get-noticed',
+        onboardingData: { name: 'Sam', email }
+    }, { 'X-Forwarded-For': address });
+
+    it('starts a checkout with a token for cancelling it', async () => {
+        const { status, body } = await startCheckout();
+
+        assert.equal(status, 201);
+        assert.ok(body.checkoutToken);
+        assert.equal(store.orders.get(body.orderId).customer_email, 'sam@example.com');
+    });
+
+    it('cancels a checkout for the browser holding its token', async () => {
+        const { body: started } = await startCheckout();
+
+        const { status, body } = await post(`/${started.orderId}/cancel`, { checkoutToken: started.checkoutToken });
+
+        assert.equal(status, 200);
+        assert.equal(body.status, 'cancelled');
+    });
+
+    it('refuses to cancel a checkout without its token', async () => {
+        const { body: started } = await startCheckout();
+        const { body: other } = await startCheckout('eve@example.com');
+
+        const missing = await post(`/${started.orderId}/cancel`, {});
+        const wrongOrder = await post(`/${started.orderId}/cancel`, { checkoutToken: other.checkoutToken });
+        const wrongPurpose = await post(`/${started.orderId}/cancel`, {
+            checkoutToken: signToken('checkout-resume', { oid: started.orderId }, 60)
+        });
+
+        for (const response of [missing, wrongOrder, wrongPurpose]) {
+            assert.equal(response.status, 401);
+            assert.equal(response.body.code, 'INVALID_CHECKOUT_TOKEN');
+        }
+        assert.equal(store.orders.get(started.orderId).status, 'pending');
+    });
+
+    it('refuses to record a checkout without an upload session', async () => {
+        const { body: started } = await startCheckout();
+
+        const { status, body } = await post('/pending', {
+            provider: 'paypal',
+            orderId: started.orderId,
+            packageId: 'get-noticed',
+            onboardingData: { email: 'eve@example.com' }
+        }, { 'X-Forwarded-For': '10.1.0.1' });
+
+        assert.equal(status, 401);
+        assert.equal(body.code, 'INVALID_UPLOAD_TOKEN');
+        assert.equal(store.orders.get(started.orderId).customer_email, 'sam@example.com');
+    });
+
+    it('keeps the email a checkout was started with when it is recorded again', async () => {
+        const { body: started } = await startCheckout();
+
+        const { status } = await post('/pending', {
+            provider: 'paypal',
+            orderId: started.orderId,
+            packageId: 'get-noticed',
+            onboardingData: { name: 'Eve', email: 'eve@example.com', vibe: 'changed' },
+            uploadToken: signToken('upload', { sid: 'session-1' }, 60)
+        }, { 'X-Forwarded-For': '10.1.0.2' });
+
+        assert.equal(status, 201);
+        const row = store.orders.get(started.orderId);
+        assert.equal(row.customer_email, 'sam@example.com');
+        assert.equal(row.customer_name, 'Sam');
+        assert.equal(row.onboarding_draft.vibe, 'changed');
+        // What the stub above mirrors
+        const upsert = db.filter((entry) => /INSERT INTO pending_orders/.test(entry.sql)).pop();
+        assert.match(upsert.sql, /customer_email = COALESCE\(pending_orders\.customer_email, EXCLUDED\.customer_email\)/);
+    });
+
+    it('reports where a checkout\'s payment stands with the provider', async () => {
+        const { body: started } = await startCheckout();
+        await paypal.approve(started.orderId, 'approve');
+
+        const lookup = (orderId) => fetch(`${baseUrl}/api/checkout/paypal/${orderId}/payment`, {
+            headers: { 'X-Forwarded-For': '10.3.0.1' }
+        }).then(async (response) => ({ status: response.status, body: await response.json() }));
+        const found = await lookup(started.orderId);
+        const missing = await lookup('UNKNOWN-ORDER');
+
+        assert.equal(found.status, 200);
+        assert.equal(found.body.payment.status, 'approved');
+        assert.equal(found.body.payment.packageId, 'get-noticed');
+        assert.equal(missing.status, 404);
+        assert.equal(missing.body.code, 'ORDER_NOT_FOUND');
+    });
+
+    it('limits how many checkouts one client can start', async () => {
+        const statuses = [];
+        for (let i = 0; i < 21; i++) {
+            statuses.push((await startCheckout('sam@example.com', '10.2.0.1')).status);
+        }
+
+        assert.deepEqual(statuses.slice(0, 20), Array(20).fill(201));
+        assert.equal(statuses[20], 429);
+        assert.equal(paypal.state.orders.size, 20);
+        assert.equal((await startCheckout('sam@example.com', '10.2.0.2')).status, 201);
+    });
+});
@@ -0,0 +1,148 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { freePort, startTestDatabase } = require('./helpers');
+
+// Customer login links against a migrated database: a link signs in once, expired and
+// wrong-purpose tokens are refused, and an unknown email gets the same answer as a customer.
+
+describe('customer login links', () => {
+    let db;
+    let server;
+    let baseUrl;
+    let mailDir;
+    let signToken;
+    let customerId;
+    let client = 0;
+
+    before(async () => {
+        mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'customer-auth-test-'));
+        process.env.AUTH_TOKEN_SECRET = 'test-secret';
+        process.env.EMAIL_TRANSPORT = 'file';
+        process.env.EMAIL_FILE_DIR = mailDir;
+        process.env.FRONTEND_URL = 'http://localhost:3000';
+
+        db = await startTestDatabase();
+        const app = require('../src/server');
+        ({ signToken } = require('../src/services/tokens'));
+
+        const port = await freePort();
+        baseUrl = `http://localhost:${port}`;
+        server = await new Promise((resolve) => {
+            const listening = app.listen(port, () => resolve(listening));
+        });
+
+        const customer = await db.query(
+            "INSERT INTO customers (email, name) VALUES ('sam@example.com', 'Sam') RETURNING customer_id"
+        );
+        customerId = customer.rows[0].customer_id;
+    });
+
+    after(async () => {
+        await db.restore();
+        await new Promise((resolve) => server.close(resolve));
+        fs.rmSync(mailDir, { recursive: true, force: true });
+    });
+
+    // Each request comes from its own address, so the login link rate limit does not carry over
+    const request = async (method, urlPath, { body, token } = {}) => {
+        const response = await fetch(`${baseUrl}/api/account${urlPath}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Forwarded-For': `10.0.0.${++client}`,
+                ...(token ? { Authorization: `Bearer ${token}` } : {})
+            },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    const loginLinks = async () => {
+        const result = await db.query("SELECT recipient, text_body FROM email_outbox WHERE template = 'login_link' ORDER BY created_at");
+        return result.rows.map((row) => ({
+            to: row.recipient,
+            token: row.text_body.match(/\/login\/verify\?token=([\w.-]+)/)[1]
+        }));
+    };
+
+    const verify = (token) => request('POST', '/verify', { body: { token } });
+
+    it('answers an unknown email exactly like a customer', async () => {
+        const known = await request('POST', '/login-link', { body: { email: ' Sam@Example.com ' } });
+        const unknown = await request('POST', '/login-link', { body: { email: 'nobody@example.com' } });
+
+        assert.equal(known.status, 202);
+        assert.deepEqual(unknown, known);
+        assert.deepEqual((await loginLinks()).map((link) => link.to), ['sam@example.com']);
+    });
+
+    it('signs in with a login link only once', async () => {
+        const [link] = await loginLinks();
+
+        const first = await verify(link.token);
+        const second = await verify(link.token);
+
+        assert.equal(first.status, 200);
+        assert.equal(first.body.customer.email, 'sam@example.com');
+        assert.equal(second.status, 401);
+        assert.equal(second.body.code, 'INVALID_LOGIN_LINK');
+
+        const me = await request('GET', '/me', { token: first.body.token });
+        assert.equal(me.status, 200);
+        assert.equal(me.body.customer.id, customerId);
+        const customer = await db.query('SELECT is_verified FROM customers WHERE customer_id = $1', [customerId]);
+        assert.equal(customer.rows[0].is_verified, true);
+    });
+
+    it('accepts a link issued after the last sign-in', async () => {
+        await db.query("UPDATE customers SET last_login_at = NOW() - INTERVAL '1 minute' WHERE customer_id = $1", [customerId]);
+
+        const { status } = await verify(signToken('login-link', { sub: customerId, email: 'sam@example.com' }, 60));
+
+        assert.equal(status, 200);
+    });
+
+    it('refuses expired, wrong-purpose and forged links', async () => {
+        await db.query("UPDATE customers SET last_login_at = NOW() - INTERVAL '1 hour' WHERE customer_id = $1", [customerId]);
+        const claims = { sub: customerId, email: 'sam@example.com' };
+        const valid = signToken('login-link', claims, 60);
+        const [payload, signature] = valid.split('.');
+        const otherEmail = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), email: 'eve@example.com' })).toString('base64url');
+
+        const refused = [
+            await verify(signToken('login-link', claims, -1)),
+            await verify(signToken('customer', claims, 60)),
+            await verify(signToken('admin', claims, 60)),
+            await verify(`${otherEmail}.${signature}`),
+            await verify(undefined)
+        ];
+
+        for (const response of refused) {
+            assert.equal(response.status, 401);
+            assert.equal(response.body.code, 'INVALID_LOGIN_LINK');
+        }
+        // None of them signed the customer in - the valid link still works
+        assert.equal((await verify(valid)).status, 200);
+    });
+
+    it('refuses a link once the customer changed their email', async () => {
+        await db.query("UPDATE customers SET last_login_at = NOW() - INTERVAL '1 hour' WHERE customer_id = $1", [customerId]);
+        const link = signToken('login-link', { sub: customerId, email: 'sam@example.com' }, 60);
+        await db.query("UPDATE customers SET email = 'sam.new@example.com' WHERE customer_id = $1", [customerId]);
+
+        const { status } = await verify(link);
+
+        assert.equal(status, 401);
+    });
+
+    it('does not accept a login link as a session', async () => {
+        const link = signToken('login-link', { sub: customerId, email: 'sam.new@example.com' }, 60);
+
+        const { status } = await request('GET', '/me', { token: link });
+
+        assert.equal(status, 401);
+    });
+});
@@ -0,0 +1,210 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { freePort, startTestDatabase } = require('./helpers');
+
+// The email outbox against a migrated database, sending through the SMTP transport to a
+// scripted SMTP server: messages go out once, failures are retried with backoff and given
+// up on after MAX_ATTEMPTS, and nothing is sent for a transaction that rolled back.
+
+// Speaks just enough SMTP to accept (or refuse) messages. Received messages are kept with
+// the commands of their session; set reply.data to refuse the next messages.
+const startSmtpServer = async () => {
+    const sink = { sessions: [], messages: [], reply: { data: '250 Queued' } };
+
+    const server = net.createServer((socket) => {
+        const session = { commands: [] };
+        sink.sessions.push(session);
+        let buffer = '';
+        let data = null;
+
+        socket.write('220 smtp.test ESMTP\r\n');
+        socket.on('data', (chunk) => {
+            buffer += chunk.toString('utf8');
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+
+                if (data !== null) {
+                    if (line === '.') {
+                        sink.messages.push({ commands: [...session.commands], raw: data.join('\r\n') });
+                        socket.write(`${sink.reply.data}\r\n`);
+                        data = null;
+                    } else {
+                        data.push(line.startsWith('..') ? line.slice(1) : line);
+                    }
+                    continue;
+                }
+
+                session.commands.push(line);
+                const verb = line.split(/[\s:]/)[0].toUpperCase();
+                if (verb === 'EHLO') socket.write('250-smtp.test\r\n250-SIZE 10485760\r\n250 AUTH PLAIN\r\n');
+                else if (verb === 'AUTH') socket.write('235 Authenticated\r\n');
+                else if (verb === 'MAIL' || verb === 'RCPT') socket.write('250 OK\r\n');
+                else if (verb === 'DATA') {
+                    data = [];
+                    socket.write('354 Go ahead\r\n');
+                } else if (verb === 'QUIT') socket.end('221 Bye\r\n');
+                else socket.write('502 Not implemented\r\n');
+            }
+        });
+    });
+
+    const port = await freePort();
+    await new Promise((resolve) => server.listen(port, resolve));
+    return { ...sink, sink, port, close: () => new Promise((resolve) => server.close(resolve)) };
+};
+
+// The text part of a received message
+const textOf = (raw) => {
+    const [, part] = raw.split('Content-Type: text/plain; charset=UTF-8\r\nContent-Transfer-Encoding: base64\r\n\r\n');
+    return Buffer.from(part.split('\r\n--')[0].replace(/\r\n/g, ''), 'base64').toString('utf8');
+};
+
+describe('email outbox', () => {
+    let smtp;
+    let db;
+    let emailQueue;
+
+    before(async () => {
+        smtp = await startSmtpServer();
+        process.env.EMAIL_TRANSPORT = 'smtp';
+        process.env.SMTP_HOST = '127.0.0.1';
+        process.env.SMTP_PORT = String(smtp.port);
+        process.env.SMTP_USER = 'matchlens';
+        process.env.SMTP_PASS = 'secret';
+        process.env.EMAIL_FROM = 'Matchlens AI <support@matchlens.test>';
+
+        emailQueue = require('../src/services/emailQueue');
+    });
+
+    after(async () => {
+        await smtp.close();
+    });
+
+    beforeEach(async () => {
+        smtp.messages.length = 0;
+        smtp.sessions.length = 0;
+        smtp.sink.reply.data = '250 Queued';
+        db = await startTestDatabase();
+    });
+
+    afterEach(() => db.restore());
+
+    const loginLink = (overrides = {}) => ({
+        template: 'login_link',
+        to: 'Sam <sam@example.com>',
+        data: { url: 'http://localhost:3000/login/verify?token=abc', expiresInMinutes: 15 },
+        ...overrides
+    });
+
+    const outbox = async () => (await db.query('SELECT * FROM email_outbox ORDER BY created_at')).rows;
+
+    it('sends a queued email over SMTP once', async () => {
+        await emailQueue.queueEmail(db, loginLink());
+
+        const first = await emailQueue.processEmailQueue();
+        const second = await emailQueue.processEmailQueue();
+
+        assert.deepEqual(first, { sent: 1, retrying: 0, failed: 0 });
+        assert.deepEqual(second, { sent: 0, retrying: 0, failed: 0 });
+        assert.equal(smtp.messages.length, 1);
+
+        const [message] = smtp.messages;
+        assert.deepEqual(message.commands.slice(1), [
+            `AUTH PLAIN ${Buffer.from('\0matchlens\0secret').toString('base64')}`,
+            'MAIL FROM:<support@matchlens.test>',
+            'RCPT TO:<sam@example.com>',
+            'DATA'
+        ]);
+        assert.match(message.raw, /^From: Matchlens AI <support@matchlens\.test>\r\nTo: Sam <sam@example\.com>\r\n/);
+        assert.match(textOf(message.raw), /http:\/\/localhost:3000\/login\/verify\?token=abc/);
+
+        const [row] = await outbox();
+        assert.equal(row.status, 'sent');
+        assert.equal(row.attempts, 1);
+        assert.ok(row.sent_at);
+    });
+
+    it('queues an email with a dedupe key only once', async () => {
+        const first = await emailQueue.queueEmail(db, loginLink({ dedupeKey: 'login:sam' }));
+        const again = await emailQueue.queueEmail(db, loginLink({ dedupeKey: 'login:sam' }));
+
+        assert.ok(first);
+        assert.equal(again, null);
+        assert.equal((await outbox()).length, 1);
+    });
+
+    it('sends nothing for a transaction that rolled back', async () => {
+        const client = await require('../src/config/database').getClient();
+        await client.query('BEGIN');
+        await emailQueue.queueEmail(client, loginLink());
+        await client.query('ROLLBACK');
+        client.release();
+
+        const report = await emailQueue.processEmailQueue();
+
+        assert.equal(report.sent, 0);
+        assert.deepEqual(await outbox(), []);
+    });
+
+    it('retries a refused email with backoff and gives up after the last attempt', async () => {
+        await emailQueue.queueEmail(db, loginLink());
+        smtp.sink.reply.data = '451 Try again later';
+
+        const first = await emailQueue.processEmailQueue();
+
+        assert.deepEqual(first, { sent: 0, retrying: 1, failed: 0 });
+        let [row] = await outbox();
+        assert.equal(row.status, 'pending');
+        assert.match(row.last_error, /451 Try again later/);
+        const delay = (row.next_attempt_at - new Date()) / 1000;
+        assert.ok(delay > 50 && delay <= 60, `first retry in a minute, not ${delay}s`);
+
+        // Not due yet
+        assert.deepEqual(await emailQueue.processEmailQueue(), { sent: 0, retrying: 0, failed: 0 });
+
+        for (let attempt = 2; attempt <= emailQueue.MAX_ATTEMPTS; attempt++) {
+            await db.query('UPDATE email_outbox SET next_attempt_at = NOW()');
+            await emailQueue.processEmailQueue();
+        }
+
+        [row] = await outbox();
+        assert.equal(row.status, 'failed');
+        assert.equal(row.attempts, emailQueue.MAX_ATTEMPTS);
+        await db.query('UPDATE email_outbox SET next_attempt_at = NOW()');
+        assert.deepEqual(await emailQueue.processEmailQueue(), { sent: 0, retrying: 0, failed: 0 });
+        assert.equal(smtp.sessions.length, emailQueue.MAX_ATTEMPTS);
+    });
+
+    it('picks up an email a worker left mid-send', async () => {
+        await emailQueue.queueEmail(db, loginLink());
+        await db.query("UPDATE email_outbox SET status = 'sending', attempts = 1");
+
+        assert.equal((await emailQueue.processEmailQueue()).sent, 0);
+
+        await db.query('ALTER TABLE email_outbox DISABLE TRIGGER update_email_outbox_updated_at');
+        await db.query("UPDATE email_outbox SET updated_at = NOW() - INTERVAL '11 minutes'");
+
+        assert.equal((await emailQueue.processEmailQueue()).sent, 1);
+        assert.equal((await outbox())[0].attempts, 2);
+    });
+
+    it('keeps line breaks in customer data from adding headers', async () => {
+        const { sendEmail } = require('../src/services/email');
+
+        await sendEmail({
+            to: 'sam@example.com',
+            subject: 'Line\r\nBcc: eve@example.com',
+            text: 'unused',
+            html: 'unused',
+            headers: { 'X-Note': 'first\r\n.\r\nstill a header value' }
+        });
+
+        const [message] = smtp.messages;
+        assert.match(message.raw, /\r\nSubject: Line Bcc: eve@example\.com\r\n/);
+        assert.match(message.raw, /\r\nX-Note: first \. still a header value\r\n/);
+        assert.doesNotMatch(message.raw, /\r\nBcc:/);
+    });
+});
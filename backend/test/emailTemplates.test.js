@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderTemplate } = require('../src/services/email/templates');
+
+// Payment emails describe the provider that actually took the money.
+
+const payment = (provider) => ({
+    provider,
+    order_id: 'ORDER-1',
+    package_name: 'Most Attention',
+    amount: '69.00',
+    currency: 'USD',
+    customer_name: 'Sam Lee'
+});
+
+const refund = { amount: '20.00', currency: 'USD' };
+
+describe('payment email templates', () => {
+    it('names PayPal on a PayPal receipt and refund', () => {
+        const receipt = renderTemplate('purchase_receipt', { payment: payment('paypal') });
+        const refunded = renderTemplate('refund_issued', { payment: payment('paypal'), refund });
+
+        assert.match(receipt.text, /Paid with PayPal\./);
+        assert.match(receipt.html, /Paid with PayPal\./);
+        assert.match(refunded.text, /PayPal usually returns the money/);
+    });
+
+    it('does not mention PayPal for a card payment', () => {
+        const receipt = renderTemplate('purchase_receipt', { payment: payment('stripe') });
+        const refunded = renderTemplate('refund_issued', { payment: payment('stripe'), refund });
+
+        assert.match(receipt.text, /Paid by card\./);
+        assert.match(refunded.text, /returns the money to your card/);
+        for (const email of [receipt, refunded]) {
+            assert.doesNotMatch(email.text, /PayPal/);
+            assert.doesNotMatch(email.html, /PayPal/);
+        }
+    });
+
+    it('treats payments without a provider as PayPal', () => {
+        const receipt = renderTemplate('purchase_receipt', { payment: payment(undefined) });
+
+        assert.match(receipt.text, /Paid with PayPal\./);
+    });
+});
@@ -0,0 +1,175 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubDatabase } = require('./helpers');
+const { transitionFulfillment, TRANSITIONS } = require('../src/services/fulfillment');
+
+// Fulfillment transitions: an order only moves along TRANSITIONS, every move is recorded
+// with its actor, and a refused move changes nothing.
+
+const PAYMENT_ID = '6f1c2a3b-4d5e-4f60-8a7b-9c0d1e2f3a4b';
+const EDITOR = { id: '0a1b2c3d-4e5f-4a6b-8c7d-8e9f0a1b2c3d', email: 'editor@example.com' };
+const REVIEWER = { id: '1b2c3d4e-5f6a-4b7c-9d8e-9f0a1b2c3d4e', email: 'reviewer@example.com' };
+
+// One photo_generations row, the staff accounts and the customer's generated photos
+const createOrder = (status = 'paid', overrides = {}) => {
+    const order = {
+        generation: {
+            generation_id: 'generation-1',
+            payment_id: PAYMENT_ID,
+            user_id: 'user-1',
+            status,
+            assignee_id: null,
+            revision_count: 0,
+            ...overrides
+        },
+        admins: new Set([EDITOR.id, REVIEWER.id]),
+        generatedPhotos: 0,
+        delivered: false,
+        events: []
+    };
+
+    order.handler = (sql, params) => {
+        const { generation } = order;
+        if (/FROM photo_generations WHERE payment_id = \$1 FOR UPDATE/.test(sql)) {
+            return params[0] === generation.payment_id ? [{ ...generation }] : [];
+        }
+        if (/FROM admin_users WHERE admin_id/.test(sql)) {
+            return order.admins.has(params[0]) ? [{ '?column?': 1 }] : [];
+        }
+        if (/COUNT\(\*\) AS count FROM photos/.test(sql)) return [{ count: String(order.generatedPhotos) }];
+        if (/UPDATE photo_generations\s+SET status/.test(sql)) {
+            Object.assign(generation, {
+                status: params[1],
+                assignee_id: params[2],
+                revision_count: generation.revision_count + params[3]
+            });
+            return [];
+        }
+        if (/UPDATE photos SET used_in_delivery/.test(sql)) {
+            order.delivered = true;
+            return [];
+        }
+        if (/INSERT INTO fulfillment_events/.test(sql)) {
+            const [, from, to, actor, assigneeId, note] = params;
+            order.events.push({ from, to, actor, assigneeId, note });
+            return [];
+        }
+        if (/FROM photo_generations g/.test(sql)) return [{ ...generation, order_id: 'ORDER-1' }];
+        return [];
+    };
+    return order;
+};
+
+describe('transitionFulfillment', () => {
+    let db;
+
+    afterEach(() => db.restore());
+
+    const start = (order) => {
+        db = stubDatabase(order.handler);
+        return order;
+    };
+
+    const move = (to, { admin = EDITOR, ...rest } = {}) => transitionFulfillment({ paymentId: PAYMENT_ID, to, admin, ...rest });
+
+    const wrote = () => db.some((q) => /UPDATE photo_generations|INSERT INTO fulfillment_events/.test(q.sql));
+
+    it('queues a paid order and records who moved it', async () => {
+        const order = start(createOrder('paid'));
+
+        const result = await move('queued');
+
+        assert.equal(result.success, true);
+        assert.equal(result.fulfillment.status, 'queued');
+        assert.deepEqual(result.fulfillment.allowedTransitions, TRANSITIONS.queued);
+        assert.deepEqual(order.events, [
+            { from: 'paid', to: 'queued', actor: 'editor@example.com', assigneeId: null, note: null }
+        ]);
+    });
+
+    it('assigns the order to whoever starts work on it', async () => {
+        const order = start(createOrder('queued'));
+
+        await move('in_progress');
+
+        assert.equal(order.generation.assignee_id, EDITOR.id);
+        assert.equal(order.events[0].assigneeId, EDITOR.id);
+    });
+
+    it('unassigns an order sent back to the queue', async () => {
+        const order = start(createOrder('in_progress', { assignee_id: EDITOR.id }));
+
+        await move('queued');
+
+        assert.equal(order.generation.status, 'queued');
+        assert.equal(order.generation.assignee_id, null);
+    });
+
+    it('refuses a move TRANSITIONS does not allow', async () => {
+        const order = start(createOrder('paid'));
+
+        const result = await move('delivered');
+
+        assert.equal(result.code, 'INVALID_TRANSITION');
+        assert.equal(result.httpStatus, 409);
+        assert.deepEqual(result.allowed, ['queued', 'cancelled']);
+        assert.equal(order.generation.status, 'paid');
+        assert.equal(wrote(), false);
+        assert.ok(db.some((q) => q.sql === 'ROLLBACK'));
+    });
+
+    it('requires a note to cancel', async () => {
+        start(createOrder('queued'));
+
+        const result = await move('cancelled', { note: '  ' });
+
+        assert.equal(result.code, 'NOTE_REQUIRED');
+        assert.equal(db.length, 0);
+    });
+
+    it('does not start review without generated photos', async () => {
+        const order = start(createOrder('in_progress', { assignee_id: EDITOR.id }));
+
+        const result = await move('review');
+
+        assert.equal(result.code, 'NO_GENERATED_PHOTOS');
+        assert.equal(order.generation.status, 'in_progress');
+        assert.equal(wrote(), false);
+    });
+
+    it('delivers reviewed photos and counts a revision request', async () => {
+        const order = start(createOrder('review', { assignee_id: EDITOR.id }));
+        order.generatedPhotos = 3;
+
+        await move('delivered', { admin: REVIEWER });
+        const revision = await move('revision_requested', { admin: REVIEWER, note: 'Brighter please' });
+
+        assert.equal(order.delivered, true);
+        assert.equal(revision.fulfillment.status, 'revision_requested');
+        assert.equal(order.generation.revision_count, 1);
+        assert.deepEqual(order.events.map((event) => event.to), ['delivered', 'revision_requested']);
+        assert.equal(order.events[1].note, 'Brighter please');
+    });
+
+    it('rejects an assignee that is not an active staff account', async () => {
+        const order = start(createOrder('queued'));
+
+        const result = await move('in_progress', { assigneeId: '2c3d4e5f-6a7b-4c8d-8e9f-0a1b2c3d4e5f' });
+
+        assert.equal(result.code, 'INVALID_ASSIGNEE');
+        assert.equal(order.generation.status, 'queued');
+    });
+
+    it('answers 404 for an unknown payment', async () => {
+        start(createOrder('paid'));
+
+        const result = await transitionFulfillment({
+            paymentId: '9f8e7d6c-5b4a-4c3d-8e2f-1a0b9c8d7e6f',
+            to: 'queued',
+            admin: EDITOR
+        });
+
+        assert.equal(result.code, 'FULFILLMENT_NOT_FOUND');
+        assert.equal(result.httpStatus, 404);
+    });
+});
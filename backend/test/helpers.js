@@ -0,0 +1,189 @@
+const net = require('net');
+
+// Shared setup for the API tests (npm test runs every test/*.test.js with node --test,
+// each file in its own process). Nothing here needs a database or network access:
+// queries are answered by a stub (or PGlite, an in-process Postgres) and PayPal by the
+// mock server in src/mock.
+
+// The runner reads each test file's stdout as its own message stream, and the app logs a
+// lot - send those logs to stderr, where they cannot corrupt it
+console.log = console.error;
+console.info = console.error;
+
+const PACKAGE_ROWS = [
+    { package_id: 'get-noticed', name: 'Get Noticed', price: '37.00', original_price: '99.00', currency: 'USD', min_photos: 5, sort_order: 1 },
+    { package_id: 'most-matches', name: 'Most Attention', price: '69.00', original_price: '199.00', currency: 'USD', min_photos: 10, sort_order: 2 },
+    { package_id: 'date-ready', name: 'Complete Makeover', price: '97.00', original_price: '199.00', currency: 'USD', min_photos: 20, sort_order: 3 }
+].map((row) => ({
+    discount_label: null,
+    description: null,
+    benefit: null,
+    features: [],
+    button_text: null,
+    popular: false,
+    mobile_order: row.sort_order,
+    is_active: true,
+    ...row
+}));
+
+const freePort = () => new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, () => {
+        const { port } = server.address();
+        server.close(() => resolve(port));
+    });
+});
+
+// Serve a router the way server.js mounts it (JSON bodies keep their raw bytes for
+// webhook signatures) on the given or a free port
+const startApp = async (mountPath, router, { port: requestedPort } = {}) => {
+    const express = require('express');
+    const app = express();
+    app.use(express.json({
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        }
+    }));
+    app.use(mountPath, router);
+
+    const port = requestedPort || await freePort();
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(port, () => resolve(listening));
+    });
+    return {
+        baseUrl: `http://localhost:${port}`,
+        close: () => new Promise((resolve) => server.close(resolve))
+    };
+};
+
+// Poll until check() returns something truthy - for webhooks the mock delivers after responding
+const waitFor = async (check, { timeout = 2000, interval = 10 } = {}) => {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        const value = await check();
+        if (value) return value;
+        if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+        await new Promise((resolve) => setTimeout(resolve, interval));
+    }
+};
+
+// Start the mock PayPal server and point config/paypal at it. Call before anything
+// requires config/paypal - it reads its settings once, when it is loaded.
+const startMockPayPal = async (options = {}) => {
+    const { createMockPayPal } = require('../src/mock/paypalServer');
+    const port = await freePort();
+    const baseUrl = `http://localhost:${port}`;
+
+    process.env.PAYPAL_MODE = 'mock';
+    process.env.PAYPAL_API_BASE = baseUrl;
+    process.env.FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+    const mock = createMockPayPal({ baseUrl, ...options });
+    const server = await mock.listen(port);
+
+    // The control API, as the checkout's mock buttons call it
+    const control = async (path, body) => {
+        const response = await fetch(`${baseUrl}/mock${path}`, {
+            method: body === undefined ? 'GET' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return response.json();
+    };
+
+    return {
+        ...mock,
+        baseUrl,
+        control,
+        approve: (orderId, outcome) => control(`/orders/${orderId}/approve`, { outcome }),
+        reset: () => control('/reset', {}),
+        close: () => new Promise((resolve) => server.close(resolve))
+    };
+};
+
+// Answer every database query with handler(text, params) -> rows (or a full result).
+// Services destructure query/getClient from config/database, so the pool itself is stubbed.
+// Returns the list of queries made, with restore() to put the pool back.
+const stubDatabase = (handler = () => []) => {
+    const db = require('../src/config/database');
+    const original = { query: db.pool.query, connect: db.pool.connect };
+    const queries = [];
+
+    const run = async (text, params = []) => {
+        const sql = typeof text === 'string' ? text : text.text;
+        queries.push({ sql, params });
+        const result = await handler(sql, params);
+        if (result && !Array.isArray(result) && Array.isArray(result.rows)) return result;
+        const rows = result || [];
+        return { rows, rowCount: rows.length };
+    };
+
+    db.pool.query = run;
+    db.pool.connect = async () => ({ query: run, release: () => {} });
+
+    queries.restore = () => {
+        db.pool.query = original.query;
+        db.pool.connect = original.connect;
+    };
+    return queries;
+};
+
+// A real Postgres for queries a stub cannot check: PGlite in this process, with the
+// migrations up to and including `through` applied (all by default), and the pool pointed
+// at it like stubDatabase does. Returns { query, migrate(version, direction), restore }.
+const startTestDatabase = async ({ through } = {}) => {
+    const { PGlite } = require('@electric-sql/pglite');
+    const { loadMigrations } = require('../src/setup/migrate');
+    const db = require('../src/config/database');
+    const original = { query: db.pool.query, connect: db.pool.connect };
+    const pg = new PGlite();
+
+    // Migrations are several statements and take no parameters - those go through exec
+    const run = async (text, params = []) => {
+        const sql = typeof text === 'string' ? text : text.text;
+        if (params.length === 0) {
+            const results = await pg.exec(sql);
+            return results[results.length - 1];
+        }
+        return pg.query(sql, params);
+    };
+
+    const migrations = loadMigrations();
+    const migrate = async (version, direction = 'up') => {
+        const migration = migrations.find((m) => m.version === version);
+        await pg.exec(migration[direction]);
+    };
+    for (const migration of migrations) {
+        if (through && migration.version > through) break;
+        await pg.exec(migration.up);
+    }
+
+    db.pool.query = run;
+    db.pool.connect = async () => ({ query: run, release: () => {} });
+
+    return {
+        query: run,
+        migrate,
+        restore: async () => {
+            db.pool.query = original.query;
+            db.pool.connect = original.connect;
+            await pg.close();
+        }
+    };
+};
+
+// Handler fragment for the package catalog
+const packageRows = (sql) => (/FROM packages/.test(sql) ? PACKAGE_ROWS : null);
+
+module.exports = {
+    PACKAGE_ROWS,
+    freePort,
+    startApp,
+    waitFor,
+    startMockPayPal,
+    stubDatabase,
+    startTestDatabase,
+    packageRows
+};
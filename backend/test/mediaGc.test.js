@@ -0,0 +1,160 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { startTestDatabase } = require('./helpers');
+
+// The media garbage collector against a migrated database and local storage: it only ever
+// collects what nothing references, and a report-only run changes nothing.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('orphaned media collection', () => {
+    let mediaDir;
+    let db;
+    let storage;
+    let collectOrphanedMedia;
+    let keys;
+
+    before(() => {
+        mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-gc-test-'));
+        process.env.MEDIA_STORAGE = 'local';
+        process.env.MEDIA_LOCAL_DIR = mediaDir;
+
+        ({ storage } = require('../src/services/storage'));
+        ({ collectOrphanedMedia } = require('../src/services/mediaGc'));
+    });
+
+    after(() => {
+        fs.rmSync(mediaDir, { recursive: true, force: true });
+    });
+
+    afterEach(() => db.restore());
+
+    const createSubmission = async (name) => {
+        const result = await db.query(`
+            INSERT INTO onboarding_submissions (name, dating_goal, current_matches, body_type, style_preference, ethnicity, email)
+            VALUES ($1, 'casual', '0-2', 'slim', 'casual', 'prefer-not-to-say', $2)
+            RETURNING user_id
+        `, [name, `${name.toLowerCase()}@example.com`]);
+        return result.rows[0].user_id;
+    };
+
+    const createSession = async ({ open }) => {
+        const result = await db.query(
+            'INSERT INTO upload_sessions (status, expires_at) VALUES ($1, $2) RETURNING session_id',
+            [open ? 'open' : 'consumed', new Date(Date.now() + (open ? DAY : -2 * DAY))]
+        );
+        return result.rows[0].session_id;
+    };
+
+    // A file in storage and, unless untracked, its media asset row
+    const storeMedia = async (name, { sessionId, status = 'uploaded', userId = null, ageDays = 3, tracked = true, folder = 'matchlens-onboarding-photos' }) => {
+        const key = `${folder}/${sessionId || 'legacy'}/${name}`;
+        await storage.put(key, await sharp({
+            create: { width: 8, height: 8, channels: 3, background: { r: 0, g: 0, b: 0 } }
+        }).jpeg().toBuffer());
+        const createdAt = new Date(Date.now() - ageDays * DAY);
+        fs.utimesSync(path.join(mediaDir, key), createdAt, createdAt);
+
+        if (tracked) {
+            await db.query(`
+                INSERT INTO media_assets (session_id, kind, storage_key, content_type, status, user_id, byte_size, created_at)
+                VALUES ($1, 'photo', $2, 'image/jpeg', $3, $4, 1000, $5)
+            `, [sessionId, key, status, userId, createdAt]);
+        }
+        keys[name] = key;
+        return key;
+    };
+
+    const stored = (name) => fs.existsSync(path.join(mediaDir, keys[name]));
+
+    beforeEach(async () => {
+        fs.rmSync(mediaDir, { recursive: true, force: true });
+        fs.mkdirSync(mediaDir);
+        db = await startTestDatabase();
+        keys = {};
+
+        const customer = await createSubmission('Sam');
+        const gone = await createSubmission('Alex');
+        const open = await createSession({ open: true });
+        const closed = await createSession({ open: false });
+
+        // Referenced
+        await storeMedia('attached', { sessionId: closed, status: 'attached', userId: customer });
+        await storeMedia('checking-out', { sessionId: open });
+        await storeMedia('just-uploaded', { sessionId: closed, ageDays: 0 });
+        const legacy = await storeMedia('legacy', { tracked: false });
+        await db.query(
+            "INSERT INTO photos (user_id, kind, storage_key, url) VALUES ($1, 'original', $2, 'http://media.test/legacy')",
+            [customer, legacy]
+        );
+        await storeMedia('untracked-recent', { sessionId: closed, tracked: false, ageDays: 0 });
+
+        // Orphaned
+        await storeMedia('abandoned', { sessionId: closed });
+        await storeMedia('rejected', { sessionId: closed, status: 'rejected', folder: 'matchlens-onboarding-screenshots' });
+        await storeMedia('owner-deleted', { sessionId: closed, status: 'attached', userId: gone });
+        await storeMedia('untracked', { sessionId: closed, tracked: false });
+        await db.query('DELETE FROM onboarding_submissions WHERE user_id = $1', [gone]);
+    });
+
+    const REFERENCED = ['attached', 'checking-out', 'just-uploaded', 'legacy', 'untracked-recent'];
+    const ORPHANED = ['abandoned', 'rejected', 'owner-deleted', 'untracked'];
+
+    it('reports orphans without deleting anything', async () => {
+        const report = await collectOrphanedMedia({ reportOnly: true });
+
+        assert.equal(report.reportOnly, true);
+        assert.equal(report.storage, 'local');
+        assert.deepEqual(
+            Object.fromEntries(report.orphans.map((orphan) => [orphan.key, orphan.reason])),
+            {
+                [keys.abandoned]: 'UNATTACHED_UPLOADED',
+                [keys.rejected]: 'UNATTACHED_REJECTED',
+                [keys['owner-deleted']]: 'OWNER_DELETED',
+                [keys.untracked]: 'UNTRACKED'
+            }
+        );
+        assert.equal(report.deleted, 0);
+
+        for (const name of [...REFERENCED, ...ORPHANED]) {
+            assert.ok(stored(name), `${name} is still stored`);
+        }
+        const deleted = await db.query("SELECT COUNT(*) AS count FROM media_assets WHERE status = 'deleted'");
+        assert.equal(Number(deleted.rows[0].count), 0);
+    });
+
+    it('deletes orphans and never anything referenced', async () => {
+        const report = await collectOrphanedMedia();
+
+        assert.equal(report.deleted, ORPHANED.length);
+        assert.deepEqual(report.failed, []);
+        for (const name of ORPHANED) {
+            assert.equal(stored(name), false, `${name} was deleted`);
+        }
+        for (const name of REFERENCED) {
+            assert.ok(stored(name), `${name} is still stored`);
+        }
+
+        const assets = await db.query('SELECT storage_key, status, deleted_at FROM media_assets');
+        const byKey = new Map(assets.rows.map((row) => [row.storage_key, row]));
+        for (const name of ['abandoned', 'rejected', 'owner-deleted']) {
+            assert.equal(byKey.get(keys[name]).status, 'deleted');
+            assert.ok(byKey.get(keys[name]).deleted_at);
+        }
+        assert.equal(byKey.get(keys.attached).status, 'attached');
+        assert.equal(byKey.get(keys['checking-out']).status, 'uploaded');
+
+        const again = await collectOrphanedMedia();
+        assert.deepEqual(again.orphans, []);
+    });
+
+    it('waits out the grace period', async () => {
+        const report = await collectOrphanedMedia({ reportOnly: true, graceHours: 4 * 24 });
+
+        assert.deepEqual(report.orphans, []);
+    });
+});
@@ -0,0 +1,68 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { stubDatabase } = require('./helpers');
+const { loadMigrations, migrateUp, migrationStatus } = require('../src/setup/migrate');
+const { buildConstraintSql } = require('../src/schemas/onboarding');
+
+// Dry runs and status only read: they must work on a database that was never migrated
+// without creating schema_migrations. Applied migrations are checked against their checksums.
+
+const WRITES = /^\s*(CREATE|ALTER|DROP|INSERT|UPDATE|DELETE|BEGIN)/i;
+
+describe('migrate', () => {
+    let db;
+
+    afterEach(() => db.restore());
+
+    const freshDatabase = () => stubDatabase((sql) => {
+        if (/to_regclass/.test(sql)) return [{ exists: false }];
+        return [];
+    });
+
+    it('prints every migration on a dry run without changing the database', async () => {
+        db = freshDatabase();
+
+        const pending = await migrateUp({ dryRun: true });
+
+        assert.equal(pending.length, loadMigrations().length);
+        assert.deepEqual(db.filter((q) => WRITES.test(q.sql)), []);
+    });
+
+    it('reports status without creating schema_migrations', async () => {
+        db = freshDatabase();
+
+        const { applied } = await migrationStatus();
+
+        assert.equal(applied.size, 0);
+        assert.deepEqual(db.filter((q) => WRITES.test(q.sql)), []);
+    });
+
+    it('creates schema_migrations before applying', async () => {
+        db = freshDatabase();
+
+        await migrateUp();
+
+        assert.match(db.find((q) => WRITES.test(q.sql)).sql, /CREATE TABLE IF NOT EXISTS schema_migrations/);
+    });
+
+    it('keeps the onboarding constraints frozen in migration 005', () => {
+        const migration = loadMigrations().find((m) => m.version === '005');
+        const source = fs.readFileSync(path.join(__dirname, '..', 'src', 'migrations', migration.file), 'utf8');
+
+        assert.doesNotMatch(source, /require\(/);
+        assert.ok(migration.up.includes(buildConstraintSql()), 'v1 constraints match the onboarding schema');
+    });
+
+    it('refuses to run after an applied migration changed', async () => {
+        const applied = loadMigrations().map((m) => ({ version: m.version, checksum: 'edited', applied_at: new Date() }));
+        db = stubDatabase((sql) => {
+            if (/to_regclass/.test(sql)) return [{ exists: true }];
+            if (/SELECT \* FROM schema_migrations/.test(sql)) return applied;
+            return [];
+        });
+
+        await assert.rejects(migrateUp(), /Applied migrations were modified/);
+    });
+});
@@ -0,0 +1,167 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockPayPal, PACKAGE_ROWS } = require('./helpers');
+
+// The mock PayPal server through the app's own PayPal client: what the rest of the tests
+// and offline development rely on behaves like PayPal does.
+
+describe('mock PayPal', () => {
+    let paypal;
+    let paypalAPI;
+    let createOrderData;
+
+    before(async () => {
+        paypal = await startMockPayPal();
+        ({ paypalAPI, createOrderData } = require('../src/config/paypal'));
+    });
+
+    after(async () => {
+        await paypal.close();
+    });
+
+    beforeEach(async () => {
+        await paypal.reset();
+    });
+
+    const createOrder = async (price = '37.00', packageId = 'get-noticed') => {
+        const created = await paypalAPI.createOrder(createOrderData(price, 'Test order', packageId, packageId));
+        assert.equal(created.success, true);
+        return created.orderId;
+    };
+
+    const api = (path, { method = 'POST', token, headers = {}, body } = {}) => fetch(`${paypal.baseUrl}${path}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token && { Authorization: `Bearer ${token}` }),
+            ...headers
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    const accessToken = async () => {
+        const response = await fetch(`${paypal.baseUrl}/v1/oauth2/token`, {
+            method: 'POST',
+            headers: {
+                Authorization: `Basic ${Buffer.from('client:secret').toString('base64')}`,
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: 'grant_type=client_credentials'
+        });
+        return (await response.json()).access_token;
+    };
+
+    it('refuses API calls without an access token', async () => {
+        const response = await api('/v2/checkout/orders', { body: {} });
+
+        assert.equal(response.status, 401);
+        assert.equal((await response.json()).error, 'invalid_token');
+    });
+
+    it('answers a repeated PayPal-Request-Id with the first response', async () => {
+        const orderId = await createOrder();
+        await paypal.approve(orderId, 'approve');
+        const token = await accessToken();
+        const capture = () => api(`/v2/checkout/orders/${orderId}/capture`, {
+            token,
+            headers: { 'PayPal-Request-Id': 'capture-1' },
+            body: {}
+        }).then((response) => response.json());
+
+        const first = await capture();
+        const retry = await capture();
+
+        assert.deepEqual(retry, first);
+        assert.equal(paypal.state.captures.size, 1);
+    });
+
+    it('uses scripted outcomes for the next approvals, in order', async () => {
+        await paypal.control('/outcomes', { outcomes: ['decline', 'pending'] });
+        const declined = await createOrder();
+        const pending = await createOrder();
+        const approved = await createOrder();
+
+        const outcomes = [];
+        for (const orderId of [declined, pending, approved]) {
+            outcomes.push((await paypal.control(`/orders/${orderId}/approve`, {})).outcome);
+        }
+
+        assert.deepEqual(outcomes, ['decline', 'pending', 'approve']);
+        const capture = await paypalAPI.captureOrder(declined);
+        assert.equal(capture.success, false);
+        assert.equal(capture.statusCode, 422);
+    });
+
+    it('settles a pending capture and sends its webhook', async () => {
+        const orderId = await createOrder();
+        await paypal.approve(orderId, 'pending');
+        const { paymentId: captureId } = await paypalAPI.captureOrder(orderId);
+        assert.equal(paypal.state.captures.get(captureId).status, 'PENDING');
+
+        const settled = await paypal.control(`/captures/${captureId}/complete`, {});
+
+        assert.equal(settled.capture.status, 'COMPLETED');
+        assert.deepEqual(paypal.state.webhooks.map((event) => event.payload.event_type), [
+            'PAYMENT.CAPTURE.PENDING',
+            'PAYMENT.CAPTURE.COMPLETED'
+        ]);
+    });
+
+    it('sends the buyer back to return_url after approving on the checkout page', async () => {
+        const orderId = await createOrder();
+
+        const response = await fetch(`${paypal.baseUrl}/checkoutnow/${orderId}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: 'outcome=approve',
+            redirect: 'manual'
+        });
+
+        assert.equal(response.status, 302);
+        const location = new URL(response.headers.get('location'));
+        assert.equal(location.pathname, '/onboarding/success');
+        assert.equal(location.searchParams.get('token'), orderId);
+        assert.equal(paypal.state.orders.get(orderId).status, 'APPROVED');
+    });
+
+    it('lists captures and refunds in the transaction search the way reconciliation reads them', async () => {
+        const { findDiscrepancies } = require('../src/services/reconciliation');
+        const orderId = await createOrder('69.00', 'most-matches');
+        await paypal.approve(orderId, 'approve');
+        const { paymentId: captureId } = await paypalAPI.captureOrder(orderId);
+        await paypalAPI.refundCapture(captureId, { amount: '20.00' });
+
+        const rangeStart = new Date(Date.now() - 60 * 60 * 1000);
+        const rangeEnd = new Date(Date.now() + 60 * 60 * 1000);
+        const search = await paypalAPI.listTransactions({
+            startDate: rangeStart.toISOString(),
+            endDate: rangeEnd.toISOString()
+        });
+        assert.equal(search.success, true);
+        const transactions = search.transactions.map((transaction) => transaction.transaction_info);
+
+        assert.deepEqual(transactions.map((info) => [info.transaction_event_code, info.transaction_amount.value]), [
+            ['T0006', '69.00'],
+            ['T1107', '-20.00']
+        ]);
+
+        const discrepancies = findDiscrepancies({
+            transactions,
+            payments: [{
+                payment_id: 'payment-1',
+                order_id: orderId,
+                paypal_payment_id: captureId,
+                amount: '69.00',
+                currency: 'USD',
+                package_id: 'most-matches',
+                status: 'partially_refunded',
+                created_at: new Date().toISOString(),
+                last_refund_at: new Date().toISOString()
+            }],
+            packagePrices: new Map(PACKAGE_ROWS.map((row) => [row.package_id, { price: row.price, currency: row.currency }])),
+            rangeStart,
+            rangeEnd
+        });
+        assert.deepEqual(discrepancies, []);
+    });
+});
@@ -0,0 +1,223 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, startTestDatabase } = require('./helpers');
+
+// The weekly tips newsletter against a migrated database: each subscriber gets the tips of
+// their segment, the opt-in on their latest questionnaire decides, a resumed send queues
+// nobody twice, and the unsubscribe link in every issue works.
+
+const STAFF = { email: 'staff@example.com' };
+
+describe('weekly tips newsletter', () => {
+    let db;
+    let app;
+    let newsletter;
+    let signToken;
+    let customers;
+
+    before(async () => {
+        process.env.AUTH_TOKEN_SECRET = 'test-secret';
+        process.env.FRONTEND_URL = 'http://localhost:3000';
+        newsletter = require('../src/services/newsletter');
+        ({ signToken } = require('../src/services/tokens'));
+        app = await startApp('/api/newsletter', require('../src/routes/newsletter'));
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    afterEach(() => db.restore());
+
+    const createCustomer = async (email, questionnaires, payments = []) => {
+        const customer = await db.query('INSERT INTO customers (email) VALUES ($1) RETURNING customer_id', [email]);
+        const customerId = customer.rows[0].customer_id;
+
+        for (const [index, { datingGoal, interests, weeklyTips }] of questionnaires.entries()) {
+            const submission = await db.query(`
+                INSERT INTO onboarding_submissions
+                    (name, dating_goal, current_matches, body_type, style_preference, ethnicity, email, interests, weekly_tips, customer_id, created_at)
+                VALUES ('Sam', $1, '0-2', 'slim', 'casual', 'prefer-not-to-say', $2, $3, $4, $5, NOW() - make_interval(days => $6))
+                RETURNING user_id
+            `, [datingGoal, email, JSON.stringify(interests), weeklyTips, customerId, questionnaires.length - index]);
+
+            for (const [packageId, status] of index === 0 ? payments : []) {
+                await db.query(`
+                    INSERT INTO payments (user_id, order_id, paypal_payment_id, amount, package_id, package_name, customer_email, customer_name, status, customer_id)
+                    VALUES ($1, $2, $2, 37.00, $3, $3, $4, 'Sam', $5, $6)
+                `, [submission.rows[0].user_id, `${email}:${packageId}`, packageId, email, status, customerId]);
+            }
+        }
+        return customerId;
+    };
+
+    beforeEach(async () => {
+        db = await startTestDatabase();
+        customers = {
+            traveler: await createCustomer('traveler@example.com',
+                [{ datingGoal: 'relationship', interests: ['travel', 'food'], weeklyTips: true }],
+                [['get-noticed', 'completed']]),
+            refunded: await createCustomer('refunded@example.com',
+                [{ datingGoal: 'casual', interests: ['gym'], weeklyTips: true }],
+                [['most-matches', 'refunded']]),
+            optedOut: await createCustomer('opted-out@example.com', [
+                { datingGoal: 'marriage', interests: [], weeklyTips: true },
+                { datingGoal: 'marriage', interests: [], weeklyTips: false }
+            ]),
+            optedIn: await createCustomer('opted-in@example.com', [
+                { datingGoal: 'marriage', interests: [], weeklyTips: false },
+                { datingGoal: 'marriage', interests: [], weeklyTips: true }
+            ])
+        };
+    });
+
+    const createTip = async (title, segment) => {
+        const result = await newsletter.createTip({ title, body: `${title} body`, segment }, STAFF);
+        assert.equal(result.success, true, result.message);
+        return result.tip.id;
+    };
+
+    const createTips = async () => ({
+        everyone: await createTip('For everyone', {}),
+        serious: await createTip('For serious daters', { datingGoals: ['relationship', 'marriage'] }),
+        gymBuyers: await createTip('For gym goers who bought Most Attention', { interests: ['gym'], packageIds: ['most-matches'] }),
+        buyers: await createTip('For Get Noticed buyers', { packageIds: ['get-noticed'] })
+    });
+
+    const queued = async () => {
+        const result = await db.query(
+            "SELECT recipient, text_body, headers FROM email_outbox WHERE template = 'newsletter_issue' ORDER BY recipient"
+        );
+        return result.rows;
+    };
+
+    // Tip titles in the order the email lists them (their bodies end in " body")
+    const tipsIn = (email) => email.text_body.split('\n').filter((line) => line.startsWith('For ') && !line.endsWith(' body'));
+
+    it('sends each subscriber the tips of their segment', async () => {
+        const tips = await createTips();
+        const { issue, audience } = await newsletter.createIssue({
+            subject: 'This week',
+            tipIds: Object.values(tips),
+            scheduledFor: new Date(Date.now() - 1000).toISOString()
+        }, STAFF);
+
+        assert.deepEqual(audience, {
+            recipients: 3,
+            subscribers: 3,
+            perTip: { [tips.everyone]: 3, [tips.serious]: 2, [tips.gymBuyers]: 0, [tips.buyers]: 1 }
+        });
+
+        assert.equal(await newsletter.sendDueIssues(), 1);
+
+        const emails = await queued();
+        assert.deepEqual(emails.map((email) => [email.recipient, tipsIn(email)]), [
+            ['opted-in@example.com', ['For everyone', 'For serious daters']],
+            ['refunded@example.com', ['For everyone']],
+            ['traveler@example.com', ['For everyone', 'For serious daters', 'For Get Noticed buyers']]
+        ]);
+        const sent = await newsletter.getIssue(issue.id);
+        assert.equal(sent.issue.status, 'sent');
+        assert.equal(sent.issue.recipientCount, 3);
+    });
+
+    it('skips an issue none of whose tips match anyone', async () => {
+        const tips = await createTips();
+        await newsletter.createIssue({
+            subject: 'Gym week',
+            tipIds: [tips.gymBuyers],
+            scheduledFor: new Date(Date.now() - 1000).toISOString()
+        }, STAFF);
+
+        await newsletter.sendDueIssues();
+
+        assert.deepEqual(await queued(), []);
+    });
+
+    it('leaves issues alone until they are due', async () => {
+        const tips = await createTips();
+        await newsletter.createIssue({ subject: 'Next week', tipIds: [tips.everyone] }, STAFF);
+
+        assert.equal(await newsletter.sendDueIssues(), 0);
+        assert.deepEqual(await queued(), []);
+    });
+
+    it('queues nobody twice when a send is resumed', async () => {
+        const tips = await createTips();
+        const { issue } = await newsletter.createIssue({
+            subject: 'This week',
+            tipIds: [tips.everyone],
+            scheduledFor: new Date(Date.now() - 1000).toISOString()
+        }, STAFF);
+        await newsletter.sendDueIssues();
+
+        // As if the worker had died before marking the issue sent
+        await db.query('ALTER TABLE newsletter_issues DISABLE TRIGGER update_newsletter_issues_updated_at');
+        await db.query(`
+            UPDATE newsletter_issues SET status = 'sending', sent_at = NULL, recipient_count = NULL, updated_at = NOW() - INTERVAL '1 hour'
+            WHERE issue_id = $1
+        `, [issue.id]);
+
+        assert.equal(await newsletter.sendDueIssues(), 1);
+        assert.equal((await queued()).length, 3);
+        const resumed = await newsletter.getIssue(issue.id);
+        assert.equal(resumed.issue.status, 'sent');
+        assert.equal(resumed.issue.recipientCount, 3);
+    });
+
+    it('unsubscribes with the one-click link of an issue', async () => {
+        const tips = await createTips();
+        await newsletter.createIssue({
+            subject: 'This week',
+            tipIds: [tips.everyone],
+            scheduledFor: new Date(Date.now() - 1000).toISOString()
+        }, STAFF);
+        await newsletter.sendDueIssues();
+        const email = (await queued()).find((row) => row.recipient === 'traveler@example.com');
+        const oneClick = email.headers['List-Unsubscribe'].slice(1, -1);
+        assert.equal(email.headers['List-Unsubscribe-Post'], 'List-Unsubscribe=One-Click');
+
+        const response = await fetch(oneClick.replace('http://localhost:3000', app.baseUrl), { method: 'POST' });
+        const again = await fetch(oneClick.replace('http://localhost:3000', app.baseUrl), { method: 'POST' });
+
+        assert.equal(response.status, 200);
+        assert.equal(again.status, 200);
+        const optIns = await db.query('SELECT weekly_tips FROM onboarding_submissions WHERE customer_id = $1', [customers.traveler]);
+        assert.deepEqual(optIns.rows, [{ weekly_tips: false }]);
+
+        await newsletter.createIssue({
+            subject: 'Next issue',
+            tipIds: [tips.everyone],
+            scheduledFor: new Date(Date.now() - 1000).toISOString()
+        }, STAFF);
+        await newsletter.sendDueIssues();
+        assert.equal((await queued()).filter((row) => row.recipient === 'traveler@example.com').length, 1);
+    });
+
+    it('refuses unsubscribe links that are forged or meant for something else', async () => {
+        const unsubscribe = (token) => fetch(`${app.baseUrl}/api/newsletter/unsubscribe`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token })
+        });
+
+        const wrongPurpose = await unsubscribe(signToken('customer', { sub: customers.traveler }, 60));
+        const forged = await unsubscribe('e30.forged');
+
+        assert.equal(wrongPurpose.status, 401);
+        assert.equal((await wrongPurpose.json()).code, 'INVALID_UNSUBSCRIBE_LINK');
+        assert.equal(forged.status, 401);
+        const optIns = await db.query('SELECT weekly_tips FROM onboarding_submissions WHERE customer_id = $1', [customers.traveler]);
+        assert.deepEqual(optIns.rows, [{ weekly_tips: true }]);
+    });
+
+    it('only accepts segments of known questionnaire options and packages', async () => {
+        const goal = await newsletter.createTip({ title: 'Tip', body: 'Body', segment: { datingGoals: ['friends'] } }, STAFF);
+        const pkg = await newsletter.createTip({ title: 'Tip', body: 'Body', segment: { packageIds: ['gold'] } }, STAFF);
+        const interest = await newsletter.createTip({ title: 'Tip', body: 'Body', segment: { interests: 'gym' } }, STAFF);
+
+        for (const result of [goal, pkg, interest]) {
+            assert.equal(result.code, 'INVALID_SEGMENT');
+        }
+    });
+});
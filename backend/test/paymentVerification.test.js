@@ -0,0 +1,165 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockPayPal, stubDatabase, packageRows, PACKAGE_ROWS } = require('./helpers');
+
+// Server-side capture verification against the mock PayPal server: nothing is stored
+// unless PayPal really took the package price for the package being ordered.
+
+describe('verifyPayment (PayPal)', () => {
+    let paypal;
+    let db;
+    let verifyPayment;
+    let provider;
+    let clearPackageCache;
+
+    before(async () => {
+        paypal = await startMockPayPal();
+        db = stubDatabase(packageRows);
+        ({ verifyPayment } = require('../src/services/paymentVerification'));
+        ({ clearPackageCache } = require('../src/services/packages'));
+        provider = require('../src/services/paymentProviders').getPaymentProvider('paypal');
+    });
+
+    after(async () => {
+        db.restore();
+        await paypal.close();
+    });
+
+    beforeEach(async () => {
+        clearPackageCache();
+        await paypal.reset();
+    });
+
+    const createOrder = async (packageId = 'get-noticed') => {
+        const { getPackage } = require('../src/services/packages');
+        const created = await provider.createIntent({ package: await getPackage(packageId) });
+        assert.equal(created.success, true);
+        return created.orderId;
+    };
+
+    it('captures an approved order and verifies it', async () => {
+        const orderId = await createOrder();
+        await paypal.approve(orderId, 'approve');
+
+        const result = await verifyPayment({ orderId, packageId: 'get-noticed' });
+
+        assert.equal(result.verified, true);
+        assert.equal(result.provider, 'paypal');
+        assert.equal(result.amount, '37.00');
+        assert.equal(result.currency, 'USD');
+        assert.equal(result.package.id, 'get-noticed');
+        assert.ok(result.captureId);
+        assert.equal(paypal.state.captures.get(result.captureId).status, 'COMPLETED');
+    });
+
+    it('verifies an order that was already captured without capturing it again', async () => {
+        const orderId = await createOrder();
+        await paypal.approve(orderId, 'approve');
+        const first = await verifyPayment({ orderId, packageId: 'get-noticed' });
+
+        const second = await verifyPayment({ orderId, paymentId: first.captureId, packageId: 'get-noticed' });
+
+        assert.equal(second.verified, true);
+        assert.equal(second.captureId, first.captureId);
+        assert.equal(paypal.state.captures.size, 1);
+    });
+
+    it('rejects an order the buyer has not approved', async () => {
+        const orderId = await createOrder();
+
+        const result = await verifyPayment({ orderId, packageId: 'get-noticed' });
+
+        assert.equal(result.verified, false);
+        assert.equal(result.code, 'PAYMENT_NOT_COMPLETED');
+        assert.equal(paypal.state.captures.size, 0);
+    });
+
+    it('rejects an order PayPal does not know', async () => {
+        const result = await verifyPayment({ orderId: 'NOSUCHORDER', packageId: 'get-noticed' });
+
+        assert.equal(result.verified, false);
+        assert.equal(result.code, 'ORDER_NOT_FOUND');
+        assert.equal(result.httpStatus, 402);
+    });
+
+    it('reports a declined capture', async () => {
+        const orderId = await createOrder();
+        await paypal.approve(orderId, 'decline');
+
+        const result = await verifyPayment({ orderId, packageId: 'get-noticed' });
+
+        assert.equal(result.verified, false);
+        assert.equal(result.code, 'CAPTURE_FAILED');
+        assert.equal(result.httpStatus, 502);
+    });
+
+    it('does not accept a capture that is still pending', async () => {
+        const orderId = await createOrder();
+        await paypal.approve(orderId, 'pending');
+
+        const result = await verifyPayment({ orderId, packageId: 'get-noticed' });
+
+        assert.equal(result.verified, false);
+        assert.equal(result.code, 'PAYMENT_NOT_COMPLETED');
+    });
+
+    it('rejects an order paid for a cheaper package', async () => {
+        const orderId = await createOrder('get-noticed');
+        await paypal.approve(orderId, 'approve');
+
+        const result = await verifyPayment({ orderId, packageId: 'date-ready' });
+
+        assert.equal(result.verified, false);
+        assert.equal(result.code, 'PACKAGE_MISMATCH');
+        assert.equal(result.expected, 'date-ready');
+        assert.equal(result.actual, 'get-noticed');
+    });
+
+    it('rejects a capture that does not match the current package price', async () => {
+        const orderId = await createOrder('get-noticed');
+        await paypal.approve(orderId, 'approve');
+
+        // The price went up after the order was created
+        const repriced = PACKAGE_ROWS.map((row) => (row.package_id === 'get-noticed' ? { ...row, price: '47.00' } : row));
+        db.restore();
+        db = stubDatabase((sql) => (/FROM packages/.test(sql) ? repriced : null));
+        clearPackageCache();
+
+        try {
+            const result = await verifyPayment({ orderId, packageId: 'get-noticed' });
+
+            assert.equal(result.verified, false);
+            assert.equal(result.code, 'AMOUNT_MISMATCH');
+            assert.equal(result.actual, '37.00');
+        } finally {
+            db.restore();
+            db = stubDatabase(packageRows);
+        }
+    });
+
+    it('answers 503 when the package catalog cannot be read', async () => {
+        db.restore();
+        db = stubDatabase(() => {
+            throw new Error('connection terminated');
+        });
+
+        try {
+            const result = await verifyPayment({ orderId: 'ANY', packageId: 'get-noticed' });
+
+            assert.equal(result.verified, false);
+            assert.equal(result.code, 'VERIFICATION_UNAVAILABLE');
+            assert.equal(result.httpStatus, 503);
+        } finally {
+            db.restore();
+            db = stubDatabase(packageRows);
+        }
+    });
+
+    it('rejects an unknown package before calling PayPal', async () => {
+        const result = await verifyPayment({ orderId: 'ANY', packageId: 'platinum' });
+
+        assert.equal(result.verified, false);
+        assert.equal(result.code, 'UNKNOWN_PACKAGE');
+        assert.equal(result.httpStatus, 400);
+    });
+});
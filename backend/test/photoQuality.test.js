@@ -0,0 +1,128 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+require('./helpers');
+const { QUALITY_RULES, processPhoto, addDuplicateIssue, hashDistance } = require('../src/services/photoQuality');
+
+// The quality gate on generated photos: grain over a gradient stands in for a sharp shot,
+// a flat colour for a blurry one. Noise is seeded so every run sees the same pixels.
+
+// width x height RGB pixels - brightness follows a gradient (reversed when flipped) plus seeded grain
+const createShot = ({ width = 1200, height = 900, base = 128, range = 80, grain = 60, flipped = false, seed = 1 } = {}) => {
+    let state = seed;
+    const random = () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+
+    const pixels = Buffer.alloc(width * height * 3);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const position = (flipped ? width - x : x) / width;
+            const value = base + (position - 0.5) * range + (random() - 0.5) * grain;
+            pixels.fill(Math.max(0, Math.min(255, Math.round(value))), (y * width + x) * 3, (y * width + x) * 3 + 3);
+        }
+    }
+    return sharp(pixels, { raw: { width, height, channels: 3 } });
+};
+
+const codes = (analysis) => analysis.issues.map((issue) => issue.code);
+
+describe('photo quality gate', () => {
+    it('passes a sharp, well lit photo', async () => {
+        const { buffer, hash, analysis } = await processPhoto(await createShot().jpeg().toBuffer());
+
+        assert.equal(analysis.verdict, 'pass');
+        assert.deepEqual(analysis.issues, []);
+        assert.equal(analysis.metrics.width, 1200);
+        assert.ok(analysis.metrics.sharpness >= QUALITY_RULES.blurWarn);
+        assert.match(hash, /^[0-9a-f]{16}$/);
+        assert.equal((await sharp(buffer).metadata()).format, 'jpeg');
+    });
+
+    it('fails a photo below the minimum resolution', async () => {
+        const { analysis } = await processPhoto(await createShot({ width: 500, height: 400 }).jpeg().toBuffer());
+
+        assert.equal(analysis.verdict, 'fail');
+        assert.deepEqual(codes(analysis), ['LOW_RESOLUTION']);
+    });
+
+    it('fails a blurry photo', async () => {
+        const { analysis } = await processPhoto(await createShot({ grain: 0 }).blur(8).jpeg().toBuffer());
+
+        assert.equal(analysis.verdict, 'fail');
+        assert.deepEqual(codes(analysis), ['BLURRY']);
+    });
+
+    it('warns about dark and washed out photos', async () => {
+        const dark = await processPhoto(await createShot({ base: 25, range: 20 }).jpeg().toBuffer());
+        const bright = await processPhoto(await createShot({ base: 235, range: 20 }).jpeg().toBuffer());
+
+        assert.equal(dark.analysis.verdict, 'warn');
+        assert.deepEqual(codes(dark.analysis), ['UNDEREXPOSED']);
+        assert.equal(bright.analysis.verdict, 'warn');
+        assert.deepEqual(codes(bright.analysis), ['OVEREXPOSED']);
+    });
+
+    it('only normalizes screenshots', async () => {
+        const { buffer, analysis } = await processPhoto(
+            await createShot({ width: 300, height: 200, grain: 0 }).png().toBuffer(),
+            { score: false }
+        );
+
+        assert.equal(analysis.verdict, 'pass');
+        assert.deepEqual(analysis.issues, []);
+        assert.equal((await sharp(buffer).metadata()).format, 'jpeg');
+    });
+
+    it('strips EXIF metadata and bakes in the orientation', async () => {
+        // Orientation 6: stored landscape, displayed rotated to portrait
+        const input = await createShot()
+            .withMetadata({ orientation: 6, exif: { IFD0: { Copyright: 'Sam', Make: 'Phone' } } })
+            .jpeg()
+            .toBuffer();
+        assert.ok((await sharp(input).metadata()).exif);
+
+        const { buffer } = await processPhoto(input);
+
+        const metadata = await sharp(buffer).metadata();
+        assert.equal(metadata.exif, undefined);
+        assert.equal(metadata.orientation, undefined);
+        assert.equal(metadata.width, 900);
+        assert.equal(metadata.height, 1200);
+    });
+
+    it('fails a file it cannot read', async () => {
+        const processed = await processPhoto(Buffer.from('definitely not a photo'));
+
+        assert.equal(processed.buffer, undefined);
+        assert.equal(processed.analysis.verdict, 'fail');
+        assert.deepEqual(codes(processed.analysis), ['UNSUPPORTED_FORMAT']);
+    });
+
+    it('flags the same shot uploaded twice', async () => {
+        const original = await processPhoto(await createShot().jpeg({ quality: 95 }).toBuffer());
+        const recompressed = await processPhoto(await createShot().jpeg({ quality: 40 }).toBuffer());
+        const different = await processPhoto(await createShot({ flipped: true, seed: 2 }).jpeg().toBuffer());
+
+        assert.ok(hashDistance(original.hash, recompressed.hash) <= QUALITY_RULES.duplicateDistance);
+        assert.ok(hashDistance(original.hash, different.hash) > QUALITY_RULES.duplicateDistance);
+
+        const others = [{ id: 'first', hash: original.hash }, { id: 'no-hash', hash: null }];
+        const duplicate = addDuplicateIssue(recompressed.analysis, recompressed.hash, others);
+        const unique = addDuplicateIssue(different.analysis, different.hash, others);
+
+        assert.equal(duplicate.verdict, 'warn');
+        assert.deepEqual(duplicate.issues.find((issue) => issue.code === 'DUPLICATE').duplicateOf, 'first');
+        assert.equal(unique, different.analysis);
+    });
+
+    it('keeps a failing verdict when a duplicate is found', () => {
+        const failed = { verdict: 'fail', issues: [{ code: 'BLURRY', severity: 'fail' }], metrics: {} };
+
+        const flagged = addDuplicateIssue(failed, '00000000000000ff', [{ id: 'first', hash: '00000000000000fe' }]);
+
+        assert.equal(flagged.verdict, 'fail');
+        assert.deepEqual(codes(flagged), ['BLURRY', 'DUPLICATE']);
+    });
+});
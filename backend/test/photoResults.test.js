@@ -0,0 +1,216 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { stubDatabase } = require('./helpers');
+
+// Nothing an order was sent is dropped silently: storage calls are retried with backoff and
+// counted, and /store gets one result per photo with the order flagged when its package
+// is short of usable photos.
+
+const SESSION_ID = crypto.randomUUID();
+
+const createPhoto = () => sharp({
+    create: { width: 900, height: 1200, channels: 3, background: { r: 180, g: 120, b: 90 } }
+}).jpeg().toBuffer();
+
+describe('withRetry', () => {
+    const { withRetry } = require('../src/utils/retry');
+
+    it('retries with backoff until the call succeeds', async () => {
+        const calls = [];
+
+        const result = await withRetry(async (attempt) => {
+            calls.push(Date.now());
+            if (attempt < 3) throw new Error('flaky');
+            return 'stored';
+        }, { baseDelayMs: 20 });
+
+        assert.deepEqual(result, { value: 'stored', retries: 2 });
+        assert.ok(calls[1] - calls[0] >= 15);
+        assert.ok(calls[2] - calls[1] >= 35, 'the second wait is twice the first');
+    });
+
+    it('gives up after the last attempt with the retries on the error', async () => {
+        let calls = 0;
+
+        await assert.rejects(
+            withRetry(async () => {
+                calls++;
+                throw new Error('storage down');
+            }, { attempts: 4, baseDelayMs: 1 }),
+            (error) => error.message === 'storage down' && error.retries === 3
+        );
+        assert.equal(calls, 4);
+    });
+});
+
+describe('per-photo results', () => {
+    let mediaDir;
+    let db;
+    let uploads;
+    let storage;
+    let signToken;
+
+    before(() => {
+        mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'photo-results-test-'));
+        process.env.AUTH_TOKEN_SECRET = 'test-secret';
+        process.env.MEDIA_STORAGE = 'local';
+        process.env.MEDIA_LOCAL_DIR = mediaDir;
+
+        uploads = require('../src/services/uploads');
+        ({ storage } = require('../src/services/storage'));
+        ({ signToken } = require('../src/services/tokens'));
+    });
+
+    after(() => {
+        fs.rmSync(mediaDir, { recursive: true, force: true });
+    });
+
+    afterEach(() => db.restore());
+
+    const openSession = { session_id: SESSION_ID, status: 'open', expires_at: new Date(Date.now() + 60 * 60 * 1000) };
+
+    const asset = (overrides) => ({
+        asset_id: crypto.randomUUID(),
+        session_id: SESSION_ID,
+        kind: 'photo',
+        status: 'uploaded',
+        attempts: 1,
+        failure_reason: null,
+        quality: { verdict: 'pass' },
+        ...overrides
+    });
+
+    const stubAssets = (assets) => stubDatabase((sql, params) => {
+        if (/FROM upload_sessions/.test(sql)) return [openSession];
+        if (/FROM media_assets WHERE session_id = \$1 AND asset_id = ANY/.test(sql)) {
+            return assets.filter((row) => params[1].includes(row.asset_id));
+        }
+        return [];
+    });
+
+    it('reports every photo of an order and flags one short of its package minimum', async () => {
+        const stored = asset({ attempts: 2 });
+        const retried = asset({ status: 'pending', attempts: 3, failure_reason: 'UPLOAD_NOT_FOUND' });
+        const neverUploaded = asset({ status: 'pending', attempts: 0 });
+        const blurry = asset({ quality: { verdict: 'fail' } });
+        const unreadable = asset({ status: 'rejected', failure_reason: 'UNSUPPORTED_FORMAT' });
+        const screenshot = asset({ kind: 'screenshot', quality: { verdict: 'pass' } });
+        const missing = crypto.randomUUID();
+        db = stubAssets([stored, retried, neverUploaded, blurry, unreadable, screenshot]);
+
+        const photoIds = [stored, retried, neverUploaded, blurry, unreadable, screenshot].map((row) => row.asset_id);
+        const result = await uploads.resolveOrderPhotos({
+            uploadToken: signToken('upload', { sid: SESSION_ID }, 60),
+            photoIds: [...photoIds, missing],
+            minPhotos: 3
+        });
+
+        assert.equal(result.success, true);
+        assert.deepEqual(result.assetIds, [stored.asset_id, blurry.asset_id, screenshot.asset_id]);
+        assert.deepEqual(result.summary.results, [
+            { photoId: stored.asset_id, kind: 'photo', status: 'stored', retries: 1, verdict: 'pass' },
+            { photoId: retried.asset_id, kind: 'photo', status: 'failed', retries: 2, reason: 'UPLOAD_NOT_FOUND' },
+            { photoId: neverUploaded.asset_id, kind: 'photo', status: 'failed', retries: 0, reason: 'NOT_UPLOADED' },
+            { photoId: blurry.asset_id, kind: 'photo', status: 'stored', retries: 0, verdict: 'fail' },
+            { photoId: unreadable.asset_id, kind: 'photo', status: 'failed', retries: 0, reason: 'UNSUPPORTED_FORMAT' },
+            { photoId: screenshot.asset_id, kind: 'screenshot', status: 'stored', retries: 0, verdict: 'pass' },
+            { photoId: missing, kind: null, status: 'failed', reason: 'NOT_FOUND', retries: 0 }
+        ]);
+        // Only the passing original counts - screenshots and failed verdicts do not
+        assert.equal(result.summary.stored, 1);
+        assert.equal(result.summary.required, 3);
+        assert.equal(result.summary.needsPhotos, true);
+    });
+
+    it('does not flag an order with enough usable photos', async () => {
+        const photos = [asset(), asset(), asset({ quality: { verdict: 'warn' } })];
+        db = stubAssets(photos);
+
+        const result = await uploads.resolveOrderPhotos({
+            uploadToken: signToken('upload', { sid: SESSION_ID }, 60),
+            photoIds: photos.map((row) => row.asset_id),
+            minPhotos: 3
+        });
+
+        assert.equal(result.summary.stored, 3);
+        assert.equal(result.summary.needsPhotos, false);
+    });
+
+    it('flags an order sent without photos when its package needs some', async () => {
+        db = stubAssets([]);
+
+        const result = await uploads.resolveOrderPhotos({ photoIds: [], minPhotos: 5 });
+
+        assert.deepEqual(result.summary, { stored: 0, required: 5, needsPhotos: true, results: [] });
+        assert.equal(db.length, 0);
+    });
+
+    it('refuses photo IDs without the session they were uploaded in', async () => {
+        db = stubAssets([]);
+
+        const result = await uploads.resolveOrderPhotos({
+            uploadToken: signToken('checkout', { sid: SESSION_ID }, 60),
+            photoIds: [crypto.randomUUID()]
+        });
+
+        assert.equal(result.httpStatus, 401);
+        assert.equal(result.code, 'INVALID_UPLOAD_TOKEN');
+    });
+
+    it('retries storage while confirming an upload and counts every try', async () => {
+        const pending = asset({ status: 'pending', attempts: 0, quality: null });
+        pending.storage_key = `matchlens-onboarding-photos/${SESSION_ID}/${pending.asset_id}`;
+        await storage.put(pending.storage_key, await createPhoto());
+        db = stubDatabase((sql, params) => {
+            if (/FROM upload_sessions/.test(sql)) return [openSession];
+            if (/SELECT \* FROM media_assets WHERE asset_id/.test(sql)) return [pending];
+            if (/SET status = 'uploaded'/.test(sql)) return [{ ...pending, status: 'uploaded', attempts: params[7] }];
+            return [];
+        });
+
+        // Storage has the file, but the first look misses it
+        const originalStat = storage.stat;
+        let looks = 0;
+        storage.stat = async (key) => (++looks === 1 ? null : originalStat(key));
+        try {
+            const result = await uploads.completeUpload(SESSION_ID, pending.asset_id);
+
+            assert.equal(result.success, true);
+            assert.equal(result.asset.status, 'uploaded');
+            assert.equal(result.asset.attempts, 2);
+            assert.equal(looks, 2);
+        } finally {
+            storage.stat = originalStat;
+        }
+    });
+
+    it('records why an upload could not be confirmed', async () => {
+        const pending = asset({ status: 'pending', attempts: 0, quality: null });
+        pending.storage_key = `matchlens-onboarding-photos/${SESSION_ID}/${pending.asset_id}`;
+        db = stubDatabase((sql) => {
+            if (/FROM upload_sessions/.test(sql)) return [openSession];
+            if (/SELECT \* FROM media_assets WHERE asset_id/.test(sql)) return [pending];
+            return [];
+        });
+
+        const originalStat = storage.stat;
+        storage.stat = async () => {
+            throw new Error('connection reset');
+        };
+        try {
+            const result = await uploads.completeUpload(SESSION_ID, pending.asset_id);
+
+            assert.equal(result.httpStatus, 502);
+            assert.equal(result.code, 'STORAGE_ERROR');
+            const failure = db.find((q) => /failure_reason = \$3/.test(q.sql));
+            assert.deepEqual(failure.params, [pending.asset_id, 3, 'STORAGE_ERROR']);
+        } finally {
+            storage.stat = originalStat;
+        }
+    });
+});
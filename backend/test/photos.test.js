@@ -0,0 +1,199 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { freePort, startTestDatabase } = require('./helpers');
+
+// The photos table on a migrated database: migration 011 moves the old URL arrays into it
+// (and back on rollback), and the order views return structured photo objects.
+
+const CLOUDINARY = 'https://res.cloudinary.com/matchlens/image/upload';
+
+const createSubmission = async (db, columns = {}) => {
+    const names = ['name', 'dating_goal', 'current_matches', 'body_type', 'style_preference', 'ethnicity', 'email', ...Object.keys(columns)];
+    const values = ['Sam', 'casual', '0-2', 'slim', 'casual', 'prefer-not-to-say', 'sam@example.com', ...Object.values(columns)];
+    const result = await db.query(
+        `INSERT INTO onboarding_submissions (${names.join(', ')}) VALUES (${names.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING user_id`,
+        values
+    );
+    return result.rows[0].user_id;
+};
+
+const createPayment = async (db, userId, orderId) => {
+    const result = await db.query(`
+        INSERT INTO payments (user_id, order_id, paypal_payment_id, amount, package_id, package_name, customer_email, customer_name, status)
+        VALUES ($1, $2, $3, 37.00, 'get-noticed', 'Get Noticed', 'sam@example.com', 'Sam', 'completed')
+        RETURNING payment_id
+    `, [userId, orderId, `CAPTURE-${orderId}`]);
+    return result.rows[0].payment_id;
+};
+
+describe('migration 011', () => {
+    let db;
+
+    afterEach(() => db.restore());
+
+    // A submission stored before the photos table, one of its photos uploaded through media_assets
+    const createLegacySubmission = async () => {
+        const userId = await createSubmission(db, {
+            original_photos: JSON.stringify([
+                `${CLOUDINARY}/v1700000000/matchlens-onboarding-photos/first.jpg`,
+                `${CLOUDINARY}/c_limit,h_800,w_800/matchlens-onboarding-photos/session-1/asset-1`
+            ]),
+            screenshot_photos: JSON.stringify([`${CLOUDINARY}/matchlens-onboarding-screenshots/profile.png`])
+        });
+        const session = await db.query('INSERT INTO upload_sessions (expires_at) VALUES (NOW()) RETURNING session_id');
+        await db.query(`
+            INSERT INTO media_assets (session_id, kind, storage_key, content_type, status, url, width, height, byte_size)
+            VALUES ($1, 'photo', 'matchlens-onboarding-photos/session-1/asset-1', 'image/jpeg', 'attached', $2, 800, 600, 2048)
+        `, [session.rows[0].session_id, `${CLOUDINARY}/c_limit,h_800,w_800/matchlens-onboarding-photos/session-1/asset-1`]);
+        return userId;
+    };
+
+    it('moves the photo URL arrays into photos', async () => {
+        db = await startTestDatabase({ through: '010' });
+        const userId = await createLegacySubmission();
+        await createPayment(db, userId, 'ORDER-1');
+
+        await db.migrate('011');
+
+        const photos = await db.query(
+            'SELECT kind, storage_key, url, width, height, byte_size, position, status FROM photos WHERE user_id = $1 ORDER BY kind, position',
+            [userId]
+        );
+        assert.deepEqual(photos.rows.map((row) => [row.kind, row.position, row.storage_key, row.width]), [
+            ['original', 0, 'matchlens-onboarding-photos/first', null],
+            ['original', 1, 'matchlens-onboarding-photos/session-1/asset-1', 800],
+            ['screenshot', 0, 'matchlens-onboarding-screenshots/profile', null]
+        ]);
+        assert.ok(photos.rows.every((row) => row.status === 'active'));
+
+        const columns = await db.query(
+            "SELECT column_name FROM information_schema.columns WHERE table_name = 'onboarding_submissions' AND column_name LIKE '%_photos'"
+        );
+        assert.deepEqual(columns.rows, []);
+
+        const details = await db.query('SELECT photos FROM payment_details WHERE order_id = $1', ['ORDER-1']);
+        assert.deepEqual(details.rows[0].photos.map(({ id, ...photo }) => photo), [
+            {
+                kind: 'original',
+                url: `${CLOUDINARY}/v1700000000/matchlens-onboarding-photos/first.jpg`,
+                storageKey: 'matchlens-onboarding-photos/first',
+                width: null,
+                height: null,
+                status: 'active',
+                customerRank: null,
+                usedInDelivery: false
+            },
+            {
+                kind: 'original',
+                url: `${CLOUDINARY}/c_limit,h_800,w_800/matchlens-onboarding-photos/session-1/asset-1`,
+                storageKey: 'matchlens-onboarding-photos/session-1/asset-1',
+                width: 800,
+                height: 600,
+                status: 'active',
+                customerRank: null,
+                usedInDelivery: false
+            },
+            {
+                kind: 'screenshot',
+                url: `${CLOUDINARY}/matchlens-onboarding-screenshots/profile.png`,
+                storageKey: 'matchlens-onboarding-screenshots/profile',
+                width: null,
+                height: null,
+                status: 'active',
+                customerRank: null,
+                usedInDelivery: false
+            }
+        ]);
+    });
+
+    it('puts the URL arrays back when rolled back', async () => {
+        db = await startTestDatabase({ through: '010' });
+        const userId = await createLegacySubmission();
+        const before = await db.query('SELECT original_photos, screenshot_photos FROM onboarding_submissions WHERE user_id = $1', [userId]);
+
+        await db.migrate('011');
+        await db.migrate('011', 'down');
+
+        const after = await db.query('SELECT original_photos, screenshot_photos FROM onboarding_submissions WHERE user_id = $1', [userId]);
+        assert.deepEqual(after.rows, before.rows);
+        const table = await db.query("SELECT to_regclass('photos') IS NULL AS dropped");
+        assert.equal(table.rows[0].dropped, true);
+        const view = await db.query('SELECT original_photos FROM payment_details WHERE user_id = $1', [userId]);
+        assert.deepEqual(view.rows, []);
+    });
+});
+
+describe('order photos', () => {
+    let db;
+    let server;
+    let baseUrl;
+    let adminToken;
+    let userId;
+
+    before(async () => {
+        process.env.AUTH_TOKEN_SECRET = 'test-secret';
+        db = await startTestDatabase();
+        const app = require('../src/server');
+        const { signToken } = require('../src/services/tokens');
+
+        const port = await freePort();
+        baseUrl = `http://localhost:${port}`;
+        server = await new Promise((resolve) => {
+            const listening = app.listen(port, () => resolve(listening));
+        });
+
+        const admin = await db.query(`
+            INSERT INTO admin_users (email, name, role, password_hash)
+            VALUES ('staff@example.com', 'Staff', 'support', 'unused')
+            RETURNING admin_id
+        `);
+        adminToken = signToken('admin', { sub: admin.rows[0].admin_id }, 60);
+
+        userId = await createSubmission(db);
+        await createPayment(db, userId, 'ORDER-1');
+        // Stored out of order - the API returns originals, then screenshots, each by position
+        for (const [kind, position, rank] of [['screenshot', 0, null], ['original', 1, 2], ['original', 0, 1]]) {
+            await db.query(`
+                INSERT INTO photos (user_id, kind, storage_key, url, width, height, position, customer_rank)
+                VALUES ($1, $2, $3, $4, 900, 1200, $5, $6)
+            `, [userId, kind, `${kind}-${position}`, `https://media.test/${kind}-${position}`, position, rank]);
+        }
+    });
+
+    after(async () => {
+        await db.restore();
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    const get = async (path) => {
+        const response = await fetch(`${baseUrl}${path}`, { headers: { Authorization: `Bearer ${adminToken}` } });
+        return { status: response.status, body: await response.json() };
+    };
+
+    const summarize = (photos) => photos.map((photo) => [photo.kind, photo.position, photo.storageKey, photo.customerRank]);
+
+    it('returns structured photos with an order', async () => {
+        const { status, body } = await get('/api/payments/order/ORDER-1');
+
+        assert.equal(status, 200);
+        assert.deepEqual(summarize(body.payment.photos), [
+            ['original', 0, 'original-0', 1],
+            ['original', 1, 'original-1', 2],
+            ['screenshot', 0, 'screenshot-0', null]
+        ]);
+        assert.equal(body.payment.photos[0].width, 900);
+        assert.equal(body.payment.photos[0].usedInDelivery, false);
+        assert.equal(body.payment.original_photos, undefined);
+    });
+
+    it('returns structured photos with a submission', async () => {
+        const { status, body } = await get(`/api/payments/user/${userId}`);
+
+        assert.equal(status, 200);
+        assert.deepEqual(summarize(body.user.photos), [
+            ['original', 0, 'original-0', 1],
+            ['original', 1, 'original-1', 2],
+            ['screenshot', 0, 'screenshot-0', null]
+        ]);
+    });
+});
@@ -0,0 +1,147 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { freePort, startMockPayPal, startTestDatabase } = require('./helpers');
+
+// A returning customer against a migrated database and the mock PayPal server: every order
+// placed with the same email lands on one customer as its own questionnaire version and
+// payment, and staff and the customer both see all of them.
+
+// A questionnaire that passes the shared onboarding validator
+const buildOnboardingData = (overrides) => {
+    const { onboardingFields } = require('../src/schemas/onboarding');
+    const data = {};
+    for (const [name, field] of Object.entries(onboardingFields)) {
+        if (field.type === 'enum') data[name] = field.options[0].value;
+        if (field.type === 'enumArray') data[name] = field.options.slice(0, field.minItems).map((option) => option.value);
+    }
+    return { ...data, weeklyTips: false, ...overrides };
+};
+
+describe('orders from a returning customer', () => {
+    let paypal;
+    let db;
+    let server;
+    let baseUrl;
+    let provider;
+    let signToken;
+    let adminToken;
+    const orders = {};
+
+    before(async () => {
+        process.env.AUTH_TOKEN_SECRET = 'test-secret';
+        paypal = await startMockPayPal();
+        db = await startTestDatabase();
+        const app = require('../src/server');
+        provider = require('../src/services/paymentProviders').getPaymentProvider('paypal');
+        ({ signToken } = require('../src/services/tokens'));
+
+        const port = await freePort();
+        baseUrl = `http://localhost:${port}`;
+        server = await new Promise((resolve) => {
+            const listening = app.listen(port, () => resolve(listening));
+        });
+
+        const admin = await db.query(`
+            INSERT INTO admin_users (email, name, role, password_hash)
+            VALUES ('staff@example.com', 'Staff', 'support', 'unused')
+            RETURNING admin_id
+        `);
+        adminToken = signToken('admin', { sub: admin.rows[0].admin_id }, 60);
+
+        // The same customer twice (the second time with a new name and different casing),
+        // then someone else
+        orders.first = await placeOrder('get-noticed', { name: 'Sam', email: 'sam@example.com', datingGoal: 'casual' });
+        orders.second = await placeOrder('most-matches', { name: 'Samuel', email: ' Sam@Example.com ', phone: '(555) 010-0199', datingGoal: 'relationship' });
+        orders.other = await placeOrder('get-noticed', { name: 'Alex', email: 'alex@example.com' });
+    });
+
+    after(async () => {
+        await db.restore();
+        await new Promise((resolve) => server.close(resolve));
+        await paypal.close();
+    });
+
+    const placeOrder = async (packageId, { name, email, phone, datingGoal }) => {
+        const packages = { 'get-noticed': ['Get Noticed', 37], 'most-matches': ['Most Attention', 69] };
+        const [packageName, price] = packages[packageId];
+        const created = await provider.createIntent({ package: { id: packageId, name: packageName, price, currency: 'USD' } });
+        await paypal.approve(created.orderId, 'approve');
+
+        const response = await fetch(`${baseUrl}/api/payments/store`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Idempotency-Key': created.orderId },
+            body: JSON.stringify({
+                orderId: created.orderId,
+                packageId,
+                customerEmail: email,
+                customerName: name,
+                onboardingData: buildOnboardingData({ name, email: email.trim(), phone, ...(datingGoal && { datingGoal }) })
+            })
+        });
+        const body = await response.json();
+        assert.equal(response.status, 200, body.message);
+        return body;
+    };
+
+    const get = async (path, token) => {
+        const response = await fetch(`${baseUrl}${path}`, { headers: { Authorization: `Bearer ${token}` } });
+        return { status: response.status, body: await response.json() };
+    };
+
+    it('keeps every order with the same email on one customer', async () => {
+        const customers = await db.query('SELECT email, name, phone FROM customers ORDER BY created_at');
+
+        assert.deepEqual(customers.rows, [
+            { email: 'sam@example.com', name: 'Sam', phone: '(555) 010-0199' },
+            { email: 'alex@example.com', name: 'Alex', phone: null }
+        ]);
+        assert.notEqual(orders.second.userId, orders.first.userId);
+        assert.notEqual(orders.second.paymentId, orders.first.paymentId);
+    });
+
+    it('returns the whole purchase history behind either submission', async () => {
+        await db.query(`
+            INSERT INTO refunds (payment_id, paypal_refund_id, amount, reason, operator)
+            VALUES ($1, 'REFUND-1', 10.00, 'Goodwill', 'staff@example.com')
+        `, [orders.first.paymentId]);
+
+        for (const userId of [orders.first.userId, orders.second.userId]) {
+            const { status, body } = await get(`/api/payments/user/${userId}`, adminToken);
+
+            assert.equal(status, 200);
+            assert.equal(body.user.user_id, userId);
+            assert.equal(body.customer.email, 'sam@example.com');
+            assert.deepEqual(body.submissions.map((row) => [row.version, row.user_id, row.dating_goal]), [
+                [1, orders.first.userId, 'casual'],
+                [2, orders.second.userId, 'relationship']
+            ]);
+            assert.deepEqual(body.payments.map((row) => [row.payment_id, row.package_id, Number(row.refunded_amount)]), [
+                [orders.second.paymentId, 'most-matches', 0],
+                [orders.first.paymentId, 'get-noticed', 10]
+            ]);
+            assert.ok(body.payments.every((row) => row.fulfillment_status));
+        }
+    });
+
+    it('answers 404 for an unknown submission', async () => {
+        const unknown = await get('/api/payments/user/00000000-0000-4000-8000-000000000000', adminToken);
+        const malformed = await get('/api/payments/user/not-a-uuid', adminToken);
+
+        assert.equal(unknown.status, 404);
+        assert.equal(unknown.body.code, 'USER_NOT_FOUND');
+        assert.equal(malformed.status, 404);
+    });
+
+    it('lists every order on the customer dashboard, newest first', async () => {
+        const customer = await db.query("SELECT customer_id FROM customers WHERE email = 'sam@example.com'");
+        const token = signToken('customer', { sub: customer.rows[0].customer_id }, 60);
+
+        const { status, body } = await get('/api/account/orders', token);
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.orders.map((order) => [order.paymentId, order.packageId, order.amount]), [
+            [orders.second.paymentId, 'most-matches', 69],
+            [orders.first.paymentId, 'get-noticed', 37]
+        ]);
+    });
+});
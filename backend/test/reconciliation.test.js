@@ -0,0 +1,117 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { PACKAGE_ROWS } = require('./helpers');
+const { findDiscrepancies } = require('../src/services/reconciliation');
+const { createFixtureTransactionSource } = require('../src/services/paypalFixtures');
+
+// findDiscrepancies over the recorded transactions in fixtures/paypal-transactions.json,
+// which hold one example of each discrepancy for 2026-10-01.
+
+const FIXTURE = path.join(__dirname, '..', 'fixtures', 'paypal-transactions.json');
+
+const rangeStart = new Date('2026-10-01T00:00:00Z');
+const rangeEnd = new Date('2026-10-02T00:00:00Z');
+const searchEnd = new Date('2026-10-02T01:00:00Z');
+
+const packagePrices = new Map(PACKAGE_ROWS.map((row) => [row.package_id, { price: row.price, currency: row.currency }]));
+
+const payment = (fields) => ({
+    currency: 'USD',
+    status: 'completed',
+    created_at: '2026-10-01T09:00:00Z',
+    last_refund_at: null,
+    ...fields
+});
+
+// What we recorded that day
+const PAYMENTS = [
+    // Matches its capture
+    payment({ payment_id: 'payment-1', order_id: '5O190127TN364715T', paypal_payment_id: '8MC585209K746392H', amount: '37.00', package_id: 'get-noticed' }),
+    // PayPal charged 1.00 for it
+    payment({ payment_id: 'payment-2', order_id: '7DH48102LA939251D', paypal_payment_id: '2GG279541U471931P', amount: '69.00', package_id: 'most-matches' }),
+    // Refunded at PayPal, still completed here
+    payment({ payment_id: 'payment-3', order_id: '3NL52914RW004833E', paypal_payment_id: '9JU47839KF382110C', amount: '69.00', package_id: 'most-matches' }),
+    // Never captured
+    payment({ payment_id: 'payment-4', order_id: '1ZZ00000AA000000A', paypal_payment_id: '0XX00000AA0000000', amount: '97.00', package_id: 'date-ready', created_at: '2026-10-01T21:30:00Z' }),
+    // Failed payments have no capture to find
+    payment({ payment_id: 'payment-5', order_id: '2ZZ00000AA000000B', paypal_payment_id: null, amount: '37.00', package_id: 'get-noticed', status: 'failed' })
+];
+
+// The transactions a run over the range (with its margin) receives from the fixture
+const loadTransactions = async () => {
+    const source = createFixtureTransactionSource(FIXTURE);
+    const result = await source.listTransactions({
+        startDate: new Date(rangeStart.getTime() - 60 * 60 * 1000).toISOString(),
+        endDate: searchEnd.toISOString()
+    });
+    return result.transactions.map((transaction) => transaction.transaction_info);
+};
+
+describe('findDiscrepancies (recorded PayPal transactions)', () => {
+    const reconcile = async (payments = PAYMENTS) => findDiscrepancies({
+        transactions: await loadTransactions(),
+        payments,
+        packagePrices,
+        rangeStart,
+        rangeEnd,
+        searchEnd
+    });
+
+    it('finds one discrepancy of each kind', async () => {
+        const discrepancies = await reconcile();
+
+        assert.deepEqual(
+            discrepancies.map((row) => [row.kind, row.capture_id]).sort(),
+            [
+                ['amount_mismatch', '2GG279541U471931P'],
+                ['capture_without_order', '4RR959492F879224U'],
+                ['order_without_capture', '0XX00000AA0000000'],
+                ['status_drift', '9JU47839KF382110C']
+            ]
+        );
+    });
+
+    it('reports the amounts behind a mismatch', async () => {
+        const mismatch = (await reconcile()).find((row) => row.kind === 'amount_mismatch');
+
+        assert.equal(mismatch.payment_id, 'payment-2');
+        assert.equal(mismatch.paypal_amount, '1.00');
+        assert.equal(mismatch.recorded_amount, '69.00');
+        assert.equal(mismatch.expected_amount, '69.00');
+    });
+
+    it('expects a fully reversed capture to be refunded', async () => {
+        const drift = (await reconcile()).find((row) => row.kind === 'status_drift');
+
+        assert.equal(drift.recorded_status, 'completed');
+        assert.equal(drift.expected_status, 'refunded');
+        assert.deepEqual(drift.details, { refunded: 69 });
+    });
+
+    it('prices an unknown capture from its package and ignores denied ones', async () => {
+        const orphans = (await reconcile()).filter((row) => row.kind === 'capture_without_order');
+
+        assert.equal(orphans.length, 1);
+        assert.equal(orphans[0].order_id, '9CD29183PA102948X');
+        assert.equal(orphans[0].expected_amount, '37.00');
+    });
+
+    it('treats "69", "69.0" and "69.00" as the same amount', async () => {
+        const payments = PAYMENTS.map((row) => (row.payment_id === 'payment-3' ? { ...row, amount: '69', status: 'refunded' } : row));
+
+        const discrepancies = await reconcile(payments);
+
+        assert.equal(discrepancies.some((row) => row.payment_id === 'payment-3'), false);
+    });
+
+    it('does not flag a payment refunded after the searched range', async () => {
+        const payments = PAYMENTS.map((row) => (row.payment_id === 'payment-2'
+            ? { ...row, status: 'refunded', last_refund_at: '2026-10-03T10:00:00Z' }
+            : row));
+
+        const discrepancies = await reconcile(payments);
+
+        assert.deepEqual(discrepancies.filter((row) => row.payment_id === 'payment-2').map((row) => row.kind), ['amount_mismatch']);
+    });
+});
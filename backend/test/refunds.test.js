@@ -0,0 +1,158 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockPayPal, stubDatabase } = require('./helpers');
+
+// Full and partial refunds through the mock PayPal server: the refundable balance is
+// enforced before PayPal is asked, and the payment status follows the refunded total.
+
+// The payments, refunds and email_outbox tables as the refund service sees them
+const createStore = (payment) => {
+    const store = { payment, refunds: [], emails: [] };
+    store.handler = (sql, params) => {
+        if (/FROM payments WHERE payment_id/.test(sql)) {
+            return store.payment ? [store.payment] : [];
+        }
+        if (/SUM\(amount\)/.test(sql)) {
+            const total = store.refunds
+                .filter((refund) => ['pending', 'completed'].includes(refund.status))
+                .reduce((sum, refund) => sum + parseFloat(refund.amount), 0);
+            return [{ total: total.toFixed(2) }];
+        }
+        if (/INSERT INTO refunds/.test(sql)) {
+            const [paymentId, paypalRefundId, amount, currency, reason, operator, status] = params;
+            let refund = store.refunds.find((row) => row.paypal_refund_id === paypalRefundId);
+            if (refund) {
+                refund.status = status;
+            } else {
+                refund = { refund_id: store.refunds.length + 1, payment_id: paymentId, paypal_refund_id: paypalRefundId, amount, currency, reason, operator, status };
+                store.refunds.push(refund);
+            }
+            return [refund];
+        }
+        if (/UPDATE payments SET status/.test(sql)) {
+            store.payment.status = params[0];
+        }
+        if (/INSERT INTO email_outbox/.test(sql)) {
+            store.emails.push({ template: params[0], dedupeKey: params[6] });
+            return [{ email_id: store.emails.length }];
+        }
+        return [];
+    };
+    return store;
+};
+
+describe('issueRefund (PayPal)', () => {
+    let paypal;
+    let provider;
+    let issueRefund;
+    let store;
+    let db;
+
+    before(async () => {
+        paypal = await startMockPayPal();
+        provider = require('../src/services/paymentProviders').getPaymentProvider('paypal');
+        ({ issueRefund } = require('../src/services/refunds'));
+    });
+
+    after(async () => {
+        db.restore();
+        await paypal.close();
+    });
+
+    // A stored payment for a completed $69 capture
+    beforeEach(async () => {
+        await paypal.reset();
+        const created = await provider.createIntent({
+            package: { id: 'most-matches', name: 'Most Attention', price: 69, currency: 'USD' }
+        });
+        await paypal.approve(created.orderId, 'approve');
+        const captured = await provider.capture(created.orderId);
+
+        store = createStore({
+            payment_id: 'payment-1',
+            provider: 'paypal',
+            order_id: created.orderId,
+            paypal_payment_id: captured.payment.captureId,
+            amount: '69.00',
+            currency: 'USD',
+            status: 'completed',
+            package_id: 'most-matches',
+            package_name: 'Most Attention',
+            customer_email: 'sam@example.com',
+            customer_name: 'Sam',
+            created_at: new Date()
+        });
+        db?.restore();
+        db = stubDatabase(store.handler);
+    });
+
+    const capture = () => paypal.state.captures.get(store.payment.paypal_payment_id);
+
+    it('refunds the whole capture and marks the payment refunded', async () => {
+        const result = await issueRefund({ paymentId: 'payment-1', reason: 'Customer request', operator: 'ops@example.com' });
+
+        assert.equal(result.success, true);
+        assert.equal(result.paymentStatus, 'refunded');
+        assert.equal(result.refund.amount, '69.00');
+        assert.equal(capture().status, 'REFUNDED');
+        assert.deepEqual(store.emails.map((email) => email.template), ['refund_issued']);
+    });
+
+    it('tracks partial refunds until the balance is used up', async () => {
+        const first = await issueRefund({ paymentId: 'payment-1', amount: '20.00', reason: 'Fewer photos', operator: 'ops@example.com' });
+
+        assert.equal(first.success, true);
+        assert.equal(first.paymentStatus, 'partially_refunded');
+        assert.equal(capture().status, 'PARTIALLY_REFUNDED');
+
+        const rest = await issueRefund({ paymentId: 'payment-1', reason: 'Cancelled', operator: 'ops@example.com' });
+
+        assert.equal(rest.success, true);
+        assert.equal(rest.refund.amount, '49.00');
+        assert.equal(rest.paymentStatus, 'refunded');
+        assert.equal(store.refunds.length, 2);
+    });
+
+    it('refuses more than the refundable balance without calling PayPal', async () => {
+        await issueRefund({ paymentId: 'payment-1', amount: '60.00', reason: 'Fewer photos', operator: 'ops@example.com' });
+
+        const result = await issueRefund({ paymentId: 'payment-1', amount: '10.00', reason: 'Goodwill', operator: 'ops@example.com' });
+
+        assert.equal(result.success, false);
+        assert.equal(result.code, 'AMOUNT_EXCEEDS_REMAINING');
+        assert.equal(result.refundable, '9.00');
+        assert.equal(paypal.state.refunds.size, 1);
+    });
+
+    it('only refunds payments that were paid', async () => {
+        store.payment.status = 'pending';
+
+        const result = await issueRefund({ paymentId: 'payment-1', reason: 'Customer request', operator: 'ops@example.com' });
+
+        assert.equal(result.success, false);
+        assert.equal(result.code, 'NOT_REFUNDABLE');
+        assert.equal(result.httpStatus, 409);
+    });
+
+    it('records nothing when PayPal rejects the refund', async () => {
+        store.payment.paypal_payment_id = 'UNKNOWNCAPTURE';
+
+        const result = await issueRefund({ paymentId: 'payment-1', reason: 'Customer request', operator: 'ops@example.com' });
+
+        assert.equal(result.success, false);
+        assert.equal(result.code, 'REFUND_FAILED');
+        assert.equal(result.httpStatus, 502);
+        assert.equal(store.refunds.length, 0);
+        assert.equal(store.payment.status, 'completed');
+    });
+
+    it('reports a provider that is not configured', async () => {
+        store.payment.provider = 'stripe';
+
+        const result = await issueRefund({ paymentId: 'payment-1', reason: 'Customer request', operator: 'ops@example.com' });
+
+        assert.equal(result.success, false);
+        assert.equal(result.code, 'PROVIDER_UNAVAILABLE');
+        assert.equal(result.httpStatus, 503);
+    });
+});
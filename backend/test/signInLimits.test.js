@@ -0,0 +1,69 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { freePort, stubDatabase } = require('./helpers');
+
+// Staff sign-in and customer login links are rate limited per email and client address:
+// hammering one account is cut off without locking out everyone behind the same address.
+// The requests come from loopback like the Next server's, so X-Forwarded-For is trusted.
+
+describe('sign-in rate limits', () => {
+    let server;
+    let baseUrl;
+    let db;
+
+    before(async () => {
+        process.env.AUTH_TOKEN_SECRET = 'test-secret';
+        db = stubDatabase(() => []);
+        const app = require('../src/server');
+
+        const port = await freePort();
+        baseUrl = `http://localhost:${port}`;
+        server = await new Promise((resolve) => {
+            const listening = app.listen(port, () => resolve(listening));
+        });
+    });
+
+    after(async () => {
+        db.restore();
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    const post = async (path, body, clientIp) => {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': clientIp },
+            body: JSON.stringify(body)
+        });
+        return response.status;
+    };
+
+    const attempt = (email, clientIp) => post('/api/admin/login', { email, password: 'wrong-password' }, clientIp);
+    const requestLink = (email, clientIp) => post('/api/account/login-link', { email }, clientIp);
+
+    it('blocks an admin email after 10 failed attempts from one client', async () => {
+        for (let i = 0; i < 10; i++) {
+            assert.equal(await attempt('ops@example.com', '203.0.113.5'), 401);
+        }
+
+        assert.equal(await attempt('ops@example.com', '203.0.113.5'), 429);
+        assert.equal(await attempt(' OPS@example.com ', '203.0.113.5'), 429);
+    });
+
+    it('still lets other staff behind the same address sign in', async () => {
+        assert.equal(await attempt('editor@example.com', '203.0.113.5'), 401);
+    });
+
+    it('counts clients forwarded by the Next server separately', async () => {
+        assert.equal(await attempt('ops@example.com', '198.51.100.7'), 401);
+    });
+
+    it('sends at most 5 login links to an email from one client', async () => {
+        for (let i = 0; i < 5; i++) {
+            assert.equal(await requestLink('sam@example.com', '203.0.113.9'), 202);
+        }
+
+        assert.equal(await requestLink('Sam@Example.com', '203.0.113.9'), 429);
+        assert.equal(await requestLink('alex@example.com', '203.0.113.9'), 202);
+        assert.equal(await requestLink('sam@example.com', '198.51.100.7'), 202);
+    });
+});
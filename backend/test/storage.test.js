@@ -0,0 +1,150 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+require('./helpers');
+const { createLocalStorage } = require('../src/services/storage/local');
+const { createCloudinaryStorage } = require('../src/services/storage/cloudinary');
+
+// The media storage adapters: the local one against a temporary directory, the Cloudinary
+// one only as far as it works offline (URLs and signed upload targets). Both keep the
+// 800x800 display rendition the order photos have always used.
+
+const DISPLAY = { width: 800, height: 800, quality: 'good' };
+
+const createPhoto = (width, height) => sharp({
+    create: { width, height, channels: 3, background: { r: 90, g: 140, b: 200 } }
+}).jpeg().toBuffer();
+
+describe('local storage', () => {
+    let root;
+    let storage;
+
+    before(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+        process.env.AUTH_TOKEN_SECRET = 'test-secret';
+        process.env.MEDIA_LOCAL_DIR = root;
+        process.env.MEDIA_PUBLIC_URL = 'http://media.test/';
+        storage = createLocalStorage();
+    });
+
+    after(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('stores, reads and describes an image', async () => {
+        const photo = await createPhoto(1200, 900);
+
+        const stored = await storage.put('matchlens-onboarding-photos/s1/a1', photo);
+
+        assert.deepEqual(stored, {
+            url: 'http://media.test/media/matchlens-onboarding-photos/s1/a1',
+            byteSize: photo.length,
+            width: 1200,
+            height: 900
+        });
+        assert.deepEqual(await storage.read('matchlens-onboarding-photos/s1/a1'), photo);
+        assert.deepEqual(await storage.stat('matchlens-onboarding-photos/s1/a1'), stored);
+        assert.equal(await storage.stat('matchlens-onboarding-photos/s1/missing'), null);
+        assert.equal(await storage.getUrl('matchlens-onboarding-photos/s1/a1'), stored.url);
+    });
+
+    it('refuses files that are not images', async () => {
+        await assert.rejects(storage.put('matchlens-onboarding-photos/s1/text', Buffer.from('not an image')));
+
+        assert.equal(fs.existsSync(path.join(root, 'matchlens-onboarding-photos/s1/text')), false);
+    });
+
+    it('never reads or writes outside its root', async () => {
+        const photo = await createPhoto(10, 10);
+
+        await assert.rejects(storage.put('../escaped', photo), /Invalid storage key/);
+        await assert.rejects(storage.read('../../etc/passwd'), /Invalid storage key/);
+        assert.equal(fs.existsSync(path.join(root, '..', 'escaped')), false);
+    });
+
+    it('renders the display size within 800x800', async () => {
+        await storage.put('matchlens-onboarding-photos/s2/wide', await createPhoto(2000, 1000));
+
+        const url = await storage.transform('matchlens-onboarding-photos/s2/wide', DISPLAY);
+
+        assert.equal(url, 'http://media.test/media/_variants/800x800-good/matchlens-onboarding-photos/s2/wide.jpg');
+        const metadata = await sharp(path.join(root, '_variants/800x800-good/matchlens-onboarding-photos/s2/wide.jpg')).metadata();
+        assert.equal(metadata.width, 800);
+        assert.equal(metadata.height, 400);
+    });
+
+    it('renders again once the original is replaced', async () => {
+        const key = 'matchlens-onboarding-photos/s3/replaced';
+        await storage.put(key, await createPhoto(1000, 1000));
+        await storage.transform(key, DISPLAY);
+
+        await storage.put(key, await createPhoto(400, 200));
+        await storage.transform(key, DISPLAY);
+
+        const metadata = await sharp(path.join(root, `_variants/800x800-good/${key}.jpg`)).metadata();
+        assert.equal(metadata.width, 400);
+    });
+
+    it('lists originals only and deletes them with their renditions', async () => {
+        await storage.put('matchlens-onboarding-screenshots/s4/one', await createPhoto(100, 100));
+        await storage.put('matchlens-onboarding-screenshots/s4/two', await createPhoto(100, 100));
+        await storage.transform('matchlens-onboarding-screenshots/s4/one', DISPLAY);
+
+        await storage.delete('matchlens-onboarding-screenshots/s4/one');
+
+        const listed = await storage.list('matchlens-onboarding-screenshots');
+        assert.deepEqual(listed.map((object) => object.key), ['matchlens-onboarding-screenshots/s4/two']);
+        assert.ok(listed[0].createdAt instanceof Date);
+        assert.equal(fs.existsSync(path.join(root, '_variants/800x800-good/matchlens-onboarding-screenshots/s4/one.jpg')), false);
+        assert.deepEqual(await storage.list('matchlens-onboarding-photos/none-yet'), []);
+    });
+
+    it('signs upload targets for the API to check', async () => {
+        const { verifyToken } = require('../src/services/tokens');
+
+        const target = await storage.createUploadTarget('matchlens-onboarding-photos/s5/a5', { maxBytes: 1024 });
+
+        assert.equal(target.url, 'http://media.test/api/uploads/local');
+        assert.equal(target.method, 'POST');
+        const claims = verifyToken('local-upload', target.fields.token);
+        assert.equal(claims.key, 'matchlens-onboarding-photos/s5/a5');
+        assert.equal(claims.maxBytes, 1024);
+    });
+});
+
+describe('Cloudinary storage', () => {
+    let storage;
+
+    before(() => {
+        process.env.CLOUDINARY_CLOUD_NAME = 'matchlens-test';
+        process.env.CLOUDINARY_API_KEY = 'key';
+        process.env.CLOUDINARY_API_SECRET = 'secret';
+        storage = createCloudinaryStorage();
+    });
+
+    it('keeps the 800x800 limit and quality of the display rendition', async () => {
+        const url = await storage.transform('matchlens-onboarding-photos/s1/a1', DISPLAY);
+
+        assert.match(url, /^https:\/\/res\.cloudinary\.com\/matchlens-test\/image\/upload\//);
+        assert.match(url, /c_limit,h_800,w_800\/q_auto:good\/f_auto\/(v1\/)?matchlens-onboarding-photos\/s1\/a1(\?|$)/);
+    });
+
+    it('signs direct uploads to the storage key', async () => {
+        const cloudinary = require('cloudinary').v2;
+
+        const target = await storage.createUploadTarget('matchlens-onboarding-photos/s1/a1', { maxBytes: 1024 });
+
+        assert.equal(target.url, 'https://api.cloudinary.com/v1_1/matchlens-test/image/upload');
+        assert.equal(target.fields.public_id, 'matchlens-onboarding-photos/s1/a1');
+        assert.equal(target.fields.api_key, 'key');
+        const { public_id: publicId, timestamp, allowed_formats: allowedFormats } = target.fields;
+        assert.equal(target.fields.signature, cloudinary.utils.api_sign_request({
+            public_id: publicId,
+            timestamp,
+            allowed_formats: allowedFormats
+        }, 'secret'));
+    });
+});
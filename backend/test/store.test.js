@@ -0,0 +1,269 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { freePort, startMockPayPal, stubDatabase, PACKAGE_ROWS } = require('./helpers');
+
+// POST /api/payments/store end to end against the mock PayPal server: a paid order is
+// stored exactly once however often it is retried, and a database error answers 500
+// instead of taking the API down.
+
+// A questionnaire that passes the shared onboarding validator
+const buildOnboardingData = () => {
+    const { onboardingFields } = require('../src/schemas/onboarding');
+    const data = {};
+    for (const [name, field] of Object.entries(onboardingFields)) {
+        if (field.type === 'enum') data[name] = field.options[0].value;
+        if (field.type === 'enumArray') data[name] = field.options.slice(0, field.minItems).map((option) => option.value);
+    }
+    return { ...data, name: 'Sam', email: 'sam@example.com', weeklyTips: false };
+};
+
+// The tables /store touches, enough to follow one order through
+const createStore = () => {
+    const store = { keys: new Map(), payments: [], failOn: null };
+    store.handler = (sql, params) => {
+        if (store.failOn && store.failOn.test(sql)) {
+            throw Object.assign(new Error('connection terminated unexpectedly'), store.failError);
+        }
+        if (/FROM packages/.test(sql)) return PACKAGE_ROWS;
+
+        if (/INSERT INTO idempotency_keys/.test(sql)) {
+            const id = `${params[0]}:${params[1]}`;
+            if (store.keys.has(id)) return [];
+            store.keys.set(id, { status: 'processing', request_hash: params[2] });
+            return [{ idempotency_key: params[1] }];
+        }
+        if (/SELECT \* FROM idempotency_keys/.test(sql)) {
+            const record = store.keys.get(`${params[0]}:${params[1]}`);
+            return record ? [record] : [];
+        }
+        if (/UPDATE idempotency_keys/.test(sql)) {
+            Object.assign(store.keys.get(`${params[0]}:${params[1]}`), {
+                status: 'completed',
+                response_status: params[2],
+                response_body: JSON.parse(params[3])
+            });
+            return [];
+        }
+        if (/DELETE FROM idempotency_keys/.test(sql)) {
+            store.keys.delete(`${params[0]}:${params[1]}`);
+            return [];
+        }
+
+        if (/SELECT user_id, payment_id, needs_photos FROM payments/.test(sql)) {
+            return store.payments.filter((payment) => payment.order_id === params[0]);
+        }
+        if (/INSERT INTO customers/.test(sql)) return [{ customer_id: 'customer-1' }];
+        if (/INSERT INTO onboarding_submissions/.test(sql)) return [{ user_id: `user-${store.payments.length + 1}` }];
+        if (/INSERT INTO payments/.test(sql)) {
+            const payment = {
+                payment_id: `payment-${store.payments.length + 1}`,
+                user_id: params[0],
+                order_id: params[1],
+                paypal_payment_id: params[2],
+                amount: params[3],
+                needs_photos: params[11],
+                provider: params[13]
+            };
+            store.payments.push(payment);
+            return [payment];
+        }
+        return [];
+    };
+    return store;
+};
+
+describe('POST /api/payments/store', () => {
+    let paypal;
+    let server;
+    let baseUrl;
+    let store;
+    let db;
+    let provider;
+
+    before(async () => {
+        paypal = await startMockPayPal();
+        const app = require('../src/server');
+        provider = require('../src/services/paymentProviders').getPaymentProvider('paypal');
+
+        const port = await freePort();
+        baseUrl = `http://localhost:${port}`;
+        server = await new Promise((resolve) => {
+            const listening = app.listen(port, () => resolve(listening));
+        });
+    });
+
+    after(async () => {
+        db.restore();
+        await new Promise((resolve) => server.close(resolve));
+        await paypal.close();
+    });
+
+    beforeEach(async () => {
+        await paypal.reset();
+        require('../src/services/packages').clearPackageCache();
+        store = createStore();
+        db?.restore();
+        db = stubDatabase(store.handler);
+    });
+
+    const paidOrder = async (outcome = 'approve') => {
+        const created = await provider.createIntent({
+            package: { id: 'get-noticed', name: 'Get Noticed', price: 37, currency: 'USD' }
+        });
+        await paypal.approve(created.orderId, outcome);
+        return created.orderId;
+    };
+
+    const storeOrder = async (orderId, { key, body = {} } = {}) => {
+        const response = await fetch(`${baseUrl}/api/payments/store`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(key && { 'Idempotency-Key': key })
+            },
+            body: JSON.stringify({
+                orderId,
+                packageId: 'get-noticed',
+                customerEmail: 'sam@example.com',
+                customerName: 'Sam',
+                onboardingData: buildOnboardingData(),
+                ...body
+            })
+        });
+        return { status: response.status, headers: response.headers, body: await response.json() };
+    };
+
+    it('stores a verified order with the captured amount', async () => {
+        const orderId = await paidOrder();
+
+        const { status, body } = await storeOrder(orderId, { key: orderId });
+
+        assert.equal(status, 200);
+        assert.equal(body.success, true);
+        assert.equal(body.paymentId, 'payment-1');
+        assert.equal(store.payments.length, 1);
+        assert.equal(store.payments[0].amount, '37.00');
+        assert.equal(store.payments[0].provider, 'paypal');
+    });
+
+    it('replays the first response for a retried Idempotency-Key', async () => {
+        const orderId = await paidOrder();
+        const first = await storeOrder(orderId, { key: orderId });
+
+        const retry = await storeOrder(orderId, { key: orderId });
+
+        assert.equal(retry.status, 200);
+        assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+        assert.deepEqual(retry.body, first.body);
+        assert.equal(store.payments.length, 1);
+        assert.equal(paypal.state.captures.size, 1);
+    });
+
+    it('returns the stored order to a retry under a different key', async () => {
+        const orderId = await paidOrder();
+        const first = await storeOrder(orderId, { key: 'checkout-attempt-1' });
+
+        const retry = await storeOrder(orderId, { key: 'capture-outbox-retry' });
+
+        assert.equal(retry.status, 200);
+        assert.equal(retry.body.duplicate, true);
+        assert.equal(retry.body.paymentId, first.body.paymentId);
+        assert.equal(store.payments.length, 1);
+    });
+
+    it('rejects a reused Idempotency-Key with a different body', async () => {
+        const orderId = await paidOrder();
+        await storeOrder(orderId, { key: 'same-key' });
+
+        const reused = await storeOrder(orderId, { key: 'same-key', body: { customerName: 'Someone Else' } });
+
+        assert.equal(reused.status, 422);
+        assert.equal(reused.body.code, 'IDEMPOTENCY_KEY_REUSED');
+    });
+
+    it('applies a refund PayPal sent before the order was stored', async () => {
+        const orderId = await paidOrder();
+        const handler = store.handler;
+        store.handler = (sql, params) => {
+            // Kept unprocessed by the webhook route, which found no payment for it
+            if (/SELECT event_id, payload FROM payment_events/.test(sql)) {
+                return [{
+                    event_id: 'WH-EARLY-REFUND',
+                    payload: {
+                        id: 'WH-EARLY-REFUND',
+                        event_type: 'PAYMENT.CAPTURE.REFUNDED',
+                        resource: {
+                            id: 'REFUND-1',
+                            status: 'COMPLETED',
+                            amount: { value: '37.00', currency_code: 'USD' },
+                            links: [{ rel: 'up', href: `${paypal.baseUrl}/v2/payments/captures/${params[2]}` }]
+                        }
+                    }
+                }];
+            }
+            if (/SELECT payment_id, status FROM payments/.test(sql)) return [{ payment_id: params[0], status: 'completed' }];
+            if (/INSERT INTO refunds/.test(sql)) return [{ paypal_refund_id: params[1], status: params[6] }];
+            if (/SELECT amount, status FROM payments/.test(sql)) return [{ amount: '37.00', status: 'completed' }];
+            if (/FROM refunds/.test(sql)) return [{ total: '37.00' }];
+            return handler(sql, params);
+        };
+        db.restore();
+        db = stubDatabase(store.handler);
+
+        const { status } = await storeOrder(orderId);
+
+        assert.equal(status, 200);
+        const refund = db.find((entry) => /INSERT INTO refunds/.test(entry.sql));
+        assert.deepEqual(refund.params.slice(0, 4), ['payment-1', 'REFUND-1', '37.00', 'USD']);
+        assert.ok(db.some((entry) => /UPDATE payments SET status/.test(entry.sql) && entry.params[0] === 'refunded'));
+        const processed = db.find((entry) => /UPDATE payment_events SET payment_id/.test(entry.sql));
+        assert.deepEqual(processed.params, ['payment-1', 'WH-EARLY-REFUND']);
+    });
+
+    it('stores nothing for an unpaid order and lets it be retried', async () => {
+        const created = await provider.createIntent({
+            package: { id: 'get-noticed', name: 'Get Noticed', price: 37, currency: 'USD' }
+        });
+
+        const { status, body } = await storeOrder(created.orderId, { key: created.orderId });
+
+        assert.equal(status, 402);
+        assert.equal(body.code, 'PAYMENT_NOT_COMPLETED');
+        assert.equal(store.payments.length, 0);
+        assert.equal(store.keys.size, 0);
+    });
+
+    it('answers 500 when the stored-order lookup fails', async () => {
+        const orderId = await paidOrder();
+        store.failOn = /SELECT user_id, payment_id, needs_photos FROM payments/;
+
+        const { status, body } = await storeOrder(orderId);
+
+        assert.equal(status, 500);
+        assert.deepEqual(body, { success: false, message: 'Failed to store data', error: 'Internal server error' });
+        assert.equal(paypal.state.captures.size, 0);
+    });
+
+    it('answers 500 when a lost insert race cannot be resolved', async () => {
+        const orderId = await paidOrder();
+        const handler = store.handler;
+        let lookups = 0;
+        store.handler = (sql, params) => {
+            if (/INSERT INTO payments/.test(sql)) {
+                throw Object.assign(new Error('duplicate key'), { code: '23505', constraint: 'payments_order_id_key' });
+            }
+            // The first lookup (before verifying) finds nothing, the one after the race fails
+            if (/SELECT user_id, payment_id, needs_photos FROM payments/.test(sql) && ++lookups > 1) {
+                throw new Error('connection terminated unexpectedly');
+            }
+            return handler(sql, params);
+        };
+        db.restore();
+        db = stubDatabase(store.handler);
+
+        const { status, body } = await storeOrder(orderId);
+
+        assert.equal(status, 500);
+        assert.equal(body.message, 'Failed to store data');
+    });
+});
@@ -0,0 +1,224 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+const { freePort, startApp, stubDatabase, packageRows } = require('./helpers');
+
+// Card payments through the Stripe adapter against a fake Stripe API: nothing is stored
+// unless the PaymentIntent succeeded for the package's price, and only webhooks signed
+// with the endpoint's secret are accepted.
+
+const WEBHOOK_SECRET = 'whsec_test_secret';
+
+// PaymentIntents and refunds, the way Stripe's REST API answers them
+const createFakeStripe = () => {
+    const stripe = { intents: new Map(), refunds: [], requests: [] };
+    const router = express.Router();
+    router.use(express.urlencoded({ extended: true }));
+    router.use((req, res, next) => {
+        stripe.requests.push({ method: req.method, path: req.path, body: req.body, idempotencyKey: req.get('Idempotency-Key') });
+        next();
+    });
+
+    router.post('/payment_intents', (req, res) => {
+        const id = `pi_${crypto.randomBytes(8).toString('hex')}`;
+        const intent = {
+            id,
+            object: 'payment_intent',
+            amount: parseInt(req.body.amount),
+            amount_received: 0,
+            currency: req.body.currency,
+            metadata: req.body.metadata || {},
+            status: 'requires_payment_method',
+            client_secret: `${id}_secret_test`,
+            latest_charge: null
+        };
+        stripe.intents.set(id, intent);
+        res.json(intent);
+    });
+
+    router.get('/payment_intents/:id', (req, res) => {
+        const intent = stripe.intents.get(req.params.id);
+        if (!intent) {
+            return res.status(404).json({ error: { type: 'invalid_request_error', code: 'resource_missing', message: `No such payment_intent: '${req.params.id}'` } });
+        }
+        res.json(intent);
+    });
+
+    router.post('/refunds', (req, res) => {
+        const refund = {
+            id: `re_${crypto.randomBytes(8).toString('hex')}`,
+            object: 'refund',
+            amount: parseInt(req.body.amount),
+            charge: req.body.charge,
+            currency: 'usd',
+            status: 'succeeded'
+        };
+        stripe.refunds.push(refund);
+        res.json(refund);
+    });
+
+    // What the Payment Element does in the browser
+    stripe.confirm = (id, status = 'succeeded') => Object.assign(stripe.intents.get(id), {
+        status,
+        amount_received: status === 'succeeded' ? stripe.intents.get(id).amount : 0,
+        latest_charge: status === 'succeeded' ? `ch_${id.slice(3)}` : null
+    });
+
+    return { stripe, router };
+};
+
+const sign = (body, { secret = WEBHOOK_SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) => {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+};
+
+describe('Stripe payments', () => {
+    let stripe;
+    let api;
+    let db;
+    let provider;
+    let verifyPayment;
+
+    before(async () => {
+        const fake = createFakeStripe();
+        stripe = fake.stripe;
+        const port = await freePort();
+        api = await startApp('/v1', fake.router, { port });
+
+        process.env.STRIPE_SECRET_KEY = 'sk_test_fake';
+        process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+        process.env.STRIPE_API_BASE = `http://localhost:${port}`;
+
+        db = stubDatabase(packageRows);
+        provider = require('../src/services/paymentProviders').getPaymentProvider('stripe');
+        ({ verifyPayment } = require('../src/services/paymentVerification'));
+    });
+
+    after(async () => {
+        db.restore();
+        await api.close();
+    });
+
+    beforeEach(() => {
+        stripe.intents.clear();
+        stripe.refunds.length = 0;
+        stripe.requests.length = 0;
+        require('../src/services/packages').clearPackageCache();
+    });
+
+    const createIntent = async (packageRow = { id: 'most-matches', name: 'Most Attention', price: '69.00', currency: 'USD' }) => {
+        const created = await provider.createIntent({ package: packageRow, customerEmail: 'sam@example.com', idempotencyKey: 'checkout-1' });
+        assert.equal(created.success, true);
+        return created;
+    };
+
+    it('creates a card-only PaymentIntent priced in cents', async () => {
+        const created = await createIntent();
+
+        assert.match(created.clientSecret, /_secret_/);
+        const [request] = stripe.requests;
+        assert.equal(request.idempotencyKey, 'checkout-1');
+        assert.equal(request.body.amount, '6900');
+        assert.equal(request.body.currency, 'usd');
+        assert.deepEqual(request.body.metadata, { package_id: 'most-matches' });
+        assert.deepEqual(request.body.payment_method_types, ['card']);
+    });
+
+    it('verifies a succeeded PaymentIntent', async () => {
+        const { orderId } = await createIntent();
+        stripe.confirm(orderId);
+
+        const result = await verifyPayment({ provider: 'stripe', orderId, packageId: 'most-matches' });
+
+        assert.equal(result.verified, true);
+        assert.equal(result.provider, 'stripe');
+        assert.equal(result.amount, '69.00');
+        assert.equal(result.currency, 'USD');
+        assert.equal(result.captureId, `ch_${orderId.slice(3)}`);
+    });
+
+    it('rejects a PaymentIntent that was not paid', async () => {
+        const { orderId } = await createIntent();
+
+        const result = await verifyPayment({ provider: 'stripe', orderId, packageId: 'most-matches' });
+
+        assert.equal(result.verified, false);
+        assert.equal(result.code, 'PAYMENT_NOT_COMPLETED');
+    });
+
+    it('rejects a PaymentIntent created for a cheaper package', async () => {
+        const { orderId } = await createIntent({ id: 'get-noticed', name: 'Get Noticed', price: '37.00', currency: 'USD' });
+        stripe.confirm(orderId);
+
+        const result = await verifyPayment({ provider: 'stripe', orderId, packageId: 'most-matches' });
+
+        assert.equal(result.code, 'PACKAGE_MISMATCH');
+    });
+
+    it('reports a PaymentIntent Stripe does not know', async () => {
+        const result = await verifyPayment({ provider: 'stripe', orderId: 'pi_missing', packageId: 'most-matches' });
+
+        assert.equal(result.code, 'ORDER_NOT_FOUND');
+        assert.equal(result.httpStatus, 402);
+    });
+
+    it('refunds part of a charge in cents', async () => {
+        const result = await provider.refund({ captureId: 'ch_123', amount: '20.00', requestId: 'refund-1' });
+
+        assert.deepEqual(result, { success: true, refundId: stripe.refunds[0].id, amount: '20.00', currency: 'USD', status: 'completed' });
+        assert.equal(stripe.requests[0].body.amount, '2000');
+        assert.equal(stripe.requests[0].idempotencyKey, 'refund-1');
+    });
+
+    describe('webhooks', () => {
+        const event = {
+            id: 'evt_1',
+            type: 'payment_intent.succeeded',
+            data: { object: { id: 'pi_1', status: 'succeeded', amount: 6900, amount_received: 6900, currency: 'usd', latest_charge: 'ch_1', metadata: {} } }
+        };
+        const rawBody = JSON.stringify(event);
+        const parse = (signature) => provider.parseWebhook({
+            headers: { 'stripe-signature': signature },
+            rawBody: Buffer.from(rawBody),
+            body: event
+        });
+
+        it('accepts an event signed with the endpoint secret', async () => {
+            const result = await parse(sign(rawBody));
+
+            assert.equal(result.verified, true);
+            assert.equal(result.event.status, 'completed');
+            assert.equal(result.event.orderId, 'pi_1');
+            assert.equal(result.event.captureId, 'ch_1');
+        });
+
+        it('rejects a forged signature', async () => {
+            const result = await parse(sign(rawBody, { secret: 'whsec_someone_else' }));
+
+            assert.equal(result.verified, false);
+        });
+
+        it('rejects a replayed delivery older than five minutes', async () => {
+            const result = await parse(sign(rawBody, { timestamp: Math.floor(Date.now() / 1000) - 10 * 60 }));
+
+            assert.equal(result.verified, false);
+        });
+
+        it('rejects a signature of the right length in multi-byte characters', async () => {
+            const timestamp = Math.floor(Date.now() / 1000);
+
+            const result = await parse(`t=${timestamp},v1=${'\u00e9'.repeat(64)}`);
+
+            assert.equal(result.verified, false);
+        });
+
+        it('rejects a body changed after signing', async () => {
+            const signature = sign(rawBody.replace('6900', '100'));
+
+            const result = await parse(signature);
+
+            assert.equal(result.verified, false);
+        });
+    });
+});
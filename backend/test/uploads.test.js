@@ -0,0 +1,285 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { freePort, startApp, stubDatabase } = require('./helpers');
+
+// Direct uploads with MEDIA_STORAGE=local: a session token only opens its own session,
+// targets are only handed out for images within the size limit, an upload only counts once
+// storage has it, and the local upload target checks its signed token.
+
+// The upload_sessions and media_assets tables, enough for the upload routes
+const createStore = () => {
+    const store = { sessions: new Map(), assets: new Map() };
+    store.handler = (sql, params) => {
+        if (/INSERT INTO upload_sessions/.test(sql)) {
+            const session = {
+                session_id: crypto.randomUUID(),
+                email: params[0],
+                status: 'open',
+                expires_at: new Date(Date.now() + 60 * 60 * 1000)
+            };
+            store.sessions.set(session.session_id, session);
+            return [session];
+        }
+        if (/SELECT \* FROM upload_sessions/.test(sql)) {
+            const session = store.sessions.get(params[0]);
+            return session ? [session] : [];
+        }
+
+        if (/SELECT kind, COUNT\(\*\)/.test(sql)) {
+            const counts = {};
+            for (const asset of store.assets.values()) {
+                if (asset.session_id === params[0] && asset.status !== 'rejected') {
+                    counts[asset.kind] = (counts[asset.kind] || 0) + 1;
+                }
+            }
+            return Object.entries(counts).map(([kind, count]) => ({ kind, count: String(count) }));
+        }
+        if (/INSERT INTO media_assets/.test(sql)) {
+            const [assetId, sessionId, kind, storageKey, contentType] = params;
+            store.assets.set(assetId, {
+                asset_id: assetId,
+                session_id: sessionId,
+                kind,
+                storage_key: storageKey,
+                content_type: contentType,
+                status: 'pending',
+                attempts: 0,
+                failure_reason: null
+            });
+            return [];
+        }
+        if (/SELECT \* FROM media_assets WHERE asset_id/.test(sql)) {
+            const asset = store.assets.get(params[0]);
+            return asset && asset.session_id === params[1] ? [asset] : [];
+        }
+        if (/SET attempts = attempts \+ \$2, failure_reason = \$3/.test(sql)) {
+            const asset = store.assets.get(params[0]);
+            asset.attempts += params[1];
+            asset.failure_reason = params[2];
+            return [];
+        }
+        if (/SELECT asset_id AS id, perceptual_hash/.test(sql)) return [];
+        if (/SET status = 'uploaded'/.test(sql)) {
+            const [assetId, url, byteSize, width, height, quality, hash, attempts] = params;
+            const asset = store.assets.get(assetId);
+            Object.assign(asset, {
+                status: 'uploaded',
+                url,
+                byte_size: byteSize,
+                width,
+                height,
+                quality: JSON.parse(quality),
+                perceptual_hash: hash,
+                attempts: asset.attempts + attempts,
+                failure_reason: null
+            });
+            return [asset];
+        }
+        if (/SELECT \* FROM media_assets WHERE session_id/.test(sql)) {
+            return [...store.assets.values()].filter((asset) => asset.session_id === params[0]);
+        }
+        return [];
+    };
+    return store;
+};
+
+// A plain photo, large enough to pass the minimum size
+const createPhoto = (width = 900, height = 1200) => sharp({
+    create: { width, height, channels: 3, background: { r: 180, g: 120, b: 90 } }
+}).jpeg().toBuffer();
+
+describe('/api/uploads', () => {
+    let app;
+    let mediaDir;
+    let store;
+    let db;
+    let signToken;
+
+    before(async () => {
+        // The local adapter reads its settings when it is loaded
+        const port = await freePort();
+        mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-test-'));
+        process.env.AUTH_TOKEN_SECRET = 'test-secret';
+        process.env.MEDIA_STORAGE = 'local';
+        process.env.MEDIA_LOCAL_DIR = mediaDir;
+        process.env.MEDIA_PUBLIC_URL = `http://localhost:${port}`;
+
+        app = await startApp('/api/uploads', require('../src/routes/uploads'), { port });
+        ({ signToken } = require('../src/services/tokens'));
+    });
+
+    after(async () => {
+        db.restore();
+        await app.close();
+        fs.rmSync(mediaDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        store = createStore();
+        db?.restore();
+        db = stubDatabase(store.handler);
+    });
+
+    const request = async (method, urlPath, { token, body } = {}) => {
+        const response = await fetch(`${app.baseUrl}/api/uploads${urlPath}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(token ? { Authorization: `Bearer ${token}` } : {})
+            },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    const startSession = async () => (await request('POST', '/sessions', { body: { email: 'sam@example.com' } })).body;
+
+    const requestTargets = (session, files) => request('POST', `/sessions/${session.sessionId}/targets`, {
+        token: session.token,
+        body: { files }
+    });
+
+    // Posts a file the way the browser does, to the URL and with the fields of its target
+    const uploadTo = async (upload, buffer, fields = upload.fields) => {
+        const form = new FormData();
+        for (const [name, value] of Object.entries(fields)) form.append(name, value);
+        if (buffer) form.append('file', new Blob([buffer], { type: 'image/jpeg' }), 'photo.jpg');
+
+        const response = await fetch(upload.url, { method: upload.method, body: form });
+        return { status: response.status, body: await response.json() };
+    };
+
+    it('only opens a session with its own token', async () => {
+        const session = await startSession();
+        const other = await startSession();
+        const files = [{ kind: 'photo', contentType: 'image/jpeg', size: 1024 }];
+
+        const own = await requestTargets(session, files);
+        const foreign = await requestTargets({ ...session, token: other.token }, files);
+        const missing = await requestTargets({ ...session, token: undefined }, files);
+        const wrongPurpose = await requestTargets({
+            ...session,
+            token: signToken('local-upload', { sid: session.sessionId }, 60)
+        }, files);
+
+        assert.equal(own.status, 201);
+        assert.equal(own.body.targets.length, 1);
+        for (const response of [foreign, missing, wrongPurpose]) {
+            assert.equal(response.status, 401);
+            assert.equal(response.body.code, 'UNAUTHORIZED');
+        }
+        assert.equal(store.assets.size, 1);
+    });
+
+    it('only hands out targets for images within the size limit', async () => {
+        const session = await startSession();
+        const { MAX_BYTES } = require('../src/services/uploads');
+
+        const notImage = await requestTargets(session, [{ kind: 'photo', contentType: 'application/pdf', size: 1024 }]);
+        const tooLarge = await requestTargets(session, [{ kind: 'photo', contentType: 'image/jpeg', size: MAX_BYTES + 1 }]);
+        const unknownKind = await requestTargets(session, [{ kind: 'video', contentType: 'image/jpeg', size: 1024 }]);
+
+        assert.equal(notImage.status, 400);
+        assert.equal(notImage.body.code, 'INVALID_FILES');
+        assert.equal(tooLarge.status, 413);
+        assert.equal(tooLarge.body.code, 'FILE_TOO_LARGE');
+        assert.equal(unknownKind.status, 400);
+        assert.equal(unknownKind.body.code, 'INVALID_FILES');
+        assert.equal(store.assets.size, 0);
+    });
+
+    it('limits how many files one session can upload', async () => {
+        const session = await startSession();
+        const screenshot = { kind: 'screenshot', contentType: 'image/png', size: 1024 };
+
+        const first = await requestTargets(session, Array(10).fill(screenshot));
+        const more = await requestTargets(session, [screenshot]);
+
+        assert.equal(first.status, 201);
+        assert.equal(more.status, 409);
+        assert.equal(more.body.code, 'TOO_MANY_FILES');
+    });
+
+    it('confirms an upload only once storage has it', async () => {
+        const session = await startSession();
+        const { body: { targets: [target] } } = await requestTargets(session, [
+            { kind: 'photo', contentType: 'image/jpeg', size: 1024 }
+        ]);
+        const complete = () => request('POST', `/sessions/${session.sessionId}/assets/${target.assetId}/complete`, {
+            token: session.token
+        });
+
+        const early = await complete();
+
+        assert.equal(early.status, 409);
+        assert.equal(early.body.code, 'UPLOAD_NOT_FOUND');
+        assert.equal(store.assets.get(target.assetId).status, 'pending');
+        // Storage was asked three times before giving up
+        assert.equal(store.assets.get(target.assetId).attempts, 3);
+        assert.equal(store.assets.get(target.assetId).failure_reason, 'UPLOAD_NOT_FOUND');
+
+        const uploaded = await uploadTo(target.upload, await createPhoto());
+        const confirmed = await complete();
+
+        assert.equal(uploaded.status, 201);
+        assert.equal(confirmed.status, 200);
+        assert.equal(confirmed.body.asset.status, 'uploaded');
+        assert.equal(confirmed.body.asset.width, 900);
+        assert.ok(confirmed.body.asset.quality.verdict);
+        assert.match(confirmed.body.asset.url, /\/media\/_variants\//);
+        assert.ok(fs.existsSync(path.join(mediaDir, store.assets.get(target.assetId).storage_key)));
+
+        const { body: progress } = await request('GET', `/sessions/${session.sessionId}`, { token: session.token });
+        assert.deepEqual(progress.assets.map((asset) => asset.status), ['uploaded']);
+    });
+
+    it('refuses to confirm a photo of another session', async () => {
+        const session = await startSession();
+        const other = await startSession();
+        const { body: { targets: [target] } } = await requestTargets(other, [
+            { kind: 'photo', contentType: 'image/jpeg', size: 1024 }
+        ]);
+
+        const { status, body } = await request('POST', `/sessions/${session.sessionId}/assets/${target.assetId}/complete`, {
+            token: session.token
+        });
+
+        assert.equal(status, 404);
+        assert.equal(body.code, 'ASSET_NOT_FOUND');
+    });
+
+    it('checks the signed token and size of local uploads', async () => {
+        const session = await startSession();
+        const { body: { targets: [target] } } = await requestTargets(session, [
+            { kind: 'photo', contentType: 'image/jpeg', size: 1024 }
+        ]);
+        const photo = await createPhoto();
+        const key = `matchlens-onboarding-photos/${session.sessionId}/${target.assetId}`;
+
+        const unsigned = await uploadTo(target.upload, photo, {});
+        const wrongPurpose = await uploadTo(target.upload, photo, { token: session.token });
+        const tampered = await uploadTo(target.upload, photo, { token: `${target.upload.fields.token}x` });
+        const tooLarge = await uploadTo(target.upload, photo, {
+            token: signToken('local-upload', { key, maxBytes: 1024 }, 60)
+        });
+        const noFile = await uploadTo(target.upload, null);
+        const notImage = await uploadTo(target.upload, Buffer.from('not an image'));
+
+        for (const response of [unsigned, wrongPurpose, tampered]) {
+            assert.equal(response.status, 401);
+            assert.equal(response.body.code, 'UNAUTHORIZED');
+        }
+        assert.equal(tooLarge.status, 413);
+        assert.equal(tooLarge.body.code, 'FILE_TOO_LARGE');
+        assert.equal(noFile.status, 400);
+        assert.equal(noFile.body.code, 'MISSING_FILE');
+        assert.equal(notImage.status, 400);
+        assert.equal(notImage.body.code, 'INVALID_IMAGE');
+        assert.equal(fs.existsSync(path.join(mediaDir, key)), false);
+    });
+});
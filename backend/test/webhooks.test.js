@@ -0,0 +1,189 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { freePort, startApp, startMockPayPal, stubDatabase, waitFor } = require('./helpers');
+
+// Webhooks are only acted on when their signature checks out, each event is processed
+// once however often it is delivered, and a late event cannot move a payment backwards.
+
+// The payments and payment_events tables as the webhook route sees them
+const createStore = () => {
+    const store = { events: new Set(), payment: null, updates: [] };
+    store.handler = (sql, params) => {
+        if (/INSERT INTO payment_events/.test(sql)) {
+            if (store.events.has(params[0])) return [];
+            store.events.add(params[0]);
+            return [{ event_id: params[0] }];
+        }
+        if (/SELECT payment_id, status FROM payments/.test(sql)) {
+            return store.payment ? [store.payment] : [];
+        }
+        if (/UPDATE payments SET status/.test(sql)) {
+            store.updates.push(params[0]);
+            store.payment.status = params[0];
+        }
+        return [];
+    };
+    return store;
+};
+
+describe('PayPal webhooks', () => {
+    let paypal;
+    let api;
+    let store;
+    let db;
+    let provider;
+
+    before(async () => {
+        const apiPort = await freePort();
+        paypal = await startMockPayPal({ webhookUrl: `http://localhost:${apiPort}/api/webhooks/paypal` });
+        api = await startApp('/api/webhooks', require('../src/routes/webhooks'), { port: apiPort });
+        provider = require('../src/services/paymentProviders').getPaymentProvider('paypal');
+    });
+
+    after(async () => {
+        db.restore();
+        await api.close();
+        await paypal.close();
+    });
+
+    beforeEach(async () => {
+        await paypal.reset();
+        store = createStore();
+        db?.restore();
+        db = stubDatabase(store.handler);
+    });
+
+    // Create, approve and capture an order for a payment in the given status - the mock
+    // then delivers the capture webhooks
+    const capture = async (outcome, status = 'pending') => {
+        store.payment = { payment_id: 'payment-1', status };
+        const created = await provider.createIntent({
+            package: { id: 'get-noticed', name: 'Get Noticed', price: 37, currency: 'USD' }
+        });
+        await paypal.approve(created.orderId, outcome);
+        return provider.capture(created.orderId);
+    };
+
+    const deliveries = () => paypal.state.webhooks.flatMap((event) => event.deliveries);
+
+    it('applies a signed capture webhook to its payment', async () => {
+        await capture('approve');
+
+        const [delivery] = await waitFor(() => deliveries().length === 1 && deliveries());
+
+        assert.equal(delivery.status, 200);
+        assert.deepEqual(store.updates, ['completed']);
+        assert.equal(store.events.size, 1);
+    });
+
+    it('processes a redelivered event only once', async () => {
+        await capture('duplicate');
+
+        await waitFor(() => deliveries().length === 2);
+
+        assert.deepEqual(deliveries().map((delivery) => delivery.status), [200, 200]);
+        assert.deepEqual(store.updates, ['completed']);
+    });
+
+    it('rejects a webhook whose signature does not verify', async () => {
+        const captured = await capture('approve');
+        await waitFor(() => deliveries().length === 1);
+        const [event] = paypal.state.webhooks;
+
+        // The captured event with a forged amount and a signature that was never issued
+        const forged = { ...event.payload, resource: { ...event.payload.resource, amount: { currency_code: 'USD', value: '0.01' } } };
+        const response = await fetch(`${api.baseUrl}/api/webhooks/paypal`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'paypal-auth-algo': 'SHA256withRSA',
+                'paypal-cert-url': `${paypal.baseUrl}/mock/cert.pem`,
+                'paypal-transmission-id': 'forged-transmission',
+                'paypal-transmission-sig': 'bm90IGEgc2lnbmF0dXJl',
+                'paypal-transmission-time': new Date().toISOString()
+            },
+            body: JSON.stringify({ ...forged, id: 'WH-FORGED' })
+        });
+        const body = await response.json();
+
+        assert.ok(captured.success);
+        assert.equal(response.status, 400);
+        assert.equal(body.code, 'INVALID_SIGNATURE');
+        assert.equal(store.events.has('WH-FORGED'), false);
+    });
+
+    it('does not move a completed payment back to pending', async () => {
+        await capture('pending', 'completed');
+
+        const [delivery] = await waitFor(() => deliveries().length === 1 && deliveries());
+
+        assert.equal(delivery.status, 200);
+        assert.deepEqual(store.updates, []);
+        assert.equal(store.payment.status, 'completed');
+    });
+
+    it('keeps an event for an order that is not stored yet unprocessed', async () => {
+        await capture('approve');
+        store.payment = null;
+
+        const [delivery] = await waitFor(() => deliveries().length === 1 && deliveries());
+
+        assert.equal(delivery.status, 200);
+        assert.equal(store.events.size, 1);
+        assert.equal(db.some((entry) => /processed_at/.test(entry.sql)), false);
+    });
+
+    it('answers 500 without crashing when no database connection is available', async () => {
+        const pool = require('../src/config/database').pool;
+        pool.connect = async () => {
+            throw new Error('timeout exceeded when trying to connect');
+        };
+
+        await capture('approve');
+
+        const [delivery] = await waitFor(() => deliveries().length === 1 && deliveries());
+        assert.equal(delivery.status, 500);
+    });
+
+    it('answers 500 when the webhook cannot be parsed', async () => {
+        const parseWebhook = provider.parseWebhook;
+        provider.parseWebhook = async () => {
+            throw new Error('unexpected payload');
+        };
+
+        try {
+            const response = await fetch(`${api.baseUrl}/api/webhooks/paypal`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: '{}'
+            });
+
+            assert.equal(response.status, 500);
+        } finally {
+            provider.parseWebhook = parseWebhook;
+        }
+    });
+
+    it('answers 503 for Stripe while it is not configured', async () => {
+        const response = await fetch(`${api.baseUrl}/api/webhooks/stripe`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Stripe-Signature': 't=1,v1=00' },
+            body: '{}'
+        });
+        const body = await response.json();
+
+        assert.equal(response.status, 503);
+        assert.equal(body.code, 'PROVIDER_NOT_CONFIGURED');
+        assert.equal(db.length, 0);
+    });
+
+    it('answers 404 for an unknown provider', async () => {
+        const response = await fetch(`${api.baseUrl}/api/webhooks/dodo`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: '{}'
+        });
+
+        assert.equal(response.status, 404);
+    });
+});
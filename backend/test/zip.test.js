@@ -0,0 +1,39 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createZip, tableCrc32 } = require('../src/utils/zip');
+
+// The delivery zip writer: checksums must match what unzip tools compute, including on
+// runtimes without zlib.crc32.
+
+describe('zip', () => {
+    it('computes the standard CRC-32 without zlib', () => {
+        assert.equal(tableCrc32(Buffer.alloc(0)), 0);
+        assert.equal(tableCrc32(Buffer.from('123456789')), 0xcbf43926);
+        assert.equal(tableCrc32(Buffer.from('The quick brown fox jumps over the lazy dog')), 0x414fa339);
+    });
+
+    it('writes each entry with its checksum, size and name', () => {
+        const files = [
+            { name: 'photo-1.jpg', data: Buffer.from('first photo') },
+            { name: 'bio ideas.txt', data: Buffer.from('second file, a little longer') }
+        ];
+
+        const zip = createZip(files);
+
+        let offset = 0;
+        for (const file of files) {
+            assert.equal(zip.readUInt32LE(offset), 0x04034b50);
+            assert.equal(zip.readUInt32LE(offset + 14), tableCrc32(file.data));
+            assert.equal(zip.readUInt32LE(offset + 22), file.data.length);
+            const nameLength = zip.readUInt16LE(offset + 26);
+            assert.equal(zip.toString('utf8', offset + 30, offset + 30 + nameLength), file.name);
+            offset += 30 + nameLength + file.data.length;
+        }
+
+        // End of central directory: entry count and where the directory starts
+        const end = zip.length - 22;
+        assert.equal(zip.readUInt32LE(end), 0x06054b50);
+        assert.equal(zip.readUInt16LE(end + 10), files.length);
+        assert.equal(zip.readUInt32LE(end + 16), offset);
+    });
+});
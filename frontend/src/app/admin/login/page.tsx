@@ -0,0 +1,76 @@
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+
+export default function AdminLoginPage() {
+    const router = useRouter();
+    const [email, setEmail] = useState("");
+    const [password, setPassword] = useState("");
+    const [submitting, setSubmitting] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setSubmitting(true);
+        setError(null);
+
+        try {
+            const response = await fetch('/api/admin/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ email, password })
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.message || 'Sign in failed');
+            }
+
+            // Only follow same-site paths back into the admin area
+            const next = new URLSearchParams(window.location.search).get('next');
+            router.replace(next && next.startsWith('/admin/') ? next : '/admin/payments');
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Sign in failed');
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen flex items-center justify-center p-8">
+            <form onSubmit={handleSubmit} className="w-full max-w-sm border rounded-lg p-6 bg-white shadow-sm space-y-4">
+                <h1 className="text-2xl font-bold">Staff sign in</h1>
+
+                {error && (
+                    <div className="p-3 rounded text-sm bg-red-100 text-red-800">{error}</div>
+                )}
+
+                <input
+                    type="email"
+                    placeholder="Email"
+                    autoComplete="username"
+                    required
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    className="w-full border rounded px-3 py-2 text-sm"
+                />
+                <input
+                    type="password"
+                    placeholder="Password"
+                    autoComplete="current-password"
+                    required
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className="w-full border rounded px-3 py-2 text-sm"
+                />
+                <button
+                    type="submit"
+                    disabled={submitting}
+                    className="w-full px-4 py-2 rounded bg-gray-900 text-white text-sm font-semibold hover:bg-gray-800 disabled:opacity-50"
+                >
+                    {submitting ? 'Signing in...' : 'Sign in'}
+                </button>
+            </form>
+        </div>
+    );
+}
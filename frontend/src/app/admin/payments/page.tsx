@@ -1,33 +1,101 @@
 "use client";
 
 import { useState, useEffect } from "react";
+import { useRouter } from "next/navigation";
+import { AdminUser, REFUND_ROLES, REPLAY_ROLES } from "@/lib/admin-auth";
+
+// Staff API calls go through the Next proxy, which attaches the session token
+const ADMIN_API = "/api/admin/backend";
 
 interface Payment {
-    id: number;
-    order_id: string;
     payment_id: string;
-    amount: number;
+    order_id: string;
+    provider: 'paypal' | 'stripe';
+    paypal_payment_id: string; // The provider's payment ID - PayPal capture or Stripe charge
+    amount: string;
+    refunded_amount: string;
     currency: string;
-    package_id: string;
     package_name: string;
     customer_email: string;
     customer_name: string;
     status: string;
-    onboarding_data: any;
-    created_at: string;
+    needs_photos: boolean;
+    payment_created_at: string;
 }
 
+// A paid order the backend has not stored yet - see lib/capture-outbox.ts
+interface UndeliveredCapture {
+    provider: 'paypal' | 'stripe';
+    orderId: string;
+    captureId: string;
+    packageId: string;
+    customerEmail: string;
+    customerName: string;
+    status: 'pending' | 'dead';
+    attempts: number;
+    nextAttemptAt: string;
+    lastStatus: number | null;
+    lastError: string | null;
+    createdAt: string;
+}
+
+interface RefundForm {
+    amount: string;
+    reason: string;
+}
+
+const statusClasses: Record<string, string> = {
+    completed: 'bg-green-100 text-green-800',
+    refunded: 'bg-red-100 text-red-800',
+    partially_refunded: 'bg-orange-100 text-orange-800',
+    failed: 'bg-red-100 text-red-800',
+};
+
 export default function PaymentsPage() {
+    const router = useRouter();
     const [payments, setPayments] = useState<Payment[]>([]);
+    const [captures, setCaptures] = useState<UndeliveredCapture[]>([]);
+    const [replayingId, setReplayingId] = useState<string | null>(null);
     const [loading, setLoading] = useState(true);
+    const [admin, setAdmin] = useState<AdminUser | null>(null);
+    const [refundForms, setRefundForms] = useState<Record<string, RefundForm>>({});
+    const [refundingId, setRefundingId] = useState<string | null>(null);
+    const [message, setMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
 
     useEffect(() => {
+        fetchAdmin();
         fetchPayments();
+        fetchCaptures();
     }, []);
 
+    // A revoked or expired session sends the user back to sign in
+    const redirectIfSignedOut = (response: Response) => {
+        if (response.status === 401) {
+            router.replace(`/admin/login?next=${encodeURIComponent('/admin/payments')}`);
+            return true;
+        }
+        return false;
+    };
+
+    const fetchAdmin = async () => {
+        try {
+            const response = await fetch(`${ADMIN_API}/admin/me`);
+            if (redirectIfSignedOut(response)) return;
+
+            const data = await response.json();
+            if (data.success) {
+                setAdmin(data.admin);
+            }
+        } catch (error) {
+            console.error('Error fetching admin:', error);
+        }
+    };
+
     const fetchPayments = async () => {
         try {
-            const response = await fetch('/api/payments/list');
+            const response = await fetch(`${ADMIN_API}/payments/list`);
+            if (redirectIfSignedOut(response)) return;
+
             const data = await response.json();
 
             if (data.success) {
@@ -40,64 +108,253 @@ export default function PaymentsPage() {
         }
     };
 
+    const fetchCaptures = async () => {
+        try {
+            const response = await fetch('/api/admin/captures');
+            if (redirectIfSignedOut(response)) return;
+
+            const data = await response.json();
+            if (data.success) {
+                setCaptures(data.captures);
+            }
+        } catch (error) {
+            console.error('Error fetching captures:', error);
+        }
+    };
+
+    const handleReplay = async (capture: UndeliveredCapture) => {
+        setReplayingId(capture.orderId);
+        setMessage(null);
+
+        try {
+            const response = await fetch(`/api/admin/captures/${capture.orderId}/replay`, { method: 'POST' });
+            if (redirectIfSignedOut(response)) return;
+
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.message || 'Replay failed');
+            }
+
+            setMessage({ type: 'success', text: `Order ${capture.orderId} stored.` });
+            await fetchPayments();
+        } catch (error) {
+            setMessage({ type: 'error', text: error instanceof Error ? error.message : 'Replay failed' });
+        } finally {
+            setReplayingId(null);
+            await fetchCaptures();
+        }
+    };
+
+    const updateRefundForm = (paymentId: string, field: keyof RefundForm, value: string) => {
+        setRefundForms(prev => ({
+            ...prev,
+            [paymentId]: { ...(prev[paymentId] || { amount: "", reason: "" }), [field]: value }
+        }));
+    };
+
+    const handleRefund = async (payment: Payment) => {
+        const form = refundForms[payment.payment_id] || { amount: "", reason: "" };
+        const refundable = (parseFloat(payment.amount) - parseFloat(payment.refunded_amount || "0")).toFixed(2);
+        const amountLabel = form.amount ? `$${form.amount}` : `the full $${refundable}`;
+
+        if (!form.reason.trim()) {
+            setMessage({ type: 'error', text: 'A refund reason is required.' });
+            return;
+        }
+        if (!window.confirm(`Refund ${amountLabel} to ${payment.customer_email}?`)) {
+            return;
+        }
+
+        setRefundingId(payment.payment_id);
+        setMessage(null);
+
+        try {
+            const response = await fetch(`${ADMIN_API}/payments/${payment.payment_id}/refund`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    amount: form.amount || undefined,
+                    reason: form.reason.trim()
+                })
+            });
+            if (redirectIfSignedOut(response)) return;
+
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.message || 'Refund failed');
+            }
+
+            setMessage({ type: 'success', text: `Refunded $${data.refund.amount} on order ${payment.order_id}.` });
+            setRefundForms(prev => ({ ...prev, [payment.payment_id]: { amount: "", reason: "" } }));
+            await fetchPayments();
+        } catch (error) {
+            setMessage({ type: 'error', text: error instanceof Error ? error.message : 'Refund failed' });
+        } finally {
+            setRefundingId(null);
+        }
+    };
+
+    const handleSignOut = async () => {
+        await fetch('/api/admin/logout', { method: 'POST' });
+        router.replace('/admin/login');
+    };
+
+    const mayRefund = admin !== null && REFUND_ROLES.includes(admin.role);
+    const mayReplay = admin !== null && REPLAY_ROLES.includes(admin.role);
+
     if (loading) {
         return <div className="p-8">Loading payments...</div>;
     }
 
     return (
         <div className="p-8">
-            <h1 className="text-2xl font-bold mb-6">Payment Records</h1>
+            <div className="flex items-center justify-between mb-6">
+                <h1 className="text-2xl font-bold">Payment Records</h1>
+                {admin && (
+                    <div className="flex items-center gap-3 text-sm text-gray-600">
+                        <span>{admin.name} ({admin.role})</span>
+                        <button
+                            type="button"
+                            onClick={handleSignOut}
+                            className="px-3 py-1 rounded border text-sm hover:bg-gray-50"
+                        >
+                            Sign out
+                        </button>
+                    </div>
+                )}
+            </div>
+
+            {message && (
+                <div className={`mb-6 p-3 rounded text-sm ${message.type === 'success' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+                    {message.text}
+                </div>
+            )}
+
+            {captures.length > 0 && (
+                <div className="mb-8 border border-orange-300 rounded-lg p-6 bg-orange-50">
+                    <h2 className="text-lg font-semibold mb-1">Undelivered captures</h2>
+                    <p className="text-sm text-gray-600 mb-4">
+                        These customers paid, but their order has not been stored yet. Pending ones are retried automatically; dead-lettered ones need a replay.
+                    </p>
+                    <div className="space-y-3">
+                        {captures.map((capture) => (
+                            <div key={capture.orderId} className="bg-white border rounded p-4 flex flex-col md:flex-row md:items-center gap-3">
+                                <div className="flex-1 text-sm">
+                                    <p className="font-semibold">
+                                        {capture.orderId}
+                                        <span className={`ml-2 px-2 py-1 rounded text-xs ${capture.status === 'dead' ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'}`}>
+                                            {capture.status === 'dead' ? 'dead-lettered' : 'retrying'}
+                                        </span>
+                                    </p>
+                                    <p className="text-gray-600">{capture.customerName} {capture.customerEmail} - {capture.packageId} - {capture.provider === 'stripe' ? 'Stripe' : 'PayPal'} - captured {new Date(capture.createdAt).toLocaleString()}</p>
+                                    <p className="text-gray-500">
+                                        {capture.attempts} attempts
+                                        {capture.status === 'pending' && capture.attempts > 0 && `, next ${new Date(capture.nextAttemptAt).toLocaleTimeString()}`}
+                                        {capture.lastError && ` - last error: ${capture.lastError}`}
+                                    </p>
+                                </div>
+                                {mayReplay && (
+                                    <button
+                                        type="button"
+                                        onClick={() => handleReplay(capture)}
+                                        disabled={replayingId === capture.orderId}
+                                        className="px-4 py-2 rounded bg-orange-600 text-white text-sm font-semibold hover:bg-orange-700 disabled:opacity-50"
+                                    >
+                                        {replayingId === capture.orderId ? 'Replaying...' : 'Replay'}
+                                    </button>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
 
             {payments.length === 0 ? (
                 <p>No payments found.</p>
             ) : (
                 <div className="space-y-6">
-                    {payments.map((payment) => (
-                        <div key={payment.id} className="border rounded-lg p-6 bg-white shadow-sm">
-                            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
-                                <div>
-                                    <h3 className="font-semibold text-gray-600">Order ID</h3>
-                                    <p className="text-sm">{payment.order_id}</p>
-                                </div>
-                                <div>
-                                    <h3 className="font-semibold text-gray-600">Amount</h3>
-                                    <p className="text-sm">${payment.amount} {payment.currency}</p>
-                                </div>
-                                <div>
-                                    <h3 className="font-semibold text-gray-600">Package</h3>
-                                    <p className="text-sm">{payment.package_name}</p>
-                                </div>
-                                <div>
-                                    <h3 className="font-semibold text-gray-600">Date</h3>
-                                    <p className="text-sm">{new Date(payment.created_at).toLocaleDateString()}</p>
-                                </div>
-                            </div>
+                    {payments.map((payment) => {
+                        const refundable = parseFloat(payment.amount) - parseFloat(payment.refunded_amount || "0");
+                        const canRefund = mayRefund && (payment.status === 'completed' || payment.status === 'partially_refunded') && refundable > 0;
+                        const form = refundForms[payment.payment_id] || { amount: "", reason: "" };
 
-                            <div className="grid grid-cols-2 gap-4 mb-4">
-                                <div>
-                                    <h3 className="font-semibold text-gray-600">Customer</h3>
-                                    <p className="text-sm">{payment.customer_name}</p>
-                                    <p className="text-sm text-gray-500">{payment.customer_email}</p>
-                                </div>
-                                <div>
-                                    <h3 className="font-semibold text-gray-600">Status</h3>
-                                    <span className={`px-2 py-1 rounded text-xs ${payment.status === 'completed' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
-                                        }`}>
-                                        {payment.status}
-                                    </span>
+                        return (
+                            <div key={payment.payment_id} className="border rounded-lg p-6 bg-white shadow-sm">
+                                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+                                    <div>
+                                        <h3 className="font-semibold text-gray-600">Order ID</h3>
+                                        <p className="text-sm">{payment.order_id} ({payment.provider === 'stripe' ? 'Stripe' : 'PayPal'})</p>
+                                    </div>
+                                    <div>
+                                        <h3 className="font-semibold text-gray-600">Amount</h3>
+                                        <p className="text-sm">${payment.amount} {payment.currency}</p>
+                                        {parseFloat(payment.refunded_amount || "0") > 0 && (
+                                            <p className="text-xs text-red-600">Refunded ${payment.refunded_amount}</p>
+                                        )}
+                                    </div>
+                                    <div>
+                                        <h3 className="font-semibold text-gray-600">Package</h3>
+                                        <p className="text-sm">{payment.package_name}</p>
+                                    </div>
+                                    <div>
+                                        <h3 className="font-semibold text-gray-600">Date</h3>
+                                        <p className="text-sm">{new Date(payment.payment_created_at).toLocaleDateString()}</p>
+                                    </div>
                                 </div>
-                            </div>
 
-                            {payment.onboarding_data && (
-                                <div className="border-t pt-4">
-                                    <h3 className="font-semibold text-gray-600 mb-2">Onboarding Data</h3>
-                                    <div className="bg-gray-50 p-4 rounded text-sm">
-                                        <pre className="whitespace-pre-wrap">{JSON.stringify(payment.onboarding_data, null, 2)}</pre>
+                                <div className="grid grid-cols-2 gap-4 mb-4">
+                                    <div>
+                                        <h3 className="font-semibold text-gray-600">Customer</h3>
+                                        <p className="text-sm">{payment.customer_name}</p>
+                                        <p className="text-sm text-gray-500">{payment.customer_email}</p>
+                                    </div>
+                                    <div>
+                                        <h3 className="font-semibold text-gray-600">Status</h3>
+                                        <span className={`px-2 py-1 rounded text-xs ${statusClasses[payment.status] || 'bg-yellow-100 text-yellow-800'}`}>
+                                            {payment.status}
+                                        </span>
+                                        {payment.needs_photos && (
+                                            <span className="ml-2 px-2 py-1 rounded text-xs bg-orange-100 text-orange-800">
+                                                needs photos
+                                            </span>
+                                        )}
                                     </div>
                                 </div>
-                            )}
-                        </div>
-                    ))}
+
+                                {canRefund && (
+                                    <div className="border-t pt-4 flex flex-col md:flex-row gap-3 md:items-center">
+                                        <input
+                                            type="number"
+                                            min="0.01"
+                                            step="0.01"
+                                            max={refundable.toFixed(2)}
+                                            placeholder={`Amount (max ${refundable.toFixed(2)})`}
+                                            value={form.amount}
+                                            onChange={(e) => updateRefundForm(payment.payment_id, 'amount', e.target.value)}
+                                            className="border rounded px-3 py-2 text-sm md:w-48"
+                                        />
+                                        <input
+                                            type="text"
+                                            placeholder="Reason"
+                                            value={form.reason}
+                                            onChange={(e) => updateRefundForm(payment.payment_id, 'reason', e.target.value)}
+                                            className="border rounded px-3 py-2 text-sm flex-1"
+                                        />
+                                        <button
+                                            type="button"
+                                            onClick={() => handleRefund(payment)}
+                                            disabled={refundingId === payment.payment_id}
+                                            className="px-4 py-2 rounded bg-red-600 text-white text-sm font-semibold hover:bg-red-700 disabled:opacity-50"
+                                        >
+                                            {refundingId === payment.payment_id ? 'Refunding...' : form.amount ? 'Partial refund' : 'Full refund'}
+                                        </button>
+                                    </div>
+                                )}
+                            </div>
+                        );
+                    })}
                 </div>
             )}
         </div>
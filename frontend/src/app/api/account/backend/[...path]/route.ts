@@ -0,0 +1,51 @@
+import { NextRequest, NextResponse } from "next/server";
+import { backendUrl } from "@/lib/backend";
+import { CUSTOMER_COOKIE } from "@/lib/account";
+
+export const runtime = "nodejs";
+
+// Forwards dashboard requests to the backend's /api/account endpoints with the
+// customer's session token attached, so the token never has to be readable from the browser
+async function proxy(req: NextRequest, { params }: { params: Promise<{ path: string[] }> }) {
+    const { path } = await params;
+    const target = path.map(encodeURIComponent).join("/");
+
+    if (!target.startsWith("account/")) {
+        return NextResponse.json({ success: false, message: "Not found" }, { status: 404 });
+    }
+
+    const token = req.cookies.get(CUSTOMER_COOKIE)?.value;
+    if (!token) {
+        return NextResponse.json({
+            success: false,
+            code: "UNAUTHORIZED",
+            message: "Sign in required"
+        }, { status: 401 });
+    }
+
+    try {
+        const res = await fetch(`${backendUrl()}/api/${target}${req.nextUrl.search}`, {
+            method: req.method,
+            headers: {
+                "Content-Type": "application/json",
+                Authorization: `Bearer ${token}`,
+            },
+            body: req.method === "GET" ? undefined : await req.text(),
+            cache: "no-store",
+        });
+
+        const response = NextResponse.json(await res.json(), { status: res.status });
+        if (res.status === 401) {
+            response.cookies.delete(CUSTOMER_COOKIE);
+        }
+        return response;
+    } catch (error) {
+        console.error('❌ Account proxy request failed:', error);
+        return NextResponse.json({
+            success: false,
+            message: "Backend unavailable"
+        }, { status: 502 });
+    }
+}
+
+export { proxy as GET, proxy as PUT };
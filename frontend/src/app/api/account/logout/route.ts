@@ -0,0 +1,8 @@
+import { NextResponse } from "next/server";
+import { CUSTOMER_COOKIE } from "@/lib/account";
+
+export async function POST() {
+    const response = NextResponse.json({ success: true });
+    response.cookies.delete(CUSTOMER_COOKIE);
+    return response;
+}
@@ -0,0 +1,45 @@
+import { NextRequest, NextResponse } from "next/server";
+import { backendUrl } from "@/lib/backend";
+import { CUSTOMER_COOKIE } from "@/lib/account";
+
+export const runtime = "nodejs";
+
+// Exchanges a login link token for a backend session and keeps it out of reach of page scripts
+export async function POST(req: NextRequest) {
+    try {
+        const { token } = await req.json();
+
+        const res = await fetch(`${backendUrl()}/api/account/verify`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ token }),
+            cache: "no-store",
+        });
+        const data = await res.json();
+
+        if (!res.ok || !data.success) {
+            return NextResponse.json({
+                success: false,
+                code: data.code,
+                message: data.message || "Sign in failed"
+            }, { status: res.status === 200 ? 502 : res.status });
+        }
+
+        const response = NextResponse.json({ success: true, customer: data.customer });
+        response.cookies.set(CUSTOMER_COOKIE, data.token, {
+            httpOnly: true,
+            secure: process.env.NODE_ENV === "production",
+            // Lax so the cookie is sent when the customer follows a link from their email
+            sameSite: "lax",
+            path: "/",
+            maxAge: data.expiresIn,
+        });
+        return response;
+    } catch (error) {
+        console.error('❌ Customer login failed:', error);
+        return NextResponse.json({
+            success: false,
+            message: "Sign in is unavailable, please try again"
+        }, { status: 502 });
+    }
+}
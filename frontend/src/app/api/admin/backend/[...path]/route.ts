@@ -0,0 +1,54 @@
+import { NextRequest, NextResponse } from "next/server";
+import { backendUrl } from "@/lib/backend";
+import { ADMIN_COOKIE } from "@/lib/admin-auth";
+
+export const runtime = "nodejs";
+
+// Staff API surfaces the admin pages may reach through this proxy
+const ALLOWED_PREFIXES = ["admin/", "payments/"];
+
+// Forwards admin page requests to the backend with the session token attached,
+// so the token never has to be readable from the browser
+async function proxy(req: NextRequest, { params }: { params: Promise<{ path: string[] }> }) {
+    const { path } = await params;
+    const target = path.map(encodeURIComponent).join("/");
+
+    if (!ALLOWED_PREFIXES.some((prefix) => target.startsWith(prefix))) {
+        return NextResponse.json({ success: false, message: "Not found" }, { status: 404 });
+    }
+
+    const token = req.cookies.get(ADMIN_COOKIE)?.value;
+    if (!token) {
+        return NextResponse.json({
+            success: false,
+            code: "UNAUTHORIZED",
+            message: "Sign in required"
+        }, { status: 401 });
+    }
+
+    try {
+        const res = await fetch(`${backendUrl()}/api/${target}${req.nextUrl.search}`, {
+            method: req.method,
+            headers: {
+                "Content-Type": "application/json",
+                Authorization: `Bearer ${token}`,
+            },
+            body: req.method === "GET" ? undefined : await req.text(),
+            cache: "no-store",
+        });
+
+        const response = NextResponse.json(await res.json(), { status: res.status });
+        if (res.status === 401) {
+            response.cookies.delete(ADMIN_COOKIE);
+        }
+        return response;
+    } catch (error) {
+        console.error('❌ Admin proxy request failed:', error);
+        return NextResponse.json({
+            success: false,
+            message: "Backend unavailable"
+        }, { status: 502 });
+    }
+}
+
+export { proxy as GET, proxy as POST };
@@ -0,0 +1,42 @@
+import { NextRequest, NextResponse } from "next/server";
+import { requireStaff } from "@/lib/admin-session";
+import { REPLAY_ROLES } from "@/lib/admin-auth";
+import { replayCapture, summarizeCapture } from "@/lib/capture-outbox";
+
+export const runtime = "nodejs";
+
+// Send a captured order to the backend again, now
+export async function POST(
+    req: NextRequest,
+    { params }: { params: Promise<{ orderId: string }> }
+) {
+    const session = await requireStaff(req, REPLAY_ROLES);
+    if ("response" in session) return session.response;
+
+    try {
+        const { orderId } = await params;
+        const outcome = await replayCapture(orderId);
+
+        if (!outcome) {
+            return NextResponse.json({
+                success: false,
+                code: "CAPTURE_NOT_FOUND",
+                message: "This order is not waiting to be stored"
+            }, { status: 404 });
+        }
+        if (!outcome.delivered) {
+            return NextResponse.json({
+                success: false,
+                code: "DELIVERY_FAILED",
+                message: outcome.entry.lastError || "The backend did not store the order",
+                capture: summarizeCapture(outcome.entry)
+            }, { status: 502 });
+        }
+
+        console.log(`✅ Captured order ${orderId} replayed by ${session.admin.email}`);
+        return NextResponse.json({ success: true, orderId, paymentId: outcome.result.paymentId });
+    } catch (error) {
+        console.error('❌ Failed to replay capture:', error);
+        return NextResponse.json({ success: false, message: "Failed to replay capture" }, { status: 500 });
+    }
+}
@@ -0,0 +1,19 @@
+import { NextRequest, NextResponse } from "next/server";
+import { requireStaff } from "@/lib/admin-session";
+import { listCaptures, summarizeCapture } from "@/lib/capture-outbox";
+
+export const runtime = "nodejs";
+
+// Paid orders the backend has not stored yet - waiting for a retry or dead-lettered
+export async function GET(req: NextRequest) {
+    const session = await requireStaff(req);
+    if ("response" in session) return session.response;
+
+    try {
+        const captures = (await listCaptures()).map(summarizeCapture);
+        return NextResponse.json({ success: true, captures });
+    } catch (error) {
+        console.error('❌ Failed to list captures:', error);
+        return NextResponse.json({ success: false, message: "Failed to list captures" }, { status: 500 });
+    }
+}
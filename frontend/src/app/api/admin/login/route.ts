@@ -0,0 +1,44 @@
+import { NextRequest, NextResponse } from "next/server";
+import { backendUrl, forwardedFor } from "@/lib/backend";
+import { ADMIN_COOKIE } from "@/lib/admin-auth";
+
+export const runtime = "nodejs";
+
+// Exchanges staff credentials for a backend token and keeps it out of reach of page scripts
+export async function POST(req: NextRequest) {
+    try {
+        const { email, password } = await req.json();
+
+        const res = await fetch(`${backendUrl()}/api/admin/login`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", ...forwardedFor(req) },
+            body: JSON.stringify({ email, password }),
+            cache: "no-store",
+        });
+        const data = await res.json();
+
+        if (!res.ok || !data.success) {
+            return NextResponse.json({
+                success: false,
+                code: data.code,
+                message: data.message || "Sign in failed"
+            }, { status: res.status === 200 ? 502 : res.status });
+        }
+
+        const response = NextResponse.json({ success: true, admin: data.admin });
+        response.cookies.set(ADMIN_COOKIE, data.token, {
+            httpOnly: true,
+            secure: process.env.NODE_ENV === "production",
+            sameSite: "strict",
+            path: "/",
+            maxAge: data.expiresIn,
+        });
+        return response;
+    } catch (error) {
+        console.error('❌ Admin login failed:', error);
+        return NextResponse.json({
+            success: false,
+            message: "Sign in is unavailable, please try again"
+        }, { status: 502 });
+    }
+}
@@ -0,0 +1,34 @@
+import { NextRequest, NextResponse } from "next/server";
+import { backendUrl } from "@/lib/backend";
+
+export const runtime = "nodejs";
+
+// Unsubscribes from weekly tips. The /unsubscribe page posts { token }; mail clients
+// doing a one-click unsubscribe (List-Unsubscribe-Post) post to ?token=... instead.
+export async function POST(req: NextRequest) {
+    try {
+        const isJson = req.headers.get("content-type")?.includes("application/json");
+        const body = isJson ? await req.json().catch(() => ({})) : {};
+        const token = body.token || req.nextUrl.searchParams.get("token");
+
+        const res = await fetch(`${backendUrl()}/api/newsletter/unsubscribe`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ token }),
+            cache: "no-store",
+        });
+        const data = await res.json();
+
+        return NextResponse.json({
+            success: Boolean(res.ok && data.success),
+            code: data.code,
+            message: data.message
+        }, { status: res.status });
+    } catch (error) {
+        console.error('❌ Unsubscribe failed:', error);
+        return NextResponse.json({
+            success: false,
+            message: "Unsubscribing is unavailable, please try again"
+        }, { status: 502 });
+    }
+}
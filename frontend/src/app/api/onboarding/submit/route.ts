@@ -1,12 +1,7 @@
 import { NextRequest, NextResponse } from 'next/server';
+import { backendUrl } from '@/lib/backend';
+import { uploadPhotos } from '@/lib/uploads';
 
-// Helper function to convert File to base64
-async function fileToBase64(file: File): Promise<string> {
-    const bytes = await file.arrayBuffer();
-    const buffer = Buffer.from(bytes);
-    return buffer.toString('base64');
-}
-//sdfsfsd
 export async function POST(request: NextRequest) {
     try {
         console.log('📝 ONBOARDING SUBMIT ROUTE CALLED - Processing real form data');
@@ -27,43 +22,15 @@ export async function POST(request: NextRequest) {
         const phone = formData.get('phone') as string;
         const weeklyTips = formData.get('weeklyTips') === 'true';
 
-        // Handle original photos
-        const originalPhotos = formData.getAll('originalPhotos') as File[];
-        const originalPhotoUrls: string[] = [];
-
-        // Handle screenshot photos
-        const screenshotPhotos = formData.getAll('screenshotPhotos') as File[];
-        const screenshotPhotoUrls: string[] = [];
-
-        // Convert original photos to base64
-        console.log(`Converting ${originalPhotos.length} original photos to base64...`);
-        for (const photo of originalPhotos) {
-            if (photo instanceof File) {
-                try {
-                    const base64Data = await fileToBase64(photo);
-                    originalPhotoUrls.push(base64Data);
-                    console.log(`Converted original photo: ${photo.name}`);
-                } catch (error) {
-                    console.error('Error converting original photo:', error);
-                    throw new Error(`Failed to convert original photo: ${photo.name}`);
-                }
-            }
-        }
+        // Photos go straight to storage - only their IDs are sent with the order
+        const originalPhotos = formData.getAll('originalPhotos').filter((photo): photo is File => photo instanceof File);
+        const screenshotPhotos = formData.getAll('screenshotPhotos').filter((photo): photo is File => photo instanceof File);
 
-        // Convert screenshot photos to base64
-        console.log(`Converting ${screenshotPhotos.length} screenshot photos to base64...`);
-        for (const screenshot of screenshotPhotos) {
-            if (screenshot instanceof File) {
-                try {
-                    const base64Data = await fileToBase64(screenshot);
-                    screenshotPhotoUrls.push(base64Data);
-                    console.log(`Converted screenshot: ${screenshot.name}`);
-                } catch (error) {
-                    console.error('Error converting screenshot:', error);
-                    throw new Error(`Failed to convert screenshot: ${screenshot.name}`);
-                }
-            }
-        }
+        console.log(`Uploading ${originalPhotos.length} original photos and ${screenshotPhotos.length} screenshots...`);
+        const { uploadToken, photoIds } = await uploadPhotos([
+            ...originalPhotos.map((file) => ({ file, kind: 'photo' as const })),
+            ...screenshotPhotos.map((file) => ({ file, kind: 'screenshot' as const }))
+        ], email);
 
         // Prepare data for backend
         const submissionData = {
@@ -78,22 +45,21 @@ export async function POST(request: NextRequest) {
             currentBio,
             email,
             phone,
-            weeklyTips,
-            originalPhotos: originalPhotoUrls,
-            screenshotPhotos: screenshotPhotoUrls
+            weeklyTips
         };
 
         console.log('📊 Real submission data processed:', {
             name: submissionData.name,
             email: submissionData.email,
-            originalPhotos: submissionData.originalPhotos.length,
-            screenshots: submissionData.screenshotPhotos.length
+            originalPhotos: originalPhotos.length,
+            screenshots: screenshotPhotos.length
         });
 
 
         // Send to backend API using payments endpoint (since onboarding endpoint doesn't exist)
-        const backendUrl = 'https://efficient-cooperation-production-a90a.up.railway.app';
-        console.log('🔗 Sending real data to backend:', backendUrl);
+        // Same backend that holds the upload session
+        const backend = backendUrl();
+        console.log('🔗 Sending real data to backend:', backend);
 
         // Create a payment request with real onboarding data
         const paymentData = {
@@ -105,15 +71,16 @@ export async function POST(request: NextRequest) {
             packageName: "Most Attention",
             customerEmail: submissionData.email,
             customerName: submissionData.name,
-            status: "completed",
-            onboardingData: submissionData
+            onboardingData: submissionData,
+            uploadToken,
+            photoIds
         };
 
         console.log('📤 Sending real payment data:', paymentData);
 
-        console.log('🚀 About to make fetch request to:', `${backendUrl}/api/payments/store`);
+        console.log('🚀 About to make fetch request to:', `${backend}/api/payments/store`);
 
-        const response = await fetch(`${backendUrl}/api/payments/store`, {
+        const response = await fetch(`${backend}/api/payments/store`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -141,8 +108,8 @@ export async function POST(request: NextRequest) {
             message: 'Onboarding data sent to backend successfully',
             backendResponse: result,
             data: {
-                originalPhotos: submissionData.originalPhotos.length,
-                screenshots: submissionData.screenshotPhotos.length
+                originalPhotos: originalPhotos.length,
+                screenshots: screenshotPhotos.length
             }
         });
 
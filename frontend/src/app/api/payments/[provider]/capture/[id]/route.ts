@@ -0,0 +1,89 @@
+import { NextRequest, NextResponse } from "next/server";
+import { getPaymentProvider, isPaymentProvider } from "@/lib/payment-providers";
+import { recordCapture, deliverCapture } from "@/lib/capture-outbox";
+import { forwardedFor } from "@/lib/backend";
+
+export const runtime = "nodejs";
+
+export async function POST(
+    req: NextRequest,
+    { params }: { params: Promise<{ provider: string; id: string }> }
+) {
+    try {
+        const { provider: providerId, id } = await params;
+        if (!isPaymentProvider(providerId)) {
+            return NextResponse.json({
+                success: false,
+                error: "Unknown provider",
+                message: `Unknown payment provider: ${providerId}`
+            }, { status: 404 });
+        }
+        const provider = getPaymentProvider(providerId);
+        console.log(`🔍 Capturing ${providerId} order:`, id);
+
+        // The questionnaire the order is stored with: { packageId, customerEmail, customerName, onboardingData, uploadToken, photoIds }
+        const requestBody = await req.json().catch(() => ({}));
+
+        const captured = await provider.capture(id, forwardedFor(req));
+
+        if (!captured.ok) {
+            console.error('❌ Payment capture failed:', captured.error);
+            return NextResponse.json({
+                success: false,
+                error: captured.error,
+                message: "Failed to capture payment"
+            }, { status: captured.status });
+        }
+
+        console.log('✅ Payment captured successfully:', id);
+
+        // The customer has paid: keep the order in the outbox before handing it to the backend,
+        // so it is retried (and shows up for staff) if storing it fails
+        const {
+            packageId,
+            customerEmail,
+            customerName,
+            onboardingData,
+            uploadToken,
+            photoIds
+        } = requestBody;
+
+        const payload = {
+            provider: provider.id,
+            orderId: id,
+            // The backend looks the payment up by order ID when the provider has no capture ID here
+            paymentId: captured.paymentId || id,
+            packageId: captured.packageId || packageId,
+            customerEmail: customerEmail || onboardingData?.email || captured.payerEmail || "",
+            customerName: customerName || onboardingData?.name || "",
+            onboardingData: onboardingData || {},
+            uploadToken,
+            photoIds
+        };
+
+        try {
+            await recordCapture(payload);
+        } catch (outboxError) {
+            // Last resort - the log line carries everything staff need to store the order by hand
+            console.error('❌ Failed to write capture to the outbox:', outboxError, JSON.stringify(payload));
+            return NextResponse.json({ success: true, capture: captured.details, stored: false });
+        }
+
+        const outcome = await deliverCapture(id);
+
+        return NextResponse.json({
+            success: true,
+            capture: captured.details,
+            // false when the order is still in the outbox - it is stored on a later attempt
+            stored: outcome?.delivered === true,
+            ...(outcome?.delivered && { payment: outcome.result })
+        });
+    } catch (error) {
+        console.error('❌ Payment capture error:', error);
+        return NextResponse.json({
+            success: false,
+            error: error instanceof Error ? error.message : "Unknown error",
+            message: "Payment capture failed"
+        }, { status: 500 });
+    }
+}
@@ -0,0 +1,90 @@
+import { NextRequest, NextResponse } from "next/server";
+import { backendUrl, forwardedFor } from "@/lib/backend";
+import { isPaymentProvider } from "@/lib/payment-providers";
+
+export const runtime = "nodejs";
+
+// Start a checkout with a payment provider - body: { packageId, onboardingData }.
+// Only the package is taken from the client: the backend prices the order from the catalog,
+// creates it with the provider and keeps the questionnaire draft in case the customer drops off.
+// Responds with the order ID the provider's buttons approve, the token that cancels the
+// checkout and, for Stripe, the client secret the Payment Element confirms.
+// The API rate limits checkouts per client, so the browser's address is passed on.
+export async function POST(
+    req: NextRequest,
+    { params }: { params: Promise<{ provider: string }> }
+) {
+    const { provider } = await params;
+    if (!isPaymentProvider(provider)) {
+        return NextResponse.json({
+            success: false,
+            error: "Unknown provider",
+            message: `Unknown payment provider: ${provider}`
+        }, { status: 404 });
+    }
+
+    let requestBody;
+    try {
+        requestBody = await req.json();
+    } catch (jsonError) {
+        console.error('❌ Failed to parse request body:', jsonError);
+        return NextResponse.json({
+            success: false,
+            error: "Invalid JSON in request body",
+            message: "Request body must be valid JSON"
+        }, { status: 400 });
+    }
+
+    const { packageId, onboardingData } = requestBody;
+    if (!packageId) {
+        return NextResponse.json({
+            success: false,
+            error: "Missing packageId",
+            message: "A package must be selected"
+        }, { status: 400 });
+    }
+
+    try {
+        console.log('🔍 Starting checkout:', { provider, packageId });
+
+        const intentRes = await fetch(`${backendUrl()}/api/checkout/intents`, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                ...forwardedFor(req),
+                ...(req.headers.get("Idempotency-Key") && { "Idempotency-Key": req.headers.get("Idempotency-Key") as string }),
+            },
+            body: JSON.stringify({ provider, packageId, onboardingData }),
+            cache: "no-store",
+        });
+        const intent = await intentRes.json().catch(() => ({}));
+
+        if (!intentRes.ok || !intent.success) {
+            console.error('❌ Checkout could not be started:', intent);
+            return NextResponse.json({
+                success: false,
+                error: intent.code || intentRes.statusText,
+                message: intent.message || `Checkout failed: ${intentRes.status}`
+            }, { status: intentRes.ok ? 502 : intentRes.status });
+        }
+
+        console.log('✅ Checkout started:', intent.orderId);
+
+        return NextResponse.json({
+            success: true,
+            provider: intent.provider,
+            orderId: intent.orderId,
+            clientSecret: intent.clientSecret,
+            checkoutToken: intent.checkoutToken,
+            amount: intent.amount,
+            currency: intent.currency
+        });
+    } catch (error) {
+        console.error('❌ Checkout error:', error);
+        return NextResponse.json({
+            success: false,
+            error: error instanceof Error ? error.message : "Unknown error",
+            message: "Checkout could not be started"
+        }, { status: 500 });
+    }
+}
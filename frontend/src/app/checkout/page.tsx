@@ -1,9 +1,8 @@
 "use client";
 
-import { useState, useEffect, Suspense } from "react";
+import { useState, useEffect, useRef, Suspense } from "react";
 import { useSearchParams, useRouter } from "next/navigation";
 import { Button } from "@/components/ui/button";
-import { Input } from "@/components/ui/input";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { Separator } from "@/components/ui/separator";
@@ -21,61 +20,11 @@ import {
 import Link from "next/link";
 import { usePackage } from "@/contexts/PackageContext";
 import SimplePayPalCheckout from "@/components/SimplePayPalCheckout";
-
-// Dodo Payment Configuration
-const DODO_PAYMENT_URL = process.env.NEXT_PUBLIC_DODO_PAYMENT_URL || "https://api.dodo.com/payments";
-
-interface Package {
-  id: string;
-  name: string;
-  originalPrice: number;
-  price: number;
-  features: string[];
-  popular?: boolean;
-}
-
-const packages: Package[] = [
-  {
-    id: "get-noticed",
-    name: "Get Noticed",
-    originalPrice: 99,
-    price: 37,
-    features: [
-      "5 enhanced photos",
-      "3 style variations",
-      "Basic bio tips",
-      "Private and secure"
-    ],
-  },
-  {
-    id: "most-matches",
-    name: "Most Attention",
-    originalPrice: 199,
-    price: 69,
-    features: [
-      "10 enhanced photos",
-      "6 style variations",
-      "Bio optimization",
-      "Profile strategy guide",
-      "Private and secure"
-    ],
-    popular: true,
-  },
-  {
-    id: "date-ready",
-    name: "Complete Makeover",
-    originalPrice: 199,
-    price: 97,
-    features: [
-      "20 enhanced photos",
-      "10 style variations",
-      "Complete profile makeover",
-      "Bio optimization",
-      "Message templates",
-      "Private and secure"
-    ],
-  },
-];
+import StripeCheckout, { STRIPE_PUBLISHABLE_KEY } from "@/components/StripeCheckout";
+import { usePackages } from "@/hooks/use-packages";
+import { DEFAULT_PACKAGE_ID, formatPrice, Package } from "@/lib/packages";
+import { resumeCheckout, completeStripeRedirect } from "@/lib/checkout";
+import type { PaymentProviderId } from "@/lib/payment-providers";
 
 const testimonials = [
   {
@@ -106,110 +55,48 @@ interface PaymentFormProps {
 }
 
 function PaymentForm({ selectedPackage, onPaymentSuccess, showNotification, onboardingFormData }: PaymentFormProps) {
-  const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState<string | null>(null);
-  const [cardNumber, setCardNumber] = useState("");
-  const [expiryDate, setExpiryDate] = useState("");
-  const [cvv, setCvv] = useState("");
-  const [zipCode, setZipCode] = useState("");
-  const [email, setEmail] = useState("");
-
-  // Format card number with spaces
-  const formatCardNumber = (value: string) => {
-    const v = value.replace(/\s+/g, '').replace(/[^0-9]/gi, '');
-    const matches = v.match(/\d{4,16}/g);
-    const match = matches && matches[0] || '';
-    const parts = [];
-    for (let i = 0, len = match.length; i < len; i += 4) {
-      parts.push(match.substring(i, i + 4));
-    }
-    if (parts.length) {
-      return parts.join(' ');
-    } else {
-      return v;
-    }
-  };
-
-  // Format expiry date
-  const formatExpiryDate = (value: string) => {
-    const v = value.replace(/\s+/g, '').replace(/[^0-9]/gi, '');
-    if (v.length >= 2) {
-      return v.substring(0, 2) + '/' + v.substring(2, 4);
-    }
-    return v;
-  };
-
-  const handleSubmit = async (event: React.FormEvent) => {
-    event.preventDefault();
-
-    // Basic validation
-    if (!cardNumber || !expiryDate || !cvv || !zipCode || !email) {
-      setError("All fields are required");
-      return;
-    }
-
-    setIsLoading(true);
-    setError(null);
-
-    try {
-      // Create payment data for Dodo
-      const paymentData = {
-        amount: selectedPackage.price * 100, // Convert to cents
-        currency: 'usd',
-        packageId: selectedPackage.id,
-        packageName: selectedPackage.name,
-        cardNumber: cardNumber.replace(/\s/g, ''),
-        expiryDate,
-        cvv,
-        zipCode,
-        email,
-        metadata: {
-          packageId: selectedPackage.id,
-          packageName: selectedPackage.name,
-          originalPrice: selectedPackage.originalPrice,
-          price: selectedPackage.price
-        }
-      };
-
-      // Call Dodo payment API
-      const response = await fetch('/api/dodo/create-payment', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(paymentData)
-      });
-
-      const result = await response.json();
-
-      if (result.success) {
-        // Payment successful
-        onPaymentSuccess();
-      } else {
-        setError(result.error || "Payment failed. Please try again.");
-      }
-    } catch (err) {
-      console.error('Payment error:', err);
-      setError("Payment failed. Please try again.");
-    }
-
-    setIsLoading(false);
-  };
+  // Card payments are offered when Stripe is configured, PayPal always
+  const [provider, setProvider] = useState<PaymentProviderId>("paypal");
 
   return (
     <div className="space-y-6">
-      <SimplePayPalCheckout
-        selectedPackage={selectedPackage}
-        showNotification={showNotification}
-        onPaymentSuccess={onPaymentSuccess}
-        onboardingFormData={onboardingFormData}
-      />
-
-      {error && (
-        <div className="p-3 bg-red-50 border border-red-200 rounded-md">
-          <p className="text-red-600 text-sm">{error}</p>
+      {STRIPE_PUBLISHABLE_KEY && (
+        <div className="grid grid-cols-2 gap-2">
+          {([
+            { id: "paypal", label: "PayPal" },
+            { id: "stripe", label: "Card" },
+          ] as const).map((option) => (
+            <Button
+              key={option.id}
+              type="button"
+              variant="outline"
+              onClick={() => setProvider(option.id)}
+              className={provider === option.id
+                ? "border-[#d4ae36] bg-[#d4ae36]/20 text-white hover:bg-[#d4ae36]/30"
+                : "border-white/20 bg-transparent text-white/70 hover:bg-white/10"}
+            >
+              {option.id === "stripe" && <CreditCard className="w-4 h-4 mr-2" />}
+              {option.label}
+            </Button>
+          ))}
         </div>
       )}
+
+      {provider === "stripe" ? (
+        <StripeCheckout
+          selectedPackage={selectedPackage}
+          showNotification={showNotification}
+          onPaymentSuccess={onPaymentSuccess}
+          onboardingFormData={onboardingFormData}
+        />
+      ) : (
+        <SimplePayPalCheckout
+          selectedPackage={selectedPackage}
+          showNotification={showNotification}
+          onPaymentSuccess={onPaymentSuccess}
+          onboardingFormData={onboardingFormData}
+        />
+      )}
     </div>
   );
 }
@@ -293,14 +180,31 @@ function CheckoutContent() {
   const [showSuccessPopup, setShowSuccessPopup] = useState(false);
   const [countdown, setCountdown] = useState(24 * 60 * 60); // 24 hours in seconds
   const [onboardingFormData, setOnboardingFormData] = useState<any>(null);
+  const [resumedPackageId, setResumedPackageId] = useState<string | null>(null);
 
   const showNotification = (type: 'success' | 'error' | 'info', message: string) => {
     setNotification({ type, message });
     setTimeout(() => setNotification(null), 4000); // Auto-hide after 4 seconds
   };
 
-  // Load onboarding form data from localStorage
+  // Load onboarding form data from localStorage - or, from a resume link, the answers
+  // the customer gave before they left checkout
   useEffect(() => {
+    const resumeToken = searchParams.get('resume');
+    if (resumeToken) {
+      resumeCheckout(resumeToken)
+        .then(({ packageId, onboardingData }) => {
+          setOnboardingFormData(onboardingData);
+          setResumedPackageId(packageId);
+          console.log('✅ CheckoutContent - Resumed checkout for package:', packageId);
+        })
+        .catch((error) => {
+          console.error('❌ CheckoutContent - Error resuming checkout:', error);
+          setNotification({ type: 'error', message: error instanceof Error ? error.message : 'Could not resume your checkout' });
+        });
+      return;
+    }
+
     const storedFormData = localStorage.getItem('onboardingFormData');
     if (storedFormData) {
       try {
@@ -313,7 +217,7 @@ function CheckoutContent() {
     } else {
       console.warn('❌ CheckoutContent - No form data found in localStorage');
     }
-  }, []);
+  }, [searchParams]);
 
   // Countdown timer effect
   useEffect(() => {
@@ -334,24 +238,39 @@ function CheckoutContent() {
     return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
   };
 
-  // Use package from context or fallback to localStorage (client-side only)
+  // Resolve the chosen package (resume link, context, then localStorage) against the server catalog
+  const { packages } = usePackages();
   const [selectedPackage, setSelectedPackageState] = useState<Package | null>(null);
 
   useEffect(() => {
-    if (contextPackage) {
-      setSelectedPackageState(contextPackage);
-    } else {
-      // Fallback to localStorage (client-side only)
-      if (typeof window !== 'undefined') {
-        const packageId = localStorage.getItem('selectedPackage') || "most-matches";
-        const pkg = packages.find(p => p.id === packageId) || packages[1];
-        setSelectedPackageState(pkg);
-      } else {
-        // Default to most-matches package during SSR
-        setSelectedPackageState(packages[1]);
-      }
-    }
-  }, [contextPackage]);
+    if (packages.length === 0) return;
+
+    const packageId = resumedPackageId || contextPackage?.id || localStorage.getItem('selectedPackage') || DEFAULT_PACKAGE_ID;
+    const pkg = packages.find(p => p.id === packageId) ||
+      packages.find(p => p.id === DEFAULT_PACKAGE_ID) ||
+      packages[0];
+    setSelectedPackageState(pkg);
+  }, [resumedPackageId, contextPackage, packages]);
+
+  // Back from a card payment that needed a redirect - store the order once, then carry on
+  // as if the payment had completed in place
+  const stripeRedirectHandled = useRef(false);
+  useEffect(() => {
+    if (stripeRedirectHandled.current || !searchParams.get('payment_intent')) return;
+    stripeRedirectHandled.current = true;
+
+    completeStripeRedirect(searchParams)
+      .then((notice) => {
+        if (!notice) return;
+        showNotification(notice.type, notice.message);
+        handlePaymentSuccess();
+      })
+      .catch((error) => {
+        console.error('❌ CheckoutContent - Error finishing card payment:', error);
+        setNotification({ type: 'error', message: error instanceof Error ? error.message : 'Payment failed. Please try again.' });
+      })
+      .finally(() => router.replace('/checkout'));
+  }, [searchParams]);
 
   const handlePaymentSuccess = async () => {
     console.log('🎉 handlePaymentSuccess called!');
@@ -383,7 +302,7 @@ function CheckoutContent() {
     );
   }
 
-  const savings = selectedPackage.originalPrice - selectedPackage.price;
+  const savings = selectedPackage.originalPrice ? selectedPackage.originalPrice - selectedPackage.price : 0;
 
   return (
     <div className="min-h-screen bg-black text-white relative overflow-hidden">
@@ -547,29 +466,33 @@ function CheckoutContent() {
                 <Separator />
 
                 <div className="space-y-3">
-                  <div className="flex items-center justify-between text-sm">
-                    <span className="text-white/70">Regular Price</span>
-                    <span className="line-through text-white/70">
-                      ${selectedPackage.originalPrice}
-                    </span>
-                  </div>
+                  {selectedPackage.originalPrice && (
+                    <div className="flex items-center justify-between text-sm">
+                      <span className="text-white/70">Regular Price</span>
+                      <span className="line-through text-white/70">
+                        {formatPrice(selectedPackage.originalPrice, selectedPackage.currency)}
+                      </span>
+                    </div>
+                  )}
                   <div className="flex items-center justify-between text-sm">
                     <span className="text-white/70">Today's Price</span>
                     <span className="text-[#d4ae36] font-semibold">
-                      ${selectedPackage.price}
+                      {formatPrice(selectedPackage.price, selectedPackage.currency)}
                     </span>
                   </div>
-                  <div className="flex items-center justify-between text-sm font-medium">
-                    <span className="text-[#d4ae36]">You Save</span>
-                    <span className="text-[#d4ae36]">${savings}</span>
-                  </div>
+                  {savings > 0 && (
+                    <div className="flex items-center justify-between text-sm font-medium">
+                      <span className="text-[#d4ae36]">You Save</span>
+                      <span className="text-[#d4ae36]">{formatPrice(savings, selectedPackage.currency)}</span>
+                    </div>
+                  )}
                 </div>
 
                 <Separator className="bg-white/20" />
 
                 <div className="flex items-center justify-between text-lg font-bold">
                   <span className="text-white">Total</span>
-                  <span className="text-[#d4ae36]">${selectedPackage.price}</span>
+                  <span className="text-[#d4ae36]">{formatPrice(selectedPackage.price, selectedPackage.currency)}</span>
                 </div>
               </CardContent>
             </Card>
@@ -623,7 +546,7 @@ function CheckoutContent() {
 
           <span className="relative z-20 text-white font-bold drop-shadow-lg flex items-center justify-center">
             <Lock className="w-4 h-4 mr-2" />
-            Pay ${selectedPackage.price} Now
+            Pay {formatPrice(selectedPackage.price, selectedPackage.currency)} Now
           </span>
         </button>
       </div>
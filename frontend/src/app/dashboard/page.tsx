@@ -0,0 +1,220 @@
+"use client";
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Loader2, LogOut, Sparkles, Camera } from 'lucide-react';
+import { formatPrice } from '@/lib/packages';
+import {
+  Customer,
+  CustomerOrder,
+  ORDER_STATUS_LABELS,
+  AccountRequestError,
+  accountRequest
+} from '@/lib/account';
+
+const STATUS_STYLES: Partial<Record<CustomerOrder['status'], string>> = {
+  delivered: 'bg-emerald-100 text-emerald-800',
+  revision_requested: 'bg-[#d4ae36]/20 text-gray-900',
+  cancelled: 'bg-gray-200 text-gray-600'
+};
+
+const formatDate = (value: string): string =>
+  new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+export default function DashboardPage() {
+  const router = useRouter();
+  const [customer, setCustomer] = useState<Customer | null>(null);
+  const [orders, setOrders] = useState<CustomerOrder[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [profile, setProfile] = useState({ name: '', phone: '' });
+  const [saving, setSaving] = useState(false);
+  const [profileMessage, setProfileMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
+
+  // An expired or revoked session sends the customer back to sign in
+  const handleError = (err: unknown, fallback: string) => {
+    if (err instanceof AccountRequestError && err.status === 401) {
+      router.replace('/login?next=/dashboard');
+      return null;
+    }
+    return err instanceof Error ? err.message : fallback;
+  };
+
+  useEffect(() => {
+    Promise.all([
+      accountRequest<{ customer: Customer }>('me'),
+      accountRequest<{ orders: CustomerOrder[] }>('orders')
+    ])
+      .then(([me, history]) => {
+        setCustomer(me.customer);
+        setProfile({ name: me.customer.name || '', phone: me.customer.phone || '' });
+        setOrders(history.orders);
+      })
+      .catch((err) => setError(handleError(err, 'Failed to load your account')))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const saveProfile = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSaving(true);
+    setProfileMessage(null);
+
+    try {
+      const data = await accountRequest<{ customer: Customer }>('me', {
+        method: 'PUT',
+        body: JSON.stringify({ name: profile.name, phone: profile.phone })
+      });
+      setCustomer(data.customer);
+      setProfileMessage({ type: 'success', text: 'Profile saved' });
+    } catch (err) {
+      const message = handleError(err, 'Failed to save profile');
+      if (message) setProfileMessage({ type: 'error', text: message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const signOut = async () => {
+    await fetch('/api/account/logout', { method: 'POST' });
+    router.replace('/login');
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <Loader2 className="w-8 h-8 animate-spin text-[#d4ae36]" />
+      </div>
+    );
+  }
+
+  if (error || !customer) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+        <div className="p-4 rounded-lg bg-red-50 text-red-700 text-sm">{error || 'Failed to load your account'}</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="bg-white border-b">
+        <div className="max-w-4xl mx-auto px-4 py-4 flex items-center justify-between gap-4">
+          <div className="min-w-0">
+            <h1 className="text-xl md:text-2xl font-bold text-gray-900 truncate">
+              {customer.name ? `Hi, ${customer.name.split(' ')[0]}` : 'Your account'}
+            </h1>
+            <p className="text-sm text-gray-500 truncate">{customer.email}</p>
+          </div>
+          <Button variant="outline" size="sm" onClick={signOut}>
+            <LogOut className="w-4 h-4 mr-2" />
+            Sign out
+          </Button>
+        </div>
+      </div>
+
+      <div className="max-w-4xl mx-auto px-4 py-8 space-y-8">
+        {/* Orders */}
+        <section>
+          <h2 className="text-xl md:text-2xl font-bold text-gray-900 mb-4">Your orders</h2>
+          {orders.length === 0 ? (
+            <Card className="border-0 shadow-sm">
+              <CardContent className="p-6 text-gray-600">No orders yet.</CardContent>
+            </Card>
+          ) : (
+            <div className="space-y-4">
+              {orders.map((order) => (
+                <Card key={order.paymentId} className="border-0 shadow-sm">
+                  <CardContent className="p-5">
+                    <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                      <div>
+                        <div className="flex flex-wrap items-center gap-2 mb-1">
+                          <span className="font-semibold text-gray-900">{order.packageName}</span>
+                          <Badge className={STATUS_STYLES[order.status] || 'bg-blue-100 text-blue-800'}>
+                            {ORDER_STATUS_LABELS[order.status]}
+                          </Badge>
+                        </div>
+                        <p className="text-sm text-gray-500">
+                          {formatDate(order.createdAt)} · {formatPrice(order.amount, order.currency)} · Order {order.orderId}
+                        </p>
+                        {order.deliveredAt && (
+                          <p className="text-sm text-gray-500">Delivered {formatDate(order.deliveredAt)}</p>
+                        )}
+                        {order.needsPhotos && order.status !== 'delivered' && (
+                          <p className="mt-2 flex items-center gap-2 text-sm text-[#a8891f]">
+                            <Camera className="w-4 h-4" />
+                            We need a few more photos - reply to your confirmation email to send them.
+                          </p>
+                        )}
+                      </div>
+                      {order.deliveryUrl && (
+                        <Button asChild className="bg-[#d4ae36] hover:bg-[#c19d2f] text-black w-full md:w-auto">
+                          <a href={order.deliveryUrl}>
+                            <Sparkles className="w-4 h-4 mr-2" />
+                            View results
+                          </a>
+                        </Button>
+                      )}
+                    </div>
+                  </CardContent>
+                </Card>
+              ))}
+            </div>
+          )}
+        </section>
+
+        {/* Profile */}
+        <section>
+          <Card className="border-0 shadow-sm">
+            <CardHeader>
+              <CardTitle className="text-xl">Profile</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <form onSubmit={saveProfile} className="space-y-4">
+                {profileMessage && (
+                  <div className={`p-3 rounded-lg text-sm ${profileMessage.type === 'success' ? 'bg-emerald-50 text-emerald-800' : 'bg-red-50 text-red-700'}`}>
+                    {profileMessage.text}
+                  </div>
+                )}
+                <div className="space-y-2">
+                  <Label htmlFor="email">Email</Label>
+                  <Input id="email" value={customer.email} disabled />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="name">Name</Label>
+                  <Input
+                    id="name"
+                    required
+                    maxLength={100}
+                    value={profile.name}
+                    onChange={(e) => setProfile({ ...profile, name: e.target.value })}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="phone">Phone (optional)</Label>
+                  <Input
+                    id="phone"
+                    type="tel"
+                    value={profile.phone}
+                    onChange={(e) => setProfile({ ...profile, phone: e.target.value })}
+                  />
+                </div>
+                <Button
+                  type="submit"
+                  disabled={saving}
+                  className="w-full md:w-auto bg-[#d4ae36] hover:bg-[#c19d2f] text-black"
+                >
+                  {saving ? 'Saving...' : 'Save profile'}
+                </Button>
+              </form>
+            </CardContent>
+          </Card>
+        </section>
+      </div>
+    </div>
+  );
+}
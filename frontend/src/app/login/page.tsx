@@ -0,0 +1,89 @@
+"use client";
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent } from '@/components/ui/card';
+import { Mail, Loader2, ArrowLeft } from 'lucide-react';
+import { requestLoginLink } from '@/lib/account';
+
+export default function LoginPage() {
+  const [email, setEmail] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      await requestLoginLink(email);
+      setSent(true);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to send login link');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+      <Card className="w-full max-w-md shadow-lg border-0">
+        <CardContent className="p-8">
+          <div className="w-14 h-14 bg-[#d4ae36] rounded-full flex items-center justify-center mx-auto mb-6">
+            <Mail className="w-7 h-7 text-white" />
+          </div>
+
+          {sent ? (
+            <div className="text-center">
+              <h1 className="text-2xl font-bold text-gray-900 mb-3">Check your inbox</h1>
+              <p className="text-gray-600 mb-6">
+                If <span className="font-semibold">{email}</span> has an order with us, we&apos;ve sent it a sign-in link.
+                The link works for 15 minutes.
+              </p>
+              <Button variant="outline" className="w-full" onClick={() => setSent(false)}>
+                Use a different email
+              </Button>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit}>
+              <h1 className="text-2xl font-bold text-gray-900 mb-2 text-center">Sign in to your account</h1>
+              <p className="text-gray-600 mb-6 text-center">
+                Enter the email you used at checkout and we&apos;ll send you a sign-in link. No password needed.
+              </p>
+
+              {error && (
+                <div className="mb-4 p-3 rounded-lg text-sm bg-red-50 text-red-700">{error}</div>
+              )}
+
+              <Input
+                type="email"
+                placeholder="you@example.com"
+                autoComplete="email"
+                required
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="mb-4 h-12"
+              />
+              <Button
+                type="submit"
+                disabled={submitting}
+                className="w-full h-12 bg-[#d4ae36] hover:bg-[#c19d2f] text-black font-semibold"
+              >
+                {submitting ? <Loader2 className="w-5 h-5 animate-spin" /> : 'Email me a sign-in link'}
+              </Button>
+            </form>
+          )}
+
+          <Link href="/" className="mt-6 flex items-center justify-center gap-2 text-sm text-gray-500 hover:text-gray-700">
+            <ArrowLeft className="w-4 h-4" />
+            Back to homepage
+          </Link>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+"use client";
+
+import { useState, useEffect, useRef, Suspense } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
+import Link from 'next/link';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent } from '@/components/ui/card';
+import { Loader2 } from 'lucide-react';
+
+// Exchanges the token from a login link for a session cookie, then opens the dashboard
+function VerifyLogin() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const [error, setError] = useState<string | null>(null);
+  const started = useRef(false);
+
+  useEffect(() => {
+    // A link works once - never send it twice, even when effects run twice in development
+    if (started.current) return;
+    started.current = true;
+
+    const token = searchParams.get('token');
+    if (!token) {
+      setError('This sign-in link is incomplete. Request a new one below.');
+      return;
+    }
+
+    fetch('/api/account/verify', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token })
+    })
+      .then((response) => response.json())
+      .then((data) => {
+        if (!data.success) {
+          throw new Error(data.message || 'Sign in failed');
+        }
+        router.replace('/dashboard');
+      })
+      .catch((err) => {
+        setError(err instanceof Error ? err.message : 'Sign in failed');
+      });
+  }, [searchParams, router]);
+
+  if (!error) {
+    return (
+      <div className="flex flex-col items-center gap-4 text-gray-600">
+        <Loader2 className="w-8 h-8 animate-spin text-[#d4ae36]" />
+        Signing you in...
+      </div>
+    );
+  }
+
+  return (
+    <Card className="w-full max-w-md shadow-lg border-0">
+      <CardContent className="p-8 text-center">
+        <h1 className="text-2xl font-bold text-gray-900 mb-3">Sign-in link expired</h1>
+        <p className="text-gray-600 mb-6">{error} Sign-in links work once, for 15 minutes.</p>
+        <Button asChild className="w-full bg-[#d4ae36] hover:bg-[#c19d2f] text-black">
+          <Link href="/login">Send a new link</Link>
+        </Button>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default function VerifyLoginPage() {
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+      <Suspense fallback={<Loader2 className="w-8 h-8 animate-spin text-[#d4ae36]" />}>
+        <VerifyLogin />
+      </Suspense>
+    </div>
+  );
+}
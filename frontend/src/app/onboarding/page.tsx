@@ -10,8 +10,23 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
 import { Progress } from "@/components/ui/progress";
 
-import { CheckCircle2, User, Users, Dumbbell, Plane, UtensilsCrossed, Camera, Music, BookOpen, Gamepad2, Heart, Coffee, Mountain, Upload, X, Check, Smartphone, FileText, TrendingUp, Mail, Phone, Clock } from "lucide-react";
+import { type LucideIcon, CheckCircle2, User, Users, Dumbbell, Plane, UtensilsCrossed, Camera, Music, BookOpen, Gamepad2, Heart, Coffee, Mountain, Upload, X, Check, Smartphone, FileText, TrendingUp, Mail, Phone, Clock } from "lucide-react";
 import { trackInitiateCheckout, trackCompleteRegistration, trackFormStep } from "@/lib/metaPixel";
+import { isUsable } from "@/lib/uploads";
+import { usePhotoUploads } from "@/hooks/use-photo-uploads";
+import {
+  ONBOARDING_SCHEMA_VERSION,
+  ageOptions,
+  bodyTypeOptions,
+  currentMatchesOptions,
+  datingGoalOptions,
+  ethnicityOptions,
+  interestsOptions,
+  onboardingLimits,
+  stylePreferenceOptions,
+  vibeOptions,
+  wantMoreOptions
+} from "@/lib/onboarding-schema";
 
 interface OnboardingData {
   name: string;
@@ -34,80 +49,36 @@ interface OnboardingData {
   oneLiner: string;
 }
 
-const datingGoals = [
-  { value: "casual", label: "Casual Dating" },
-  { value: "relationship", label: "Relationship" },
-  { value: "marriage", label: "Marriage" },
-  { value: "hookup", label: "Hookup" }
-];
-
-const matchOptions = [
-  { value: "0-2", label: "0-2 matches" },
-  { value: "3-5", label: "3-5 matches" },
-  { value: "5-10", label: "5-10 matches" },
-  { value: "10+", label: "10+ matches" }
-];
-
-const vibeOptions = [
-  { value: "fitness-lifestyle", label: "🔘 Fitness & Lifestyle" },
-  { value: "career-success", label: "🔘 Career & Success" },
-  { value: "foodie-traveler", label: "🔘 Foodie & Traveler" },
-  { value: "fun-adventurous", label: "🔘 Fun & Adventurous" }
-];
-
-const wantMoreOptions = [
-  { value: "matches", label: "🔘 Matches" },
-  { value: "dates", label: "🔘 Dates" },
-  { value: "serious-connections", label: "🔘 Serious Connections" }
-];
-
-const bodyTypes = [
-  { value: "slim", label: "Slim" },
-  { value: "average-fit", label: "Average / Fit" },
-  { value: "lean-toned", label: "Lean & Toned" },
-  { value: "muscular-athletic", label: "Muscular / Athletic" },
-  { value: "bulky-bodybuilder", label: "Bulky / Bodybuilder" },
-  { value: "chubby-soft", label: "Chubby / Soft" },
-  { value: "plus-size", label: "Plus-size" },
-  { value: "petite", label: "Petite" },
-  { value: "tall-slim", label: "Tall and Slim" },
-  { value: "short-stocky", label: "Short and Stocky" }
-];
-
-const stylePreferences = [
-  { value: "professional", label: "Professional", description: "Business attire, suits, formal wear" },
-  { value: "casual", label: "Casual", description: "Everyday comfort, relaxed style" },
-  { value: "adventurous", label: "Adventurous", description: "Outdoor gear, active lifestyle" },
-  { value: "party", label: "Party", description: "Night out, trendy fashion" }
-];
-
-const ethnicityOptions = [
-  { value: "prefer-not-to-say", label: "Prefer not to say" },
-  { value: "white", label: "White/Caucasian" },
-  { value: "black", label: "Black/African American" },
-  { value: "hispanic", label: "Hispanic/Latino" },
-  { value: "asian", label: "Asian" },
-  { value: "middle-eastern", label: "Middle Eastern" },
-  { value: "native-american", label: "Native American" },
-  { value: "pacific-islander", label: "Pacific Islander" },
-  { value: "mixed", label: "Mixed/Multi-racial" },
-  { value: "other", label: "Other" }
-];
-
-const interestOptions = [
-  { value: "gym", label: "Gym", icon: Dumbbell },
-  { value: "travel", label: "Travel", icon: Plane },
-  { value: "food", label: "Food", icon: UtensilsCrossed },
-  { value: "photography", label: "Photography", icon: Camera },
-  { value: "music", label: "Music", icon: Music },
-  { value: "reading", label: "Reading", icon: BookOpen },
-  { value: "gaming", label: "Gaming", icon: Gamepad2 },
-  { value: "dating", label: "Dating", icon: Heart },
-  { value: "coffee", label: "Coffee", icon: Coffee },
-  { value: "hiking", label: "Hiking", icon: Mountain },
-  { value: "movies", label: "Movies", icon: Camera },
-  { value: "art", label: "Art", icon: BookOpen }
-];
+// Option lists come from the shared onboarding schema; only the icons are local
+const interestIcons: Record<string, LucideIcon> = {
+  gym: Dumbbell,
+  travel: Plane,
+  food: UtensilsCrossed,
+  photography: Camera,
+  music: Music,
+  reading: BookOpen,
+  gaming: Gamepad2,
+  dating: Heart,
+  coffee: Coffee,
+  hiking: Mountain,
+  movies: Camera,
+  art: BookOpen
+};
+
+const interestOptions = interestsOptions.map(option => ({
+  ...option,
+  icon: interestIcons[option.value] || Heart
+}));
+
+const INTEREST_COUNT = onboardingLimits.interests.maxItems;
+
+// Thumbnail border per quality verdict from the upload check
+const photoVerdictBorders: Record<string, string> = {
+  pending: "border-gray-200",
+  pass: "border-green-500",
+  warn: "border-amber-400",
+  fail: "border-red-500"
+};
 
 const goodExamples = [
   {
@@ -150,6 +121,7 @@ function OnboardingContent() {
   const [confirmEmailError, setConfirmEmailError] = useState("");
   const [phoneError, setPhoneError] = useState("");
   const [showGuidelines, setShowGuidelines] = useState(false);
+  const { uploads, upload: uploadFiles, getUploadToken } = usePhotoUploads();
   const [formData, setFormData] = useState<OnboardingData>({
     name: "",
     age: "",
@@ -212,9 +184,17 @@ function OnboardingContent() {
   const isStep2Valid = formData.bodyType !== "" &&
     formData.stylePreference !== "" &&
     formData.ethnicity !== "" &&
-    formData.interests.length === 3;
+    formData.interests.length === INTEREST_COUNT;
+
+  // Only photos that uploaded and passed the quality gate count towards the minimum
+  const usablePhotos = formData.photos.filter(photo => {
+    const asset = uploads.get(photo)?.asset;
+    return asset !== undefined && isUsable(asset);
+  });
+  const photosUploading = formData.photos.some(photo => uploads.get(photo)?.status === "uploading");
+  const screenshotsUploading = formData.screenshots.some(screenshot => uploads.get(screenshot)?.status === "uploading");
 
-  const isStep3Valid = formData.photos.length >= 10;
+  const isStep3Valid = usablePhotos.length >= 10 && !photosUploading;
 
   // Email validation function
   const isValidEmail = (email: string) => {
@@ -275,7 +255,8 @@ function OnboardingContent() {
     formData.confirmEmail === formData.email &&
     ((formData.phone || "").trim() === "" || isValidPhone(formData.phone || "")) &&
     formData.vibe !== "" &&
-    formData.wantMore !== "";
+    formData.wantMore !== "" &&
+    !screenshotsUploading;
 
   const handleContinue = async () => {
     if (currentStep === 1 && isStep1Valid) {
@@ -318,22 +299,21 @@ function OnboardingContent() {
           currentBio: formData.currentBio,
           email: formData.email,
           phone: formData.phone,
-          photoCount: formData.photos.length,
+          photoCount: usablePhotos.length,
           screenshotCount: formData.screenshots.length,
           vibe: formData.vibe,
           wantMore: formData.wantMore,
-          oneLiner: formData.oneLiner
+          oneLiner: formData.oneLiner,
+          schemaVersion: ONBOARDING_SCHEMA_VERSION,
+          // Photos are already in storage - checkout only passes their IDs on
+          uploadToken: await getUploadToken(),
+          photoIds: [...usablePhotos, ...formData.screenshots]
+            .map(file => uploads.get(file)?.asset)
+            .filter(asset => asset !== undefined && isUsable(asset))
+            .map(asset => asset!.id)
         }));
 
-        // Store photos in memory using a global variable instead of sessionStorage
-        // This avoids storage quota issues
-        if (typeof window !== 'undefined') {
-          (window as any).onboardingPhotos = formData.photos;
-          (window as any).onboardingScreenshots = formData.screenshots;
-        }
-
-        // Set default package and redirect to checkout
-        localStorage.setItem('selectedPackage', 'professional');
+        // Keep the package chosen on the pricing page - checkout falls back to the default
         router.push('/checkout');
       } catch (error) {
         console.error('Error preparing form data:', error);
@@ -353,13 +333,14 @@ function OnboardingContent() {
     const newFiles = Array.from(files).filter(file => {
       // Only allow image files
       return file.type.startsWith('image/');
-    });
+    }).slice(0, 20 - formData.photos.length); // Max 20 photos
 
     setFormData(prev => ({
       ...prev,
-      photos: [...prev.photos, ...newFiles].slice(0, 20) // Max 20 photos
+      photos: [...prev.photos, ...newFiles]
     }));
-  }, []);
+    uploadFiles(newFiles, "photo");
+  }, [formData.photos.length, uploadFiles]);
 
   const handleDrop = useCallback((e: React.DragEvent<HTMLDivElement>) => {
     e.preventDefault();
@@ -403,7 +384,7 @@ function OnboardingContent() {
     setFormData(prev => {
       const interests = prev.interests.includes(value)
         ? prev.interests.filter(i => i !== value)
-        : prev.interests.length < 3
+        : prev.interests.length < INTEREST_COUNT
           ? [...prev.interests, value]
           : prev.interests;
 
@@ -416,13 +397,14 @@ function OnboardingContent() {
 
     const newFiles = Array.from(files).filter(file => {
       return file.type.startsWith('image/');
-    });
+    }).slice(0, 10 - formData.screenshots.length);
 
     setFormData(prev => ({
       ...prev,
-      screenshots: [...prev.screenshots, ...newFiles].slice(0, 10)
+      screenshots: [...prev.screenshots, ...newFiles]
     }));
-  }, []);
+    uploadFiles(newFiles, "screenshot");
+  }, [formData.screenshots.length, uploadFiles]);
 
   const handleScreenshotDrop = useCallback((e: React.DragEvent<HTMLDivElement>) => {
     e.preventDefault();
@@ -640,7 +622,7 @@ function OnboardingContent() {
                         }`}
                       onClick={() => setFormData(prev => ({ ...prev, vibe: option.value }))}
                     >
-                      {option.label}
+                      🔘 {option.label}
                     </Button>
                   ))}
                 </div>
@@ -662,7 +644,7 @@ function OnboardingContent() {
                         }`}
                       onClick={() => setFormData(prev => ({ ...prev, wantMore: option.value }))}
                     >
-                      {option.label}
+                      🔘 {option.label}
                     </Button>
                   ))}
                 </div>
@@ -677,6 +659,7 @@ function OnboardingContent() {
                 <Textarea
                   placeholder="e.g., I'm a software engineer who loves hiking and cooking Italian food..."
                   value={formData.oneLiner}
+                  maxLength={onboardingLimits.oneLiner.maxLength}
                   onChange={(e) => setFormData(prev => ({ ...prev, oneLiner: e.target.value }))}
                   className="h-20 bg-white/5 backdrop-blur-sm border border-white/20 text-white placeholder-gray-400 focus:border-[#FFD700] focus:ring-2 focus:ring-[#FFD700]/30 focus:bg-white/10 transition-all duration-300 ease-out resize-none"
                 />
@@ -786,6 +769,7 @@ function OnboardingContent() {
                   className="w-full h-12 bg-[#FFD700] hover:bg-[#d4ae36] disabled:bg-gray-700 disabled:text-gray-400 text-black text-lg font-medium transition-all duration-200"
                 >
                   {isStep5Valid ? "➡️ Next → Build My Profile" :
+                    screenshotsUploading ? "Uploading your screenshots..." :
                     emailError ? "Please fix email errors" :
                       confirmEmailError ? "Please fix email confirmation errors" :
                         phoneError ? "Please fix phone number errors" :
@@ -915,6 +899,7 @@ function OnboardingContent() {
                 <Textarea
                   placeholder="Paste your current Tinder bio here... This helps us understand what's working and what needs improvement."
                   value={formData.currentBio}
+                  maxLength={onboardingLimits.currentBio.maxLength}
                   onChange={(e) => setFormData(prev => ({ ...prev, currentBio: e.target.value }))}
                   className="min-h-[120px] resize-none bg-white/5 backdrop-blur-sm border border-white/20 text-white placeholder-gray-400 focus:border-[#d4ae36] focus:ring-2 focus:ring-[#d4ae36]/30 focus:bg-white/10 transition-all duration-300 ease-out"
                 />
@@ -1082,33 +1067,54 @@ function OnboardingContent() {
                 <div className="flex items-center justify-between mt-6 mb-4">
                   <h3 className="text-lg font-semibold text-white">Uploaded Photos</h3>
                   <div className="text-sm">
-                    <span className={`font-semibold ${formData.photos.length >= 10 ? 'text-[#d4ae36]' : 'text-gray-400'}`}>
-                      {formData.photos.length}/10
+                    <span className={`font-semibold ${usablePhotos.length >= 10 ? 'text-[#d4ae36]' : 'text-gray-400'}`}>
+                      {usablePhotos.length}/10
                     </span>
-                    <span className="text-gray-400 ml-1">minimum photos uploaded</span>
+                    <span className="text-gray-400 ml-1">minimum good photos</span>
                   </div>
                 </div>
 
                 {/* Photo Thumbnails */}
                 {formData.photos.length > 0 && (
                   <div className="grid grid-cols-4 sm:grid-cols-6 lg:grid-cols-8 gap-3 mb-6">
-                    {formData.photos.map((photo, index) => (
-                      <div key={index} className="relative group">
-                        <div className="aspect-square rounded-lg overflow-hidden border-2 border-gray-200">
-                          <img
-                            src={URL.createObjectURL(photo)}
-                            alt={`Upload ${index + 1}`}
-                            className="w-full h-full object-cover"
-                          />
+                    {formData.photos.map((photo, index) => {
+                      const upload = uploads.get(photo);
+                      const verdict = upload?.status === "error" || upload?.asset?.status === "rejected"
+                        ? "fail"
+                        : upload?.asset?.quality?.verdict;
+                      const note = upload?.error || upload?.asset?.quality?.issues[0]?.message;
+
+                      return (
+                        <div key={index} className="relative group" title={note}>
+                          <div className={`aspect-square rounded-lg overflow-hidden border-2 ${photoVerdictBorders[verdict || "pending"]}`}>
+                            <img
+                              src={URL.createObjectURL(photo)}
+                              alt={`Upload ${index + 1}`}
+                              className={`w-full h-full object-cover ${upload?.status === "uploading" ? "opacity-50" : ""}`}
+                            />
+                          </div>
+                          {upload?.status === "uploading" && (
+                            <span className="absolute inset-x-0 bottom-1 text-center text-[10px] text-white">{upload.retries > 0 ? "Retrying..." : "Checking..."}</span>
+                          )}
+                          {verdict === "pass" && (
+                            <span className="absolute bottom-1 right-1 w-4 h-4 bg-green-500 rounded-full flex items-center justify-center">
+                              <Check className="h-3 w-3 text-white" />
+                            </span>
+                          )}
+                          {note && verdict !== "pass" && (
+                            <p className={`mt-1 text-[10px] leading-tight ${verdict === "fail" ? "text-red-400" : "text-amber-300"}`}>
+                              {note}
+                            </p>
+                          )}
+                          <button
+                            onClick={() => removePhoto(index)}
+                            className="absolute -top-2 -right-2 w-6 h-6 bg-red-500 text-white rounded-full flex items-center justify-center opacity-0 group-hover:opacity-100 transition-opacity duration-200 hover:bg-red-600"
+                          >
+                            <X className="h-3 w-3" />
+                          </button>
                         </div>
-                        <button
-                          onClick={() => removePhoto(index)}
-                          className="absolute -top-2 -right-2 w-6 h-6 bg-red-500 text-white rounded-full flex items-center justify-center opacity-0 group-hover:opacity-100 transition-opacity duration-200 hover:bg-red-600"
-                        >
-                          <X className="h-3 w-3" />
-                        </button>
-                      </div>
-                    ))}
+                      );
+                    })}
                   </div>
                 )}
 
@@ -1118,7 +1124,9 @@ function OnboardingContent() {
                   disabled={!isStep3Valid}
                   className="w-full h-12 bg-[#d4ae36] hover:from-[#c19d2f] hover:via-[#e04a5f] hover:to-[#c19d2f] disabled:bg-gray-700 disabled:text-gray-400 text-black text-lg font-medium transition-all duration-200"
                 >
-                  {isStep3Valid ? "Continue" : `Upload ${10 - formData.photos.length} more photos to continue`}
+                  {isStep3Valid ? "Continue" :
+                    usablePhotos.length >= 10 ? "Checking your photos..." :
+                      `Upload ${10 - usablePhotos.length} more good photos to continue`}
                 </Button>
               </CardContent>
             </Card>
@@ -1145,7 +1153,7 @@ function OnboardingContent() {
                     <SelectValue placeholder="Select your body type" />
                   </SelectTrigger>
                   <SelectContent className="bg-[#0E0E0F] border border-white/20 text-white">
-                    {bodyTypes.map(type => (
+                    {bodyTypeOptions.map(type => (
                       <SelectItem key={type.value} value={type.value} className="hover:bg-white/5 hover:border hover:border-[#d4ae36] hover:text-white focus:bg-white/5 focus:text-white focus:border focus:border-[#d4ae36] text-white transition-all duration-200">
                         {type.label}
                       </SelectItem>
@@ -1160,7 +1168,7 @@ function OnboardingContent() {
                   Style Preference
                 </label>
                 <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-                  {stylePreferences.map(style => (
+                  {stylePreferenceOptions.map(style => (
                     <Card
                       key={style.value}
                       className={`cursor-pointer bg-white/5 backdrop-blur-sm border border-white/20 transition-all duration-300 ease-out ${formData.stylePreference === style.value
@@ -1208,14 +1216,14 @@ function OnboardingContent() {
                     Select Your Interests
                   </label>
                   <span className="text-sm text-gray-400">
-                    {formData.interests.length}/3 selected
+                    {formData.interests.length}/{INTEREST_COUNT} selected
                   </span>
                 </div>
                 <div className="grid grid-cols-3 sm:grid-cols-4 gap-3">
                   {interestOptions.map(interest => {
                     const IconComponent = interest.icon;
                     const isSelected = formData.interests.includes(interest.value);
-                    const isDisabled = !isSelected && formData.interests.length >= 3;
+                    const isDisabled = !isSelected && formData.interests.length >= INTEREST_COUNT;
 
                     return (
                       <Button
@@ -1286,6 +1294,7 @@ function OnboardingContent() {
                   id="name"
                   placeholder="John Doe"
                   value={formData.name}
+                  maxLength={onboardingLimits.name.maxLength}
                   onChange={(e) => setFormData(prev => ({ ...prev, name: e.target.value }))}
                   className="h-12 bg-white/5 backdrop-blur-sm border border-white/20 text-white placeholder-gray-400 focus:border-[#d4ae36] focus:ring-2 focus:ring-[#d4ae36]/30 focus:bg-white/10 transition-all duration-300 ease-out"
                 />
@@ -1297,46 +1306,19 @@ function OnboardingContent() {
                   Select your age
                 </label>
                 <div className="grid grid-cols-1 gap-3">
-                  <Button
-                    variant={formData.age === "20-29" ? "default" : "outline"}
-                    className={`h-12 ${formData.age === "20-29"
-                      ? "bg-[#d4ae36]/20 backdrop-blur-sm border-2 border-[#d4ae36] text-white shadow-lg shadow-[#d4ae36]/30 transition-all duration-300 ease-out"
-                      : "bg-white/5 backdrop-blur-sm border border-white/20 text-white hover:border-[#d4ae36] hover:text-white hover:shadow-lg hover:shadow-[#d4ae36]/20 transition-all duration-300 ease-out"
-                      }`}
-                    onClick={() => setFormData(prev => ({ ...prev, age: "20-29" }))}
-                  >
-                    Young Adult (20-29)
-                  </Button>
-                  <Button
-                    variant={formData.age === "30-45" ? "default" : "outline"}
-                    className={`h-12 ${formData.age === "30-45"
-                      ? "bg-[#d4ae36]/20 backdrop-blur-sm border-2 border-[#d4ae36] text-white shadow-lg shadow-[#d4ae36]/30 transition-all duration-300 ease-out"
-                      : "bg-white/5 backdrop-blur-sm border border-white/20 text-white hover:border-[#d4ae36] hover:text-white hover:shadow-lg hover:shadow-[#d4ae36]/20 transition-all duration-300 ease-out"
-                      }`}
-                    onClick={() => setFormData(prev => ({ ...prev, age: "30-45" }))}
-                  >
-                    Adult (30-45)
-                  </Button>
-                  <Button
-                    variant={formData.age === "46-60" ? "default" : "outline"}
-                    className={`h-12 ${formData.age === "46-60"
-                      ? "bg-[#d4ae36]/20 backdrop-blur-sm border-2 border-[#d4ae36] text-white shadow-lg shadow-[#d4ae36]/30 transition-all duration-300 ease-out"
-                      : "bg-white/5 backdrop-blur-sm border border-white/20 text-white hover:border-[#d4ae36] hover:text-white hover:shadow-lg hover:shadow-[#d4ae36]/20 transition-all duration-300 ease-out"
-                      }`}
-                    onClick={() => setFormData(prev => ({ ...prev, age: "46-60" }))}
-                  >
-                    Middle-aged (46-60)
-                  </Button>
-                  <Button
-                    variant={formData.age === "60+" ? "default" : "outline"}
-                    className={`h-12 ${formData.age === "60+"
-                      ? "bg-[#d4ae36]/20 backdrop-blur-sm border-2 border-[#d4ae36] text-white shadow-lg shadow-[#d4ae36]/30 transition-all duration-300 ease-out"
-                      : "bg-white/5 backdrop-blur-sm border border-white/20 text-white hover:border-[#d4ae36] hover:text-white hover:shadow-lg hover:shadow-[#d4ae36]/20 transition-all duration-300 ease-out"
-                      }`}
-                    onClick={() => setFormData(prev => ({ ...prev, age: "60+" }))}
-                  >
-                    Senior (60+)
-                  </Button>
+                  {ageOptions.map(option => (
+                    <Button
+                      key={option.value}
+                      variant={formData.age === option.value ? "default" : "outline"}
+                      className={`h-12 ${formData.age === option.value
+                        ? "bg-[#d4ae36]/20 backdrop-blur-sm border-2 border-[#d4ae36] text-white shadow-lg shadow-[#d4ae36]/30 transition-all duration-300 ease-out"
+                        : "bg-white/5 backdrop-blur-sm border border-white/20 text-white hover:border-[#d4ae36] hover:text-white hover:shadow-lg hover:shadow-[#d4ae36]/20 transition-all duration-300 ease-out"
+                        }`}
+                      onClick={() => setFormData(prev => ({ ...prev, age: option.value }))}
+                    >
+                      {option.label}
+                    </Button>
+                  ))}
                 </div>
               </div>
 
@@ -1346,7 +1328,7 @@ function OnboardingContent() {
                   What are your dating goals?
                 </label>
                 <div className="grid grid-cols-2 gap-3">
-                  {datingGoals.map(goal => (
+                  {datingGoalOptions.map(goal => (
                     <Button
                       key={goal.value}
                       variant={formData.datingGoal === goal.value ? "default" : "outline"}
@@ -1368,7 +1350,7 @@ function OnboardingContent() {
                   How many matches do you typically get per week?
                 </label>
                 <div className="grid grid-cols-2 gap-3">
-                  {matchOptions.map(option => (
+                  {currentMatchesOptions.map(option => (
                     <Button
                       key={option.value}
                       variant={formData.currentMatches === option.value ? "default" : "outline"}
@@ -49,7 +49,7 @@ export default function SuccessPage() {
     {
       icon: Mail,
       title: "Delivers to your email",
-      description: "High-resolution photos sent directly to your inbox"
+      description: "A private link to your before/after results and downloads, sent to your inbox"
     }
   ];
 
@@ -31,76 +31,14 @@ import {
 } from "lucide-react";
 import Link from "next/link";
 import { trackPurchase } from "@/lib/metaPixel";
+import { usePackages } from "@/hooks/use-packages";
+import { DEFAULT_PACKAGE_ID, formatPrice, Package } from "@/lib/packages";
 
 const stripePromise = loadStripe(
     process.env.NEXT_PUBLIC_STRIPE_PUBLISHABLE_KEY ||
     "pk_test_51H0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000"
 );
 
-interface Package {
-    id: string;
-    name: string;
-    originalPrice: number;
-    salePrice: number;
-    features: string[];
-    popular?: boolean;
-}
-
-const packages: Package[] = [
-    {
-        id: "starter",
-        name: "Starter Package",
-        originalPrice: 59,
-        salePrice: 39,
-        features: [
-            "20 enhanced photos",
-            "3 style variations",
-            "Basic bio tips",
-            "24-hour delivery",
-        ],
-    },
-    {
-        id: "professional",
-        name: "Professional Package",
-        originalPrice: 99,
-        salePrice: 69,
-        features: [
-            "50 enhanced photos",
-            "6 style variations",
-            "Bio optimization",
-            "Profile strategy guide",
-            "12-hour delivery",
-        ],
-        popular: true,
-    },
-    {
-        id: "elite",
-        name: "Elite Package",
-        originalPrice: 149,
-        salePrice: 99,
-        features: [
-            "100 enhanced photos",
-            "10 style variations",
-            "Complete profile makeover",
-            "Message templates",
-            "Priority 6-hour delivery",
-        ],
-    },
-    {
-        id: "vip",
-        name: "VIP Package",
-        originalPrice: 249,
-        salePrice: 199,
-        features: [
-            "Unlimited photos",
-            "All styles",
-            "1-on-1 consultation",
-            "Weekly updates for 1 month",
-            "2-hour rush delivery",
-        ],
-    },
-];
-
 const testimonials = [
     {
         name: "Sarah M.",
@@ -221,7 +159,7 @@ function PaymentForm({ selectedPackage, onPaymentSuccess, submissionId }: Paymen
                 ) : (
                     <>
                         <Lock className="w-4 h-4 mr-2" />
-                        Pay ${selectedPackage.salePrice} Now
+                        Pay {formatPrice(selectedPackage.price, selectedPackage.currency)} Now
                     </>
                 )}
             </Button>
@@ -326,24 +264,32 @@ function TestimonialSidebar() {
 function PaymentContent() {
     const searchParams = useSearchParams();
     const router = useRouter();
+    const { packages } = usePackages();
     const [selectedPackage, setSelectedPackage] = useState<Package | null>(null);
     const [submissionId, setSubmissionId] = useState<string>('');
     const [showMobilePayment, setShowMobilePayment] = useState(false);
 
     useEffect(() => {
-        const packageId = searchParams.get("package") || "professional";
         const submission = searchParams.get("submissionId");
-        const pkg = packages.find(p => p.id === packageId) || packages[1];
-        setSelectedPackage(pkg);
         if (submission) {
             setSubmissionId(submission);
         }
     }, [searchParams]);
 
+    useEffect(() => {
+        if (packages.length === 0) return;
+
+        const packageId = searchParams.get("package") || DEFAULT_PACKAGE_ID;
+        const pkg = packages.find(p => p.id === packageId) ||
+            packages.find(p => p.id === DEFAULT_PACKAGE_ID) ||
+            packages[0];
+        setSelectedPackage(pkg);
+    }, [searchParams, packages]);
+
     const handlePaymentSuccess = (submissionId: string) => {
         // Track successful purchase
         if (selectedPackage) {
-            trackPurchase(selectedPackage.salePrice, 'USD', selectedPackage.name);
+            trackPurchase(selectedPackage.price, selectedPackage.currency, selectedPackage.name);
         }
 
         // Redirect to success page with submission ID
@@ -358,7 +304,7 @@ function PaymentContent() {
         );
     }
 
-    const savings = selectedPackage.originalPrice - selectedPackage.salePrice;
+    const savings = selectedPackage.originalPrice ? selectedPackage.originalPrice - selectedPackage.price : 0;
 
     return (
         <Elements stripe={stripePromise}>
@@ -434,29 +380,33 @@ function PaymentContent() {
                                     <Separator />
 
                                     <div className="space-y-3">
-                                        <div className="flex items-center justify-between text-sm">
-                                            <span className="text-muted-foreground">Regular Price</span>
-                                            <span className="line-through text-muted-foreground">
-                                                ${selectedPackage.originalPrice}
-                                            </span>
-                                        </div>
+                                        {selectedPackage.originalPrice && (
+                                            <div className="flex items-center justify-between text-sm">
+                                                <span className="text-muted-foreground">Regular Price</span>
+                                                <span className="line-through text-muted-foreground">
+                                                    {formatPrice(selectedPackage.originalPrice, selectedPackage.currency)}
+                                                </span>
+                                            </div>
+                                        )}
                                         <div className="flex items-center justify-between text-sm">
                                             <span className="text-muted-foreground">Today's Price</span>
                                             <span className="text-[#d4ae36] font-semibold">
-                                                ${selectedPackage.salePrice}
+                                                {formatPrice(selectedPackage.price, selectedPackage.currency)}
                                             </span>
                                         </div>
-                                        <div className="flex items-center justify-between text-sm font-medium">
-                                            <span className="text-[#d4ae36]">You Save</span>
-                                            <span className="text-[#d4ae36]">${savings}</span>
-                                        </div>
+                                        {savings > 0 && (
+                                            <div className="flex items-center justify-between text-sm font-medium">
+                                                <span className="text-[#d4ae36]">You Save</span>
+                                                <span className="text-[#d4ae36]">{formatPrice(savings, selectedPackage.currency)}</span>
+                                            </div>
+                                        )}
                                     </div>
 
                                     <Separator />
 
                                     <div className="flex items-center justify-between text-lg font-bold">
                                         <span>Total</span>
-                                        <span className="text-[#d4ae36]">${selectedPackage.salePrice}</span>
+                                        <span className="text-[#d4ae36]">{formatPrice(selectedPackage.price, selectedPackage.currency)}</span>
                                     </div>
                                 </CardContent>
                             </Card>
@@ -502,7 +452,7 @@ function PaymentContent() {
                         className="w-full bg-[#d4ae36] hover:bg-[#c19d2f] text-black font-semibold py-4 text-lg"
                     >
                         <Lock className="w-4 h-4 mr-2" />
-                        Pay ${selectedPackage.salePrice} Now
+                        Pay {formatPrice(selectedPackage.price, selectedPackage.currency)} Now
                     </Button>
                 </div>
 
@@ -7,75 +7,8 @@ import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { CheckCircle, Star, Users, ArrowRight, ArrowLeft } from "lucide-react";
 import Link from "next/link";
-
-interface Package {
-    id: string;
-    name: string;
-    originalPrice: number;
-    price: number;
-    features: string[];
-    popular?: boolean;
-    description: string;
-}
-
-const packages: Package[] = [
-    {
-        id: "starter",
-        name: "Starter Package",
-        originalPrice: 59,
-        price: 1,
-        description: "Perfect for getting started with enhanced photos",
-        features: [
-            "20 enhanced photos",
-            "3 style variations",
-            "Basic bio tips",
-            "24-hour delivery",
-        ],
-    },
-    {
-        id: "professional",
-        name: "Professional Package",
-        originalPrice: 99,
-        price: 1,
-        description: "Our most popular choice for serious daters",
-        features: [
-            "50 enhanced photos",
-            "6 style variations",
-            "Bio optimization",
-            "Profile strategy guide",
-            "12-hour delivery",
-        ],
-        popular: true,
-    },
-    {
-        id: "elite",
-        name: "Elite Package",
-        originalPrice: 149,
-        price: 1,
-        description: "Complete profile transformation",
-        features: [
-            "100 enhanced photos",
-            "10 style variations",
-            "Complete profile makeover",
-            "Message templates",
-            "Priority 6-hour delivery",
-        ],
-    },
-    {
-        id: "vip",
-        name: "VIP Package",
-        originalPrice: 249,
-        price: 1,
-        description: "Premium service with personal consultation",
-        features: [
-            "Unlimited photos",
-            "All styles",
-            "1-on-1 consultation",
-            "Weekly updates for 1 month",
-            "2-hour rush delivery",
-        ],
-    },
-];
+import { usePackages } from "@/hooks/use-packages";
+import { formatPrice } from "@/lib/packages";
 
 const testimonials = [
     {
@@ -101,6 +34,7 @@ const testimonials = [
 export default function PricingPage() {
     const router = useRouter();
     const [selectedPackage, setSelectedPackage] = useState<string>("");
+    const { packages, loading, error } = usePackages();
 
     const handleSelectPackage = (packageId: string) => {
         setSelectedPackage(packageId);
@@ -173,11 +107,18 @@ export default function PricingPage() {
                     </div>
                 </div>
 
+                {loading && (
+                    <p className="text-center text-white/70 mb-16">Loading packages...</p>
+                )}
+                {error && (
+                    <p className="text-center text-red-400 mb-16">Pricing is unavailable right now. Please refresh the page.</p>
+                )}
+
                 {/* Pricing Cards */}
-                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-8 mb-16">
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8 mb-16">
                     {packages.map((pkg) => {
                         const isSelected = selectedPackage === pkg.id;
-                        const savings = pkg.originalPrice - pkg.price;
+                        const savings = pkg.originalPrice ? pkg.originalPrice - pkg.price : 0;
 
                         return (
                             <Card
@@ -193,10 +134,10 @@ export default function PricingPage() {
                                 }}
                             >
                                 {/* Most Popular Badge - Positioned absolutely */}
-                                {pkg.popular && (
+                                {pkg.discount && (
                                     <div className="absolute -top-3 left-1/2 transform -translate-x-1/2 z-10">
                                         <div className="bg-gradient-to-r from-[#d4ae36] to-[#c19d2f] text-black px-4 py-1.5 rounded-full text-sm font-bold shadow-lg border-2 border-white/20">
-                                            ⭐ Most Popular
+                                            {pkg.popular ? `⭐ ${pkg.discount}` : pkg.discount}
                                         </div>
                                     </div>
                                 )}
@@ -212,14 +153,18 @@ export default function PricingPage() {
                                     {/* Pricing */}
                                     <div className="space-y-3">
                                         <div className="text-4xl font-black text-[#d4ae36]">
-                                            ${pkg.price}
-                                        </div>
-                                        <div className="text-base text-white/60 line-through">
-                                            ${pkg.originalPrice}
-                                        </div>
-                                        <div className="text-base text-[#d4ae36] font-semibold">
-                                            Save ${savings}
+                                            {formatPrice(pkg.price, pkg.currency)}
                                         </div>
+                                        {pkg.originalPrice && (
+                                            <div className="text-base text-white/60 line-through">
+                                                {formatPrice(pkg.originalPrice, pkg.currency)}
+                                            </div>
+                                        )}
+                                        {savings > 0 && (
+                                            <div className="text-base text-[#d4ae36] font-semibold">
+                                                Save {formatPrice(savings, pkg.currency)}
+                                            </div>
+                                        )}
                                     </div>
                                 </CardHeader>
 
@@ -240,10 +185,10 @@ export default function PricingPage() {
                                             }`}
                                         onClick={(e) => {
                                             e.stopPropagation();
-                                            router.push('/onboarding');
+                                            handleSelectPackage(pkg.id);
                                         }}
                                     >
-                                        Make me a match magnet
+                                        {pkg.buttonText || "Make me a match magnet"}
                                     </Button>
                                 </CardContent>
                             </Card>
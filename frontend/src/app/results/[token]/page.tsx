@@ -0,0 +1,262 @@
+"use client";
+
+import { useState, useEffect } from 'react';
+import { useParams } from 'next/navigation';
+import Link from 'next/link';
+import { motion } from 'framer-motion';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent } from '@/components/ui/card';
+import {
+  Check,
+  Copy,
+  Download,
+  Loader2,
+  Sparkles,
+  Clock
+} from 'lucide-react';
+import {
+  Delivery,
+  DeliveryError,
+  fetchDelivery,
+  photoDownloadUrl,
+  archiveDownloadUrl
+} from '@/lib/delivery';
+
+// Shown instead of the results when the link cannot be used
+const ERROR_COPY: Record<string, { title: string; description: string }> = {
+  INVALID_DELIVERY_LINK: {
+    title: "This link has expired",
+    description: "Results links stay valid for 30 days. Reply to your delivery email and we'll send you a fresh one."
+  },
+  DELIVERY_NOT_READY: {
+    title: "Your photos are on their way",
+    description: "We're still working on your photos. You'll get an email as soon as they're ready."
+  },
+  DELIVERY_CANCELLED: {
+    title: "This order was cancelled",
+    description: "If you think this is a mistake, reply to your order confirmation email."
+  }
+};
+
+const formatDate = (value: string): string =>
+  new Date(value).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+
+export default function ResultsPage() {
+  const { token } = useParams<{ token: string }>();
+  const [delivery, setDelivery] = useState<Delivery | null>(null);
+  const [error, setError] = useState<{ code: string | null; message: string } | null>(null);
+  const [copiedIndex, setCopiedIndex] = useState<number | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetchDelivery(token)
+      .then((result) => {
+        if (!cancelled) setDelivery(result);
+      })
+      .catch((err) => {
+        console.error("Failed to load results:", err);
+        if (!cancelled) {
+          setError({
+            code: err instanceof DeliveryError ? err.code : null,
+            message: err instanceof Error ? err.message : "Failed to load your results"
+          });
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  const copyBio = async (bio: string, index: number) => {
+    try {
+      await navigator.clipboard.writeText(bio);
+      setCopiedIndex(index);
+      setTimeout(() => setCopiedIndex((current) => (current === index ? null : current)), 2000);
+    } catch (err) {
+      console.error("Failed to copy bio:", err);
+    }
+  };
+
+  if (error) {
+    const copy = (error.code && ERROR_COPY[error.code]) || {
+      title: "Something went wrong",
+      description: "We couldn't load your results. Please refresh the page or try again later."
+    };
+
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+        <Card className="w-full max-w-md shadow-lg border-0">
+          <CardContent className="p-8 text-center">
+            <div className="w-16 h-16 bg-[#d4ae36]/10 rounded-full flex items-center justify-center mx-auto mb-6">
+              <Clock className="w-8 h-8 text-[#d4ae36]" />
+            </div>
+            <h1 className="text-2xl font-bold text-gray-900 mb-3">{copy.title}</h1>
+            <p className="text-gray-600 mb-8">{copy.description}</p>
+            <Button asChild className="bg-[#d4ae36] hover:bg-[#c19d2f] text-black w-full">
+              <Link href="/">Go to Homepage</Link>
+            </Button>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  if (!delivery) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <Loader2 className="w-8 h-8 animate-spin text-[#d4ae36]" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-gradient-to-br from-emerald-400 via-emerald-500 to-emerald-600 px-4 pt-12 pb-20 md:pt-16 md:pb-24 text-center">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="max-w-3xl mx-auto"
+        >
+          <div className="w-16 h-16 md:w-20 md:h-20 bg-[#d4ae36] rounded-full flex items-center justify-center mx-auto mb-6">
+            <Sparkles className="w-8 h-8 md:w-10 md:h-10 text-white" />
+          </div>
+          <h1 className="text-3xl md:text-5xl font-bold text-white mb-3">
+            {delivery.firstName ? `${delivery.firstName}, your photos are ready!` : "Your photos are ready!"}
+          </h1>
+          <p className="text-emerald-50 text-base md:text-lg">
+            {delivery.packageName} · {delivery.pairs.length} enhanced {delivery.pairs.length === 1 ? "photo" : "photos"}
+          </p>
+        </motion.div>
+      </div>
+
+      <div className="max-w-5xl mx-auto px-4 -mt-12 pb-16 space-y-8">
+        {/* Download all */}
+        <Card className="shadow-lg border-0">
+          <CardContent className="p-6 flex flex-col md:flex-row md:items-center gap-4 md:justify-between">
+            <div>
+              <p className="font-semibold text-gray-900">Download everything</p>
+              <p className="text-sm text-gray-600">
+                All photos and bio suggestions in one zip. This link works until {formatDate(delivery.expiresAt)}.
+              </p>
+            </div>
+            {delivery.pairs.length > 0 && (
+              <Button asChild className="bg-[#d4ae36] hover:bg-[#c19d2f] text-black w-full md:w-auto">
+                <a href={archiveDownloadUrl(token)} download>
+                  <Download className="w-4 h-4 mr-2" />
+                  Download all
+                </a>
+              </Button>
+            )}
+          </CardContent>
+        </Card>
+
+        {delivery.status === 'revision_requested' && (
+          <div className="p-4 rounded-xl bg-[#d4ae36]/10 border border-[#d4ae36]/30 text-sm text-gray-800">
+            We&apos;re working on the changes you asked for. Your revised photos will appear here when they&apos;re ready.
+          </div>
+        )}
+
+        {/* Before / after */}
+        <section>
+          <h2 className="text-2xl md:text-3xl font-bold text-gray-900 mb-6">Before &amp; after</h2>
+          <div className="grid md:grid-cols-2 gap-6">
+            {delivery.pairs.map((pair, index) => (
+              <motion.div
+                key={pair.enhanced.id}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ delay: Math.min(index * 0.1, 0.6) }}
+              >
+                <Card className="overflow-hidden border-0 shadow-md">
+                  <div className={`grid ${pair.original ? "grid-cols-2" : "grid-cols-1"} gap-px bg-gray-200`}>
+                    {pair.original && (
+                      <div className="relative bg-white">
+                        <img
+                          src={pair.original.url}
+                          alt={`Original photo ${index + 1}`}
+                          className="w-full aspect-[3/4] object-cover"
+                          loading="lazy"
+                        />
+                        <span className="absolute top-2 left-2 px-2 py-1 text-xs font-semibold rounded bg-black/60 text-white">
+                          Before
+                        </span>
+                      </div>
+                    )}
+                    <div className="relative bg-white">
+                      <img
+                        src={pair.enhanced.url}
+                        alt={`Enhanced photo ${index + 1}`}
+                        className="w-full aspect-[3/4] object-cover"
+                        loading="lazy"
+                      />
+                      <span className="absolute top-2 left-2 px-2 py-1 text-xs font-semibold rounded bg-[#d4ae36] text-black">
+                        After
+                      </span>
+                    </div>
+                  </div>
+                  <CardContent className="p-4 flex items-center justify-between">
+                    <span className="text-sm text-gray-600">Photo {index + 1}</span>
+                    <Button asChild variant="outline" size="sm">
+                      <a href={photoDownloadUrl(token, pair.enhanced.id)} download>
+                        <Download className="w-4 h-4 mr-2" />
+                        Download
+                      </a>
+                    </Button>
+                  </CardContent>
+                </Card>
+              </motion.div>
+            ))}
+          </div>
+        </section>
+
+        {/* Bio suggestions */}
+        {delivery.bioSuggestions.length > 0 && (
+          <section>
+            <h2 className="text-2xl md:text-3xl font-bold text-gray-900 mb-6">Your bio suggestions</h2>
+            <div className="space-y-4">
+              {delivery.bioSuggestions.map((bio, index) => (
+                <Card key={index} className="border-0 shadow-md">
+                  <CardContent className="p-5">
+                    <div className="flex items-start justify-between gap-4 mb-3">
+                      <span className="text-sm font-semibold text-[#d4ae36]">Option {index + 1}</span>
+                      <Button variant="outline" size="sm" onClick={() => copyBio(bio, index)}>
+                        {copiedIndex === index ? (
+                          <><Check className="w-4 h-4 mr-2" />Copied</>
+                        ) : (
+                          <><Copy className="w-4 h-4 mr-2" />Copy</>
+                        )}
+                      </Button>
+                    </div>
+                    <p className="text-gray-800 whitespace-pre-line">{bio}</p>
+                  </CardContent>
+                </Card>
+              ))}
+            </div>
+          </section>
+        )}
+
+        {/* Style variations */}
+        {delivery.styleVariations.length > 0 && (
+          <section>
+            <h2 className="text-2xl md:text-3xl font-bold text-gray-900 mb-6">Style notes</h2>
+            <Card className="border-0 shadow-md">
+              <CardContent className="p-5">
+                <ul className="space-y-3">
+                  {delivery.styleVariations.map((style, index) => (
+                    <li key={index} className="flex items-start gap-3 text-gray-800">
+                      <Check className="w-5 h-5 text-[#d4ae36] flex-shrink-0 mt-0.5" />
+                      <span>{style}</span>
+                    </li>
+                  ))}
+                </ul>
+              </CardContent>
+            </Card>
+          </section>
+        )}
+      </div>
+    </div>
+  );
+}
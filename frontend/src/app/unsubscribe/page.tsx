@@ -0,0 +1,93 @@
+"use client";
+
+import { useState, Suspense } from 'react';
+import { useSearchParams } from 'next/navigation';
+import Link from 'next/link';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent } from '@/components/ui/card';
+import { Loader2, MailX } from 'lucide-react';
+
+// Weekly tips unsubscribe, from the link in every issue. Asks for a click first - link
+// scanners in mail clients open links, and that must not unsubscribe anyone.
+function Unsubscribe() {
+  const searchParams = useSearchParams();
+  const token = searchParams.get('token');
+  const [state, setState] = useState<'idle' | 'sending' | 'done'>('idle');
+  const [error, setError] = useState<string | null>(null);
+
+  const confirm = async () => {
+    setState('sending');
+    setError(null);
+
+    try {
+      const response = await fetch('/api/newsletter/unsubscribe', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token })
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.message || 'Unsubscribing failed');
+      }
+      setState('done');
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Unsubscribing failed');
+      setState('idle');
+    }
+  };
+
+  if (!token) {
+    return (
+      <Card className="w-full max-w-md shadow-lg border-0">
+        <CardContent className="p-8 text-center">
+          <h1 className="text-2xl font-bold text-gray-900 mb-3">Link incomplete</h1>
+          <p className="text-gray-600">Use the unsubscribe link at the bottom of any weekly tips email.</p>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  if (state === 'done') {
+    return (
+      <Card className="w-full max-w-md shadow-lg border-0">
+        <CardContent className="p-8 text-center">
+          <h1 className="text-2xl font-bold text-gray-900 mb-3">You&apos;re unsubscribed</h1>
+          <p className="text-gray-600 mb-6">
+            You won&apos;t get weekly dating tips any more. We&apos;ll still email you about your orders.
+          </p>
+          <Button asChild variant="outline" className="w-full">
+            <Link href="/">Back to Matchlens AI</Link>
+          </Button>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  return (
+    <Card className="w-full max-w-md shadow-lg border-0">
+      <CardContent className="p-8 text-center">
+        <MailX className="w-10 h-10 mx-auto mb-4 text-[#d4ae36]" />
+        <h1 className="text-2xl font-bold text-gray-900 mb-3">Unsubscribe from weekly tips?</h1>
+        <p className="text-gray-600 mb-6">You&apos;ll stop getting our weekly dating tips. Order emails are not affected.</p>
+        {error && <div className="mb-4 p-3 rounded-lg bg-red-50 text-red-700 text-sm">{error}</div>}
+        <Button
+          onClick={confirm}
+          disabled={state === 'sending'}
+          className="w-full bg-[#d4ae36] hover:bg-[#c19d2f] text-black"
+        >
+          {state === 'sending' ? 'Unsubscribing...' : 'Unsubscribe'}
+        </Button>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default function UnsubscribePage() {
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+      <Suspense fallback={<Loader2 className="w-8 h-8 animate-spin text-[#d4ae36]" />}>
+        <Unsubscribe />
+      </Suspense>
+    </div>
+  );
+}
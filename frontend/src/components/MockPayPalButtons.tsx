@@ -0,0 +1,93 @@
+"use client";
+
+import { useState } from "react";
+
+// Stands in for PayPalButtons when NEXT_PUBLIC_PAYPAL_MOCK_URL is set: the PayPal JS SDK
+// cannot load offline, so the buyer's approval is made on the mock server instead, with
+// the outcome picked here. Creating and capturing the order go through the real routes.
+
+const OUTCOMES = [
+    { value: "approve", label: "Approve" },
+    { value: "decline", label: "Decline (INSTRUMENT_DECLINED)" },
+    { value: "pending", label: "Pending review" },
+    { value: "duplicate", label: "Approve, duplicate webhook" },
+];
+
+interface MockPayPalButtonsProps {
+    mockUrl: string;
+    createOrder: () => Promise<string>;
+    onApprove: (orderId: string) => Promise<void>;
+    onCancel: (orderId?: string) => void;
+    onError: (error: unknown) => void;
+}
+
+export default function MockPayPalButtons({ mockUrl, createOrder, onApprove, onCancel, onError }: MockPayPalButtonsProps) {
+    const [outcome, setOutcome] = useState("approve");
+    const [busy, setBusy] = useState(false);
+
+    const pay = async () => {
+        setBusy(true);
+        try {
+            const orderId = await createOrder();
+
+            const res = await fetch(`${mockUrl}/mock/orders/${encodeURIComponent(orderId)}/approve`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ outcome }),
+            });
+            if (!res.ok) {
+                const body = await res.json().catch(() => ({}));
+                throw new Error(body.message || `Mock approval failed: ${res.status}`);
+            }
+
+            console.log('🧪 Mock PayPal approved order:', orderId, outcome);
+            await onApprove(orderId);
+        } catch (error) {
+            onError(error);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    // Like closing the PayPal popup: the order exists, so the pending checkout is cancelled too
+    const cancel = async () => {
+        setBusy(true);
+        try {
+            onCancel(await createOrder());
+        } catch (error) {
+            onError(error);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="space-y-3 p-4 border border-dashed border-yellow-400/40 rounded-xl">
+            <p className="text-yellow-300 text-xs text-center">Mock PayPal - no real payment is made</p>
+            <select
+                value={outcome}
+                onChange={(e) => setOutcome(e.target.value)}
+                disabled={busy}
+                className="w-full px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white text-sm"
+            >
+                {OUTCOMES.map((option) => (
+                    <option key={option.value} value={option.value} className="text-black">{option.label}</option>
+                ))}
+            </select>
+            <button
+                onClick={pay}
+                disabled={busy}
+                className="w-full h-12 rounded-xl bg-yellow-400 text-black font-semibold disabled:opacity-50"
+            >
+                {busy ? "Processing..." : "Pay with Mock PayPal"}
+            </button>
+            <button
+                onClick={cancel}
+                disabled={busy}
+                className="w-full text-white/60 text-sm hover:text-white disabled:opacity-50"
+            >
+                Cancel payment
+            </button>
+        </div>
+    );
+}
@@ -7,70 +7,13 @@ import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/com
 import { Check, Shield } from "lucide-react";
 import { usePackage, Package } from "@/contexts/PackageContext";
 import { trackAddToCart, trackCTAClick } from "@/lib/metaPixel";
-
-const pricingTiers = [
-  {
-    id: "get-noticed",
-    name: "Get Noticed",
-    price: 37,
-    originalPrice: 99,
-    discount: "Save 62%",
-    description: "Perfect for getting started",
-    benefit: "Quick upgrade to make your profile stand out instantly.",
-    features: [
-      "5 enhanced photos",
-      "3 style variations",
-      "Basic bio tips",
-      "Private and secure"
-    ],
-    buttonText: "Make my profile irresistible",
-    popular: false,
-    mobileOrder: 2
-  },
-  {
-    id: "most-matches",
-    name: "Most Attention",
-    price: 69,
-    originalPrice: 199,
-    discount: "Most Popular",
-    description: "Most popular choice",
-    benefit: "Our proven package that triples your responses fast.",
-    features: [
-      "10 enhanced photos",
-      "6 style variations",
-      "Bio optimization",
-      "Profile strategy guide",
-      "Private and secure"
-    ],
-    buttonText: "Make my profile irresistible",
-    popular: true,
-    mobileOrder: 1
-  },
-  {
-    id: "date-ready",
-    name: "Complete Makeover",
-    price: 97,
-    originalPrice: 199,
-    discount: "Save 51%",
-    description: "Ultimate transformation",
-    benefit: "Full profile makeover so you're ready for real dates, not just swipes.",
-    features: [
-      "20 enhanced photos",
-      "10 style variations",
-      "Complete profile makeover",
-      "Bio optimization",
-      "Message templates",
-      "Private and secure"
-    ],
-    buttonText: "Make my profile irresistible",
-    popular: false,
-    mobileOrder: 3
-  }
-];
+import { usePackages } from "@/hooks/use-packages";
+import { formatPrice } from "@/lib/packages";
 
 export const PricingSection = () => {
   const { selectedPackage, setSelectedPackage } = usePackage();
   const [localSelectedPackage, setLocalSelectedPackage] = React.useState<string | null>(null);
+  const { packages: pricingTiers, loading, error } = usePackages();
 
   const handlePackageSelect = (packageId: string) => {
     setLocalSelectedPackage(packageId);
@@ -140,12 +83,19 @@ export const PricingSection = () => {
             </div>
           </div>
 
+          {loading && (
+            <p className="text-center text-gray-300 mb-8">Loading packages...</p>
+          )}
+          {error && (
+            <p className="text-center text-red-400 mb-8">Pricing is unavailable right now. Please refresh the page.</p>
+          )}
+
           {/* Pricing Grid */}
           <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-8 lg:gap-12 mb-8 items-stretch">
             {pricingTiers
               .map((tier) => (
                 <Card
-                  key={tier.name}
+                  key={tier.id}
                   className={`relative group transition-all duration-300 hover:scale-105 hover:shadow-xl cursor-pointer flex flex-col h-full bg-white/5 backdrop-blur-sm border border-white/10 hover:bg-white/8 hover:border-[#FFD700]/30 hover:shadow-[#FFD700]/20 ${localSelectedPackage === tier.id
                     ? "border-2 border-[#FFD700] shadow-lg shadow-[#FFD700]/30"
                     : "border border-white/10 shadow-sm"
@@ -154,11 +104,13 @@ export const PricingSection = () => {
                   aria-label={`${tier.name} pricing plan`}
                   onClick={() => handlePackageSelect(tier.id)}
                 >
-                  <div className="absolute -top-3 left-1/2 transform -translate-x-1/2">
-                    <Badge className="bg-gradient-to-r from-[#FFD700] to-[#FFA500] text-black px-4 py-1.5 font-medium">
-                      {tier.discount}
-                    </Badge>
-                  </div>
+                  {tier.discount && (
+                    <div className="absolute -top-3 left-1/2 transform -translate-x-1/2">
+                      <Badge className="bg-gradient-to-r from-[#FFD700] to-[#FFA500] text-black px-4 py-1.5 font-medium">
+                        {tier.discount}
+                      </Badge>
+                    </div>
+                  )}
 
                   <CardHeader className="text-center pb-2 h-48 flex flex-col justify-center items-center">
                     <div>
@@ -170,18 +122,22 @@ export const PricingSection = () => {
                       </CardDescription>
                       <div className="flex items-center justify-center space-x-2">
                         <span className="text-4xl lg:text-5xl font-heading font-bold text-white">
-                          ${tier.price}
+                          {formatPrice(tier.price, tier.currency)}
                         </span>
-                        <div className="text-sm text-gray-400">
-                          <div className="line-through">Was ${tier.originalPrice}</div>
-                        </div>
+                        {tier.originalPrice && (
+                          <div className="text-sm text-gray-400">
+                            <div className="line-through">Was {formatPrice(tier.originalPrice, tier.currency)}</div>
+                          </div>
+                        )}
                       </div>
                     </div>
-                    <div className="mt-4 border-l-2 border-[#d4ae36] pl-4">
-                      <p className="text-sm text-gray-300 italic">
-                        "{tier.benefit}"
-                      </p>
-                    </div>
+                    {tier.benefit && (
+                      <div className="mt-4 border-l-2 border-[#d4ae36] pl-4">
+                        <p className="text-sm text-gray-300 italic">
+                          "{tier.benefit}"
+                        </p>
+                      </div>
+                    )}
                   </CardHeader>
 
                   <CardContent className="pt-2 flex flex-col flex-grow">
@@ -203,15 +159,15 @@ export const PricingSection = () => {
                       ))}
                     </ul>
 
-                    {tier.id === "most-matches" ? (
+                    {tier.popular ? (
                       <button
                         type="button"
                         onClick={(e) => {
                           e.stopPropagation();
-                          window.location.href = "/onboarding";
+                          handleGetStarted(tier.id);
                         }}
                         className="relative w-full h-auto min-h-[48px] px-8 py-3 rounded-lg font-semibold text-lg bg-white/5 backdrop-blur-md border border-white/20 hover:bg-white/10 transition-all duration-300 ease-out hover:-translate-y-1 hover:shadow-2xl hover:shadow-[#FFD700]/20 overflow-hidden group mt-auto flex items-center justify-center"
-                        aria-label="Make my profile irresistible"
+                        aria-label={tier.buttonText || "Make my profile irresistible"}
                       >
                         {/* Glass morphism background with flowing colors */}
                         <div className="absolute inset-0 rounded-lg overflow-hidden">
@@ -234,7 +190,7 @@ export const PricingSection = () => {
                           </div>
                         </div>
 
-                        <span className="relative z-20 text-white font-bold drop-shadow-lg text-sm whitespace-nowrap">Make my profile irresistible</span>
+                        <span className="relative z-20 text-white font-bold drop-shadow-lg text-sm whitespace-nowrap">{tier.buttonText || "Make my profile irresistible"}</span>
                       </button>
                     ) : (
                       <Button
@@ -248,7 +204,7 @@ export const PricingSection = () => {
                           }`}
                         size="lg"
                       >
-                        Make my profile irresistible
+                        {tier.buttonText || "Make my profile irresistible"}
                       </Button>
                     )}
                   </CardContent>
@@ -0,0 +1,170 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { loadStripe } from "@stripe/stripe-js";
+import { Elements, PaymentElement, useElements, useStripe } from "@stripe/react-stripe-js";
+import { Loader2, Lock } from "lucide-react";
+import { formatPrice } from "@/lib/packages";
+import { loadStoredFormData, startCheckout, captureAndStore, stripeReturnUrl } from "@/lib/checkout";
+
+// Card payments through Stripe's Payment Element - card details go straight to Stripe's
+// hosted fields. The PaymentIntent is created by the backend when the form opens and
+// confirmed here (or, after a redirect, on the checkout page); the backend then checks
+// it with Stripe before storing the order.
+
+export const STRIPE_PUBLISHABLE_KEY = process.env.NEXT_PUBLIC_STRIPE_PUBLISHABLE_KEY;
+
+const stripePromise = STRIPE_PUBLISHABLE_KEY ? loadStripe(STRIPE_PUBLISHABLE_KEY) : null;
+
+interface StripeCheckoutProps {
+    selectedPackage: {
+        id: string;
+        name: string;
+        price: number;
+        currency?: string;
+    };
+    showNotification?: (type: 'success' | 'error' | 'info', message: string) => void;
+    onPaymentSuccess?: () => void;
+    onboardingFormData?: any;
+}
+
+interface CardFormProps extends StripeCheckoutProps {
+    notify: (type: 'success' | 'error' | 'info', message: string) => void;
+}
+
+function CardForm({ selectedPackage, notify, onPaymentSuccess, onboardingFormData }: CardFormProps) {
+    const stripe = useStripe();
+    const elements = useElements();
+    const [isLoading, setIsLoading] = useState(false);
+
+    const handleSubmit = async (event: React.FormEvent) => {
+        event.preventDefault();
+        if (!stripe || !elements) return;
+
+        setIsLoading(true);
+        try {
+            // Only leaves the page when the card needs a redirect (some 3-D Secure flows) -
+            // checkout finishes those orders when Stripe sends the customer back
+            const { error, paymentIntent } = await stripe.confirmPayment({
+                elements,
+                redirect: "if_required",
+                confirmParams: {
+                    return_url: stripeReturnUrl(selectedPackage.id),
+                },
+            });
+
+            if (error) {
+                console.error("❌ Stripe payment failed:", error);
+                notify("error", error.message || "Payment failed. Please try again.");
+                return;
+            }
+
+            if (paymentIntent?.status !== "succeeded") {
+                console.warn("⚠️ Stripe payment not completed:", paymentIntent?.status);
+                notify("error", "Payment was not completed. Please try again.");
+                return;
+            }
+
+            console.log("✅ Stripe payment confirmed:", paymentIntent.id);
+            const notice = await captureAndStore("stripe", paymentIntent.id, selectedPackage.id, onboardingFormData || loadStoredFormData());
+            notify(notice.type, notice.message);
+            onPaymentSuccess?.();
+        } catch (error) {
+            console.error("❌ Stripe checkout failed:", error);
+            notify("error", "Payment failed: " + (error instanceof Error ? error.message : "Unknown error"));
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4">
+            <PaymentElement />
+            <button
+                type="submit"
+                disabled={!stripe || isLoading}
+                className="w-full h-12 rounded-xl font-semibold bg-[#d4ae36] hover:bg-[#c19d2f] text-black flex items-center justify-center disabled:opacity-60"
+            >
+                {isLoading ? (
+                    <Loader2 className="w-4 h-4 animate-spin" />
+                ) : (
+                    <>
+                        <Lock className="w-4 h-4 mr-2" />
+                        Pay {formatPrice(selectedPackage.price, selectedPackage.currency)}
+                    </>
+                )}
+            </button>
+        </form>
+    );
+}
+
+export default function StripeCheckout(props: StripeCheckoutProps) {
+    const { selectedPackage, showNotification, onboardingFormData } = props;
+    const [clientSecret, setClientSecret] = useState<string | null>(null);
+    const [error, setError] = useState<string | null>(null);
+
+    const notify = (type: 'success' | 'error' | 'info', message: string) => {
+        if (showNotification) {
+            showNotification(type, message);
+        }
+    };
+
+    // A new PaymentIntent per package - the backend keeps the questionnaire with it
+    useEffect(() => {
+        if (!stripePromise) return;
+
+        let cancelled = false;
+        setClientSecret(null);
+        setError(null);
+
+        startCheckout("stripe", selectedPackage.id, onboardingFormData || loadStoredFormData())
+            .then(({ clientSecret }) => {
+                if (cancelled) return;
+                if (!clientSecret) throw new Error("No client secret in response");
+                setClientSecret(clientSecret);
+            })
+            .catch((err) => {
+                if (cancelled) return;
+                console.error("❌ Error starting Stripe checkout:", err);
+                setError(err instanceof Error ? err.message : "Could not start card payment");
+            });
+
+        return () => {
+            cancelled = true;
+        };
+        // The answers are read once per package; a changed answer does not need a new intent
+    }, [selectedPackage.id]);
+
+    if (!stripePromise) {
+        return (
+            <div className="text-center p-4 bg-red-500/10 border border-red-500/20 rounded-lg">
+                <p className="text-red-400 text-sm">Card payments are not configured.</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="w-full max-w-2xl mx-auto p-6">
+            <div className="p-6 bg-white/5 backdrop-blur-md border border-white/10 rounded-2xl shadow-2xl">
+                <div className="text-center mb-4">
+                    <h3 className="text-xl font-bold text-white">Pay by Card</h3>
+                </div>
+                <p className="text-white/70 mb-6 text-center text-sm">Secure payment powered by Stripe</p>
+
+                {error ? (
+                    <div className="text-center p-4 bg-red-500/10 border border-red-500/20 rounded-lg">
+                        <p className="text-red-400 text-sm">{error}</p>
+                    </div>
+                ) : clientSecret ? (
+                    <Elements stripe={stripePromise} options={{ clientSecret, appearance: { theme: "night" } }}>
+                        <CardForm {...props} notify={notify} />
+                    </Elements>
+                ) : (
+                    <div className="flex justify-center py-6">
+                        <Loader2 className="w-6 h-6 animate-spin text-[#d4ae36]" />
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -1,18 +1,9 @@
 "use client";
 
 import React, { createContext, useContext, useState, ReactNode } from 'react';
+import type { Package } from '@/lib/packages';
 
-export interface Package {
-  id: string;
-  name: string;
-  price: number;
-  originalPrice: number;
-  description: string;
-  features: string[];
-  buttonText: string;
-  popular: boolean;
-  mobileOrder: number;
-}
+export type { Package };
 
 interface PackageContextType {
   selectedPackage: Package | null;
@@ -0,0 +1,30 @@
+import * as React from "react"
+import { fetchPackages, Package } from "@/lib/packages"
+
+export function usePackages() {
+  const [packages, setPackages] = React.useState<Package[]>([])
+  const [loading, setLoading] = React.useState(true)
+  const [error, setError] = React.useState<string | null>(null)
+
+  React.useEffect(() => {
+    let cancelled = false
+
+    fetchPackages()
+      .then((result) => {
+        if (!cancelled) setPackages(result)
+      })
+      .catch((err) => {
+        console.error("Failed to load packages:", err)
+        if (!cancelled) setError(err instanceof Error ? err.message : "Failed to load packages")
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  return { packages, loading, error }
+}
@@ -0,0 +1,57 @@
+import * as React from "react"
+import { createUploadSession, uploadPhoto, UploadedAsset, UploadKind, UploadSession } from "@/lib/uploads"
+
+export interface PhotoUploadState {
+  status: "uploading" | "done" | "error"
+  asset?: UploadedAsset
+  error?: string
+  retries: number
+}
+
+// Photos upload while the customer is still choosing them, a few at a time
+const CONCURRENCY = 3
+
+// Uploads each selected file straight to storage and tracks its quality verdict, keyed by File
+export function usePhotoUploads() {
+  const [uploads, setUploads] = React.useState<Map<File, PhotoUploadState>>(new Map())
+  const sessionRef = React.useRef<Promise<UploadSession> | null>(null)
+
+  const setUpload = React.useCallback((file: File, state: PhotoUploadState) => {
+    setUploads((prev) => new Map(prev).set(file, state))
+  }, [])
+
+  // One upload session for the whole questionnaire, created on first use
+  const getSession = React.useCallback(() => {
+    if (!sessionRef.current) {
+      sessionRef.current = createUploadSession().catch((err) => {
+        sessionRef.current = null
+        throw err
+      })
+    }
+    return sessionRef.current
+  }, [])
+
+  const upload = React.useCallback(async (files: File[], kind: UploadKind) => {
+    files.forEach((file) => setUpload(file, { status: "uploading", retries: 0 }))
+
+    for (let i = 0; i < files.length; i += CONCURRENCY) {
+      await Promise.all(files.slice(i, i + CONCURRENCY).map(async (file) => {
+        let retries = 0
+        try {
+          const asset = await uploadPhoto(await getSession(), file, kind, (retry) => {
+            retries = retry
+            setUpload(file, { status: "uploading", retries })
+          })
+          setUpload(file, { status: "done", asset, retries })
+        } catch (err) {
+          console.error(`Photo upload failed after ${retries} retries:`, err)
+          setUpload(file, { status: "error", error: err instanceof Error ? err.message : "Upload failed", retries })
+        }
+      }))
+    }
+  }, [getSession, setUpload])
+
+  const getUploadToken = React.useCallback(async () => (await getSession()).token, [getSession])
+
+  return { uploads, upload, getUploadToken }
+}
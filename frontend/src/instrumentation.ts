@@ -0,0 +1,8 @@
+// Runs once when the Next server starts
+export async function register() {
+    // The capture outbox needs the filesystem - not available on the edge runtime
+    if (process.env.NEXT_RUNTIME === "nodejs") {
+        const { startCaptureWorker } = await import("@/lib/capture-outbox");
+        startCaptureWorker();
+    }
+}
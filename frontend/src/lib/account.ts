@@ -0,0 +1,86 @@
+import { backendUrl } from "./backend";
+
+// Customer sessions - the backend's signed customer token, kept in an httpOnly cookie.
+// Customers sign in with a magic link emailed to them; there are no passwords.
+export const CUSTOMER_COOKIE = "customer_token";
+
+export interface Customer {
+    id: string;
+    email: string;
+    name: string | null;
+    phone: string | null;
+    isVerified: boolean;
+    lastLoginAt: string | null;
+    createdAt: string;
+}
+
+export type OrderStatus =
+    | "paid"
+    | "queued"
+    | "in_progress"
+    | "review"
+    | "delivered"
+    | "revision_requested"
+    | "cancelled";
+
+export interface CustomerOrder {
+    paymentId: string;
+    orderId: string;
+    packageId: string;
+    packageName: string;
+    amount: number;
+    currency: string;
+    paymentStatus: string;
+    status: OrderStatus;
+    needsPhotos: boolean;
+    deliveredAt: string | null;
+    deliveryUrl: string | null;
+    createdAt: string;
+}
+
+// What the customer is told about each fulfillment step - staff steps are not exposed
+export const ORDER_STATUS_LABELS: Record<OrderStatus, string> = {
+    paid: "Order received",
+    queued: "In the queue",
+    in_progress: "Being edited",
+    review: "Final checks",
+    delivered: "Delivered",
+    revision_requested: "Revision in progress",
+    cancelled: "Cancelled",
+};
+
+// Public - answers the same whether or not the email has an account
+export async function requestLoginLink(email: string): Promise<void> {
+    const res = await fetch(`${backendUrl()}/api/account/login-link`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email }),
+    });
+    const data = await res.json().catch(() => ({}));
+
+    if (!res.ok || !data.success) {
+        throw new Error(data.message || `Failed to send login link: ${res.status}`);
+    }
+}
+
+export class AccountRequestError extends Error {
+    constructor(message: string, readonly status: number) {
+        super(message);
+    }
+}
+
+// Dashboard calls go through the same-origin proxy, which attaches the session cookie.
+// A 401 means the session is gone - callers send the customer back to /login.
+export async function accountRequest<T>(path: string, init?: RequestInit): Promise<T> {
+    const res = await fetch(`/api/account/backend/account/${path}`, {
+        ...init,
+        headers: { "Content-Type": "application/json" },
+        cache: "no-store",
+    });
+    const data = await res.json().catch(() => ({}));
+
+    if (!res.ok || !data.success) {
+        throw new AccountRequestError(data.message || `Request failed: ${res.status}`, res.status);
+    }
+    return data;
+}
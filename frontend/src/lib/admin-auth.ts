@@ -0,0 +1,16 @@
+// Staff sessions - the backend's signed admin token, kept in an httpOnly cookie
+export const ADMIN_COOKIE = "admin_token";
+
+export type AdminRole = "admin" | "support" | "read_only";
+
+export interface AdminUser {
+    id: string;
+    email: string;
+    name: string;
+    role: AdminRole;
+}
+
+export const REFUND_ROLES: readonly AdminRole[] = ["admin", "support"];
+
+// Roles that may resend captured orders the backend has not stored
+export const REPLAY_ROLES: readonly AdminRole[] = ["admin", "support"];
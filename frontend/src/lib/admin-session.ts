@@ -0,0 +1,40 @@
+import { NextRequest, NextResponse } from "next/server";
+import { backendUrl } from "./backend";
+import { ADMIN_COOKIE, AdminRole, AdminUser } from "./admin-auth";
+
+// Staff checks for routes the Next app serves itself. The backend still owns sessions -
+// the token is checked against /api/admin/me.
+export async function requireStaff(
+    req: NextRequest,
+    roles?: readonly AdminRole[]
+): Promise<{ admin: AdminUser } | { response: NextResponse }> {
+    const token = req.cookies.get(ADMIN_COOKIE)?.value;
+    if (!token) {
+        return { response: NextResponse.json({ success: false, code: "UNAUTHORIZED", message: "Sign in required" }, { status: 401 }) };
+    }
+
+    let res: Response;
+    try {
+        res = await fetch(`${backendUrl()}/api/admin/me`, {
+            headers: { Authorization: `Bearer ${token}` },
+            cache: "no-store",
+        });
+    } catch (error) {
+        console.error('❌ Admin session check failed:', error);
+        return { response: NextResponse.json({ success: false, message: "Backend unavailable" }, { status: 502 }) };
+    }
+
+    if (!res.ok) {
+        const response = NextResponse.json(await res.json().catch(() => ({ success: false })), { status: res.status });
+        if (res.status === 401) {
+            response.cookies.delete(ADMIN_COOKIE);
+        }
+        return { response };
+    }
+
+    const { admin } = await res.json();
+    if (roles && !roles.includes(admin.role)) {
+        return { response: NextResponse.json({ success: false, code: "FORBIDDEN", message: "Your role cannot do this" }, { status: 403 }) };
+    }
+    return { admin };
+}
@@ -0,0 +1,18 @@
+// Route handlers run on the server and can use the private backend URL
+export function backendUrl(): string {
+    const url = typeof window === "undefined"
+        ? process.env.BACKEND_URL || process.env.NEXT_PUBLIC_BACKEND_URL
+        : process.env.NEXT_PUBLIC_BACKEND_URL;
+
+    if (!url) {
+        throw new Error("Set NEXT_PUBLIC_BACKEND_URL in your env");
+    }
+    return url;
+}
+
+// Passes the browser's address on to the API, which rate limits sign-ins per client.
+// Next fills X-Forwarded-For from the socket when no proxy in front of it did.
+export function forwardedFor(req: Request): Record<string, string> {
+    const forwarded = req.headers.get("x-forwarded-for");
+    return forwarded ? { "X-Forwarded-For": forwarded } : {};
+}
@@ -0,0 +1,253 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { backendUrl } from "./backend";
+import type { PaymentProviderId } from "./payment-providers";
+
+// Captured orders on their way to the backend. The capture route writes the order
+// here before calling /api/payments/store, so a paid order survives the backend being
+// down: the worker retries it with backoff and, when it keeps failing, dead-letters it
+// for staff to replay from the admin payments page.
+//
+// One JSON file per order in CAPTURE_OUTBOX_DIR. The directory must be on a persistent
+// disk. Delivered orders are removed, and so are dead letters nobody replayed in time.
+
+const MAX_ATTEMPTS = 6;
+
+// 1, 2, 4, 8, 16 minutes between attempts
+const RETRY_BASE_MS = 60 * 1000;
+
+// Dead letters are dropped 30 days after their last attempt - the log keeps the order
+const DEAD_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Rejections that a retry cannot fix - the order goes straight to the dead letters.
+// 409 is an earlier attempt still being processed by the backend.
+const RETRYABLE_STATUSES = [408, 409, 429];
+const isPermanentFailure = (status: number) => status >= 400 && status < 500 && !RETRYABLE_STATUSES.includes(status);
+
+export interface StorePayload {
+    provider?: PaymentProviderId; // Entries written before Stripe are PayPal
+    orderId: string;
+    paymentId: string;
+    packageId: string;
+    customerEmail: string;
+    customerName: string;
+    onboardingData: Record<string, unknown>;
+    uploadToken?: string;
+    photoIds?: string[];
+}
+
+export interface CaptureEntry {
+    orderId: string;
+    status: "pending" | "dead";
+    attempts: number;
+    nextAttemptAt: string;
+    lastStatus: number | null;
+    lastError: string | null;
+    createdAt: string;
+    updatedAt: string;
+    payload: StorePayload;
+}
+
+export type DeliveryResult =
+    | { delivered: true; result: any }
+    | { delivered: false; entry: CaptureEntry };
+
+// Orders being delivered by this process, so the worker and a request never send one twice
+const inFlight = new Set<string>();
+
+function outboxDir(): string {
+    return process.env.CAPTURE_OUTBOX_DIR || path.join(process.cwd(), ".capture-outbox");
+}
+
+function entryPath(orderId: string): string {
+    if (!/^[A-Za-z0-9_-]{1,100}$/.test(orderId)) {
+        throw new Error(`Invalid order ID: ${orderId}`);
+    }
+    return path.join(outboxDir(), `${orderId}.json`);
+}
+
+// Written to a temporary file and renamed, so a crash never leaves half an entry
+async function writeEntry(entry: CaptureEntry): Promise<void> {
+    const file = entryPath(entry.orderId);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(entry, null, 2));
+    await fs.rename(`${file}.tmp`, file);
+}
+
+async function readEntry(orderId: string): Promise<CaptureEntry | null> {
+    try {
+        return JSON.parse(await fs.readFile(entryPath(orderId), "utf8"));
+    } catch (error) {
+        if ((error as NodeJS.ErrnoException).code === "ENOENT") return null;
+        throw error;
+    }
+}
+
+// Keep the capture before anything else can go wrong
+export async function recordCapture(payload: StorePayload): Promise<CaptureEntry> {
+    const existing = await readEntry(payload.orderId);
+    if (existing) return existing;
+
+    const now = new Date().toISOString();
+    const entry: CaptureEntry = {
+        orderId: payload.orderId,
+        status: "pending",
+        attempts: 0,
+        nextAttemptAt: now,
+        lastStatus: null,
+        lastError: null,
+        createdAt: now,
+        updatedAt: now,
+        payload,
+    };
+    await writeEntry(entry);
+    return entry;
+}
+
+// One attempt at storing the order. The order ID doubles as the Idempotency-Key, so an
+// attempt that reached the backend before failing is not stored twice.
+export async function deliverCapture(orderId: string): Promise<DeliveryResult | null> {
+    if (inFlight.has(orderId)) return null;
+    inFlight.add(orderId);
+
+    try {
+        const entry = await readEntry(orderId);
+        if (!entry) return null;
+
+        let status: number | null = null;
+        let error: string;
+        try {
+            const res = await fetch(`${backendUrl()}/api/payments/store`, {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                    "Idempotency-Key": orderId,
+                },
+                body: JSON.stringify(entry.payload),
+                cache: "no-store",
+            });
+            const body = await res.json().catch(() => ({}));
+
+            if (res.ok) {
+                await fs.rm(entryPath(orderId), { force: true });
+                console.log('✅ Captured order stored:', orderId);
+                return { delivered: true, result: body };
+            }
+            status = res.status;
+            error = body.code ? `${body.code}: ${body.message}` : body.message || res.statusText;
+        } catch (fetchError) {
+            error = fetchError instanceof Error ? fetchError.message : String(fetchError);
+        }
+
+        const attempts = entry.attempts + 1;
+        const dead = attempts >= MAX_ATTEMPTS || (status !== null && isPermanentFailure(status));
+        const updated: CaptureEntry = {
+            ...entry,
+            status: dead ? "dead" : "pending",
+            attempts,
+            nextAttemptAt: new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1)).toISOString(),
+            lastStatus: status,
+            lastError: error.slice(0, 1000),
+            updatedAt: new Date().toISOString(),
+        };
+        await writeEntry(updated);
+
+        if (dead) {
+            console.error(`❌ Captured order ${orderId} dead-lettered after ${attempts} attempts:`, error);
+        } else {
+            console.warn(`⚠️ Captured order ${orderId} not stored (attempt ${attempts}), retrying:`, error);
+        }
+        return { delivered: false, entry: updated };
+    } finally {
+        inFlight.delete(orderId);
+    }
+}
+
+export async function listCaptures(): Promise<CaptureEntry[]> {
+    let files: string[];
+    try {
+        files = await fs.readdir(outboxDir());
+    } catch (error) {
+        if ((error as NodeJS.ErrnoException).code === "ENOENT") return [];
+        throw error;
+    }
+
+    const entries = await Promise.all(files
+        .filter((file) => file.endsWith(".json"))
+        .map((file) => readEntry(file.slice(0, -".json".length))));
+
+    return entries
+        .filter((entry): entry is CaptureEntry => entry !== null)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Pending orders whose retry is due, and dead letters past their retention
+export async function processCaptureOutbox(): Promise<{ delivered: number; retrying: number; dead: number; expired: number }> {
+    const counts = { delivered: 0, retrying: 0, dead: 0, expired: 0 };
+    const now = new Date().toISOString();
+    const expiredBefore = new Date(Date.now() - DEAD_RETENTION_MS).toISOString();
+
+    for (const entry of await listCaptures()) {
+        if (entry.status === "dead" && entry.updatedAt < expiredBefore) {
+            console.error(`❌ Dropping captured order ${entry.orderId}, dead-lettered since ${entry.updatedAt}:`, JSON.stringify(entry.payload));
+            await fs.rm(entryPath(entry.orderId), { force: true });
+            counts.expired++;
+            continue;
+        }
+        if (entry.status !== "pending" || entry.nextAttemptAt > now) continue;
+
+        const outcome = await deliverCapture(entry.orderId);
+        if (!outcome) continue;
+        if (outcome.delivered) counts.delivered++;
+        else if (outcome.entry.status === "dead") counts.dead++;
+        else counts.retrying++;
+    }
+    return counts;
+}
+
+// Staff replay - a dead-lettered (or waiting) order gets a fresh set of attempts, starting now
+export async function replayCapture(orderId: string): Promise<DeliveryResult | null> {
+    const entry = await readEntry(orderId);
+    if (!entry) return null;
+
+    await writeEntry({ ...entry, status: "pending", attempts: 0, nextAttemptAt: new Date().toISOString() });
+    return deliverCapture(orderId);
+}
+
+// What the admin page shows - the questionnaire itself stays on disk
+export function summarizeCapture(entry: CaptureEntry) {
+    const { payload, ...rest } = entry;
+    return {
+        ...rest,
+        provider: payload.provider || "paypal",
+        captureId: payload.paymentId,
+        packageId: payload.packageId,
+        customerEmail: payload.customerEmail,
+        customerName: payload.customerName,
+    };
+}
+
+// Retries run inside the Next server, started from instrumentation.ts
+export function startCaptureWorker(intervalMs = 60 * 1000): () => void {
+    let running = false;
+
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const counts = await processCaptureOutbox();
+            if (counts.delivered + counts.retrying + counts.dead + counts.expired > 0) {
+                console.log('💳 Capture outbox:', counts);
+            }
+        } catch (error) {
+            console.error('❌ Capture outbox run failed:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(tick, intervalMs);
+    timer.unref();
+    tick();
+    return () => clearInterval(timer);
+}
@@ -0,0 +1,174 @@
+import { backendUrl } from "./backend";
+import type { PaymentProviderId } from "./payment-providers";
+import type { OrderPhotoSummary } from "./uploads";
+
+// Checkouts in progress - the backend keeps the package and questionnaire draft of every
+// order we start with a payment provider, so a customer who drops off can be sent back
+// to /checkout.
+
+const FORM_DATA_KEY = "onboardingFormData";
+const PACKAGE_KEY = "selectedPackage";
+
+export interface CheckoutIntent {
+    orderId: string;
+    clientSecret: string | null; // What Stripe's Payment Element confirms
+    checkoutToken: string | null; // What cancelCheckout needs
+}
+
+// What to tell the customer once the payment went through
+export interface PaidNotice {
+    type: "success" | "info";
+    message: string;
+}
+
+export interface ResumedCheckout {
+    packageId: string;
+    onboardingData: Record<string, unknown>;
+}
+
+// The questionnaire answers onboarding left for checkout
+export function loadStoredFormData(): Record<string, unknown> | null {
+    const stored = localStorage.getItem(FORM_DATA_KEY);
+    if (!stored) return null;
+    try {
+        return JSON.parse(stored);
+    } catch {
+        return null;
+    }
+}
+
+// Package and draft behind a resume link, written back where checkout reads them
+export async function resumeCheckout(token: string): Promise<ResumedCheckout> {
+    const res = await fetch(`${backendUrl()}/api/checkout/resume/${encodeURIComponent(token)}`, { cache: "no-store" });
+    const data = await res.json().catch(() => ({}));
+
+    if (!res.ok || !data.success) {
+        throw new Error(data.message || `Failed to load your checkout: ${res.status}`);
+    }
+
+    localStorage.setItem(FORM_DATA_KEY, JSON.stringify(data.onboardingData));
+    localStorage.setItem(PACKAGE_KEY, data.packageId);
+    return { packageId: data.packageId, onboardingData: data.onboardingData };
+}
+
+// Start a checkout - the server prices it from the package catalog and keeps the answers
+// with the pending order in case the customer drops off
+export async function startCheckout(
+    provider: PaymentProviderId,
+    packageId: string,
+    onboardingData: Record<string, unknown> | null
+): Promise<CheckoutIntent> {
+    console.log(`🔄 Starting ${provider} checkout via server...`, packageId);
+
+    const res = await fetch(`/api/payments/${provider}/intent`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ packageId, onboardingData }),
+    });
+    const data = await res.json().catch(() => ({}));
+
+    if (!res.ok || !data.success || !data.orderId) {
+        console.error("❌ Error starting checkout:", data);
+        throw new Error(data.message || `Checkout failed: ${res.status}`);
+    }
+
+    console.log("✅ Server-side order created:", data.orderId);
+    return { orderId: data.orderId, clientSecret: data.clientSecret || null, checkoutToken: data.checkoutToken || null };
+}
+
+// The server captures the payment and stores the order. If storing fails the order is
+// kept in the capture outbox and retried, so a capture always counts as a successful payment.
+export async function captureAndStore(
+    provider: PaymentProviderId,
+    orderId: string,
+    packageId: string | undefined,
+    formData: Record<string, any> | null
+): Promise<PaidNotice> {
+    // Photos were uploaded and checked during onboarding - only their IDs are sent
+    const { uploadToken, photoIds, ...onboardingData } = formData || {};
+
+    // Amount and status are verified by the backend with the provider, so we only send IDs
+    const orderData = {
+        packageId,
+        customerEmail: formData?.email || "",
+        customerName: formData?.name || "",
+        onboardingData,
+        uploadToken,
+        photoIds,
+    };
+
+    console.log("🔍 Capturing order and storing the questionnaire:", orderId);
+
+    const captureResponse = await fetch(`/api/payments/${provider}/capture/${encodeURIComponent(orderId)}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(orderData),
+    });
+    const captureResult = await captureResponse.json().catch(() => ({}));
+
+    if (!captureResponse.ok || !captureResult.success) {
+        console.error("❌ Payment capture failed:", captureResult);
+        throw new Error(captureResult.message || `Capture failed: ${captureResponse.status}`);
+    }
+
+    console.log("✅ Payment captured successfully:", orderId);
+
+    // Clear stored data after successful payment
+    localStorage.removeItem(FORM_DATA_KEY);
+
+    if (!captureResult.stored) {
+        console.warn("⚠️ Order captured but not stored yet - it is queued for retry");
+        return { type: "success", message: "Payment successful! We're finishing setting up your order and will email you shortly." };
+    }
+
+    // The order is stored even when some photos did not make it - tell the customer
+    const photoSummary: OrderPhotoSummary | undefined = captureResult.payment?.photos;
+    if (photoSummary?.needsPhotos) {
+        const failed = photoSummary.results.filter((result) => result.status === "failed").length;
+        console.warn("⚠️ Order stored without enough photos:", photoSummary);
+        return {
+            type: "info",
+            message: `Payment successful! We received ${photoSummary.stored} of the ${photoSummary.required} photos your package needs${failed > 0 ? ` (${failed} failed to upload)` : ""} - our team will contact you to add the rest.`,
+        };
+    }
+
+    return { type: "success", message: "Payment successful! Order ID: " + orderId };
+}
+
+// Where Stripe sends the customer back when a card needs a redirect (some 3-D Secure flows).
+// Stripe adds payment_intent and redirect_status to it.
+export function stripeReturnUrl(packageId: string): string {
+    return `${window.location.origin}/checkout?package=${encodeURIComponent(packageId)}`;
+}
+
+// Finish a card payment that left the page for its redirect - the order is captured and
+// stored from here, the way the Payment Element does it when no redirect is needed.
+// null when the page was not opened by a Stripe redirect.
+export async function completeStripeRedirect(params: URLSearchParams): Promise<PaidNotice | null> {
+    const paymentIntentId = params.get("payment_intent");
+    if (!paymentIntentId) return null;
+
+    const redirectStatus = params.get("redirect_status");
+    if (redirectStatus !== "succeeded") {
+        console.warn("⚠️ Stripe payment not completed after redirect:", redirectStatus);
+        throw new Error("Payment was not completed. Please try again.");
+    }
+
+    const packageId = params.get("package") || localStorage.getItem(PACKAGE_KEY) || undefined;
+    return captureAndStore("stripe", paymentIntentId, packageId, loadStoredFormData());
+}
+
+// The customer backed out of the payment - best effort, checkout carries on either way.
+// Only the browser that started the checkout holds its token.
+export async function cancelCheckout(orderId: string, checkoutToken: string | null): Promise<void> {
+    if (!checkoutToken) return;
+    try {
+        await fetch(`${backendUrl()}/api/checkout/${encodeURIComponent(orderId)}/cancel`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ checkoutToken }),
+        });
+    } catch (error) {
+        console.warn("⚠️ Failed to record cancelled checkout:", error);
+    }
+}
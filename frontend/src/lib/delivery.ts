@@ -0,0 +1,52 @@
+import { backendUrl } from "./backend";
+
+// Customer results page - the signed token from the delivery link is the only credential
+export interface DeliveryPhoto {
+    id: string;
+    url: string;
+    width: number | null;
+    height: number | null;
+}
+
+export interface DeliveryPair {
+    enhanced: DeliveryPhoto;
+    original: DeliveryPhoto | null;
+}
+
+export interface Delivery {
+    orderId: string;
+    firstName: string | null;
+    packageName: string;
+    status: "delivered" | "revision_requested";
+    deliveredAt: string | null;
+    expiresAt: string;
+    pairs: DeliveryPair[];
+    bioSuggestions: string[];
+    styleVariations: string[];
+}
+
+// INVALID_DELIVERY_LINK, DELIVERY_NOT_READY or DELIVERY_CANCELLED from the backend
+export class DeliveryError extends Error {
+    constructor(message: string, readonly code: string | null) {
+        super(message);
+    }
+}
+
+export async function fetchDelivery(token: string): Promise<Delivery> {
+    const res = await fetch(`${backendUrl()}/api/delivery/${encodeURIComponent(token)}`, { cache: "no-store" });
+    const data = await res.json().catch(() => ({}));
+
+    if (!res.ok || !data.success) {
+        throw new DeliveryError(data.message || `Failed to load results: ${res.status}`, data.code || null);
+    }
+    return data.delivery;
+}
+
+// Downloads are plain links - the backend answers with Content-Disposition: attachment
+export function photoDownloadUrl(token: string, photoId: string): string {
+    return `${backendUrl()}/api/delivery/${encodeURIComponent(token)}/photos/${encodeURIComponent(photoId)}/download`;
+}
+
+export function archiveDownloadUrl(token: string): string {
+    return `${backendUrl()}/api/delivery/${encodeURIComponent(token)}/download`;
+}
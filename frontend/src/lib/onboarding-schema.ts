@@ -0,0 +1,328 @@
+// Generated from backend/src/schemas/onboarding.js by `npm run generate:onboarding-schema`.
+// Do not edit by hand - the backend validates and constrains against the same schema.
+
+export const ONBOARDING_SCHEMA_VERSION = 1;
+
+export interface OnboardingOption {
+    value: string;
+    label: string;
+    description?: string;
+}
+
+export const ageOptions = [
+    {
+        "value": "20-29",
+        "label": "Young Adult (20-29)"
+    },
+    {
+        "value": "30-45",
+        "label": "Adult (30-45)"
+    },
+    {
+        "value": "46-60",
+        "label": "Middle-aged (46-60)"
+    },
+    {
+        "value": "60+",
+        "label": "Senior (60+)"
+    }
+] as const satisfies readonly OnboardingOption[];
+
+export type Age = (typeof ageOptions)[number]["value"];
+
+export const datingGoalOptions = [
+    {
+        "value": "casual",
+        "label": "Casual Dating"
+    },
+    {
+        "value": "relationship",
+        "label": "Relationship"
+    },
+    {
+        "value": "marriage",
+        "label": "Marriage"
+    },
+    {
+        "value": "hookup",
+        "label": "Hookup"
+    }
+] as const satisfies readonly OnboardingOption[];
+
+export type DatingGoal = (typeof datingGoalOptions)[number]["value"];
+
+export const currentMatchesOptions = [
+    {
+        "value": "0-2",
+        "label": "0-2 matches"
+    },
+    {
+        "value": "3-5",
+        "label": "3-5 matches"
+    },
+    {
+        "value": "5-10",
+        "label": "5-10 matches"
+    },
+    {
+        "value": "10+",
+        "label": "10+ matches"
+    }
+] as const satisfies readonly OnboardingOption[];
+
+export type CurrentMatches = (typeof currentMatchesOptions)[number]["value"];
+
+export const bodyTypeOptions = [
+    {
+        "value": "slim",
+        "label": "Slim"
+    },
+    {
+        "value": "average-fit",
+        "label": "Average / Fit"
+    },
+    {
+        "value": "lean-toned",
+        "label": "Lean & Toned"
+    },
+    {
+        "value": "muscular-athletic",
+        "label": "Muscular / Athletic"
+    },
+    {
+        "value": "bulky-bodybuilder",
+        "label": "Bulky / Bodybuilder"
+    },
+    {
+        "value": "chubby-soft",
+        "label": "Chubby / Soft"
+    },
+    {
+        "value": "plus-size",
+        "label": "Plus-size"
+    },
+    {
+        "value": "petite",
+        "label": "Petite"
+    },
+    {
+        "value": "tall-slim",
+        "label": "Tall and Slim"
+    },
+    {
+        "value": "short-stocky",
+        "label": "Short and Stocky"
+    }
+] as const satisfies readonly OnboardingOption[];
+
+export type BodyType = (typeof bodyTypeOptions)[number]["value"];
+
+export const stylePreferenceOptions = [
+    {
+        "value": "professional",
+        "label": "Professional",
+        "description": "Business attire, suits, formal wear"
+    },
+    {
+        "value": "casual",
+        "label": "Casual",
+        "description": "Everyday comfort, relaxed style"
+    },
+    {
+        "value": "adventurous",
+        "label": "Adventurous",
+        "description": "Outdoor gear, active lifestyle"
+    },
+    {
+        "value": "party",
+        "label": "Party",
+        "description": "Night out, trendy fashion"
+    }
+] as const satisfies readonly OnboardingOption[];
+
+export type StylePreference = (typeof stylePreferenceOptions)[number]["value"];
+
+export const ethnicityOptions = [
+    {
+        "value": "prefer-not-to-say",
+        "label": "Prefer not to say"
+    },
+    {
+        "value": "white",
+        "label": "White/Caucasian"
+    },
+    {
+        "value": "black",
+        "label": "Black/African American"
+    },
+    {
+        "value": "hispanic",
+        "label": "Hispanic/Latino"
+    },
+    {
+        "value": "asian",
+        "label": "Asian"
+    },
+    {
+        "value": "middle-eastern",
+        "label": "Middle Eastern"
+    },
+    {
+        "value": "native-american",
+        "label": "Native American"
+    },
+    {
+        "value": "pacific-islander",
+        "label": "Pacific Islander"
+    },
+    {
+        "value": "mixed",
+        "label": "Mixed/Multi-racial"
+    },
+    {
+        "value": "other",
+        "label": "Other"
+    }
+] as const satisfies readonly OnboardingOption[];
+
+export type Ethnicity = (typeof ethnicityOptions)[number]["value"];
+
+export const interestsOptions = [
+    {
+        "value": "gym",
+        "label": "Gym"
+    },
+    {
+        "value": "travel",
+        "label": "Travel"
+    },
+    {
+        "value": "food",
+        "label": "Food"
+    },
+    {
+        "value": "photography",
+        "label": "Photography"
+    },
+    {
+        "value": "music",
+        "label": "Music"
+    },
+    {
+        "value": "reading",
+        "label": "Reading"
+    },
+    {
+        "value": "gaming",
+        "label": "Gaming"
+    },
+    {
+        "value": "dating",
+        "label": "Dating"
+    },
+    {
+        "value": "coffee",
+        "label": "Coffee"
+    },
+    {
+        "value": "hiking",
+        "label": "Hiking"
+    },
+    {
+        "value": "movies",
+        "label": "Movies"
+    },
+    {
+        "value": "art",
+        "label": "Art"
+    }
+] as const satisfies readonly OnboardingOption[];
+
+export type Interests = (typeof interestsOptions)[number]["value"];
+
+export const vibeOptions = [
+    {
+        "value": "fitness-lifestyle",
+        "label": "Fitness & Lifestyle"
+    },
+    {
+        "value": "career-success",
+        "label": "Career & Success"
+    },
+    {
+        "value": "foodie-traveler",
+        "label": "Foodie & Traveler"
+    },
+    {
+        "value": "fun-adventurous",
+        "label": "Fun & Adventurous"
+    }
+] as const satisfies readonly OnboardingOption[];
+
+export type Vibe = (typeof vibeOptions)[number]["value"];
+
+export const wantMoreOptions = [
+    {
+        "value": "matches",
+        "label": "Matches"
+    },
+    {
+        "value": "dates",
+        "label": "Dates"
+    },
+    {
+        "value": "serious-connections",
+        "label": "Serious Connections"
+    }
+] as const satisfies readonly OnboardingOption[];
+
+export type WantMore = (typeof wantMoreOptions)[number]["value"];
+
+export const onboardingLimits = {
+    "name": {
+        "required": true,
+        "maxLength": 100
+    },
+    "age": {
+        "required": true
+    },
+    "datingGoal": {
+        "required": true
+    },
+    "currentMatches": {
+        "required": true
+    },
+    "bodyType": {
+        "required": true
+    },
+    "stylePreference": {
+        "required": true
+    },
+    "ethnicity": {
+        "required": true
+    },
+    "interests": {
+        "required": true,
+        "minItems": 3,
+        "maxItems": 3
+    },
+    "currentBio": {
+        "maxLength": 500
+    },
+    "email": {
+        "required": true,
+        "maxLength": 255
+    },
+    "phone": {
+        "digits": 10
+    },
+    "vibe": {
+        "required": true
+    },
+    "wantMore": {
+        "required": true
+    },
+    "oneLiner": {
+        "maxLength": 200
+    }
+} as const;
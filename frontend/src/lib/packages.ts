@@ -0,0 +1,53 @@
+import { backendUrl } from "./backend";
+
+// Package catalog - served by the backend from the packages table
+export interface Package {
+    id: string;
+    name: string;
+    price: number;
+    originalPrice: number | null;
+    currency: string;
+    discount: string | null;
+    description: string | null;
+    benefit: string | null;
+    features: string[];
+    buttonText: string | null;
+    popular: boolean;
+    mobileOrder: number;
+    minPhotos: number; // Usable photos an order needs - fewer flags it as "needs photos"
+}
+
+export const DEFAULT_PACKAGE_ID = "most-matches";
+
+export async function fetchPackages(): Promise<Package[]> {
+    const res = await fetch(`${backendUrl()}/api/packages`, { cache: "no-store" });
+    const data = await res.json();
+
+    if (!res.ok || !data.success) {
+        throw new Error(data.message || `Failed to load packages: ${res.status}`);
+    }
+    return data.packages;
+}
+
+// Returns null for unknown or retired packages
+export async function fetchPackage(packageId: string): Promise<Package | null> {
+    const res = await fetch(`${backendUrl()}/api/packages/${encodeURIComponent(packageId)}`, { cache: "no-store" });
+
+    if (res.status === 404) {
+        return null;
+    }
+
+    const data = await res.json();
+    if (!res.ok || !data.success) {
+        throw new Error(data.message || `Failed to load package: ${res.status}`);
+    }
+    return data.package;
+}
+
+export function formatPrice(amount: number, currency = "USD"): string {
+    return new Intl.NumberFormat("en-US", {
+        style: "currency",
+        currency,
+        minimumFractionDigits: Number.isInteger(amount) ? 0 : 2,
+    }).format(amount);
+}
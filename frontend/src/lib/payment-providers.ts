@@ -0,0 +1,100 @@
+import { getAccessToken, PAYPAL_API_BASE } from "./paypal";
+import { backendUrl } from "./backend";
+
+// Payment providers on the Next side. The backend starts checkouts (POST /api/checkout/intents)
+// and verifies every payment before storing the order; what happens here is the step
+// between the two that needs our server: capturing the money once the customer approved.
+//
+//   PayPal   the buyer approves the order in PayPal's window, we capture it with the REST API
+//   Stripe   the browser confirms the PaymentIntent with Stripe's Payment Element, which
+//            captures it - we only ask the backend whether it succeeded
+//
+// Card details only ever go to the provider's own hosted fields.
+
+export const PAYMENT_PROVIDERS = ["paypal", "stripe"] as const;
+export type PaymentProviderId = (typeof PAYMENT_PROVIDERS)[number];
+
+export function isPaymentProvider(value: string): value is PaymentProviderId {
+    return (PAYMENT_PROVIDERS as readonly string[]).includes(value);
+}
+
+export type ProviderCapture =
+    | { ok: true; paymentId?: string; packageId?: string; payerEmail?: string; details: unknown }
+    | { ok: false; status: number; error: unknown };
+
+// clientHeaders carry the customer's address to the API, which rate limits lookups per client
+export interface PaymentProvider {
+    id: PaymentProviderId;
+    capture(orderId: string, clientHeaders?: Record<string, string>): Promise<ProviderCapture>;
+}
+
+const paypal: PaymentProvider = {
+    id: "paypal",
+
+    async capture(orderId) {
+        const accessToken = await getAccessToken();
+        console.log('🔑 Access token received for capture');
+
+        const captureRes = await fetch(`${PAYPAL_API_BASE}/v2/checkout/orders/${orderId}/capture`, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                Authorization: `Bearer ${accessToken}`,
+                // Stable per order, so a retried capture returns the first result instead of failing
+                "PayPal-Request-Id": `capture_order_${orderId}`,
+            },
+        });
+
+        const capture = await captureRes.json();
+        if (!captureRes.ok) {
+            return { ok: false, status: captureRes.status, error: capture };
+        }
+
+        const captureDetails = capture.purchase_units?.[0]?.payments?.captures?.[0];
+        return {
+            ok: true,
+            paymentId: captureDetails?.id || capture.id,
+            // The backend checks the package against the order at PayPal
+            packageId: captureDetails?.custom_id || capture.purchase_units?.[0]?.custom_id,
+            payerEmail: capture.payer?.email_address,
+            details: capture,
+        };
+    },
+};
+
+const stripe: PaymentProvider = {
+    id: "stripe",
+
+    // Already captured when the browser confirmed it - anything but a PaymentIntent that
+    // succeeded is refused here, before the order is kept in the capture outbox
+    async capture(orderId, clientHeaders = {}) {
+        if (!/^pi_[A-Za-z0-9]+$/.test(orderId)) {
+            return { ok: false, status: 400, error: `Not a PaymentIntent ID: ${orderId}` };
+        }
+
+        const lookupRes = await fetch(`${backendUrl()}/api/checkout/stripe/${encodeURIComponent(orderId)}/payment`, {
+            headers: clientHeaders,
+            cache: "no-store",
+        });
+        const lookup = await lookupRes.json().catch(() => ({}));
+        if (!lookupRes.ok || !lookup.success) {
+            return { ok: false, status: lookupRes.ok ? 502 : lookupRes.status, error: lookup.code || lookupRes.statusText };
+        }
+        if (lookup.payment.status !== "completed") {
+            return { ok: false, status: 402, error: `PaymentIntent is ${lookup.payment.status}` };
+        }
+
+        return {
+            ok: true,
+            paymentId: lookup.payment.captureId || undefined,
+            packageId: lookup.payment.packageId || undefined,
+            details: { id: orderId, object: "payment_intent", status: "succeeded" },
+        };
+    },
+};
+
+const providers: Record<PaymentProviderId, PaymentProvider> = { paypal, stripe };
+
+export function getPaymentProvider(id: PaymentProviderId): PaymentProvider {
+    return providers[id];
+}
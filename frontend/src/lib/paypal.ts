@@ -1,10 +1,15 @@
 // PayPal API configuration
 const FALLBACK_BASE = "https://api-m.sandbox.paypal.com";
 
-export const PAYPAL_API_BASE = process.env.PAYPAL_API_BASE?.trim() || FALLBACK_BASE;
+// PAYPAL_MODE=mock talks to the backend's local mock server (npm run mock-paypal),
+// which accepts any credentials
+const IS_MOCK = process.env.PAYPAL_MODE === "mock";
+const MOCK_BASE = "http://localhost:5055";
 
-const CLIENT_ID = process.env.PAYPAL_CLIENT_ID;
-const CLIENT_SECRET = process.env.PAYPAL_SECRET_KEY;
+export const PAYPAL_API_BASE = process.env.PAYPAL_API_BASE?.trim() || (IS_MOCK ? MOCK_BASE : FALLBACK_BASE);
+
+const CLIENT_ID = process.env.PAYPAL_CLIENT_ID || (IS_MOCK ? "mock-client" : undefined);
+const CLIENT_SECRET = process.env.PAYPAL_SECRET_KEY || (IS_MOCK ? "mock-secret" : undefined);
 
 function ensureCreds() {
     if (!CLIENT_ID || !CLIENT_SECRET) {
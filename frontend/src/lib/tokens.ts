@@ -0,0 +1,13 @@
+// Reads the expiry from a backend token payload. This does not check the signature - the
+// backend does that on every request - it only spares a round trip for stale cookies.
+export function isTokenExpired(token: string | undefined): boolean {
+    if (!token) return true;
+
+    try {
+        const payload = token.split(".")[0].replace(/-/g, "+").replace(/_/g, "/");
+        const { exp } = JSON.parse(atob(payload));
+        return typeof exp !== "number" || exp * 1000 <= Date.now();
+    } catch {
+        return true;
+    }
+}
@@ -0,0 +1,189 @@
+import { backendUrl } from "./backend";
+
+// Direct-to-storage photo uploads - the backend signs a target per photo,
+// the file goes straight to storage and /api/payments/store only receives photo IDs
+export type UploadKind = "photo" | "screenshot";
+
+export interface PhotoUpload {
+    file: Blob;
+    kind: UploadKind;
+}
+
+export interface UploadedPhotos {
+    uploadToken: string;
+    photoIds: string[];
+}
+
+export type PhotoVerdict = "pass" | "warn" | "fail";
+
+export interface PhotoQualityIssue {
+    code: string;
+    severity: "warn" | "fail";
+    message: string;
+    duplicateOf?: string;
+}
+
+export interface PhotoQuality {
+    verdict: PhotoVerdict;
+    issues: PhotoQualityIssue[];
+    metrics?: {
+        width: number;
+        height: number;
+        sharpness: number;
+        brightness: number;
+    };
+}
+
+export interface UploadedAsset {
+    id: string;
+    kind: UploadKind;
+    status: "pending" | "uploaded" | "rejected" | "attached";
+    url: string | null;
+    quality: PhotoQuality | null;
+    attempts?: number;
+    failureReason?: string | null;
+}
+
+// Per-photo outcome returned by /api/payments/store
+export interface OrderPhotoResult {
+    photoId: string;
+    kind: UploadKind | null;
+    status: "stored" | "failed";
+    reason?: string;
+    verdict?: PhotoVerdict | null;
+    retries: number;
+}
+
+export interface OrderPhotoSummary {
+    stored: number;
+    required: number;
+    needsPhotos: boolean;
+    results: OrderPhotoResult[];
+}
+
+interface UploadTarget {
+    assetId: string;
+    kind: UploadKind;
+    upload: {
+        url: string;
+        method: string;
+        fields: Record<string, string | number>;
+    };
+}
+
+// Uploads in parallel without opening a connection per photo at once
+const CONCURRENCY = 3;
+
+// Backoff between tries of a failed transfer or confirmation
+const RETRY_DELAYS_MS = [500, 1500, 4000];
+
+class UploadRequestError extends Error {
+    constructor(message: string, readonly status: number) {
+        super(message);
+    }
+}
+
+// Network errors, server errors and "not in storage yet" are worth another try
+function isRetryable(error: unknown): boolean {
+    if (error instanceof UploadRequestError) {
+        return error.status >= 500 || error.status === 409 || error.status === 429;
+    }
+    return error instanceof TypeError;
+}
+
+async function withRetry<T>(fn: () => Promise<T>, onRetry?: (retry: number) => void): Promise<T> {
+    for (let retry = 0; ; retry++) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (retry >= RETRY_DELAYS_MS.length || !isRetryable(error)) {
+                throw error;
+            }
+            onRetry?.(retry + 1);
+            await new Promise((resolve) => setTimeout(resolve, RETRY_DELAYS_MS[retry]));
+        }
+    }
+}
+
+async function postJson(path: string, body: unknown, token?: string) {
+    const res = await fetch(`${backendUrl()}${path}`, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json",
+            ...(token && { Authorization: `Bearer ${token}` }),
+        },
+        body: JSON.stringify(body),
+    });
+    const data = await res.json();
+
+    if (!res.ok || !data.success) {
+        throw new UploadRequestError(data.message || `Upload request failed: ${res.status}`, res.status);
+    }
+    return data;
+}
+
+async function uploadToTarget(target: UploadTarget, file: Blob) {
+    const form = new FormData();
+    for (const [key, value] of Object.entries(target.upload.fields)) {
+        form.append(key, String(value));
+    }
+    form.append("file", file);
+
+    const res = await fetch(target.upload.url, { method: target.upload.method, body: form });
+    if (!res.ok) {
+        throw new UploadRequestError(`Photo upload failed: ${res.status}`, res.status);
+    }
+}
+
+export interface UploadSession {
+    sessionId: string;
+    token: string;
+}
+
+export async function createUploadSession(email?: string): Promise<UploadSession> {
+    const { sessionId, token } = await postJson("/api/uploads/sessions", { email });
+    return { sessionId, token };
+}
+
+// Upload one photo and wait for the backend's quality verdict. The transfer and the
+// confirmation are retried with backoff; onRetry reports each retry for the UI.
+export async function uploadPhoto(
+    session: UploadSession,
+    file: Blob,
+    kind: UploadKind,
+    onRetry?: (retry: number) => void
+): Promise<UploadedAsset> {
+    const sessionPath = `/api/uploads/sessions/${session.sessionId}`;
+
+    const { targets }: { targets: UploadTarget[] } = await postJson(`${sessionPath}/targets`, {
+        files: [{ kind, contentType: file.type || "image/jpeg", size: file.size }],
+    }, session.token);
+
+    let retries = 0;
+    const countRetry = () => onRetry?.(++retries);
+
+    await withRetry(() => uploadToTarget(targets[0], file), countRetry);
+    const { asset } = await withRetry(
+        () => postJson(`${sessionPath}/assets/${targets[0].assetId}/complete`, {}, session.token),
+        countRetry
+    );
+    return asset;
+}
+
+// Photos the backend could read and did not fail on quality
+export function isUsable(asset: UploadedAsset): boolean {
+    return asset.status === "uploaded" && asset.quality?.verdict !== "fail";
+}
+
+// Returns the photo IDs in the same order as files
+export async function uploadPhotos(files: PhotoUpload[], email?: string): Promise<UploadedPhotos> {
+    const session = await createUploadSession(email);
+    const photoIds: string[] = [];
+
+    for (let i = 0; i < files.length; i += CONCURRENCY) {
+        const assets = await Promise.all(files.slice(i, i + CONCURRENCY).map(({ file, kind }) => uploadPhoto(session, file, kind)));
+        photoIds.push(...assets.map((asset) => asset.id));
+    }
+
+    return { uploadToken: session.token, photoIds };
+}
@@ -0,0 +1,27 @@
+import { NextRequest, NextResponse } from "next/server";
+import { ADMIN_COOKIE } from "@/lib/admin-auth";
+import { CUSTOMER_COOKIE } from "@/lib/account";
+import { isTokenExpired } from "@/lib/tokens";
+
+// Send anyone without a live session to the matching login page -
+// staff to /admin/login, customers to /login
+export function middleware(req: NextRequest) {
+    const { pathname, search } = req.nextUrl;
+    const isDashboard = pathname.startsWith("/dashboard");
+    const cookie = isDashboard ? CUSTOMER_COOKIE : ADMIN_COOKIE;
+
+    if (pathname === "/admin/login" || !isTokenExpired(req.cookies.get(cookie)?.value)) {
+        return NextResponse.next();
+    }
+
+    const loginUrl = new URL(isDashboard ? "/login" : "/admin/login", req.url);
+    loginUrl.searchParams.set("next", pathname + search);
+
+    const res = NextResponse.redirect(loginUrl);
+    res.cookies.delete(cookie);
+    return res;
+}
+
+export const config = {
+    matcher: ["/admin/:path*", "/dashboard/:path*"],
+};
@@ -0,0 +1,200 @@
+import { describe, it, before, after, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fs } from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import type { AddressInfo } from "net";
+import {
+    recordCapture,
+    deliverCapture,
+    processCaptureOutbox,
+    replayCapture,
+    listCaptures,
+    type StorePayload,
+} from "../src/lib/capture-outbox";
+
+// The capture outbox against a scripted /api/payments/store: a paid order is kept on disk
+// until the backend stores it, retried with backoff, and dead-lettered for staff replay
+// when retrying cannot help.
+
+// The runner reads stdout as its message stream - keep the outbox logs on stderr
+console.log = console.error;
+
+const payload = (orderId: string): StorePayload => ({
+    provider: "paypal",
+    orderId,
+    paymentId: `CAPTURE-${orderId}`,
+    packageId: "get-noticed",
+    customerEmail: "sam@example.com",
+    customerName: "Sam",
+    onboardingData: { datingGoal: "relationship" },
+});
+
+describe("capture outbox", () => {
+    let server: http.Server;
+    let responses: number[];
+    let received: { key: string | undefined; body: StorePayload }[];
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            let raw = "";
+            req.on("data", (chunk) => (raw += chunk));
+            req.on("end", () => {
+                received.push({ key: req.headers["idempotency-key"] as string | undefined, body: JSON.parse(raw) });
+                const status = responses.shift() ?? 200;
+                res.writeHead(status, { "Content-Type": "application/json" });
+                res.end(JSON.stringify(status === 200
+                    ? { success: true, paymentId: "payment-1" }
+                    : { success: false, code: `HTTP_${status}`, message: "Rejected" }));
+            });
+        });
+        await new Promise<void>((resolve) => server.listen(0, resolve));
+        process.env.BACKEND_URL = `http://localhost:${(server.address() as AddressInfo).port}`;
+    });
+
+    after(async () => {
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    beforeEach(async () => {
+        process.env.CAPTURE_OUTBOX_DIR = await fs.mkdtemp(path.join(os.tmpdir(), "capture-outbox-"));
+        responses = [];
+        received = [];
+    });
+
+    afterEach(async () => {
+        await fs.rm(process.env.CAPTURE_OUTBOX_DIR!, { recursive: true, force: true });
+    });
+
+    it("stores a captured order and removes it from the outbox", async () => {
+        await recordCapture(payload("ORDER1"));
+
+        const outcome = await deliverCapture("ORDER1");
+
+        assert.deepEqual(outcome, { delivered: true, result: { success: true, paymentId: "payment-1" } });
+        assert.equal(received[0].key, "ORDER1");
+        assert.equal(received[0].body.paymentId, "CAPTURE-ORDER1");
+        assert.deepEqual(await listCaptures(), []);
+    });
+
+    it("keeps the first capture when an order is recorded twice", async () => {
+        const first = await recordCapture(payload("ORDER1"));
+
+        const second = await recordCapture({ ...payload("ORDER1"), customerName: "Someone Else" });
+
+        assert.deepEqual(second, first);
+    });
+
+    it("retries a failed attempt after a backoff", async () => {
+        await recordCapture(payload("ORDER1"));
+        responses = [503];
+
+        const outcome = await deliverCapture("ORDER1");
+
+        assert.equal(outcome?.delivered, false);
+        const entry = outcome && !outcome.delivered ? outcome.entry : null;
+        assert.equal(entry?.status, "pending");
+        assert.equal(entry?.attempts, 1);
+        assert.equal(entry?.lastStatus, 503);
+        assert.equal(entry?.lastError, "HTTP_503: Rejected");
+        assert.ok(Date.parse(entry!.nextAttemptAt) - Date.now() > 50 * 1000);
+
+        // Not due yet - the worker leaves it alone
+        assert.deepEqual(await processCaptureOutbox(), { delivered: 0, retrying: 0, dead: 0, expired: 0 });
+        assert.equal(received.length, 1);
+    });
+
+    it("retries when the backend cannot be reached", async () => {
+        await recordCapture(payload("ORDER1"));
+        const backendUrl = process.env.BACKEND_URL;
+        process.env.BACKEND_URL = "http://localhost:1";
+
+        try {
+            const outcome = await deliverCapture("ORDER1");
+
+            const entry = outcome && !outcome.delivered ? outcome.entry : null;
+            assert.equal(entry?.status, "pending");
+            assert.equal(entry?.lastStatus, null);
+        } finally {
+            process.env.BACKEND_URL = backendUrl;
+        }
+    });
+
+    it("treats a store still in progress as retryable", async () => {
+        await recordCapture(payload("ORDER1"));
+        responses = [409];
+
+        const outcome = await deliverCapture("ORDER1");
+
+        assert.equal(outcome && !outcome.delivered && outcome.entry.status, "pending");
+    });
+
+    it("dead-letters a rejection that retrying cannot fix", async () => {
+        await recordCapture(payload("ORDER1"));
+        responses = [400];
+
+        const outcome = await deliverCapture("ORDER1");
+
+        assert.equal(outcome && !outcome.delivered && outcome.entry.status, "dead");
+        assert.equal((await listCaptures())[0].status, "dead");
+    });
+
+    it("dead-letters an order after 6 failed attempts", async () => {
+        await recordCapture(payload("ORDER1"));
+        responses = [503, 503, 503, 503, 503, 503];
+
+        const statuses = [];
+        for (let i = 0; i < 6; i++) {
+            const outcome = await deliverCapture("ORDER1");
+            statuses.push(outcome && !outcome.delivered ? outcome.entry.status : "delivered");
+        }
+
+        assert.deepEqual(statuses, ["pending", "pending", "pending", "pending", "pending", "dead"]);
+        assert.equal(received.length, 6);
+    });
+
+    it("delivers due orders from the worker and skips dead ones", async () => {
+        await recordCapture(payload("ORDER1"));
+        await recordCapture(payload("ORDER2"));
+        responses = [400];
+        await deliverCapture("ORDER1");
+
+        const counts = await processCaptureOutbox();
+
+        assert.deepEqual(counts, { delivered: 1, retrying: 0, dead: 0, expired: 0 });
+        assert.deepEqual((await listCaptures()).map((entry) => entry.orderId), ["ORDER1"]);
+    });
+
+    it("drops dead letters 30 days after their last attempt", async () => {
+        await recordCapture(payload("ORDER1"));
+        await recordCapture(payload("ORDER2"));
+        responses = [400, 400];
+        await deliverCapture("ORDER1");
+        await deliverCapture("ORDER2");
+        const file = path.join(process.env.CAPTURE_OUTBOX_DIR!, "ORDER1.json");
+        const entry = JSON.parse(await fs.readFile(file, "utf8"));
+        await fs.writeFile(file, JSON.stringify({ ...entry, updatedAt: new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString() }));
+
+        const counts = await processCaptureOutbox();
+
+        assert.equal(counts.expired, 1);
+        assert.deepEqual((await listCaptures()).map((capture) => capture.orderId), ["ORDER2"]);
+    });
+
+    it("replays a dead-lettered order with the same Idempotency-Key", async () => {
+        await recordCapture(payload("ORDER1"));
+        responses = [400];
+        await deliverCapture("ORDER1");
+
+        const outcome = await replayCapture("ORDER1");
+
+        assert.equal(outcome?.delivered, true);
+        assert.deepEqual(received.map((request) => request.key), ["ORDER1", "ORDER1"]);
+        assert.deepEqual(await listCaptures(), []);
+    });
+
+    it("rejects order IDs that are not safe file names", async () => {
+        await assert.rejects(recordCapture(payload("../ORDER1")), /Invalid order ID/);
+    });
+});
@@ -0,0 +1,75 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import type { AddressInfo } from "net";
+import { getPaymentProvider } from "../src/lib/payment-providers";
+
+// The Stripe capture step against a scripted backend lookup: only a PaymentIntent that
+// succeeded counts as paid, so nothing else reaches the capture outbox.
+
+// The runner reads stdout as its message stream - keep the provider logs on stderr
+console.log = console.error;
+
+describe("Stripe capture", () => {
+    let server: http.Server;
+    let intents: Map<string, { status: string; packageId: string; captureId: string | null }>;
+    let requests: { url: string | undefined; forwardedFor: string | undefined }[];
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            requests.push({ url: req.url, forwardedFor: req.headers["x-forwarded-for"] as string | undefined });
+            const id = req.url?.match(/^\/api\/checkout\/stripe\/([^/]+)\/payment$/)?.[1];
+            const intent = id && intents.get(id);
+            res.writeHead(intent ? 200 : 404, { "Content-Type": "application/json" });
+            res.end(JSON.stringify(intent
+                ? { success: true, payment: { provider: "stripe", orderId: id, amount: "69.00", currency: "USD", ...intent } }
+                : { success: false, code: "ORDER_NOT_FOUND", message: "Stripe order does not exist" }));
+        });
+        await new Promise<void>((resolve) => server.listen(0, resolve));
+        process.env.BACKEND_URL = `http://localhost:${(server.address() as AddressInfo).port}`;
+    });
+
+    after(async () => {
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        intents = new Map();
+        requests = [];
+    });
+
+    const stripe = getPaymentProvider("stripe");
+
+    it("accepts a PaymentIntent that succeeded", async () => {
+        intents.set("pi_123", { status: "completed", packageId: "most-matches", captureId: "ch_123" });
+
+        const captured = await stripe.capture("pi_123", { "X-Forwarded-For": "203.0.113.7" });
+
+        assert.equal(captured.ok, true);
+        assert.equal(captured.ok && captured.paymentId, "ch_123");
+        assert.equal(captured.ok && captured.packageId, "most-matches");
+        assert.equal(requests[0].forwardedFor, "203.0.113.7");
+    });
+
+    it("refuses a PaymentIntent that has not been paid", async () => {
+        intents.set("pi_123", { status: "pending", packageId: "most-matches", captureId: null });
+
+        const captured = await stripe.capture("pi_123");
+
+        assert.deepEqual(captured, { ok: false, status: 402, error: "PaymentIntent is pending" });
+    });
+
+    it("refuses a PaymentIntent Stripe does not know", async () => {
+        const captured = await stripe.capture("pi_anything");
+
+        assert.deepEqual(captured, { ok: false, status: 404, error: "ORDER_NOT_FOUND" });
+    });
+
+    it("does not look up IDs that are not PaymentIntents", async () => {
+        const captured = await stripe.capture("../../admin");
+
+        assert.equal(captured.ok, false);
+        assert.equal(!captured.ok && captured.status, 400);
+        assert.equal(requests.length, 0);
+    });
+});
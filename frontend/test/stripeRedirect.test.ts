@@ -0,0 +1,70 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { completeStripeRedirect } from "../src/lib/checkout";
+
+// A card payment that needed a redirect comes back to /checkout with the PaymentIntent in
+// the query string - the order must be captured and stored from there.
+
+// The runner reads stdout as its message stream - keep the checkout logs on stderr
+console.log = console.error;
+
+const storage = new Map<string, string>();
+const requests: { url: string; body: any }[] = [];
+const originalFetch = globalThis.fetch;
+
+describe("completeStripeRedirect", () => {
+    beforeEach(() => {
+        storage.clear();
+        requests.length = 0;
+        Object.assign(globalThis, {
+            localStorage: {
+                getItem: (key: string) => storage.get(key) ?? null,
+                setItem: (key: string, value: string) => storage.set(key, value),
+                removeItem: (key: string) => storage.delete(key),
+            },
+            fetch: async (url: string, init: RequestInit) => {
+                requests.push({ url, body: JSON.parse(String(init.body)) });
+                return new Response(JSON.stringify({ success: true, stored: true, payment: {} }), { status: 200 });
+            },
+        });
+        storage.set("onboardingFormData", JSON.stringify({ name: "Sam", email: "sam@example.com", vibe: "adventurous", photoIds: ["photo-1"] }));
+    });
+
+    afterEach(() => {
+        globalThis.fetch = originalFetch;
+    });
+
+    it("does nothing on a page Stripe did not redirect to", async () => {
+        assert.equal(await completeStripeRedirect(new URLSearchParams("resume=abc")), null);
+        assert.equal(requests.length, 0);
+    });
+
+    it("captures and stores the order behind a successful redirect", async () => {
+        const params = new URLSearchParams("package=most-matches&payment_intent=pi_123&payment_intent_client_secret=pi_123_secret&redirect_status=succeeded");
+
+        const notice = await completeStripeRedirect(params);
+
+        assert.equal(notice?.type, "success");
+        assert.equal(requests[0].url, "/api/payments/stripe/capture/pi_123");
+        assert.equal(requests[0].body.packageId, "most-matches");
+        assert.equal(requests[0].body.customerEmail, "sam@example.com");
+        assert.deepEqual(requests[0].body.photoIds, ["photo-1"]);
+        assert.equal(storage.has("onboardingFormData"), false);
+    });
+
+    it("falls back to the stored package", async () => {
+        storage.set("selectedPackage", "date-ready");
+
+        await completeStripeRedirect(new URLSearchParams("payment_intent=pi_123&redirect_status=succeeded"));
+
+        assert.equal(requests[0].body.packageId, "date-ready");
+    });
+
+    it("stores nothing when the redirect did not succeed", async () => {
+        const params = new URLSearchParams("package=most-matches&payment_intent=pi_123&redirect_status=failed");
+
+        await assert.rejects(completeStripeRedirect(params), /Payment was not completed/);
+        assert.equal(requests.length, 0);
+        assert.equal(storage.has("onboardingFormData"), true);
+    });
+});